@@ -13,27 +13,48 @@ import InstallPrompt from './components/InstallPrompt';
 import ResultTabs from './components/ResultTabs';
 import GasPlan from './components/GasPlan';
 import O2Toxicity from './components/O2Toxicity';
+import BailoutPlan from './components/BailoutPlan';
+import RepetitiveDives from './components/RepetitiveDives';
+import Optimizer from './components/Optimizer';
+import ContingencyTable from './components/ContingencyTable';
+import DiveLogImport from './components/DiveLogImport';
+import LogReplay from './components/LogReplay';
+import PlanExport from './components/PlanExport';
+import DiveSlate from './components/DiveSlate';
+import PlanLibrary from './components/PlanLibrary';
+import ParamSetEditor from './components/ParamSetEditor';
+import CompareMatrix from './components/CompareMatrix';
 
 // Lazy-loaded educational components
 const AlgorithmInfo = lazy(() => import('./components/AlgorithmInfo'));
 const BubbleChart = lazy(() => import('./components/BubbleChart'));
 const NDLTable = lazy(() => import('./components/NDLTable'));
+const AlgorithmSweep = lazy(() => import('./components/AlgorithmSweep'));
 
-import { calculateDiveProfile, addAscentPhases, simpleAscent, parsePlan } from './utils/diveProfile';
-import { calculateZHL16A, calculateZHL16B, calculateZHL16C, calculateZHL12, calculateZHL6, calculateZHL8ADT } from './utils/buhlmann';
-import { calculateVPM } from './utils/vpm';
-import { calculateRGBM } from './utils/rgbm';
-import { calculateHaldane } from './utils/haldane';
-import { calculateWorkman } from './utils/workman';
-import { calculateThalmann } from './utils/thalmann';
-import { calculateDCIEM } from './utils/dciem';
-import { calculateDSAT } from './utils/dsat';
-import { calculateUSNavy } from './utils/usnavy';
-import { calculateBSAC } from './utils/bsac';
-import { calculateCeilingTimeline } from './utils/ceiling';
+import { parsePlan, serializePlan } from './utils/diveProfile';
+import { ALGORITHMS } from './utils/buhlmann';
+import { ALGORITHM_FNS, algorithmFn } from './utils/planner';
+import { hasGFMetrics } from './utils/tissueTrace';
 import { calculateCNS, calculateOTU } from './utils/oxygenToxicity';
 import { calculateGasConsumption, calculateRockBottom, calculateTurnPressure } from './utils/gasPlanning';
-import { findNDLForProfile } from './utils/ndl';
+import { PRIORITY } from './utils/workerPool';
+import { useDecoJob, useDecoJobs } from './hooks/useDecoWorker';
+import { ccrFromSettings, DEFAULT_CCR, DEFAULT_BAILOUT_GAS } from './utils/ccr';
+import { calcMOD } from './utils/physics';
+import { createEnvironment } from './utils/environment';
+import { gasCylinders, gasName, gasSwitchDepth, parseGasList, serializeGasList, createGas } from './utils/gases';
+import { parseUnits, isImperial, floorDepth, formatDepth, stopGridForUnits, fromDisplayDepth } from './utils/units';
+import { parseRepetitiveDives, serializeRepetitiveDives } from './utils/diveSeries';
+import { EXTRA_DEPTH } from './utils/contingency';
+import { logProfile } from './utils/diveLog';
+import {
+  isBuhlmannAlgorithm, isCustomAlgorithm, paramSetFor, panelParamSets, customAlgorithm,
+  loadParamSets, saveParamSets, importParamSets, parseParamSet, serializeParamSet,
+} from './utils/customParams';
+import {
+  PANEL_LETTERS, PANEL_COLORS, CEILING_COLORS, MIN_COMPARE_PANELS, MAX_PANELS,
+  parsePanelCount, configurationLabel, compareSummary,
+} from './utils/compare';
 import './App.css';
 
 const DEFAULT_SETTINGS = {
@@ -47,18 +68,24 @@ const DEFAULT_SETTINGS = {
   decoAscentRate: 9,
   ppO2Max: 1.4,
   ppO2Deco: 1.6,
-  decoGas1: null,
-  decoGas2: null,
+  gases: [],
   gasSwitchTime: true,
   lastStopDepth: 6,
+  stopInterval: 3,
+  continuousDeco: false,
+  altitude: 0,
+  salinity: 'salt',
+  acclimatized: true,
   sacRate: 20,
   tankSize: 24,
   tankPressure: 200,
   reservePressure: 50,
-  stage1TankSize: 7,
-  stage1TankPressure: 200,
-  stage2TankSize: 7,
-  stage2TankPressure: 200,
+  circuit: 'oc',
+  setpointLow: DEFAULT_CCR.setpointLow,
+  setpointHigh: DEFAULT_CCR.setpointHigh,
+  setpointSwitchDepth: DEFAULT_CCR.switchDepth,
+  bailoutGas: DEFAULT_BAILOUT_GAS,
+  conservatism: 0,
 };
 
 function settingsReducer(state, action) {
@@ -71,24 +98,133 @@ function settingsReducer(state, action) {
   return state;
 }
 
-const ALGORITHM_REGISTRY = {
-  none:     { fn: null,              name: 'No Algorithm',       description: 'Direct ascent, no deco calculation',                          trimix: false, multiGas: false, gf: false },
-  zhl16a:   { fn: calculateZHL16A,   name: 'ZH-L 16A',          description: 'Original experimental (1986). Trimix + multi-gas.',           trimix: true,  multiGas: true,  gf: true },
-  zhl16b:   { fn: calculateZHL16B,   name: 'ZH-L 16B',          description: 'For printed tables. Trimix + multi-gas.',                     trimix: true,  multiGas: true,  gf: true },
-  zhl16c:   { fn: calculateZHL16C,   name: 'ZH-L 16C',          description: 'For dive computers. Most widely used. Trimix + multi-gas.',   trimix: true,  multiGas: true,  gf: true },
-  zhl12:    { fn: calculateZHL12,    name: 'ZH-L 12',           description: 'Original 1983 version. Trimix + multi-gas.',                  trimix: true,  multiGas: true,  gf: true },
-  zhl6:     { fn: calculateZHL6,     name: 'ZH-L 6',            description: 'Simplified 6-compartment. Trimix + multi-gas.',               trimix: true,  multiGas: true,  gf: true },
-  zhl8adt:  { fn: calculateZHL8ADT,  name: 'ZH-L 8 ADT',        description: '8-compartment adaptive. Trimix + multi-gas.',                 trimix: true,  multiGas: true,  gf: true },
-  vpm:      { fn: calculateVPM,      name: 'VPM-B',             description: 'Bubble mechanics model. Deeper first stops. Nitrox only.',    trimix: false, multiGas: false, gf: true },
-  rgbm:     { fn: calculateRGBM,     name: 'RGBM',              description: 'Dual-phase bubble model. Nitrox only.',                       trimix: false, multiGas: false, gf: true },
-  haldane:  { fn: calculateHaldane,  name: 'Haldane (1908)',     description: '5 compartments, 2:1 ratio. Air/Nitrox only.',                 trimix: false, multiGas: false, gf: false },
-  workman:  { fn: calculateWorkman,  name: 'Workman (1965)',     description: 'US Navy M-values. 9 compartments. Air/Nitrox only.',          trimix: false, multiGas: false, gf: false },
-  thalmann: { fn: calculateThalmann, name: 'Thalmann VVAL-18',  description: 'US Navy asymmetric kinetics. Air/Nitrox only.',               trimix: false, multiGas: false, gf: false },
-  dciem:    { fn: calculateDCIEM,    name: 'DCIEM',             description: 'Canadian serial compartments. Very conservative. Air/Nitrox.', trimix: false, multiGas: false, gf: false },
-  dsat:     { fn: calculateDSAT,    name: 'DSAT/PADI',         description: 'Recreational NDL-only. No deco calculation — indicates if NDL exceeded.', trimix: false, multiGas: false, gf: false },
-  usnavy:   { fn: calculateUSNavy,  name: 'US Navy Rev 7',     description: 'Table-based USN Diving Manual Rev 7. Air only.',                        trimix: false, multiGas: false, gf: false },
-  bsac:     { fn: calculateBSAC,    name: 'BSAC \'88',        description: 'British Sub-Aqua Club 1988 tables. Air only.',                           trimix: false, multiGas: false, gf: false },
-};
+// Panel A starts without an algorithm, the compare panels on ZH-L 16C
+function panelDefaults(index) {
+  return index === 0 ? DEFAULT_SETTINGS : { ...DEFAULT_SETTINGS, algorithm: 'zhl16c' };
+}
+
+// Settings of every panel: A (the single mode plan) and the compare panels B–H.
+// SET/MERGE target `action.index`; untouched panels keep their settings object.
+function panelsReducer(panels, action) {
+  if (action.type === 'SET' || action.type === 'MERGE') {
+    return panels.map((settings, i) => i === action.index ? settingsReducer(settings, action) : settings);
+  }
+  if (action.type === 'MERGE_EACH') {
+    return panels.map(settings => ({ ...settings, ...action.payload(settings) }));
+  }
+  if (action.type === 'ADD') {
+    return panels.length < MAX_PANELS ? [...panels, action.settings] : panels;
+  }
+  if (action.type === 'REMOVE') {
+    return panels.length > MIN_COMPARE_PANELS ? panels.filter((_, i) => i !== action.index) : panels;
+  }
+  if (action.type === 'REPLACE') {
+    return action.panels;
+  }
+  return panels;
+}
+
+const INITIAL_PANELS = [panelDefaults(0), panelDefaults(1)];
+
+// The algorithm names and capability flags with the function that runs each
+const ALGORITHM_REGISTRY = Object.fromEntries(
+  Object.entries(ALGORITHMS).map(([key, algo]) => [key, { fn: ALGORITHM_FNS[key] ?? null, ...algo }]),
+);
+
+// Registry entry of a custom parameter set (see customParams)
+function customEntry(set) {
+  return { fn: algorithmFn(set.id), ...customAlgorithm(set), paramSet: set };
+}
+
+// The built-in algorithms followed by the custom sets
+function algorithmRegistry(paramSets) {
+  return { ...ALGORITHM_REGISTRY, ...Object.fromEntries(Object.values(paramSets).map(set => [set.id, customEntry(set)])) };
+}
+
+// Registry entry of a panel's algorithm
+function algorithmEntry(settings) {
+  const set = paramSetFor(settings);
+  return set ? customEntry(set) : ALGORITHM_REGISTRY[settings.algorithm];
+}
+
+// Contingency depth: 3 m, or 10 ft on imperial plans
+function contingencyDepth(units) {
+  return isImperial(units) ? fromDisplayDepth(10, units) : EXTRA_DEPTH;
+}
+
+// O₂ toxicity tracking
+function calculateO2Data(settings, result) {
+  if (!result?.phases) return null;
+  const ccr = ccrFromSettings(settings);
+  const env = createEnvironment(settings);
+  const cns = calculateCNS(result.phases, settings.fO2, settings.fHe, ccr, 0, env);
+  const otu = calculateOTU(result.phases, settings.fO2, settings.fHe, ccr, env);
+  return { cns, otu };
+}
+
+// Gas consumption
+function calculateGasData(settings, result) {
+  if (!result?.phases) return null;
+  const sacRate = settings.sacRate || 20;
+  const tankSize = settings.tankSize || 24;
+  const tankPressure = settings.tankPressure || 200;
+  const reservePressure = settings.reservePressure || 50;
+  const perGasTanks = gasCylinders(settings);
+  const consumption = calculateGasConsumption(result.phases, sacRate, settings.fO2, settings.fHe, perGasTanks);
+  const rockBottom = calculateRockBottom(result.phases, sacRate, tankSize);
+  const turnPressure = calculateTurnPressure(tankPressure, reservePressure, consumption.totalLiters, tankSize);
+  return { consumption, rockBottom, turnPressure };
+}
+
+function calculateModViolation(settings, stops) {
+  if (settings.algorithm === 'none' || stops.length === 0) return false;
+  const maxDepth = Math.max(...stops.map(s => s.depth));
+  return maxDepth > calcMOD(settings.fO2, settings.ppO2Max, createEnvironment(settings));
+}
+
+// Per-panel memo: each panel's settings object remembers its last result, so
+// editing one compare panel only recalculates that panel
+function memoByPanel(fn) {
+  const cache = new WeakMap();
+  return (settings, ...args) => {
+    const hit = cache.get(settings);
+    if (hit && hit.args.every((arg, i) => arg === args[i])) return hit.value;
+    const value = fn(settings, ...args);
+    cache.set(settings, { args, value });
+    return value;
+  };
+}
+
+// Panel settings as calculated: a custom set panel carries its set in
+// `paramSets` (see customParams); one whose set is gone runs ZH-L 16C
+const withParamSet = memoByPanel((settings, set) => set
+  ? { ...settings, paramSets: { [set.id]: set } }
+  : { ...settings, algorithm: 'zhl16c' });
+function resolvePanel(settings, paramSets) {
+  return isCustomAlgorithm(settings.algorithm) ? withParamSet(settings, paramSets[settings.algorithm]) : settings;
+}
+
+// Panel settings as kept in the state, without the sets they carried
+function panelSettings(settings, ids = {}) {
+  const { paramSets: _, ...rest } = settings;
+  return ids[rest.algorithm] ? { ...rest, algorithm: ids[rest.algorithm] } : rest;
+}
+
+// Worker job payloads, one object per panel input so unchanged panels keep
+// their results (see useDecoJobs)
+const planPayload = memoByPanel((settings, stops) => stops.length > 0 ? { settings, stops } : null);
+const ndlPayload = memoByPanel((settings, stops) => stops.length > 0 && algorithmFn(settings.algorithm) ? { settings, stops } : null);
+const tracePayload = memoByPanel((settings, result) =>
+  result?.points && settings.algorithm !== 'none' ? { settings, points: result.points, phases: result.phases } : null);
+const panelO2Data = memoByPanel(calculateO2Data);
+const panelGasData = memoByPanel(calculateGasData);
+const panelModViolation = memoByPanel(calculateModViolation);
+const contingencyPayload = memoByPanel((settings, stops, units) =>
+  stops.length > 0 ? { settings, stops, extraDepth: contingencyDepth(units) } : null);
+const replayPayload = memoByPanel((settings, profile) => profile && algorithmFn(settings.algorithm) ? { settings, profile } : null);
+const bailoutPayload = memoByPanel((settings, stops) => stops.length > 0 && ccrFromSettings(settings) ? { settings, stops } : null);
+const seriesPayload = memoByPanel((settings, stops, followUps) =>
+  stops.length > 0 && followUps.length > 0 && algorithmFn(settings.algorithm) ? { settings, stops, followUps } : null);
 
 // Memoized pure components
 const MemoizedDiveStops = memo(DiveStops);
@@ -104,16 +240,25 @@ const LazyFallback = () => <div className="loading-indicator"><span className="s
 
 function App() {
   const [stops, setStops] = useState([]);
+  const [repetitiveDives, setRepetitiveDives] = useState([]);
+  const [diveLog, setDiveLog] = useState(null);
   const [mode, setMode] = useState('single');
-  const [settingsA, dispatchA] = useReducer(settingsReducer, DEFAULT_SETTINGS);
-  const [settingsB, dispatchB] = useReducer(settingsReducer, { ...DEFAULT_SETTINGS, algorithm: 'zhl16c' });
+  const [panels, dispatchPanels] = useReducer(panelsReducer, INITIAL_PANELS);
   const [learningAlgo, setLearningAlgo] = useState('zhl16c');
   const [resultTab, setResultTab] = useState('overview');
   const [initialized, setInitialized] = useState(false);
   const [theme, setTheme] = useState(() => localStorage.getItem('theme') || 'dark');
+  const [units, setUnits] = useState(() => parseUnits(new URLSearchParams(window.location.search).get('u') || localStorage.getItem('units')));
+  const [paramSets, setParamSets] = useState(() => loadParamSets(localStorage));
   const [isPending, startTransition] = useTransition();
 
   const compareMode = mode === 'compare';
+  const resolved = useMemo(() => panels.map(settings => resolvePanel(settings, paramSets)), [panels, paramSets]);
+  const settingsA = resolved[0];
+  // Panels on screen: A alone, or every compare panel
+  const visible = useMemo(() => compareMode ? resolved : resolved.slice(0, 1), [compareMode, resolved]);
+  const registry = useMemo(() => algorithmRegistry(paramSets), [paramSets]);
+  const algorithmNames = useMemo(() => Object.fromEntries(Object.entries(registry).map(([id, entry]) => [id, entry.name])), [registry]);
 
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme === 'light' ? 'light' : '');
@@ -122,49 +267,34 @@ function App() {
 
   const toggleTheme = () => setTheme(t => t === 'dark' ? 'light' : 'dark');
 
-  const setA = (key, value) => startTransition(() => dispatchA({ type: 'SET', key, value }));
-  const setB = (key, value) => startTransition(() => dispatchB({ type: 'SET', key, value }));
-
-  const calcMOD = (fO2, ppO2) => fO2 > 0 ? Math.floor(10 * (ppO2 / fO2 - 1)) : 0;
-
-  const runAlgorithm = (settings, phases) => {
-    const { algorithm, fO2, fHe, gfLow, gfHigh, ascentRate, decoGas1, decoGas2, ppO2Deco } = settings;
-    const gasSwitches = [];
-    if (decoGas1?.fO2) {
-      const switchDepth = calcMOD(decoGas1.fO2, ppO2Deco);
-      gasSwitches.push({ depth: switchDepth, fO2: decoGas1.fO2, fHe: 0 });
-    }
-    if (decoGas2?.fO2) {
-      const switchDepth = calcMOD(decoGas2.fO2, ppO2Deco);
-      gasSwitches.push({ depth: switchDepth, fO2: decoGas2.fO2, fHe: 0 });
-    }
-    gasSwitches.sort((a, b) => b.depth - a.depth);
+  useEffect(() => {
+    localStorage.setItem('units', units);
+  }, [units]);
 
-    const decoAscentRate = settings.decoAscentRate || ascentRate;
-    const opts = { fO2, fHe, gfLow, gfHigh, ascentRate, decoAscentRate, gasSwitches, lastStopDepth: settings.lastStopDepth || 6 };
-    const entry = ALGORITHM_REGISTRY[algorithm];
-    if (!entry || !entry.fn) return null;
-    return entry.fn(phases, opts);
+  useEffect(() => {
+    saveParamSets(localStorage, paramSets);
+  }, [paramSets]);
+
+  // Panels on a deleted parameter set go back to ZH-L 16C
+  const deleteParamSet = (id) => {
+    setParamSets(sets => Object.fromEntries(Object.entries(sets).filter(([key]) => key !== id)));
+    panels.forEach((settings, index) => {
+      if (settings.algorithm === id) dispatchPanels({ type: 'SET', index, key: 'algorithm', value: 'zhl16c' });
+    });
   };
 
-  const calculateFull = (settings) => {
-    if (stops.length === 0) return null;
-    const { descentRate, ascentRate, decoAscentRate = 9, gasSwitchTime, lastStopDepth = 6 } = settings;
-    const profile = calculateDiveProfile(stops, descentRate, ascentRate);
-    const decoInfo = runAlgorithm(settings, profile.phases);
-    if (decoInfo) {
-      const adjustedStops = gasSwitchTime
-        ? decoInfo.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s)
-        : decoInfo.decoStops;
-      const fullProfile = addAscentPhases(profile, adjustedStops, decoAscentRate);
-      return { ...fullProfile, decoInfo };
-    } else {
-      // No algorithm or no deco: add safety stop for no-deco dives
-      const fullProfile = simpleAscent(profile, ascentRate, lastStopDepth);
-      return { ...fullProfile, decoInfo };
-    }
+  // Switching units also moves the stop grid to 10 ft (or back to 3 m)
+  const toggleUnits = () => {
+    const next = isImperial(units) ? 'metric' : 'imperial';
+    setUnits(next);
+    dispatchPanels({ type: 'MERGE_EACH', payload: settings => stopGridForUnits(settings, next) });
   };
 
+  const setPanel = (index, key, value) => startTransition(() => dispatchPanels({ type: 'SET', index, key, value }));
+  // A new compare panel starts as a copy of the last one
+  const addPanel = () => dispatchPanels({ type: 'ADD', settings: panels[panels.length - 1] });
+  const removePanel = (index) => dispatchPanels({ type: 'REMOVE', index });
+
   const parseSettingsFromURL = (p, suffix = '') => {
     const s = {};
     const get = (key) => p.get(key + suffix);
@@ -178,28 +308,49 @@ function App() {
     if (get('dascent')) s.decoAscentRate = Number(get('dascent'));
     if (get('ppo2')) s.ppO2Max = Number(get('ppo2'));
     if (get('ppo2d')) s.ppO2Deco = Number(get('ppo2d'));
-    if (get('s1')) s.decoGas1 = { fO2: Number(get('s1')) / 100 };
-    if (get('s2')) s.decoGas2 = { fO2: Number(get('s2')) / 100 };
+    if (get('g')) s.gases = parseGasList(get('g'));
+    // Links from before the gas list carried two deco stages
+    else if (get('s1') || get('s2')) s.gases = [get('s1'), get('s2')].filter(Boolean).map(o2 => createGas(Number(o2) / 100));
     if (get('gst') === '0') s.gasSwitchTime = false;
     if (get('lsd')) s.lastStopDepth = Number(get('lsd'));
+    if (get('si')) s.stopInterval = Number(get('si'));
+    if (get('cd') === '1') s.continuousDeco = true;
+    if (get('alt')) s.altitude = Number(get('alt'));
+    if (get('fw') === '1') s.salinity = 'fresh';
+    if (get('acc') === '0') s.acclimatized = false;
+    if (get('vc')) s.conservatism = Number(get('vc'));
     if (get('sac')) s.sacRate = Number(get('sac'));
     if (get('tank')) s.tankSize = Number(get('tank'));
     if (get('tp')) s.tankPressure = Number(get('tp'));
+    if (get('cc') === '1') s.circuit = 'ccr';
+    if (get('spl')) s.setpointLow = Number(get('spl'));
+    if (get('sph')) s.setpointHigh = Number(get('sph'));
+    if (get('spd')) s.setpointSwitchDepth = Number(get('spd'));
+    if (get('bo')) s.bailoutGas = { fO2: Number(get('bo')) / 100, fHe: Number(get('bh') || 0) / 100 };
     return s;
   };
 
   useEffect(() => {
     const p = new URLSearchParams(window.location.search);
     if (p.get('plan')) setStops(parsePlan(p.get('plan')));
+    if (p.get('rd')) setRepetitiveDives(parseRepetitiveDives(p.get('rd')));
+    // Custom parameter sets shared in the link join the saved ones
+    const shared = importParamSets(loadParamSets(localStorage), p.getAll('ps').map(parseParamSet).filter(Boolean));
+    setParamSets(shared.paramSets);
+    const linkSettings = (suffix) => panelSettings(parseSettingsFromURL(p, suffix), shared.ids);
     
     if (p.get('mode') === 'compare') {
       setMode('compare');
-      dispatchA({ type: 'MERGE', payload: parseSettingsFromURL(p, 'A') });
-      dispatchB({ type: 'MERGE', payload: parseSettingsFromURL(p, 'B') });
+      // Panels A–H carry their letter as the parameter suffix: algoA, gflC…
+      const count = parsePanelCount(p.get('n'));
+      dispatchPanels({
+        type: 'REPLACE',
+        panels: Array.from({ length: count }, (_, i) => ({ ...panelDefaults(i), ...linkSettings(PANEL_LETTERS[i]) })),
+      });
     } else if (p.get('mode') === 'learning') {
       setMode('learning');
     } else {
-      dispatchA({ type: 'MERGE', payload: parseSettingsFromURL(p) });
+      dispatchPanels({ type: 'MERGE', index: 0, payload: linkSettings('') });
     }
     setInitialized(true);
   }, []);
@@ -217,167 +368,196 @@ function App() {
     if (settings.decoAscentRate !== def.decoAscentRate) set('dascent', settings.decoAscentRate);
     if (settings.ppO2Max !== def.ppO2Max) set('ppo2', settings.ppO2Max);
     if (settings.ppO2Deco !== def.ppO2Deco) set('ppo2d', settings.ppO2Deco);
-    if (settings.decoGas1) set('s1', Math.round(settings.decoGas1.fO2 * 100));
-    if (settings.decoGas2) set('s2', Math.round(settings.decoGas2.fO2 * 100));
+    if (settings.gases?.length) set('g', serializeGasList(settings.gases));
     if (!settings.gasSwitchTime) set('gst', '0');
     if (settings.lastStopDepth !== def.lastStopDepth) set('lsd', settings.lastStopDepth);
+    if (settings.stopInterval !== def.stopInterval) set('si', settings.stopInterval);
+    if (settings.continuousDeco) set('cd', '1');
+    if (settings.altitude > 0) set('alt', settings.altitude);
+    if (settings.salinity === 'fresh') set('fw', '1');
+    if (settings.altitude > 0 && settings.acclimatized === false) set('acc', '0');
+    if (settings.conservatism) set('vc', settings.conservatism);
     if (settings.sacRate !== def.sacRate) set('sac', settings.sacRate);
     if (settings.tankSize !== def.tankSize) set('tank', settings.tankSize);
     if (settings.tankPressure !== def.tankPressure) set('tp', settings.tankPressure);
+    if (settings.circuit === 'ccr') {
+      set('cc', '1');
+      if (settings.setpointLow !== def.setpointLow) set('spl', settings.setpointLow);
+      if (settings.setpointHigh !== def.setpointHigh) set('sph', settings.setpointHigh);
+      if (settings.setpointSwitchDepth !== def.setpointSwitchDepth) set('spd', settings.setpointSwitchDepth);
+      const bo = settings.bailoutGas;
+      if (bo && (bo.fO2 !== def.bailoutGas.fO2 || bo.fHe > 0)) {
+        set('bo', Math.round(settings.bailoutGas.fO2 * 100));
+        if (settings.bailoutGas.fHe > 0) set('bh', Math.round(settings.bailoutGas.fHe * 100));
+      }
+    }
   };
 
   useEffect(() => {
     if (!initialized) return;
     const p = new URLSearchParams();
-    if (stops.length > 0) p.set('plan', stops.map(s => `${s.depth}:${s.time}`).join(','));
+    if (stops.length > 0) p.set('plan', serializePlan(stops));
+    if (isImperial(units)) p.set('u', units);
+    if (repetitiveDives.length > 0) p.set('rd', serializeRepetitiveDives(repetitiveDives));
     
     if (compareMode) {
       p.set('mode', 'compare');
-      serializeSettingsToURL(p, settingsA, 'A');
-      serializeSettingsToURL(p, settingsB, 'B');
+      if (resolved.length !== MIN_COMPARE_PANELS) p.set('n', resolved.length);
+      resolved.forEach((settings, i) => serializeSettingsToURL(p, settings, PANEL_LETTERS[i]));
     } else if (mode === 'learning') {
       p.set('mode', 'learning');
     } else {
       serializeSettingsToURL(p, settingsA);
     }
+    // The custom parameter sets of the linked panels travel with the link
+    if (mode !== 'learning') {
+      for (const set of panelParamSets(compareMode ? resolved : [settingsA])) p.append('ps', serializeParamSet(set));
+    }
     window.history.replaceState(null, '', `${window.location.pathname}?${p.toString()}`);
-  }, [stops, mode, settingsA, settingsB, initialized]);
-
-  const resultA = useMemo(() => calculateFull(settingsA), [stops, settingsA]);
-  const resultB = useMemo(() => {
-    if (!compareMode) return null;
-    return calculateFull(settingsB);
-  }, [stops, compareMode, settingsB]);
-
-  // O2 toxicity tracking
-  const o2DataA = useMemo(() => {
-    if (!resultA?.phases) return null;
-    const cns = calculateCNS(resultA.phases, settingsA.fO2, settingsA.fHe);
-    const otu = calculateOTU(resultA.phases, settingsA.fO2, settingsA.fHe);
-    return { cns, otu };
-  }, [resultA, settingsA.fO2, settingsA.fHe]);
-
-  const o2DataB = useMemo(() => {
-    if (!compareMode || !resultB?.phases) return null;
-    const cns = calculateCNS(resultB.phases, settingsB.fO2, settingsB.fHe);
-    const otu = calculateOTU(resultB.phases, settingsB.fO2, settingsB.fHe);
-    return { cns, otu };
-  }, [compareMode, resultB, settingsB.fO2, settingsB.fHe]);
-
-  // Build per-gas tank config helper
-  const buildPerGasTanks = (s) => {
-    const tanks = {
-      bottom: { size: s.tankSize || 24, pressure: s.tankPressure || 200 },
-    };
-    if (s.decoGas1) tanks.stage1 = { size: s.stage1TankSize || 7, pressure: s.stage1TankPressure || 200 };
-    if (s.decoGas2) tanks.stage2 = { size: s.stage2TankSize || 7, pressure: s.stage2TankPressure || 200 };
-    return tanks;
+  }, [stops, repetitiveDives, mode, resolved, settingsA, units, initialized]);
+
+  // Saved plan library: what "Save Plan" stores, and loading a saved plan
+  const libraryCurrent = useMemo(() => ({ stops, panels: visible, mode: compareMode ? 'compare' : 'single' }), [stops, visible, compareMode]);
+  const loadPlan = (plan) => {
+    setStops(plan.stops);
+    // Custom parameter sets saved with the plan join the library
+    const saved = importParamSets(paramSets, panelParamSets(plan.panels));
+    setParamSets(saved.paramSets);
+    // A single mode plan keeps the compare panels that are already set up
+    const loaded = plan.panels.map((settings, i) => ({ ...panelDefaults(i), ...panelSettings(settings, saved.ids) }));
+    dispatchPanels({ type: 'REPLACE', panels: loaded.length === 1 ? [loaded[0], ...panels.slice(1)] : loaded });
+    setMode(plan.mode);
   };
 
-  // Gas consumption
-  const gasDataA = useMemo(() => {
-    if (!resultA?.phases) return null;
-    const sacRate = settingsA.sacRate || 20;
-    const tankSize = settingsA.tankSize || 24;
-    const tankPressure = settingsA.tankPressure || 200;
-    const reservePressure = settingsA.reservePressure || 50;
-    const perGasTanks = buildPerGasTanks(settingsA);
-    const consumption = calculateGasConsumption(resultA.phases, sacRate, settingsA.fO2, settingsA.fHe, perGasTanks);
-    const rockBottom = calculateRockBottom(resultA.phases, sacRate, tankSize);
-    const turnPressure = calculateTurnPressure(tankPressure, reservePressure, consumption.totalLiters, tankSize);
-    return { consumption, rockBottom, turnPressure };
-  }, [resultA, settingsA]);
-
-  const gasDataB = useMemo(() => {
-    if (!compareMode || !resultB?.phases) return null;
-    const sacRate = settingsB.sacRate || 20;
-    const tankSize = settingsB.tankSize || 24;
-    const tankPressure = settingsB.tankPressure || 200;
-    const reservePressure = settingsB.reservePressure || 50;
-    const perGasTanks = buildPerGasTanks(settingsB);
-    const consumption = calculateGasConsumption(resultB.phases, sacRate, settingsB.fO2, settingsB.fHe, perGasTanks);
-    const rockBottom = calculateRockBottom(resultB.phases, sacRate, tankSize);
-    const turnPressure = calculateTurnPressure(tankPressure, reservePressure, consumption.totalLiters, tankSize);
-    return { consumption, rockBottom, turnPressure };
-  }, [compareMode, resultB, settingsB]);
+  // Panel plans run in the worker pool; the Learning tab hides them so its
+  // own jobs go first
+  const panelCount = visible.length;
+  const planKeys = useMemo(() => [...PANEL_LETTERS.slice(0, panelCount)].map(letter => `plan-${letter}`), [panelCount]);
+  const planPayloads = useMemo(() => visible.map(settings => planPayload(settings, stops)), [visible, stops]);
+  const planPriority = mode === 'learning' ? PRIORITY.BACKGROUND : PRIORITY.VISIBLE;
+  const plans = useDecoJobs('plan', planPayloads, planKeys, planKeys.map(() => planPriority));
+
+  // Plan, O₂ and gas figures of every visible panel; memoByPanel keeps the
+  // panels that did not change from recalculating
+  const panelData = useMemo(() => visible.map((settings, i) => {
+    const result = plans[i]?.result ?? null;
+    return {
+      settings,
+      letter: PANEL_LETTERS[i],
+      color: PANEL_COLORS[i],
+      result,
+      o2Data: panelO2Data(settings, result),
+      gasData: panelGasData(settings, result),
+      modViolation: panelModViolation(settings, stops),
+      mod: settings.algorithm !== 'none' ? calcMOD(settings.fO2, settings.ppO2Max, createEnvironment(settings)) : null,
+    };
+  }), [visible, stops, plans]);
+  const { result: resultA, o2Data: o2DataA, gasData: gasDataA } = panelData[0];
+  const resultB = panelData[1]?.result ?? null;
+
+  // Contingency tables, only worked out while the Dive Plan tab is open
+  const contingencyKeys = useMemo(() => planKeys.map(key => `contingency-${key}`), [planKeys]);
+  const contingencyPayloads = useMemo(() => visible.map(settings =>
+    resultTab === 'plan' ? contingencyPayload(settings, stops, units) : null), [resultTab, visible, stops, units]);
+  const contingencyJobs = useDecoJobs('contingencies', contingencyPayloads, contingencyKeys, contingencyKeys.map(() => PRIORITY.VISIBLE));
+  const contingencies = useMemo(() => contingencyJobs.map(job => job.result), [contingencyJobs]);
+
+  // Imported dive log replay (Overview tab)
+  const loggedProfile = useMemo(() => diveLog ? logProfile(diveLog.dives[diveLog.index]) : null, [diveLog]);
+  const replayKeys = useMemo(() => planKeys.map(key => `replay-${key}`), [planKeys]);
+  const replayPayloads = useMemo(() => visible.map(settings => replayPayload(settings, loggedProfile)), [visible, loggedProfile]);
+  const replayPriority = mode !== 'learning' && resultTab === 'overview' ? PRIORITY.VISIBLE : PRIORITY.BACKGROUND;
+  const replayJobs = useDecoJobs('logReplay', replayPayloads, replayKeys, replayKeys.map(() => replayPriority));
+  const replays = useMemo(() => visible.map((settings, i) => {
+    const replay = replayJobs[i]?.result;
+    return replay ? { name: algorithmEntry(settings)?.name, ...replay } : null;
+  }), [visible, replayJobs]);
+
+  // CCR bailout plans (Gas Plan tab)
+  const bailoutKeys = useMemo(() => planKeys.map(key => `bailout-${key}`), [planKeys]);
+  const bailoutPayloads = useMemo(() => visible.map(settings => bailoutPayload(settings, stops)), [visible, stops]);
+  const bailoutPriority = mode !== 'learning' && resultTab === 'gas' ? PRIORITY.VISIBLE : PRIORITY.BACKGROUND;
+  const bailouts = useDecoJobs('bailout', bailoutPayloads, bailoutKeys, bailoutKeys.map(() => bailoutPriority));
+
+  // Repetitive dive series (Repetitive Dives tab)
+  const seriesKeys = useMemo(() => planKeys.map(key => `series-${key}`), [planKeys]);
+  const seriesPayloads = useMemo(() => visible.map(settings => seriesPayload(settings, stops, repetitiveDives)), [visible, stops, repetitiveDives]);
+  const seriesPriority = mode !== 'learning' && resultTab === 'repetitive' ? PRIORITY.VISIBLE : PRIORITY.BACKGROUND;
+  const series = useDecoJobs('series', seriesPayloads, seriesKeys, seriesKeys.map(() => seriesPriority));
 
   // NDL calculation
-  const ndlA = useMemo(() => {
-    if (!stops.length || settingsA.algorithm === 'none') return null;
-    const entry = ALGORITHM_REGISTRY[settingsA.algorithm];
-    if (!entry?.fn) return null;
-    return findNDLForProfile(stops, entry.fn, settingsA);
-  }, [stops, settingsA]);
-
-  const timeDifference = useMemo(() => {
-    if (!compareMode || !resultA || !resultB) return null;
-    const diff = resultB.totalTime - resultA.totalTime;
-    if (diff === 0) return null;
-    return `${diff > 0 ? '+' : ''}${diff} min`;
-  }, [compareMode, resultA, resultB]);
+  const { result: ndlA } = useDecoJob('ndl', ndlPayload(settingsA, stops), 'ndl', PRIORITY.NORMAL);
+
+  // Run time difference of each panel against A; with exactly two panels A
+  // also shows its difference against B
+  const timeDifferences = useMemo(() => {
+    if (!compareMode) return [];
+    const format = (diff) => diff === 0 ? null : `${diff > 0 ? '+' : ''}${diff} min`;
+    const runtime = (i) => panelData[i]?.result?.totalTime;
+    return panelData.map((_, i) => {
+      const other = i === 0 ? 1 : 0;
+      if ((i === 0 && panelData.length !== MIN_COMPARE_PANELS) || runtime(i) === undefined || runtime(other) === undefined) return null;
+      const diff = format(runtime(i) - runtime(other));
+      return diff && `${diff} vs ${PANEL_LETTERS[other]}`;
+    });
+  }, [compareMode, panelData]);
+
+  // Summary matrix rows (compare mode)
+  const matrixRows = useMemo(() => panelData.map(({ settings, letter, color, result, o2Data, gasData }) => ({
+    letter,
+    color,
+    label: configurationLabel(settings, algorithmEntry(settings), gasName),
+    summary: compareSummary(result, o2Data, gasData, settings.reservePressure || 50),
+  })), [panelData]);
+
+  // Stops without a gas of their own breathe panel A's bottom gas
+  const bottomGasA = useMemo(() => ({ fO2: settingsA.fO2, fHe: settingsA.fHe }), [settingsA.fO2, settingsA.fHe]);
 
   const modLines = useMemo(() => {
     const lines = [];
-    if (settingsA.algorithm !== 'none') {
-      const modA = calcMOD(settingsA.fO2, settingsA.ppO2Max);
-      lines.push({ depth: modA, color: '#ff4444', dash: [6, 4], label: `MOD ${modA}m (ppO₂ ${settingsA.ppO2Max})` });
-      if (settingsA.decoGas1?.fO2) {
-        const d = calcMOD(settingsA.decoGas1.fO2, settingsA.ppO2Deco);
-        lines.push({ depth: d, color: '#888888', dash: [4, 4], label: `S1 switch ${d}m` });
-      }
-      if (settingsA.decoGas2?.fO2) {
-        const d = calcMOD(settingsA.decoGas2.fO2, settingsA.ppO2Deco);
-        lines.push({ depth: d, color: '#666666', dash: [4, 4], label: `S2 switch ${d}m` });
-      }
-    }
-    if (compareMode && settingsB.algorithm !== 'none') {
-      const modB = calcMOD(settingsB.fO2, settingsB.ppO2Max);
-      const modA = settingsA.algorithm !== 'none' ? calcMOD(settingsA.fO2, settingsA.ppO2Max) : -1;
-      if (modB !== modA) {
-        lines.push({ depth: modB, color: '#ff8800', dash: [6, 4], label: `MOD ${modB}m (B)` });
-      }
-      if (settingsB.decoGas1?.fO2) {
-        const d = calcMOD(settingsB.decoGas1.fO2, settingsB.ppO2Deco);
-        lines.push({ depth: d, color: '#aa7744', dash: [4, 4], label: `B S1 switch ${d}m` });
+    const mods = new Set();
+    visible.forEach((settings, i) => {
+      if (settings.algorithm === 'none') return;
+      const env = createEnvironment(settings);
+      const letter = compareMode ? PANEL_LETTERS[i] : '';
+      const mod = calcMOD(settings.fO2, settings.ppO2Max, env);
+      if (i === 0) {
+        lines.push({ depth: mod, color: '#ff4444', dash: [6, 4], label: `MOD ${floorDepth(mod, units)} (ppO₂ ${settings.ppO2Max})` });
+      } else if (!mods.has(mod)) {
+        lines.push({ depth: mod, color: '#ff8800', dash: [6, 4], label: `MOD ${floorDepth(mod, units)} (${letter})` });
       }
-      if (settingsB.decoGas2?.fO2) {
-        const d = calcMOD(settingsB.decoGas2.fO2, settingsB.ppO2Deco);
-        lines.push({ depth: d, color: '#886633', dash: [4, 4], label: `B S2 switch ${d}m` });
+      mods.add(mod);
+      for (const gas of settings.gases || []) {
+        const d = gasSwitchDepth(gas, settings, env);
+        const label = `${gasName(gas)} switch ${floorDepth(d, units)}`;
+        lines.push({ depth: d, color: i === 0 ? '#888888' : '#aa7744', dash: [4, 4], label: i === 0 ? label : `${letter} ${label}` });
       }
-    }
-    return lines;
-  }, [settingsA, settingsB, compareMode]);
-
-  const modViolationA = useMemo(() => {
-    if (settingsA.algorithm === 'none' || stops.length === 0) return false;
-    const maxDepth = Math.max(...stops.map(s => s.depth));
-    return maxDepth > calcMOD(settingsA.fO2, settingsA.ppO2Max);
-  }, [settingsA, stops]);
-
-  const modViolationB = useMemo(() => {
-    if (!compareMode || settingsB.algorithm === 'none' || stops.length === 0) return false;
-    const maxDepth = Math.max(...stops.map(s => s.depth));
-    return maxDepth > calcMOD(settingsB.fO2, settingsB.ppO2Max);
-  }, [compareMode, settingsB, stops]);
-
-  const ceilingLines = useMemo(() => {
-    const lines = [];
-    if (resultA?.points && settingsA.algorithm !== 'none') {
-      lines.push({
-        data: calculateCeilingTimeline(resultA.points, settingsA, resultA.phases),
-        color: '#ff6b35',
-        label: compareMode ? 'Ceiling A' : 'Ceiling',
-      });
-    }
-    if (compareMode && resultB?.points && settingsB.algorithm !== 'none') {
-      lines.push({
-        data: calculateCeilingTimeline(resultB.points, settingsB, resultB.phases),
-        color: '#ff4081',
-        label: 'Ceiling B',
-      });
-    }
+    });
     return lines;
-  }, [resultA, resultB, settingsA, settingsB, compareMode]);
+  }, [visible, compareMode, units]);
+
+  // Tissue traces feed the ceilings and GF series (Overview tab), the plan
+  // table's GF columns (Dive Plan tab) and the GF explorer and
+  // supersaturation displays (Analysis tab); elsewhere they wait
+  const traceKeys = useMemo(() => planKeys.map(key => `trace-${key}`), [planKeys]);
+  const tracePayloads = useMemo(() => panelData.map(({ settings, result }) => tracePayload(settings, result)), [panelData]);
+  const tracePriority = mode !== 'learning' && ['overview', 'plan', 'analysis'].includes(resultTab) ? PRIORITY.VISIBLE : PRIORITY.BACKGROUND;
+  const traces = useDecoJobs('tissueTrace', tracePayloads, traceKeys, traceKeys.map(() => tracePriority));
+  const ceilingLines = useMemo(() => panelData.flatMap(({ letter }, i) => {
+    const trace = traces[i]?.result;
+    if (!trace) return [];
+    return [{ data: trace.steps.map(step => step.ceiling), color: CEILING_COLORS[i], label: compareMode ? `Ceiling ${letter}` : 'Ceiling' }];
+  }), [panelData, traces, compareMode]);
+  const gfLines = useMemo(() => panelData.flatMap(({ letter }, i) => {
+    const trace = traces[i]?.result;
+    if (!hasGFMetrics(trace)) return [];
+    const { steps } = trace;
+    return [{
+      gf: steps.map(step => step.gf), surfacingGF: steps.map(step => step.surfacingGF), leading: steps.map(step => step.leading),
+      labels: trace.labels, color: PANEL_COLORS[i], label: compareMode ? letter : '',
+    }];
+  }), [panelData, traces, compareMode]);
+  const calculating = isPending || plans.some(job => job.pending) || traces.some(job => job.pending);
 
   const learningSettings = useMemo(() => ({
     ...DEFAULT_SETTINGS,
@@ -386,6 +566,27 @@ function App() {
 
   const learningAlgoFn = ALGORITHM_REGISTRY[learningAlgo]?.fn;
 
+  // Learning tools plan panel A's settings with every custom set available
+  const learningBase = useMemo(() => ({ ...settingsA, paramSets }), [settingsA, paramSets]);
+
+  const panelsClass = `algorithm-panels ${!compareMode ? 'single' : visible.length > MIN_COMPARE_PANELS ? 'compare compare-many' : 'compare'}`;
+  // Panels A and B keep their stylesheet colours, C–H get theirs inline
+  const panelProps = (i) => i < 2
+    ? { className: `algorithm-panel ${i === 0 ? 'panel-a' : 'panel-b'}` }
+    : { className: 'algorithm-panel panel-n', style: { '--panel-color': PANEL_COLORS[i] } };
+  // One column per visible panel, each behind its own error boundary
+  const renderPanels = (section, render) => (
+    <div className={panelsClass}>
+      {panelData.map((panel, i) => (
+        <div key={panel.letter} {...panelProps(i)}>
+          <ErrorBoundary section={i === 0 ? section : `${section} ${panel.letter}`}>
+            {render(panel, i)}
+          </ErrorBoundary>
+        </div>
+      ))}
+    </div>
+  );
+
   return (
     <div className="app">
       <InstallPrompt />
@@ -395,6 +596,9 @@ function App() {
         <button className="theme-toggle" onClick={toggleTheme} title="Toggle theme">
           {theme === 'dark' ? '☀️' : '🌙'}
         </button>
+        <button className="units-toggle" onClick={toggleUnits} title="Toggle metric / imperial units">
+          {isImperial(units) ? 'ft · psi' : 'm · bar'}
+        </button>
         <div className="mode-toggle">
           <button className={`mode-btn ${mode === 'single' ? 'active' : ''}`} onClick={() => setMode('single')}>Single</button>
           <button className={`mode-btn ${mode === 'compare' ? 'active' : ''}`} onClick={() => setMode('compare')}>Compare</button>
@@ -408,50 +612,66 @@ function App() {
             <div className="learning-mode">
               <Suspense fallback={<LazyFallback />}>
                 <NDLTable
-                  algorithmRegistry={ALGORITHM_REGISTRY}
+                  algorithmRegistry={registry}
+                  settings={settingsA}
+                  units={units}
+                />
+                <AlgorithmSweep
+                  algorithmRegistry={registry}
+                  settings={learningBase}
+                  theme={theme}
+                  units={units}
                 />
                 <AlgorithmInfo theme={theme} />
-                <BubbleChart theme={theme} />
+                <BubbleChart theme={theme} units={units} />
               </Suspense>
             </div>
           </ErrorBoundary>
         ) : (
           <>
             <div className="shared-controls">
-              <MemoizedDiveStops stops={stops} onStopsChange={setStops} />
+              <MemoizedDiveStops stops={stops} onStopsChange={setStops} units={units} bottomGas={bottomGasA} gases={settingsA.gases} />
+              <DiveLogImport log={diveLog} onLogChange={setDiveLog} units={units} />
+              <PlanLibrary
+                current={libraryCurrent} onLoad={loadPlan} units={units}
+                algorithmNames={algorithmNames}
+              />
+              <ParamSetEditor paramSets={paramSets} onChange={setParamSets} onDelete={deleteParamSet} />
             </div>
 
-            <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-              <div className="algorithm-panel panel-a">
-                {compareMode && <div className="panel-header"><span className="panel-label">Algorithm A</span></div>}
-                <ErrorBoundary section="Settings">
-                  <MemoizedDiveSettings
-                    settings={settingsA}
-                    onChange={(key, value) => setA(key, value)}
-                    color="#4fc3f7"
-                  />
-                </ErrorBoundary>
-              </div>
-              {compareMode && (
-                <div className="algorithm-panel panel-b">
-                  <div className="panel-header"><span className="panel-label">Algorithm B</span></div>
-                  <ErrorBoundary section="Settings B">
+            <div className={panelsClass}>
+              {panelData.map(({ settings, letter, color }, i) => (
+                <div key={letter} {...panelProps(i)}>
+                  {compareMode && (
+                    <div className="panel-header">
+                      <span className="panel-label">Algorithm {letter}</span>
+                      {visible.length > MIN_COMPARE_PANELS && (
+                        <button type="button" className="panel-remove" onClick={() => removePanel(i)} title={`Remove configuration ${letter}`}>×</button>
+                      )}
+                    </div>
+                  )}
+                  <ErrorBoundary section={i === 0 ? 'Settings' : `Settings ${letter}`}>
                     <MemoizedDiveSettings
-                      settings={settingsB}
-                      onChange={(key, value) => setB(key, value)}
-                      color="#ff9800"
+                      settings={settings}
+                      onChange={(key, value) => setPanel(i, key, value)}
+                      paramSets={paramSets}
+                      color={color}
+                      units={units}
                     />
                   </ErrorBoundary>
                 </div>
-              )}
+              ))}
             </div>
+            {compareMode && visible.length < MAX_PANELS && (
+              <button type="button" className="add-btn compare-add" onClick={addPanel}>+ Add configuration</button>
+            )}
 
             {/* Key metrics bar */}
             {resultA && (
               <div className="key-metrics-bar">
                 <div className="key-metric">
                   <span className="key-metric-label">Max Depth</span>
-                  <span className="key-metric-value">{stops.length ? Math.max(...stops.map(s => s.depth)) : 0}m</span>
+                  <span className="key-metric-value">{formatDepth(stops.length ? Math.max(...stops.map(s => s.depth)) : 0, units)}</span>
                 </div>
                 {ndlA && (
                   <div className={`key-metric ${ndlA.inDeco ? 'key-metric-warn' : 'key-metric-ok'}`}>
@@ -485,110 +705,114 @@ function App() {
               <>
                 <ErrorBoundary section="Chart">
                   <div className="chart-panel">
-                    {isPending && <div className="loading-indicator"><span className="spinner" /> Calculating…</div>}
+                    {calculating && <div className="loading-indicator"><span className="spinner" /> Calculating…</div>}
                     <MemoizedDiveChart 
                       theme={theme}
-                      profiles={compareMode ? [
-                        { points: resultA?.points || [], color: '#4fc3f7', label: 'Algorithm A' },
-                        { points: resultB?.points || [], color: '#ff9800', label: 'Algorithm B' }
-                      ] : [
-                        { points: resultA?.points || [], color: '#4fc3f7', label: 'Dive Profile' }
-                      ]}
+                      profiles={compareMode
+                        ? panelData.map(({ result, color, letter }) => ({ points: result?.points || [], color, label: `Algorithm ${letter}` }))
+                        : [{ points: resultA?.points || [], color: '#4fc3f7', label: 'Dive Profile' }]}
                       modLines={modLines}
                       ceilingLines={ceilingLines}
+                      gfLines={gfLines}
+                      units={units}
                     />
                   </div>
                 </ErrorBoundary>
 
+                {loggedProfile && (
+                  <ErrorBoundary section="Logged Dive">
+                    <LogReplay
+                      profile={loggedProfile}
+                      replays={panelData.map(({ color, letter }, i) => ({
+                        data: replays[i], color, ceilingColor: CEILING_COLORS[i], label: compareMode ? letter : '',
+                      }))}
+                      theme={theme}
+                      units={units}
+                    />
+                  </ErrorBoundary>
+                )}
+
+                {compareMode && <CompareMatrix rows={matrixRows} units={units} />}
+
                 {/* Summary */}
-                <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-                  <div className="algorithm-panel panel-a">
-                    <ErrorBoundary section="Summary">
-                      <MemoizedDiveSummary
-                        stops={stops} totalTime={resultA?.totalTime || 0}
-                        decoInfo={resultA?.decoInfo} color="#4fc3f7"
-                        compareWith={compareMode && timeDifference ? `${timeDifference} vs B` : null}
-                        modViolation={modViolationA}
-                        mod={settingsA.algorithm !== 'none' ? calcMOD(settingsA.fO2, settingsA.ppO2Max) : null}
-                        o2Data={o2DataA}
-                        gasData={gasDataA}
-                        ndl={ndlA}
-                        settings={settingsA}
-                      />
-                    </ErrorBoundary>
-                  </div>
-                  {compareMode && (
-                    <div className="algorithm-panel panel-b">
-                      <ErrorBoundary section="Summary B">
-                        <MemoizedDiveSummary
-                          stops={stops} totalTime={resultB?.totalTime || 0}
-                          decoInfo={resultB?.decoInfo} color="#ff9800"
-                          compareWith={timeDifference ? `${timeDifference.replace('+', '').replace('-', '+')} vs A` : null}
-                          modViolation={modViolationB}
-                          mod={settingsB.algorithm !== 'none' ? calcMOD(settingsB.fO2, settingsB.ppO2Max) : null}
-                          o2Data={o2DataB}
-                          gasData={gasDataB}
-                          settings={settingsB}
-                        />
-                      </ErrorBoundary>
-                    </div>
-                  )}
-                </div>
+                {renderPanels('Summary', ({ settings, color, result, o2Data, gasData, modViolation, mod }, i) => (
+                  <MemoizedDiveSummary
+                    stops={stops} totalTime={result?.totalTime || 0}
+                    decoInfo={result?.decoInfo} color={color}
+                    compareWith={timeDifferences[i] ?? null}
+                    modViolation={modViolation}
+                    mod={mod}
+                    o2Data={o2Data}
+                    gasData={gasData}
+                    ndl={i === 0 ? ndlA : null}
+                    settings={settings}
+                    units={units}
+                  />
+                ))}
               </>
             )}
 
             {/* Dive Plan Tab */}
-            {resultTab === 'plan' && (
-              <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-                <div className="algorithm-panel panel-a">
-                  <ErrorBoundary section="Dive Plan">
-                    <MemoizedDiveTable phases={resultA?.phases || []} color="#4fc3f7" settings={settingsA} />
-                  </ErrorBoundary>
-                </div>
-                {compareMode && (
-                  <div className="algorithm-panel panel-b">
-                    <ErrorBoundary section="Dive Plan B">
-                      <MemoizedDiveTable phases={resultB?.phases || []} color="#ff9800" settings={settingsB} />
-                    </ErrorBoundary>
-                  </div>
-                )}
-              </div>
-            )}
+            {resultTab === 'plan' && renderPanels('Dive Plan', ({ settings, color, letter, result }, i) => {
+              const entry = algorithmEntry(settings);
+              const suffix = compareMode ? `-${letter.toLowerCase()}` : '';
+              return (
+                <>
+                  <MemoizedDiveTable phases={result?.phases || []} color={color} settings={settings} trace={traces[i]?.result} units={units} />
+                  <PlanExport
+                    result={result} settings={settings} units={units}
+                    algorithm={entry?.name} gf={entry?.gf}
+                    fileName={`dive-plan${suffix}`}
+                  />
+                  <ContingencyTable rows={contingencies[i] ?? null} color={color} units={units} />
+                  <DiveSlate
+                    result={result} settings={settings} contingencies={contingencies[i] ?? null} color={color} units={units}
+                    algorithm={entry?.name} gf={entry?.gf}
+                    fileName={`dive-slate${suffix}`}
+                  />
+                </>
+              );
+            })}
 
             {/* Gas Plan Tab */}
-            {resultTab === 'gas' && (
-              <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-                <div className="algorithm-panel panel-a">
-                  <ErrorBoundary section="Gas Plan">
-                    <GasPlan settings={settingsA} gasData={gasDataA} color="#4fc3f7" />
-                  </ErrorBoundary>
-                </div>
-                {compareMode && (
-                  <div className="algorithm-panel panel-b">
-                    <ErrorBoundary section="Gas Plan B">
-                      <GasPlan settings={settingsB} gasData={gasDataB} color="#ff9800" />
-                    </ErrorBoundary>
-                  </div>
+            {resultTab === 'gas' && renderPanels('Gas Plan', ({ settings, color, gasData }, i) => (
+              <>
+                <GasPlan settings={settings} gasData={gasData} color={color} units={units} />
+                <BailoutPlan plan={bailouts[i]?.result ?? null} color={color} units={units} />
+                {ccrFromSettings(settings) && !isBuhlmannAlgorithm(settings.algorithm) && (
+                  <p className="optimizer-note">OC bailout is planned with the Bühlmann algorithms only.</p>
                 )}
-              </div>
-            )}
+              </>
+            ))}
 
             {/* O₂ Toxicity Tab */}
-            {resultTab === 'o2' && (
-              <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-                <div className="algorithm-panel panel-a">
-                  <ErrorBoundary section="O₂ Toxicity">
-                    <O2Toxicity o2Data={o2DataA} color="#4fc3f7" />
-                  </ErrorBoundary>
-                </div>
-                {compareMode && (
-                  <div className="algorithm-panel panel-b">
-                    <ErrorBoundary section="O₂ Toxicity B">
-                      <O2Toxicity o2Data={o2DataB} color="#ff9800" />
-                    </ErrorBoundary>
-                  </div>
-                )}
-              </div>
+            {resultTab === 'o2' && renderPanels('O₂ Toxicity', ({ color, o2Data }) => (
+              <O2Toxicity o2Data={o2Data} color={color} />
+            ))}
+
+            {/* Repetitive Dives Tab */}
+            {resultTab === 'repetitive' && (
+              <ErrorBoundary section="Repetitive Dives">
+                <RepetitiveDives
+                  dives={repetitiveDives}
+                  onDivesChange={setRepetitiveDives}
+                  series={panelData.map(({ color, letter }, i) => ({ data: series[i]?.result ?? null, color, label: compareMode ? letter : '' }))}
+                  units={units}
+                />
+              </ErrorBoundary>
+            )}
+
+            {/* Optimizer Tab (searches and applies to panel A) */}
+            {resultTab === 'optimize' && (
+              <ErrorBoundary section="Optimizer">
+                <Optimizer
+                  settings={settingsA}
+                  stops={stops}
+                  onApply={(patch) => startTransition(() => dispatchPanels({ type: 'MERGE', index: 0, payload: patch }))}
+                  color="#4fc3f7"
+                  units={units}
+                />
+              </ErrorBoundary>
             )}
 
             {/* Analysis Tab */}
@@ -600,41 +824,24 @@ function App() {
                     decoInfoB={resultB?.decoInfo}
                     compareMode={compareMode}
                     theme={theme}
+                    units={units}
+                    surfacePressure={createEnvironment(settingsA).surfacePressure}
                   />
                 </ErrorBoundary>
 
                 <ErrorBoundary section="GF Explorer">
-                  <MemoizedGFExplorer settings={settingsA} profilePoints={resultA?.points} profilePhases={resultA?.phases} theme={theme} />
+                  <MemoizedGFExplorer settings={settingsA} trace={traces[0]?.result} theme={theme} units={units} />
                 </ErrorBoundary>
 
-                <div className={`algorithm-panels ${compareMode ? 'compare' : 'single'}`}>
-                  <div className="algorithm-panel panel-a">
-                    <ErrorBoundary section="Supersaturation">
-                      <MemoizedSupersatDisplay
-                        decoInfo={resultA?.decoInfo}
-                        profilePoints={resultA?.points}
-                        profilePhases={resultA?.phases}
-                        settings={settingsA}
-                        label={compareMode ? 'A' : ''}
-                        color="#4fc3f7"
-                      />
-                    </ErrorBoundary>
-                  </div>
-                  {compareMode && (
-                    <div className="algorithm-panel panel-b">
-                      <ErrorBoundary section="Supersaturation B">
-                        <MemoizedSupersatDisplay
-                          decoInfo={resultB?.decoInfo}
-                          profilePoints={resultB?.points}
-                          profilePhases={resultB?.phases}
-                          settings={settingsB}
-                          label="B"
-                          color="#ff9800"
-                        />
-                      </ErrorBoundary>
-                    </div>
-                  )}
-                </div>
+                {renderPanels('Supersaturation', ({ settings, color, letter, result }, i) => (
+                  <MemoizedSupersatDisplay
+                    decoInfo={result?.decoInfo}
+                    trace={traces[i]?.result}
+                    settings={settings}
+                    label={compareMode ? letter : ''}
+                    color={color}
+                  />
+                ))}
               </>
             )}
 
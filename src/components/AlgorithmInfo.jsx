@@ -59,9 +59,10 @@ Each compartment loads/unloads INDEPENDENTLY from the breathing gas via the lung
         content: `VPM starts from a fundamentally different premise than Bühlmann: gas microbubbles (nuclei) always exist in tissues. These aren\'t dangerous at small sizes, but if they grow too large during ascent, they cause DCS.
 
 The model tracks bubble radius rather than just dissolved gas. Key parameters:
-• Initial critical radius (~0.6-1.3 μm)
+• Critical radius (0.55 μm N₂, 0.45 μm He at +0; larger at +1…+4)
 • Surface tension (γ = 0.0179 N/m)
-• Skin compression (γ_c = 0.0257 N/m)`,
+• Skin compression (γ_c = 0.257 N/m)
+• Critical volume parameter (λ = 6500 fsw·min)`,
       },
       {
         heading: 'Crushing & Growth',
@@ -72,8 +73,12 @@ On ascent, the pressure drop allows:
 2. Existing nuclei to expand (Boyle\'s law)
 3. New bubble formation if supersaturation is high enough
 
-VPM limits the allowable supersaturation gradient to prevent excessive bubble growth:
-  ΔP_allowed = 2(γ + γ_c) / r_crushed`,
+Beyond a gradient of 8.2 atm the nucleus skin becomes impermeable and resists further crushing. Over the following days crushed nuclei regenerate to their original size.
+
+The allowable supersaturation gradient follows from the regenerated radius:
+  ΔP_allowed = 2γ(γ_c − γ) / (γ_c · r_regenerated)
+
+The critical volume algorithm then relaxes this gradient: the schedule is recomputed until the total time spent supersaturated (deco + surface) converges.`,
       },
       {
         heading: 'VPM-B Enhancement',
@@ -81,7 +86,9 @@ VPM limits the allowable supersaturation gradient to prevent excessive bubble gr
 
 VPM-B accounts for this expansion by progressively reducing the allowed supersaturation gradient at shallower stops. This produces slightly longer shallow stops compared to basic VPM.
 
-Result: Deeper first stops than Bühlmann, but similar total deco time.`,
+Result: Deeper first stops than Bühlmann, but similar total deco time.
+
+Deco gases take over at their switch depths, including mid-way through an ascent between stops. Helium nuclei use their own critical radius and half-times.`,
       },
     ],
   },
@@ -97,18 +104,24 @@ The key insight: during ascent, some dissolved gas forms bubbles. These bubbles
       },
       {
         heading: 'Bubble Reduction Factors',
-        content: `RGBM calculates a reduction factor (0.55–0.98) for each compartment based on:
+        content: `RGBM multiplies a reduction factor ξ (down to 0.45) into each compartment's M-value gradient:
 
-1. Max depth — deeper dives excite more nuclei
-2. Bottom time — longer exposure = more gas loading
-3. Compartment speed — fast tissues form bubbles more readily
+  M_rgbm = P_amb + (M_buhl − P_amb) × ξ
 
-The M-value is reduced: M_rgbm = P_amb + (M_buhl - P_amb) × factor
+ξ is the product of:
+1. Seed excitation — deeper dives excite more seeds; He seeds are smaller and harder to excite
+2. Repetitive — bubbles from the previous dive, fading over ~90 min
+3. Reverse profile — going deeper than earlier in the dive, or deeper than the previous dive
+4. Yo-yo — every re-descent after an ascent of 3 m or more
+5. Multi-day — excited seeds regenerate with a one-week time constant
+
+Fast compartments carry the bubbles, so each factor is weighted by exp(−τ/120 min); slow compartments stay close to Bühlmann.`,
+      },
+      {
+        heading: 'Helium & Profile Shape',
+        content: `Helium runs in its own compartments with its own ξ. Each compartment's a, b and ξ blend the N₂ and He values by tension.
 
-This makes RGBM more conservative than Bühlmann, especially for:
-• Deep dives (more bubble formation)
-• Long dives (more total gas)
-• Repetitive dives (residual bubbles)`,
+The profile factors are why RGBM computers disagree with Bühlmann on yo-yo, reverse and repetitive dives: dissolved gas alone barely changes, but the excited seeds make RGBM add deco.`,
       },
     ],
   },
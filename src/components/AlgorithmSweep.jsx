@@ -0,0 +1,283 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { useDecoWorker } from '../hooks/useDecoWorker';
+import { PRIORITY, isCancelled } from '../utils/workerPool';
+import {
+  MAX_SWEEP_CASES, SWEEP_METRICS, sweepRange, parseGFPairs, seriesKey, sweepCases,
+  sweepHeatmap, sweepLines, heatmapRange, heatColor,
+} from '../utils/sweep';
+import { PANEL_COLORS } from '../utils/compare';
+import { isImperial, unitLabels, fromDisplayDepth, displayDepth, formatDepth } from '../utils/units';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// Depth ranges in display units, kept per unit system
+const DEFAULT_DEPTHS = {
+  metric: { from: 18, to: 60, step: 3 },
+  imperial: { from: 60, to: 200, step: 10 },
+};
+const DEFAULT_TIMES = { from: 10, to: 60, step: 5 };
+const DEFAULT_ALGORITHMS = ['zhl16c', 'vpm'];
+
+function RangeInputs({ label, range, onChange }) {
+  const field = (key, name) => (
+    <label className="ndl-control">
+      <span>{label} {name}</span>
+      <input
+        type="number" min={key === 'step' ? 1 : 0} value={range[key]} className="ndl-input"
+        onChange={(e) => onChange({ ...range, [key]: Number(e.target.value) })}
+      />
+    </label>
+  );
+  return <>{field('from', 'from')}{field('to', 'to')}{field('step', 'step')}</>;
+}
+
+/**
+ * Learning tool: sweeps depth × bottom time (and optionally GF pairs) for
+ * the selected algorithms in the deco worker, then shows a heatmap of deco
+ * time, runtime, first stop or CNS per algorithm and runtime vs bottom time
+ * lines at one depth. Results fill in chunk by chunk as the sweep runs.
+ */
+export default function AlgorithmSweep({ algorithmRegistry = {}, settings, theme = 'dark', units = 'metric' }) {
+  const { sweep } = useDecoWorker();
+  const [collapsed, setCollapsed] = useState(true);
+  const [selected, setSelected] = useState(DEFAULT_ALGORITHMS);
+  const [depthRanges, setDepthRanges] = useState(DEFAULT_DEPTHS);
+  const [times, setTimes] = useState(DEFAULT_TIMES);
+  const [gfText, setGfText] = useState('');
+  const [metric, setMetric] = useState('decoTime');
+  const [series, setSeries] = useState('');
+  const [lineDepth, setLineDepth] = useState(null);
+  const [run, setRun] = useState(null);
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const runRef = useRef(null);
+
+  // Chunks of an abandoned sweep are dropped
+  useEffect(() => () => { runRef.current = null; }, []);
+
+  const system = isImperial(units) ? 'imperial' : 'metric';
+  const depthRange = depthRanges[system];
+  const algorithms = useMemo(() => Object.entries(algorithmRegistry)
+    .filter(([, entry]) => entry.fn)
+    .map(([key, entry]) => ({ key, name: entry.name, gf: entry.gf })), [algorithmRegistry]);
+
+  const request = useMemo(() => {
+    const depths = sweepRange(depthRange.from, depthRange.to, depthRange.step).map(d => fromDisplayDepth(d, units));
+    const bottomTimes = sweepRange(times.from, times.to, times.step).filter(t => t > 0);
+    const chosen = algorithms.filter(a => selected.includes(a.key));
+    const cases = sweepCases({ algorithms: chosen, depths, times: bottomTimes, gfPairs: parseGFPairs(gfText) });
+    return { depths, times: bottomTimes, cases };
+  }, [algorithms, selected, depthRange, times, gfText, units]);
+
+  const toggleAlgorithm = (key) => {
+    setSelected(list => list.includes(key) ? list.filter(k => k !== key) : [...list, key]);
+  };
+
+  const start = async () => {
+    const token = {};
+    const { depths, cases } = request;
+    const keys = [...new Set(cases.map(seriesKey))];
+    runRef.current = token;
+    setRun({ ...request, series: keys, settings });
+    setSeries(keys[0]);
+    setLineDepth(depths[Math.floor(depths.length / 2)]);
+    setResults([]);
+    setError(null);
+    setRunning(true);
+    const onChunk = (chunk) => {
+      if (runRef.current === token) setResults(list => list.concat(chunk));
+    };
+    try {
+      // A new sweep supersedes the one still running
+      await sweep(settings, cases, onChunk, { key: 'sweep', priority: PRIORITY.VISIBLE });
+    } catch (e) {
+      if (runRef.current === token && !isCancelled(e)) setError(e.message);
+    } finally {
+      if (runRef.current === token) setRunning(false);
+    }
+  };
+
+  const seriesLabel = (key) => {
+    const [algorithm, gf] = key.split(' ');
+    const name = algorithmRegistry[algorithm]?.name || algorithm;
+    return gf ? `${name} GF ${gf}` : name;
+  };
+
+  const heatmap = useMemo(() => run ? sweepHeatmap(results, series, run.depths, run.times, metric) : null, [run, results, series, metric]);
+  const range = heatmap ? heatmapRange(heatmap) : null;
+  const lines = useMemo(() => lineDepth === null ? [] : sweepLines(results, lineDepth, 'runtime'), [results, lineDepth]);
+
+  const formatValue = (value) => {
+    if (value === null) return running ? '' : '—';
+    if (metric === 'firstStop') return displayDepth(value, units);
+    return Math.round(value);
+  };
+
+  const textColor = theme === 'light' ? '#4a5568' : '#b0bec5';
+  const gridColor = theme === 'light' ? 'rgba(0,0,0,0.1)' : 'rgba(255,255,255,0.08)';
+  const chartData = {
+    datasets: lines.map((line, i) => ({
+      label: seriesLabel(line.key),
+      data: line.points,
+      borderColor: PANEL_COLORS[i % PANEL_COLORS.length],
+      backgroundColor: PANEL_COLORS[i % PANEL_COLORS.length],
+      borderWidth: 2,
+      pointRadius: 2,
+    })),
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { labels: { color: textColor, font: { size: 11 } } },
+      tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y} min at ${ctx.parsed.x} min bottom time` } },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        title: { display: true, text: 'Bottom time (min)', color: textColor },
+        ticks: { color: textColor },
+        grid: { color: gridColor },
+      },
+      y: {
+        title: { display: true, text: 'Runtime (min)', color: textColor },
+        ticks: { color: textColor },
+        grid: { color: gridColor },
+        min: 0,
+      },
+    },
+  };
+
+  const tooMany = request.cases.length > MAX_SWEEP_CASES;
+  const depthUnit = unitLabels(units).depth;
+  const stale = run && !running && (run.settings !== settings || run.cases !== request.cases);
+
+  return (
+    <div className="collapsible-section">
+      <button className="collapsible-header" onClick={() => setCollapsed(!collapsed)}>
+        <span>{collapsed ? '▶' : '▼'} 🗺️ Algorithm Sweep — Runtime vs Depth and Bottom Time</span>
+        <span className="collapsible-hint">Heatmap</span>
+      </button>
+      {!collapsed && (
+        <div className="ndl-table-container">
+          <p className="ndl-subtitle">
+            Plans a single-level dive at every depth and bottom time with panel A&apos;s gases, rates and site, for each
+            selected algorithm. Gradient factor algorithms run once per GF pair listed, or with panel A&apos;s GF.
+          </p>
+
+          <div className="ndl-controls">
+            <div className="sweep-algorithms">
+              {algorithms.map(a => (
+                <label key={a.key} className="sweep-algorithm">
+                  <input type="checkbox" checked={selected.includes(a.key)} onChange={() => toggleAlgorithm(a.key)} />
+                  {a.name}
+                </label>
+              ))}
+            </div>
+            <div className="ndl-control-row">
+              <RangeInputs
+                label={`Depth (${depthUnit})`} range={depthRange}
+                onChange={(next) => setDepthRanges(r => ({ ...r, [system]: next }))}
+              />
+              <RangeInputs label="Time (min)" range={times} onChange={setTimes} />
+              <label className="ndl-control">
+                <span>GF pairs</span>
+                <input value={gfText} onChange={(e) => setGfText(e.target.value)} placeholder="e.g. 30/70, 50/80" className="ndl-input sweep-gf" />
+              </label>
+              <button className="optimizer-run" onClick={start} disabled={running || tooMany || request.cases.length === 0}>
+                {running ? 'Sweeping…' : `Sweep ${request.cases.length} dives`}
+              </button>
+            </div>
+            {tooMany && <p className="optimizer-note">At most {MAX_SWEEP_CASES} dives per sweep: narrow the ranges or pick fewer algorithms.</p>}
+          </div>
+
+          {error && <p className="optimizer-note sufficiency-critical">{error}</p>}
+          {stale && <p className="optimizer-note">Settings or ranges changed since this sweep — run it again to update.</p>}
+
+          {run && (
+            <>
+              <div className="sweep-progress">
+                <progress value={results.length} max={run.cases.length} />
+                <span>{results.length} / {run.cases.length} dives</span>
+              </div>
+
+              <div className="ndl-control-row sweep-view">
+                <label className="ndl-control">
+                  <span>Heatmap</span>
+                  <select value={series} onChange={(e) => setSeries(e.target.value)} className="ndl-select">
+                    {run.series.map(key => <option key={key} value={key}>{seriesLabel(key)}</option>)}
+                  </select>
+                </label>
+                <label className="ndl-control">
+                  <span>Metric</span>
+                  <select value={metric} onChange={(e) => setMetric(e.target.value)} className="ndl-select">
+                    {Object.entries(SWEEP_METRICS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+                  </select>
+                </label>
+              </div>
+
+              <div className="dive-table-scroll">
+                <table className="ndl-table sweep-heatmap">
+                  <thead>
+                    <tr>
+                      <th>{depthUnit} \ min</th>
+                      {run.times.map(t => <th key={t}>{t}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {run.depths.map((depth, i) => (
+                      <tr key={depth}>
+                        <th>{displayDepth(depth, units)}</th>
+                        {heatmap[i].map((value, j) => (
+                          <td
+                            key={run.times[j]}
+                            style={value === null || !range ? undefined : {
+                              background: heatColor(range.max > range.min ? (value - range.min) / (range.max - range.min) : 0),
+                              color: '#fff',
+                            }}
+                            title={`${formatDepth(depth, units)}, ${run.times[j]} min`}
+                          >
+                            {formatValue(value)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {range && (
+                <p className="ndl-subtitle">
+                  {SWEEP_METRICS[metric].label}: {formatValue(range.min)}–{formatValue(range.max)}{' '}
+                  {SWEEP_METRICS[metric].unit === 'depth' ? depthUnit : SWEEP_METRICS[metric].unit}
+                </p>
+              )}
+
+              <div className="ndl-control-row sweep-view">
+                <label className="ndl-control">
+                  <span>Runtime at depth</span>
+                  <select value={lineDepth ?? ''} onChange={(e) => setLineDepth(Number(e.target.value))} className="ndl-select">
+                    {run.depths.map(d => <option key={d} value={d}>{formatDepth(d, units)}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="responsive-chart">
+                <Line data={chartData} options={chartOptions} />
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { unitLabels, formatDepth, formatPressure, formatVolume, displayDepth, volumeValue } from '../utils/units';
+
+export default function BailoutPlan({ plan, color = '#4fc3f7', units = 'metric' }) {
+  if (!plan) return null;
+
+  const { bailoutDepth, bailoutTime, totalTime, gases, phases, stressFactor } = plan;
+
+  return (
+    <div className="gas-plan bailout-plan" style={{ borderColor: `${color}40` }}>
+      <h3 style={{ color }}>OC Bailout</h3>
+      <div className="gas-plan-metrics">
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Bailout Point</span>
+          <span className="gas-plan-metric-value">
+            {formatDepth(bailoutDepth, units, 1)} @ {bailoutTime} min
+            <span className="gas-plan-metric-detail">End of bottom time at max depth</span>
+          </span>
+        </div>
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Bailout Run Time</span>
+          <span className="gas-plan-metric-value">
+            {totalTime} min
+            <span className="gas-plan-metric-detail">{totalTime - bailoutTime} min from bailout to surface</span>
+          </span>
+        </div>
+      </div>
+
+      <div className="gas-plan-summary">
+        {gases.map((g, i) => (
+          <div key={i} className={`gas-plan-line ${g.cylinder ? 'sufficiency-ok' : 'sufficiency-critical'}`}>
+            <span className="gas-plan-name">{g.label}</span>
+            <span className="gas-plan-tank">from {formatDepth(g.switchDepth, units, 1)}</span>
+            <span className="gas-plan-usage">
+              Needs {formatVolume(g.liters, units)} at {stressFactor}× SAC
+              {' | '}
+              {g.cylinder
+                ? `${g.cylinder.label} (${formatPressure(g.cylinder.bars, units)} incl. reserve)`
+                : 'No single cylinder large enough ❌'}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <div className="dive-table-scroll">
+        <table className="bailout-table">
+          <thead>
+            <tr>
+              <th>Depth</th>
+              <th>Stop</th>
+              <th>Run Time</th>
+              <th>Action</th>
+              <th>Gas ({unitLabels(units).volume})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {phases.map((phase, i) => (
+              <tr key={i} className={phase.action === 'Gas Switch' ? 'gas-switch-row' : ''}>
+                <td>{displayDepth(phase.depth, units, 1)}{unitLabels(units).depth}</td>
+                <td>{phase.duration > 0 ? `${phase.duration} min` : '—'}</td>
+                <td>{phase.runTime + phase.duration} min</td>
+                <td>
+                  <span className={`action-badge ${phase.action.toLowerCase().replace(/\s+/g, '-')}`}>
+                    {phase.action}
+                  </span>
+                  <span className="gas-label">{phase.gas}</span>
+                </td>
+                <td>{volumeValue(phase.liters, units)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useMemo } from 'react';
 import { Line } from 'react-chartjs-2';
 import { P_SURFACE } from '../utils/constants';
+import { isImperial, unitLabels, toDisplayDepth, fromDisplayDepth, displayDepth, formatDepth } from '../utils/units';
 
 /**
  * Simulates bubble radius behavior during a dive profile.
@@ -56,12 +57,14 @@ function simulateBubble(maxDepth, bottomTime) {
   return points;
 }
 
-export default function BubbleChart({ theme = 'dark' }) {
+export default function BubbleChart({ theme = 'dark', units = 'metric' }) {
   const [collapsed, setCollapsed] = useState(true);
   const [maxDepth, setMaxDepth] = useState(40);
   const [bottomTime, setBottomTime] = useState(20);
 
   const bubbleData = useMemo(() => simulateBubble(maxDepth, bottomTime), [maxDepth, bottomTime]);
+  const u = unitLabels(units);
+  const depthScale = isImperial(units) ? 300 : 100;
 
   const data = {
     datasets: [
@@ -76,8 +79,8 @@ export default function BubbleChart({ theme = 'dark' }) {
         tension: 0.3,
       },
       {
-        label: 'Depth (m) / 100',
-        data: bubbleData.map(p => ({ x: p.time, y: p.depth / 100 })),
+        label: `Depth (${u.depth}) / ${depthScale}`,
+        data: bubbleData.map(p => ({ x: p.time, y: toDisplayDepth(p.depth, units) / depthScale })),
         borderColor: 'rgba(255,255,255,0.3)',
         borderWidth: 1,
         borderDash: [4, 4],
@@ -99,9 +102,9 @@ export default function BubbleChart({ theme = 'dark' }) {
           label: (ctx) => {
             if (ctx.datasetIndex === 0) {
               const pt = bubbleData[ctx.dataIndex];
-              return `Radius: ${pt.radius.toFixed(3)} (at ${pt.depth.toFixed(0)}m, ${pt.phase})`;
+              return `Radius: ${pt.radius.toFixed(3)} (at ${formatDepth(pt.depth, units)}, ${pt.phase})`;
             }
-            return `Depth: ${(ctx.parsed.y * 100).toFixed(0)}m`;
+            return `Depth: ${(ctx.parsed.y * depthScale).toFixed(0)}${u.depth}`;
           },
         },
       },
@@ -132,7 +135,10 @@ export default function BubbleChart({ theme = 'dark' }) {
         <div style={{ padding: '12px 16px' }}>
           <div className="bubble-controls">
             <label>
-              Depth: <input type="range" min={10} max={80} value={maxDepth} onChange={e => setMaxDepth(Number(e.target.value))} /> {maxDepth}m
+              Depth: <input type="range"
+                min={displayDepth(10, units)} max={displayDepth(80, units)} step={isImperial(units) ? 5 : 1}
+                value={displayDepth(maxDepth, units)}
+                onChange={e => setMaxDepth(fromDisplayDepth(Number(e.target.value), units))} /> {formatDepth(maxDepth, units)}
             </label>
             <label>
               Bottom: <input type="range" min={5} max={60} value={bottomTime} onChange={e => setBottomTime(Number(e.target.value))} /> {bottomTime}min
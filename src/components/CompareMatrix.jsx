@@ -0,0 +1,59 @@
+import { bestValues } from '../utils/compare';
+import { formatDepth, unitLabels, volumeValue } from '../utils/units';
+
+// Columns where lower is better (the first stop depth is not)
+const KEYS = ['runtime', 'decoTime', 'cns', 'otu', 'liters'];
+
+/**
+ * Compare mode summary: one row per configuration with its runtime, first
+ * stop, deco time, CNS, OTU and gas. The lowest runtime, deco, CNS, OTU
+ * and gas are highlighted. `rows` are [{ letter, color, label, summary }].
+ */
+export default function CompareMatrix({ rows, units = 'metric' }) {
+  const shown = rows.filter(r => r.summary);
+  if (shown.length < 2) return null;
+
+  const best = bestValues(shown.map(r => r.summary), KEYS);
+  const cell = (row, key, text) => (
+    <td className={best[key] !== null && row.summary[key] === best[key] ? 'compare-best' : ''}>{text}</td>
+  );
+
+  return (
+    <div className="gas-plan compare-matrix">
+      <h3>Summary Matrix</h3>
+      <div className="dive-table-scroll">
+        <table className="bailout-table">
+          <thead>
+            <tr>
+              <th>Configuration</th>
+              <th>Run Time</th>
+              <th>First Stop</th>
+              <th>Deco</th>
+              <th>CNS</th>
+              <th>OTU</th>
+              <th>Gas ({unitLabels(units).volume})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(row => {
+              const s = row.summary;
+              return (
+                <tr key={row.letter}>
+                  <td>
+                    <span className="compare-matrix-letter" style={{ color: row.color }}>{row.letter}</span> {row.label}
+                  </td>
+                  {cell(row, 'runtime', `${s.runtime} min`)}
+                  <td>{s.firstStop === null ? '—' : formatDepth(s.firstStop, units, 1)}</td>
+                  {cell(row, 'decoTime', s.decoTime > 0 ? `${s.decoTime} min` : '—')}
+                  {cell(row, 'cns', s.cns === null ? '—' : `${s.cns.toFixed(0)}%`)}
+                  {cell(row, 'otu', s.otu === null ? '—' : s.otu.toFixed(0))}
+                  {cell(row, 'liters', s.liters === null ? '—' : `${volumeValue(s.liters, units)}${s.short ? ' ❌' : ''}`)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
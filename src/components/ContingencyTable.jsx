@@ -0,0 +1,60 @@
+import { formatDepth, formatVolume, unitLabels, volumeValue } from '../utils/units';
+import { gasName } from '../utils/gases';
+import { parseGasLabel } from '../utils/gasTimeline';
+
+function scenario(row, units) {
+  if (row.id === 'deeper') return `+${formatDepth(row.detail, units)} deeper`;
+  if (row.id === 'delayed') return `${row.label} at ${formatDepth(row.detail, units, 1)}`;
+  return row.label;
+}
+
+export default function ContingencyTable({ rows, color = '#4fc3f7', units = 'metric' }) {
+  if (!rows?.length) return null;
+
+  const [planned] = rows;
+  const labels = Object.keys(planned.litersByGas);
+
+  return (
+    <div className="gas-plan contingency-plan" style={{ borderColor: `${color}40` }}>
+      <h3 style={{ color }}>Contingency Tables</h3>
+      <p className="contingency-intro">
+        The plan re-run for the standard backup variants. Gas is at the planned SAC; ❌ marks a cylinder
+        breathed into its reserve.
+      </p>
+      <div className="dive-table-scroll">
+        <table className="bailout-table contingency-table">
+          <thead>
+            <tr>
+              <th>Scenario</th>
+              <th>Run Time</th>
+              <th>Deco</th>
+              {labels.map(label => <th key={label}>{gasName(parseGasLabel(label))} ({unitLabels(units).volume})</th>)}
+              <th>CNS</th>
+              <th>OTU</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id} className={row.short ? 'contingency-short' : ''}>
+                <td>{scenario(row, units)}{row.short && ' ❌'}</td>
+                <td>
+                  {row.totalTime} min
+                  {row.id !== 'planned' && row.totalTime !== planned.totalTime && (
+                    <span className="contingency-delta"> ({row.totalTime > planned.totalTime ? '+' : ''}{row.totalTime - planned.totalTime})</span>
+                  )}
+                </td>
+                <td>{row.decoTime > 0 ? `${row.decoTime} min` : '—'}</td>
+                {labels.map(label => (
+                  <td key={label}>{label in row.litersByGas ? volumeValue(row.litersByGas[label], units) : '—'}</td>
+                ))}
+                <td>{row.cns.toFixed(0)}%</td>
+                <td>{row.otu.toFixed(0)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="contingency-intro">Total gas for the planned dive: {formatVolume(planned.liters, units)}.</p>
+    </div>
+  );
+}
@@ -11,6 +11,7 @@ import {
 } from 'chart.js';
 import annotationPlugin from 'chartjs-plugin-annotation';
 import { Line } from 'react-chartjs-2';
+import { isImperial, unitLabels, toDisplayDepth, floorDepth } from '../utils/units';
 
 ChartJS.register(
   CategoryScale,
@@ -23,13 +24,22 @@ ChartJS.register(
   annotationPlugin
 );
 
-export default function DiveChart({ profiles, modLines = [], theme = 'dark', ceilingLines = [] }) {
+/**
+ * Depth profiles with ceilings and MOD lines. `gfLines` add GF99 and
+ * surfacing GF series ([{ gf, surfacingGF, leading, labels, color, label }],
+ * one value per minute; `labels` name the compartments) on a percentage axis.
+ */
+export default function DiveChart({ profiles, modLines = [], theme = 'dark', ceilingLines = [], gfLines = [], units = 'metric' }) {
   const chartRef = useRef(null);
 
   if (!profiles || profiles.length === 0 || !profiles[0]?.points || profiles[0].points.length < 2) {
     return <div className="chart-placeholder">Add dive stops to see the profile</div>;
   }
 
+  // Profiles are in meters; the chart plots display units
+  const toY = (depth) => toDisplayDepth(depth, units);
+  const depthStep = isImperial(units) ? 10 : 5;
+
   let maxDepth = 0;
   let maxTime = 0;
   
@@ -60,8 +70,7 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
     const color = profile.color || '#4fc3f7';
     const label = profile.label || `Profile ${index + 1}`;
     
-    const depthValues = timePoints.map(t => {
-      if (t === 0) return 0;
+    const depthAt = (t) => {
       for (let i = 0; i < profile.points.length - 1; i++) {
         const p1 = profile.points[i];
         const p2 = profile.points[i + 1];
@@ -72,7 +81,8 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
         }
       }
       return profile.points[profile.points.length - 1].depth;
-    });
+    };
+    const depthValues = timePoints.map(t => (t === 0 ? 0 : toY(depthAt(t))));
 
     const isDeepest = index === profiles.findIndex(p => {
       const pMaxDepth = Math.max(...(p.points?.map(pt => pt.depth) || [0]));
@@ -105,7 +115,7 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
   // Add ceiling line datasets
   ceilingLines.forEach((cl, index) => {
     if (!cl.data || cl.data.length === 0) return;
-    const ceilingValues = timePoints.map(t => t < cl.data.length ? cl.data[t] : null);
+    const ceilingValues = timePoints.map(t => t < cl.data.length && cl.data[t] !== null ? toY(cl.data[t]) : null);
     datasets.push({
       label: cl.label || 'Ceiling',
       data: ceilingValues,
@@ -119,19 +129,51 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
     });
   });
 
+  // GF99 and surfacing GF series on the right-hand axis
+  gfLines.forEach((line) => {
+    const perMinute = (values) => timePoints.map(t => t < values.length ? values[t] : null);
+    const suffix = line.label ? ` ${line.label}` : '';
+    datasets.push({
+      label: `GF99${suffix}`,
+      data: perMinute(line.gf),
+      leading: line.leading,
+      compartments: line.labels,
+      yAxisID: 'gf',
+      borderColor: line.color,
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [2, 2],
+      pointRadius: 0,
+      fill: false,
+      tension: 0,
+    });
+    datasets.push({
+      label: `SurfGF${suffix}`,
+      data: perMinute(line.surfacingGF),
+      yAxisID: 'gf',
+      borderColor: line.color,
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [8, 3, 2, 3],
+      pointRadius: 0,
+      fill: false,
+      tension: 0,
+    });
+  });
+
   // Build annotation lines for MOD/ppO₂
   const annotations = {};
   modLines.forEach((line, i) => {
     annotations[`mod_${i}`] = {
       type: 'line',
-      yMin: line.depth,
-      yMax: line.depth,
+      yMin: toY(line.depth),
+      yMax: toY(line.depth),
       borderColor: line.color || '#ff4444',
       borderWidth: 2,
       borderDash: line.dash || [6, 4],
       label: {
         display: true,
-        content: line.label || `MOD ${line.depth}m`,
+        content: line.label || `MOD ${floorDepth(line.depth, units)}`,
         position: 'start',
         backgroundColor: 'rgba(0,0,0,0.7)',
         color: line.color || '#ff4444',
@@ -143,14 +185,24 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
 
   const data = { labels: timePoints, datasets };
 
-  const yMax = Math.ceil(maxDepth / 5) * 5 + 5;
+  const yMax = Math.ceil(toY(maxDepth) / depthStep) * depthStep + depthStep;
+  const axisColor = theme === 'light' ? '#4a5568' : undefined;
+
+  // Percent series: GF99 also names the leading compartment
+  const tooltipLabel = (item) => {
+    if (item.raw === null) return null;
+    if (item.dataset.yAxisID !== 'gf') return `${item.dataset.label}: ${item.raw.toFixed(1)} ${unitLabels(units).depth}`;
+    const leading = item.dataset.leading?.[item.dataIndex];
+    const compartment = item.dataset.compartments?.[leading] ?? leading + 1;
+    return `${item.dataset.label}: ${item.raw.toFixed(0)}%${leading !== undefined ? ` (TC${compartment})` : ''}`;
+  };
 
   const options = {
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
       legend: { 
-        display: profiles.length > 1,
+        display: profiles.length > 1 || gfLines.length > 0,
         position: 'top',
         labels: { usePointStyle: true, pointStyle: 'line', color: theme === 'light' ? '#4a5568' : undefined },
       },
@@ -159,7 +211,7 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
         intersect: false,
         callbacks: {
           title: (items) => `Time: ${items[0].label} min`,
-          label: (item) => `${item.dataset.label}: ${item.raw.toFixed(1)} m`,
+          label: tooltipLabel,
         },
       },
       annotation: {
@@ -173,11 +225,11 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
         max: yMax,
         title: {
           display: true,
-          text: 'Depth (metres)',
+          text: isImperial(units) ? 'Depth (feet)' : 'Depth (metres)',
           font: { size: 14, weight: 'bold' },
           color: theme === 'light' ? '#4a5568' : undefined,
         },
-        ticks: { stepSize: 5, callback: (val) => `${val}`, color: theme === 'light' ? '#4a5568' : undefined },
+        ticks: { stepSize: depthStep, callback: (val) => `${val}`, color: theme === 'light' ? '#4a5568' : undefined },
         grid: { color: theme === 'light' ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.15)' },
       },
       x: {
@@ -193,6 +245,16 @@ export default function DiveChart({ profiles, modLines = [], theme = 'dark', cei
         ticks: { stepSize: maxTime > 60 ? 10 : 5, color: theme === 'light' ? '#4a5568' : undefined },
         grid: { color: theme === 'light' ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.15)' },
       },
+      ...(gfLines.length > 0 && {
+        gf: {
+          position: 'right',
+          min: 0,
+          suggestedMax: 120,
+          title: { display: true, text: 'Gradient factor (%)', font: { size: 14, weight: 'bold' }, color: axisColor },
+          ticks: { color: axisColor, callback: (val) => `${val}%` },
+          grid: { drawOnChartArea: false },
+        },
+      }),
     },
     interaction: { mode: 'index', intersect: false },
   };
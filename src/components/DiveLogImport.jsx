@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import { parseDiveLog, LOG_FORMATS } from '../utils/diveLog';
+import { gasName } from '../utils/gases';
+import { formatDepth } from '../utils/units';
+
+export default function DiveLogImport({ log, onLogChange, units = 'metric' }) {
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const dives = parseDiveLog(await file.text(), file.name);
+      setError(null);
+      onLogChange({ fileName: file.name, dives, index: 0 });
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const dive = log?.dives[log.index];
+  const maxDepth = dive ? Math.max(...dive.samples.map(s => s.depth)) : 0;
+  const runTime = dive ? Math.round(dive.samples[dive.samples.length - 1].time / 60) : 0;
+
+  return (
+    <div className="dive-log">
+      <div className="dive-log-header">
+        <h3>Dive Log</h3>
+        {log && <button onClick={() => onLogChange(null)} className="remove-btn" title="Clear the imported log">×</button>}
+      </div>
+      {dive ? (
+        <div className="dive-log-info">
+          {log.dives.length > 1 ? (
+            <select value={log.index} onChange={(e) => onLogChange({ ...log, index: Number(e.target.value) })}>
+              {log.dives.map((d, i) => <option key={i} value={i}>{d.label}</option>)}
+            </select>
+          ) : (
+            <span className="dive-log-label">{dive.label}</span>
+          )}
+          <span className="dive-log-detail">
+            {log.fileName} · {LOG_FORMATS[dive.format]} · {formatDepth(maxDepth, units, 1)} · {runTime} min
+            · {dive.ccr ? 'CCR, diluent ' : ''}{dive.gases.map(gasName).join(', ')}
+          </span>
+        </div>
+      ) : (
+        <p className="dive-log-intro">
+          Import a Subsurface XML (.ssrf), UDDF or CSV profile (Shearwater, Subsurface) to replay the logged dive
+          through the selected algorithms on the Overview tab.
+        </p>
+      )}
+      {error && <p className="dive-log-error">{error}</p>}
+      <label className="add-btn dive-log-file">
+        📂 {log ? 'Import Another Log' : 'Import Dive Log'}
+        <input type="file" accept=".ssrf,.xml,.uddf,.csv,.txt" onChange={handleFile} hidden />
+      </label>
+    </div>
+  );
+}
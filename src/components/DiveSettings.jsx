@@ -1,6 +1,23 @@
 import { ALGORITHMS } from '../utils/buhlmann';
+import { customAlgorithm } from '../utils/customParams';
 import { ALGORITHM_TOOLTIPS } from '../utils/algorithmTooltips';
 import { TANK_PRESETS } from '../utils/gasPlanning';
+import { TEN_FEET } from '../utils/stopGrid';
+import { ALTITUDE_BANDS } from '../utils/bsac';
+import { calcMOD } from '../utils/physics';
+import { WATER_TYPES, createEnvironment } from '../utils/environment';
+import { GAS_ROLES, createGas, gasName, gasSwitchDepth } from '../utils/gases';
+import {
+  unitLabels, isImperial, inputValue, floorDepth, formatTissue,
+  toDisplayDepth, fromDisplayDepth, toDisplayPressure, fromDisplayPressure,
+  toDisplayVolume, fromDisplayVolume, toDisplayTank, fromDisplayTank,
+} from '../utils/units';
+
+const STOP_INTERVALS = [
+  { value: 3, label: '3m' },
+  { value: 1, label: '1m' },
+  { value: TEN_FEET, label: '10ft' },
+];
 
 function NumInput({ value, onChange, onBlur, min, max, step, ...props }) {
   return (
@@ -25,9 +42,26 @@ function NumInput({ value, onChange, onBlur, min, max, step, ...props }) {
   );
 }
 
-function TankSizeRow({ tankSize, tankPressure, onSizeChange, onPressureChange }) {
+// NumInput for a metric setting shown in the active units. The stored value is
+// only converted back when the user edits it, so it isn't rounded on blur.
+function UnitInput({ value, units, toDisplay, fromDisplay, min, max, step, digits = 1, onChange }) {
+  const display = (v) => inputValue(toDisplay(v, units), units, digits);
+  const shown = typeof value === 'number' ? display(value) : value;
+  const commit = (v) => onChange(typeof v === 'number' ? fromDisplay(v, units) : v);
+  return (
+    <NumInput value={shown} min={display(min)} max={display(max)} step={step}
+      onChange={commit}
+      onBlur={(v) => { if (v !== shown) commit(v); }} />
+  );
+}
+
+function TankSizeRow({ tankSize, tankPressure, onSizeChange, onPressureChange, units }) {
   const isCustom = !TANK_PRESETS.some(p => Math.abs(p.value - tankSize) < 0.05);
   const totalVol = tankSize * tankPressure;
+  const u = unitLabels(units);
+  const tankLabel = (p) => isImperial(units)
+    ? `${p.name} (${Math.round(toDisplayTank(p.value, tankPressure, units))} cuft)`
+    : p.label;
   return (
     <div className="tank-size-row">
       <div className="setting-row">
@@ -38,30 +72,86 @@ function TankSizeRow({ tankSize, tankPressure, onSizeChange, onPressureChange })
           onChange={e => { if (e.target.value !== 'custom') onSizeChange(Number(e.target.value)); }}
         >
           {TANK_PRESETS.map(p => (
-            <option key={p.label} value={String(p.value)}>{p.label}</option>
+            <option key={p.label} value={String(p.value)}>{tankLabel(p)}</option>
           ))}
           <option value="custom">Custom</option>
         </select>
       </div>
       {isCustom && (
         <div className="setting-row">
-          <label>Size (L)</label>
+          <label>Size ({u.tank})</label>
           <div className="rate-input">
-            <NumInput value={tankSize} min={1} max={50} step={0.1}
-              onChange={onSizeChange} onBlur={onSizeChange} />
-            <span>L</span>
+            <UnitInput value={tankSize} min={1} max={50} step={isImperial(units) ? 1 : 0.1} units={units}
+              toDisplay={(v) => toDisplayTank(v, tankPressure, units)}
+              fromDisplay={(v) => fromDisplayTank(v, tankPressure, units)}
+              onChange={onSizeChange} />
+            <span>{u.tank}</span>
           </div>
         </div>
       )}
       <div className="setting-row">
         <label>Fill Pressure</label>
         <div className="rate-input">
-          <NumInput value={tankPressure} min={50} max={300}
-            onChange={onPressureChange} onBlur={onPressureChange} />
-          <span>bar</span>
+          <UnitInput value={tankPressure} min={50} max={300} digits={0} units={units}
+            toDisplay={toDisplayPressure} fromDisplay={fromDisplayPressure}
+            onChange={onPressureChange} />
+          <span>{u.pressure}</span>
         </div>
       </div>
-      <div className="gas-mix-label">Total: {Math.round(totalVol)}L</div>
+      <div className="gas-mix-label">
+        Total: {isImperial(units) ? `${Math.round(toDisplayVolume(totalVol, units))} cuft` : `${Math.round(totalVol)}L`}
+      </div>
+    </div>
+  );
+}
+
+// Deco gas presets offered by the add buttons (trimix ones need a trimix algorithm)
+const GAS_PRESETS = [
+  { fO2: 0.50, fHe: 0, role: 'deco' },
+  { fO2: 0.80, fHe: 0, role: 'deco' },
+  { fO2: 1.00, fHe: 0, role: 'deco' },
+  { fO2: 0.21, fHe: 0.35, role: 'deco' },
+  { fO2: 0.35, fHe: 0.25, role: 'deco' },
+  { fO2: 0.32, fHe: 0, role: 'travel' },
+];
+
+function GasRow({ gas, settings, env, supportsTrimix, units, onChange, onRemove }) {
+  const o2Pct = Math.round(gas.fO2 * 100);
+  const hePct = Math.round((gas.fHe || 0) * 100);
+  const auto = typeof gas.switchDepth !== 'number';
+  const switchDepth = gasSwitchDepth(gas, settings, env);
+  const setO2 = (n) => onChange({ fO2: n / 100, fHe: Math.min(gas.fHe || 0, (100 - n) / 100) });
+  return (
+    <div className="deco-gas-row gas-list-row">
+      <select className="gas-role-select" value={gas.role} onChange={(e) => onChange({ role: e.target.value })}>
+        {Object.entries(GAS_ROLES).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+      </select>
+      <div className="rate-input">
+        <NumInput value={o2Pct} min={8} max={100}
+          onChange={(v) => setO2(typeof v === 'number' ? v : 21)}
+          onBlur={setO2} />
+        <span>% O₂</span>
+        {supportsTrimix && (
+          <>
+            <NumInput value={hePct} min={0} max={100 - o2Pct}
+              onChange={(v) => onChange({ fHe: (typeof v === 'number' ? v : 0) / 100 })}
+              onBlur={(v) => onChange({ fHe: v / 100 })} />
+            <span>% He</span>
+          </>
+        )}
+      </div>
+      <div className="rate-input">
+        <span>@</span>
+        <UnitInput value={switchDepth} min={0} max={150} units={units} digits={0}
+          toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+          onChange={(v) => onChange({ switchDepth: typeof v === 'number' ? v : null })} />
+        <span>{unitLabels(units).depth}</span>
+        {auto
+          ? <span className="deco-gas-mod">MOD</span>
+          : <button type="button" className="gas-preset-btn" title="Switch at the MOD"
+              onClick={() => onChange({ switchDepth: null })}>Auto</button>}
+      </div>
+      <button type="button" className="gas-remove-btn" title={`Remove ${gasName(gas)}`} onClick={onRemove}>✕</button>
     </div>
   );
 }
@@ -69,26 +159,37 @@ function TankSizeRow({ tankSize, tankPressure, onSizeChange, onPressureChange })
 export default function DiveSettings({
   settings,
   onChange,
+  paramSets = {},
   color = '#4fc3f7',
+  units = 'metric',
 }) {
   const {
     algorithm, fO2, fHe = 0, gfLow, gfHigh,
     descentRate, ascentRate, decoAscentRate = 9, ppO2Max = 1.4, ppO2Deco = 1.6,
-    decoGas1 = null, decoGas2 = null, gasSwitchTime = true,
-    lastStopDepth = 6,
+    gases = [], gasSwitchTime = true,
+    lastStopDepth = 6, stopInterval = 3, continuousDeco = false, circuit = 'oc', setpointLow = 0.7, setpointHigh = 1.3,
+    setpointSwitchDepth = 20, bailoutGas = { fO2: 0.21, fHe: 0 }, conservatism = 0,
+    altitude = 0, salinity = 'salt', acclimatized = true,
   } = settings;
 
   const set = (key) => (value) => onChange(key, value);
-  const algo = ALGORITHMS[algorithm] || {};
+  const u = unitLabels(units);
+  const imperial = isImperial(units);
+  const lastStops = imperial ? [TEN_FEET, 2 * TEN_FEET] : [3, 6];
+  const customSets = Object.values(paramSets);
+  const algo = ALGORITHMS[algorithm] || (paramSets[algorithm] ? customAlgorithm(paramSets[algorithm]) : {});
   const supportsTrimix = algo.trimix;
   const supportsMultiGas = algo.multiGas;
   const supportsGF = algo.gf;
+  const isCCR = algo.ccr && circuit === 'ccr';
 
   const o2Pct = Math.round(fO2 * 100);
   const hePct = Math.round(fHe * 100);
-  const mod = fO2 > 0 ? Math.floor(10 * (ppO2Max / fO2 - 1)) : 0;
-  const decoGas1MOD = decoGas1?.fO2 > 0 ? Math.floor(10 * (ppO2Deco / decoGas1.fO2 - 1)) : null;
-  const decoGas2MOD = decoGas2?.fO2 > 0 ? Math.floor(10 * (ppO2Deco / decoGas2.fO2 - 1)) : null;
+  const env = createEnvironment(settings);
+  const mod = calcMOD(fO2, ppO2Max, env);
+  const updateGas = (i, patch) => onChange('gases', gases.map((g, j) => j === i ? { ...g, ...patch } : g));
+  const removeGas = (i) => onChange('gases', gases.filter((_, j) => j !== i));
+  const addGas = (preset) => onChange('gases', [...gases, createGas(preset.fO2, preset.fHe, preset.role)]);
 
   return (
     <div className="dive-settings" style={{ borderColor: `${color}40` }}>
@@ -101,6 +202,11 @@ export default function DiveSettings({
             {Object.entries(ALGORITHMS).map(([key, a]) => (
               <option key={key} value={key}>{a.name}</option>
             ))}
+            {customSets.length > 0 && (
+              <optgroup label="Custom parameter sets">
+                {customSets.map(set => <option key={set.id} value={set.id}>{set.name}</option>)}
+              </optgroup>
+            )}
           </select>
           {ALGORITHM_TOOLTIPS[algorithm] && (
             <span className="algo-tooltip-trigger">
@@ -119,47 +225,159 @@ export default function DiveSettings({
       <div className="setting-row">
         <label>Descent Rate</label>
         <div className="rate-input">
-          <NumInput value={descentRate} min={1} max={30}
-            onChange={set("descentRate")}
-            onBlur={set("descentRate")} />
-          <span>m/min</span>
+          <UnitInput value={descentRate} min={1} max={30} units={units}
+            toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+            onChange={set("descentRate")} />
+          <span>{u.rate}</span>
         </div>
       </div>
 
       <div className="setting-row">
         <label>Ascent to First Stop</label>
         <div className="rate-input">
-          <NumInput value={ascentRate} min={1} max={30}
-            onChange={set("ascentRate")}
-            onBlur={set("ascentRate")} />
-          <span>m/min</span>
+          <UnitInput value={ascentRate} min={1} max={30} units={units}
+            toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+            onChange={set("ascentRate")} />
+          <span>{u.rate}</span>
         </div>
       </div>
 
       <div className="setting-row">
         <label>Ascent during Deco</label>
         <div className="rate-input">
-          <NumInput value={decoAscentRate} min={1} max={18}
-            onChange={set("decoAscentRate")}
-            onBlur={set("decoAscentRate")} />
-          <span>m/min</span>
+          <UnitInput value={decoAscentRate} min={1} max={18} units={units}
+            toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+            onChange={set("decoAscentRate")} />
+          <span>{u.rate}</span>
         </div>
       </div>
 
       <div className="setting-row">
         <label>Last Stop</label>
         <div className="gas-presets">
-          <button type="button" className={`gas-preset-btn${lastStopDepth === 3 ? ' active' : ''}`}
-            onClick={() => onChange('lastStopDepth', 3)}>3m</button>
-          <button type="button" className={`gas-preset-btn${lastStopDepth === 6 ? ' active' : ''}`}
-            onClick={() => onChange('lastStopDepth', 6)}>6m</button>
+          {lastStops.map(depth => (
+            <button key={depth} type="button" className={`gas-preset-btn${Math.abs(lastStopDepth - depth) < 0.01 ? ' active' : ''}`}
+              onClick={() => onChange('lastStopDepth', depth)}>{floorDepth(depth, units)}</button>
+          ))}
+        </div>
+      </div>
+
+      {!continuousDeco && (
+        <div className="setting-row">
+          <label>Stop Interval</label>
+          <div className="gas-presets">
+            {STOP_INTERVALS.map(({ value, label }) => (
+              <button key={label} type="button" className={`gas-preset-btn${stopInterval === value ? ' active' : ''}`}
+                onClick={() => onChange('stopInterval', value)}>{label}</button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="deco-gas-row">
+        <label className="deco-gas-toggle">
+          <input type="checkbox"
+            checked={continuousDeco}
+            onChange={(e) => onChange('continuousDeco', e.target.checked)} />
+          Continuous deco (follow the ceiling)
+        </label>
+      </div>
+
+      <div className="settings-divider" />
+      <h4 className="settings-subtitle">Dive Site</h4>
+
+      <div className="setting-row">
+        <label>Altitude</label>
+        <div className="rate-input">
+          <UnitInput value={altitude} min={0} max={5000} step={imperial ? 100 : 50} digits={0} units={units}
+            toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+            onChange={set("altitude")} />
+          <span>{u.depth}</span>
+        </div>
+      </div>
+
+      <div className="setting-row">
+        <label>Water</label>
+        <div className="gas-presets">
+          {Object.entries(WATER_TYPES).map(([key, water]) => (
+            <button key={key} type="button" className={`gas-preset-btn${salinity === key ? ' active' : ''}`}
+              onClick={() => onChange('salinity', key)}>{water.label}</button>
+          ))}
         </div>
       </div>
 
+      {env.altitude > 0 && (
+        <div className="deco-gas-row">
+          <label className="deco-gas-toggle">
+            <input type="checkbox"
+              checked={acclimatized}
+              onChange={(e) => onChange('acclimatized', e.target.checked)} />
+            Acclimatized (unchecked: just arrived from sea level)
+          </label>
+        </div>
+      )}
+
+      <div className="gas-mix-label">
+        Surface pressure {formatTissue(env.surfacePressure, units)}
+      </div>
+      {algorithm === 'bsac' && env.altitude > ALTITUDE_BANDS[0] && (
+        <div className="gas-mix-label">
+          Approximation: the BSAC &apos;88 altitude tables are not encoded; the sea level table is entered at the equivalent depth for the top of the altitude band.
+        </div>
+      )}
+
       {algorithm !== 'none' && (
         <>
           <div className="settings-divider" />
 
+          {algo.ccr && (
+            <div className="setting-row">
+              <label>Circuit</label>
+              <div className="gas-presets">
+                <button type="button" className={`gas-preset-btn${!isCCR ? ' active' : ''}`}
+                  onClick={() => onChange('circuit', 'oc')}>OC</button>
+                <button type="button" className={`gas-preset-btn${isCCR ? ' active' : ''}`}
+                  onClick={() => onChange('circuit', 'ccr')}>CCR</button>
+              </div>
+            </div>
+          )}
+
+          {isCCR && (
+            <>
+              <div className="setting-row">
+                <label>Low Setpoint</label>
+                <div className="rate-input">
+                  <NumInput value={setpointLow} min={0.4} max={1.0} step={0.1}
+                    onChange={(v) => onChange('setpointLow', typeof v === 'number' ? v : 0.7)}
+                    onBlur={set('setpointLow')} />
+                  <span>bar</span>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label>High Setpoint</label>
+                <div className="rate-input">
+                  <NumInput value={setpointHigh} min={1.0} max={1.6} step={0.1}
+                    onChange={(v) => onChange('setpointHigh', typeof v === 'number' ? v : 1.3)}
+                    onBlur={set('setpointHigh')} />
+                  <span>bar</span>
+                </div>
+              </div>
+
+              <div className="setting-row">
+                <label>Setpoint Switch</label>
+                <div className="rate-input">
+                  <UnitInput value={setpointSwitchDepth} min={0} max={60} units={units}
+                    toDisplay={toDisplayDepth} fromDisplay={fromDisplayDepth}
+                    onChange={set('setpointSwitchDepth')} />
+                  <span>{u.depth}</span>
+                </div>
+              </div>
+
+              <h4 className="settings-subtitle">Diluent</h4>
+            </>
+          )}
+
           <div className="gas-presets">
             <button type="button" className={`gas-preset-btn${o2Pct === 21 && hePct === 0 ? ' active' : ''}`}
               onClick={() => { onChange('fO2', 0.21); onChange('fHe', 0); }}>Air (21%)</button>
@@ -203,10 +421,11 @@ export default function DiveSettings({
           )}
 
           <div className="gas-mix-label">
+            {isCCR && 'Diluent '}
             {supportsTrimix && fHe > 0
               ? `Trimix ${o2Pct}/${hePct} (N₂ ${100 - o2Pct - hePct}%)`
               : `Nitrox ${o2Pct} (N₂ ${100 - o2Pct}%)`}
-            {' · '}MOD {mod}m
+            {' · '}MOD {floorDepth(mod, units)}
           </div>
 
           <div className="settings-divider" />
@@ -257,69 +476,52 @@ export default function DiveSettings({
             </>
           )}
 
+          {algo.conservatism && (
+            <div className="setting-row">
+              <label>Conservatism</label>
+              <div className="gas-presets">
+                {[0, 1, 2, 3, 4].map(level => (
+                  <button key={level} type="button" className={`gas-preset-btn${conservatism === level ? ' active' : ''}`}
+                    onClick={() => onChange('conservatism', level)}>+{level}</button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {supportsMultiGas && (
             <>
               <div className="settings-divider" />
-              <h4 className="settings-subtitle">Deco Gases</h4>
-
-              <div className="deco-gas-row">
-                <label className="deco-gas-toggle">
-                  <input type="checkbox"
-                    checked={decoGas1 !== null}
-                    onChange={(e) => onChange("decoGas1", e.target.checked ? { fO2: 0.50 } : null)} />
-                  Stage 1
-                </label>
-                {decoGas1 && (
-                  <>
-                    <div className="rate-input">
-                      <NumInput value={Math.round(decoGas1.fO2 * 100)} min={21} max={100}
-                        onChange={(v) => onChange("decoGas1", { fO2: (typeof v === "number" ? v : 50) / 100 })}
-                        onBlur={(v) => onChange("decoGas1", { fO2: v / 100 })} />
-                      <span>% O₂</span>
-                      <span className="deco-gas-mod">MOD {decoGas1MOD}m</span>
-                    </div>
-                    <div className="gas-presets">
-                      {[50, 80, 100].map(pct => (
-                        <button key={pct} type="button"
-                          className={`gas-preset-btn${Math.round(decoGas1.fO2 * 100) === pct ? ' active' : ''}`}
-                          onClick={() => onChange("decoGas1", { fO2: pct / 100 })}>
-                          {pct === 100 ? 'O₂' : `EAN${pct}`}
-                        </button>
-                      ))}
-                    </div>
-                  </>
-                )}
-              </div>
+              <h4 className="settings-subtitle">{isCCR ? 'Bailout Gases' : 'Stage Gases'}</h4>
 
-              <div className="deco-gas-row">
-                <label className="deco-gas-toggle">
-                  <input type="checkbox"
-                    checked={decoGas2 !== null}
-                    onChange={(e) => onChange("decoGas2", e.target.checked ? { fO2: 1.0 } : null)} />
-                  Stage 2
-                </label>
-                {decoGas2 && (
-                  <>
-                    <div className="rate-input">
-                      <NumInput value={Math.round(decoGas2.fO2 * 100)} min={21} max={100}
-                        onChange={(v) => onChange("decoGas2", { fO2: (typeof v === "number" ? v : 100) / 100 })}
-                        onBlur={(v) => onChange("decoGas2", { fO2: v / 100 })} />
-                      <span>% O₂</span>
-                      <span className="deco-gas-mod">MOD {decoGas2MOD}m</span>
-                    </div>
-                    <div className="gas-presets">
-                      {[50, 80, 100].map(pct => (
-                        <button key={pct} type="button"
-                          className={`gas-preset-btn${Math.round(decoGas2.fO2 * 100) === pct ? ' active' : ''}`}
-                          onClick={() => onChange("decoGas2", { fO2: pct / 100 })}>
-                          {pct === 100 ? 'O₂' : `EAN${pct}`}
-                        </button>
-                      ))}
-                    </div>
-                  </>
-                )}
+              {isCCR && (
+                <div className="deco-gas-row">
+                  <label className="deco-gas-toggle">Bailout</label>
+                  <div className="rate-input">
+                    <NumInput value={Math.round(bailoutGas.fO2 * 100)} min={8} max={100}
+                      onChange={(v) => onChange('bailoutGas', { ...bailoutGas, fO2: (typeof v === 'number' ? v : 21) / 100 })}
+                      onBlur={(v) => onChange('bailoutGas', { ...bailoutGas, fO2: v / 100 })} />
+                    <span>% O₂</span>
+                    <NumInput value={Math.round(bailoutGas.fHe * 100)} min={0} max={100 - Math.round(bailoutGas.fO2 * 100)}
+                      onChange={(v) => onChange('bailoutGas', { ...bailoutGas, fHe: (typeof v === 'number' ? v : 0) / 100 })}
+                      onBlur={(v) => onChange('bailoutGas', { ...bailoutGas, fHe: v / 100 })} />
+                    <span>% He</span>
+                  </div>
+                </div>
+              )}
+
+              {gases.map((gas, i) => (
+                <GasRow key={i} gas={gas} settings={settings} env={env} supportsTrimix={supportsTrimix} units={units}
+                  onChange={(patch) => updateGas(i, patch)} onRemove={() => removeGas(i)} />
+              ))}
+              <div className="gas-presets" style={{ marginTop: '6px' }}>
+                {GAS_PRESETS.filter(p => supportsTrimix || p.fHe === 0).map(p => (
+                  <button key={`${p.role}${p.fO2}/${p.fHe}`} type="button" className="gas-preset-btn"
+                    onClick={() => addGas(p)}>
+                    + {p.role === 'travel' ? `${GAS_ROLES.travel.label} ` : ''}{gasName(p)}
+                  </button>
+                ))}
               </div>
-              {(decoGas1 || decoGas2) && (
+              {gases.length > 0 && (
                 <div className="deco-gas-row" style={{ marginTop: '8px' }}>
                   <label className="deco-gas-toggle">
                     <input type="checkbox"
@@ -344,10 +546,11 @@ export default function DiveSettings({
               <div className="setting-row">
                 <label>SAC Rate</label>
                 <div className="rate-input">
-                  <NumInput value={settings.sacRate || 20} min={5} max={40}
-                    onChange={set("sacRate")}
-                    onBlur={set("sacRate")} />
-                  <span>L/min</span>
+                  <UnitInput value={settings.sacRate || 20} min={5} max={40} units={units}
+                    step={imperial ? 0.05 : undefined} digits={2}
+                    toDisplay={toDisplayVolume} fromDisplay={fromDisplayVolume}
+                    onChange={set("sacRate")} />
+                  <span>{u.sac}</span>
                 </div>
               </div>
 
@@ -357,31 +560,21 @@ export default function DiveSettings({
                 tankPressure={settings.tankPressure || 200}
                 onSizeChange={(v) => onChange('tankSize', v)}
                 onPressureChange={(v) => onChange('tankPressure', v)}
+                units={units}
               />
 
-              {decoGas1 && (
-                <>
-                  <h4 className="settings-subtitle" style={{ marginTop: 12 }}>Stage 1 Tank</h4>
-                  <TankSizeRow
-                    tankSize={settings.stage1TankSize || 7}
-                    tankPressure={settings.stage1TankPressure || 200}
-                    onSizeChange={(v) => onChange('stage1TankSize', v)}
-                    onPressureChange={(v) => onChange('stage1TankPressure', v)}
-                  />
-                </>
-              )}
-
-              {decoGas2 && (
-                <>
-                  <h4 className="settings-subtitle" style={{ marginTop: 12 }}>Stage 2 Tank</h4>
+              {gases.map((gas, i) => (
+                <div key={i}>
+                  <h4 className="settings-subtitle" style={{ marginTop: 12 }}>{GAS_ROLES[gas.role]?.label} {gasName(gas)} Tank</h4>
                   <TankSizeRow
-                    tankSize={settings.stage2TankSize || 7}
-                    tankPressure={settings.stage2TankPressure || 200}
-                    onSizeChange={(v) => onChange('stage2TankSize', v)}
-                    onPressureChange={(v) => onChange('stage2TankPressure', v)}
+                    tankSize={gas.tankSize || 7}
+                    tankPressure={gas.tankPressure || 200}
+                    onSizeChange={(v) => updateGas(i, { tankSize: v })}
+                    onPressureChange={(v) => updateGas(i, { tankPressure: v })}
+                    units={units}
                   />
-                </>
-              )}
+                </div>
+              ))}
 
             </div>
           </details>
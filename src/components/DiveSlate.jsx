@@ -0,0 +1,52 @@
+import { useMemo, useState } from 'react';
+import { SLATE_SIZES, DEFAULT_SLATE_SIZE, buildSlate, slatePages, renderSlatePage, renderSlateSVG, slatePrintDocument } from '../utils/slate';
+import { downloadFile } from '../utils/planExport';
+
+function printSlate(pages, size, title) {
+  const win = window.open('', '_blank');
+  if (!win) return;
+  win.document.write(slatePrintDocument(pages, size, title));
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+export default function DiveSlate({ result, settings, contingencies, algorithm, gf = false, color = '#4fc3f7', fileName = 'dive-slate', units = 'metric' }) {
+  const [size, setSize] = useState(DEFAULT_SLATE_SIZE);
+
+  const pages = useMemo(() => {
+    if (!result?.phases?.length) return null;
+    return slatePages(buildSlate(result, settings, { contingencies, algorithm, gf }), size, units);
+  }, [result, settings, contingencies, algorithm, gf, size, units]);
+
+  if (!pages) return null;
+
+  return (
+    <div className="gas-plan dive-slate" style={{ borderColor: `${color}40` }}>
+      <h3 style={{ color }}>Slate</h3>
+      <p className="contingency-intro">
+        A print-ready runtime slate: stops with run times, gas switches (inverted rows), MODs, turn pressure and the
+        contingency stops. Print it or save it as PDF at the slate size, or download the SVG.
+      </p>
+      <div className="dive-slate-controls">
+        <select value={size} onChange={(e) => setSize(e.target.value)} aria-label="Slate size">
+          {Object.entries(SLATE_SIZES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <button type="button" className="gas-preset-btn" onClick={() => printSlate(pages, size, fileName)}>🖨 Print / PDF</button>
+        <button type="button" className="gas-preset-btn" onClick={() => downloadFile(renderSlateSVG(pages, size), `${fileName}.svg`, 'image/svg+xml')}>
+          ⬇ SVG
+        </button>
+      </div>
+      <div className="dive-slate-pages">
+        {pages.map((page, i) => (
+          <img
+            key={i}
+            className="dive-slate-page"
+            src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(renderSlatePage(page, size))}`}
+            alt={`Slate page ${i + 1} of ${pages.length}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
 import { useState, useRef } from 'react';
+import { unitLabels, isImperial, inputValue, toDisplayDepth, fromDisplayDepth } from '../utils/units';
+import { gasLabel, gasName } from '../utils/gases';
 
-export default function DiveStops({ stops, onStopsChange }) {
+export default function DiveStops({ stops, onStopsChange, units = 'metric', bottomGas = null, gases = [] }) {
   const [editing, setEditing] = useState({});
   const [dragIndex, setDragIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
   const dragCounter = useRef({});
 
   const addStop = () => {
-    onStopsChange([...stops, { depth: 10, time: 5 }]);
+    onStopsChange([...stops, { depth: isImperial(units) ? fromDisplayDepth(30, units) : 10, time: 5 }]);
   };
 
   const removeStop = (index) => {
@@ -25,7 +27,8 @@ export default function DiveStops({ stops, onStopsChange }) {
     setEditing(prev => ({ ...prev, [key]: rawValue }));
     const num = Number(rawValue);
     if (rawValue !== '' && !isNaN(num) && num >= 0) {
-      const updated = stops.map((s, i) => i !== index ? s : { ...s, [field]: num });
+      const value = field === 'depth' ? fromDisplayDepth(num, units) : num;
+      const updated = stops.map((s, i) => i !== index ? s : { ...s, [field]: value });
       onStopsChange(updated);
     }
   };
@@ -50,6 +53,18 @@ export default function DiveStops({ stops, onStopsChange }) {
     return isNaN(num) || num < 0 || (field === 'time' && num <= 0);
   };
 
+  // Stops breathe the bottom gas unless switched to one from the gas list
+  const gasOptions = [...new Map(gases.filter(g => g?.fO2 > 0).map(g => [gasLabel(g), gasName(g)])).entries()]
+    .filter(([label]) => !bottomGas || label !== gasLabel(bottomGas));
+
+  const setStopGas = (index, gas) => {
+    onStopsChange(stops.map((s, i) => {
+      if (i !== index) return s;
+      const { gas: _previous, ...stop } = s;
+      return gas ? { ...stop, gas } : stop;
+    }));
+  };
+
   const moveStop = (index, direction) => {
     const newStops = [...stops];
     const targetIndex = index + direction;
@@ -130,11 +145,11 @@ export default function DiveStops({ stops, onStopsChange }) {
             <span className="drag-handle" title="Drag to reorder">⠿</span>
             <span className="stop-number">{i + 1}</span>
             <div className="stop-field">
-              <label>Depth (m)</label>
+              <label>Depth ({unitLabels(units).depth})</label>
               <input
-                type="number" min="0" max="300"
+                type="number" min="0" max={Math.round(toDisplayDepth(300, units))}
                 className={isInvalid(i, 'depth') ? 'invalid' : ''}
-                value={getDisplayValue(i, 'depth', stop.depth)}
+                value={getDisplayValue(i, 'depth', inputValue(toDisplayDepth(stop.depth, units), units))}
                 onChange={(e) => handleChange(i, 'depth', e.target.value)}
                 onBlur={() => handleBlur(i, 'depth')}
               />
@@ -149,6 +164,16 @@ export default function DiveStops({ stops, onStopsChange }) {
                 onBlur={() => handleBlur(i, 'time')}
               />
             </div>
+            {(gasOptions.length > 0 || stop.gas) && (
+              <div className="stop-field">
+                <label>Gas</label>
+                <select value={stop.gas || ''} onChange={(e) => setStopGas(i, e.target.value)}>
+                  <option value="">{bottomGas ? `Bottom (${gasName(bottomGas)})` : 'Bottom'}</option>
+                  {gasOptions.map(([label, name]) => <option key={label} value={label}>{name}</option>)}
+                  {stop.gas && !gasOptions.some(([label]) => label === stop.gas) && <option value={stop.gas}>{stop.gas}</option>}
+                </select>
+              </div>
+            )}
             <div className="stop-actions">
               <button onClick={() => moveStop(i, -1)} disabled={i === 0} title="Move up" aria-label="Move up">↑</button>
               <button onClick={() => moveStop(i, 1)} disabled={i === stops.length - 1} title="Move down" aria-label="Move down">↓</button>
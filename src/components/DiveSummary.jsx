@@ -1,11 +1,29 @@
 import { getMaxDepth } from '../utils/diveProfile';
+import { formatDepth, formatPressure, formatVolume, formatTank } from '../utils/units';
 
-export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3f7', compareWith = null, modViolation = false, mod = null, o2Data = null, gasData = null, ndl = null, settings = {} }) {
+const PROFILE_PENALTIES = [
+  ['repetitive', 'Repetitive'],
+  ['reverse', 'Reverse'],
+  ['yoyo', 'Yo-yo'],
+  ['multiDay', 'Multi-day'],
+];
+
+// RGBM profile factors that actually reduce the M-values, e.g. "Reverse ×0.80"
+function activePenalties(profileFactors) {
+  if (!profileFactors) return [];
+  return PROFILE_PENALTIES
+    .filter(([key]) => profileFactors[key] < 0.995)
+    .map(([key, label]) => `${label} ×${profileFactors[key].toFixed(2)}`);
+}
+
+export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3f7', compareWith = null, modViolation = false, mod = null, o2Data = null, gasData = null, ndl = null, settings = {}, units = 'metric' }) {
   if (!stops || stops.length === 0) return null;
 
   const maxDepth = getMaxDepth(stops);
   const bottomTime = stops.reduce((acc, s) => acc + s.time, 0);
   const tankSize = settings.tankSize || 24;
+  const tank = formatTank(tankSize, settings.tankPressure || 200, units);
+  const penalties = activePenalties(decoInfo?.profileFactors);
 
   return (
     <div className="dive-summary" style={{ borderColor: `${color}40` }}>
@@ -13,7 +31,7 @@ export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3
       <div className="summary-grid">
         <div className="summary-item">
           <span className="summary-label">Max Depth</span>
-          <span className="summary-value" style={{ color }}>{maxDepth} m</span>
+          <span className="summary-value" style={{ color }}>{formatDepth(maxDepth, units)}</span>
         </div>
         <div className="summary-item">
           <span className="summary-label">Bottom Time</span>
@@ -38,6 +56,39 @@ export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3
             <span className="summary-value">No Deco</span>
           </div>
         )}
+        {decoInfo?.outsideTable && (
+          <div className="summary-item mod-violation">
+            <span className="summary-label">⚠️ Table</span>
+            <span className="summary-value">Beyond table — no schedule</span>
+          </div>
+        )}
+        {decoInfo?.altitudeApproximation && (
+          <div className="summary-item deco-warning">
+            <span className="summary-label">⚠️ Altitude</span>
+            <span className="summary-value">Approximated: sea level table at the equivalent depth</span>
+          </div>
+        )}
+        {decoInfo?.exceptionalExposure && (
+          <div className="summary-item mod-violation">
+            <span className="summary-label">⚠️ Exposure</span>
+            <span className="summary-value">Exceptional exposure</span>
+          </div>
+        )}
+        {decoInfo?.repetitiveGroup && (
+          <div className="summary-item">
+            <span className="summary-label">Repetitive Group</span>
+            <span className="summary-value" style={{ color }}>{decoInfo.repetitiveGroup}</span>
+          </div>
+        )}
+        {penalties.length > 0 && (
+          <div className="summary-item deco-warning">
+            <span className="summary-label">RGBM Penalty</span>
+            <span className="summary-value">
+              {penalties[0]}
+              {penalties.length > 1 && <div className="comparison-delta">{penalties.slice(1).join(' · ')}</div>}
+            </span>
+          </div>
+        )}
         {mod !== null && (
           <div className={`summary-item ${modViolation ? 'mod-violation' : ''}`}>
             <span className="summary-label">MOD</span>
@@ -92,9 +143,9 @@ export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3
           <div className="summary-item">
             <span className="summary-label">Gas Required</span>
             <span className="summary-value" style={{ color }}>
-              {Math.ceil(gasData.consumption.totalLiters)} L
+              {formatVolume(gasData.consumption.totalLiters, units)}
               <div className="comparison-delta">
-                {Math.ceil(gasData.consumption.totalLiters / tankSize)} bar in {tankSize}L
+                {formatPressure(Math.ceil(gasData.consumption.totalLiters / tankSize), units)} in {tank}
               </div>
             </span>
           </div>
@@ -107,9 +158,9 @@ export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3
             <span className="summary-value" style={{
               color: !gasData.turnPressure?.sufficient ? '#ff4444' : color
             }}>
-              {gasData.rockBottom.bars} bar
+              {formatPressure(gasData.rockBottom.bars, units)}
               <div className="comparison-delta">
-                {Math.ceil(gasData.rockBottom.liters)} L (incl. {gasData.rockBottom.reserveBar} bar reserve)
+                {formatVolume(gasData.rockBottom.liters, units)} (incl. {formatPressure(gasData.rockBottom.reserveBar, units)} reserve)
               </div>
             </span>
           </div>
@@ -120,9 +171,9 @@ export default function DiveSummary({ stops, totalTime, decoInfo, color = '#4fc3
           <div className="summary-item">
             <span className="summary-label">Turn Pressure</span>
             <span className="summary-value" style={{ color }}>
-              {gasData.turnPressure.turnPressure} bar
+              {formatPressure(gasData.turnPressure.turnPressure, units)}
               <div className="comparison-delta">
-                Rule of thirds from {gasData.turnPressure.startPressure} bar
+                Rule of thirds from {formatPressure(gasData.turnPressure.startPressure, units)}
               </div>
             </span>
           </div>
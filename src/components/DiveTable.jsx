@@ -1,45 +1,27 @@
 import { useMemo } from 'react';
-import { calculateCNS, calculateOTU } from '../utils/oxygenToxicity';
-import { calculateGasConsumption } from '../utils/gasPlanning';
+import { planTableRows, rowDepth } from '../utils/planExport';
+import { unitLabels, volumeValue } from '../utils/units';
+import { hasGFMetrics, phaseGF } from '../utils/tissueTrace';
 
-export default function DiveTable({ phases, color = '#4fc3f7', settings = {} }) {
-  if (!phases || phases.length === 0) return null;
-
-  const { fO2 = 0.21, fHe = 0, sacRate = 20 } = settings;
-
-  const { cnsData, otuData, gasData } = useMemo(() => {
-    const cns = calculateCNS(phases, fO2, fHe);
-    const otu = calculateOTU(phases, fO2, fHe);
-    const gas = calculateGasConsumption(phases, sacRate, fO2, fHe);
-    return { cnsData: cns, otuData: otu, gasData: gas };
-  }, [phases, fO2, fHe, sacRate]);
-
-  const rows = [];
-  let runTime = 0;
-
-  for (let i = 0; i < phases.length; i++) {
-    const phase = phases[i];
-    runTime = phase.runTime + phase.duration;
+// Surfacing GF colour: past the M-values, past GF high ("dirty" deco), clean
+function surfacingColor(surfacingGF, gfHigh) {
+  if (surfacingGF > 100) return '#ff4444';
+  if (surfacingGF > gfHigh) return '#ff9800';
+  return 'inherit';
+}
 
-    let depthDisplay;
-    if (phase.action === 'Descend' || phase.action === 'Ascend') {
-      const prevDepth = i === 0 ? 0 : phases[i - 1].depth;
-      depthDisplay = `${prevDepth}-${phase.depth}m`;
-    } else {
-      depthDisplay = `${phase.depth}m`;
-    }
+/**
+ * Dive Plan table. With a Bühlmann tissue trace each row also shows its peak
+ * GF99 (and leading compartment) and surfacing GF; a stop's surfacing GF is
+ * the one on arrival.
+ */
+export default function DiveTable({ phases, color = '#4fc3f7', settings = {}, trace = null, units = 'metric' }) {
+  const rows = useMemo(() => (phases?.length ? planTableRows(phases, settings) : []), [phases, settings]);
+  const gfRows = useMemo(() => (hasGFMetrics(trace) && phases?.length ? phaseGF(trace, phases) : null), [trace, phases]);
+  if (rows.length === 0) return null;
 
-    rows.push({
-      depth: depthDisplay,
-      duration: phase.duration,
-      runTime,
-      action: phase.action,
-      gas: phase.gas,
-      cns: cnsData?.perPhase[i]?.runningCNS || 0,
-      otu: otuData?.perPhase[i]?.runningOTU || 0,
-      gasLiters: gasData?.perPhase[i]?.runningLiters || 0,
-    });
-  }
+  const u = unitLabels(units);
+  const gfHigh = settings.gfHigh ?? 70;
 
   return (
     <div className="dive-table" style={{ borderColor: `${color}40` }}>
@@ -53,13 +35,15 @@ export default function DiveTable({ phases, color = '#4fc3f7', settings = {} })
               <th>Run Time</th>
               <th>Action</th>
               <th>CNS%</th>
-              <th>Gas (L)</th>
+              {gfRows && <th title="Highest GF at depth (leading compartment)">GF99</th>}
+              {gfRows && <th title="Highest GF on surfacing directly">SurfGF</th>}
+              <th>Gas ({u.volume})</th>
             </tr>
           </thead>
           <tbody>
             {rows.map((row, i) => (
               <tr key={i} className={row.action === 'Gas Switch' ? 'gas-switch-row' : row.action === 'Safety Stop' ? 'safety-stop-row' : ''}>
-                <td>{row.depth}</td>
+                <td>{rowDepth(row, units)}{u.depth}</td>
                 <td>{row.duration > 0 ? `${row.duration} min` : '—'}</td>
                 <td>{row.runTime} min</td>
                 <td>
@@ -71,7 +55,13 @@ export default function DiveTable({ phases, color = '#4fc3f7', settings = {} })
                 <td style={{ color: row.cns > 100 ? '#ff4444' : row.cns > 80 ? '#ff9800' : 'inherit' }}>
                   {row.cns.toFixed(1)}%
                 </td>
-                <td>{Math.ceil(row.gasLiters)}</td>
+                {gfRows && <td>{gfRows[i].gf.toFixed(0)}% <span className="gf-leading">TC{trace.labels?.[gfRows[i].leading] ?? gfRows[i].leading + 1}</span></td>}
+                {gfRows && (
+                  <td style={{ color: surfacingColor(gfRows[i].surfacingGF, gfHigh) }}>
+                    {gfRows[i].surfacingGF.toFixed(0)}%
+                  </td>
+                )}
+                <td>{volumeValue(row.liters, units)}</td>
               </tr>
             ))}
           </tbody>
@@ -8,10 +8,10 @@ import {
   Legend,
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
-import { PARAM_SETS } from '../utils/buhlmann';
-import { P_SURFACE } from '../utils/constants';
-import { inspiredPressure, schreiner } from '../utils/physics';
-import { buildGasTimeline, getGasAtTime } from '../utils/gasTimeline';
+import { depthToPressure, pressureToDepth } from '../utils/physics';
+import { createEnvironment } from '../utils/environment';
+import { tissueModel, toleratedTension } from '../utils/tissueTrace';
+import { isImperial, unitLabels, toDisplayTissue, formatTissue, formatDepth } from '../utils/units';
 
 ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
 
@@ -21,76 +21,29 @@ const COMPARTMENT_COLORS = [
   '#ffee58', '#ffa726', '#ff7043', '#8d6e63',
 ];
 
-/**
- * Simulate tissue loading trajectory through a dive profile.
- * Accounts for gas switches during deco.
- * Returns per-compartment arrays of { pAmb, pTissue } points.
- */
-function simulateTissueTrajectory(profilePoints, phases, settings, paramSet) {
-  if (!profilePoints || profilePoints.length < 2) return null;
-
-  const { fO2 = 0.21, fHe = 0 } = settings;
-  const nc = paramSet.compartments;
-  const gasTimeline = buildGasTimeline(phases, fO2, fHe);
-
-  const initGas = gasTimeline[0];
-  const n2 = new Array(nc).fill(inspiredPressure(0, initGas.fN2));
-  const he = new Array(nc).fill(0);
+// Depths (m) the limit lines are drawn over
+const DEPTHS = Array.from({ length: 61 }, (_, d) => d);
 
-  const trajectories = Array.from({ length: nc }, () => []);
-  const maxTime = profilePoints[profilePoints.length - 1].time;
+// Compartment label: the model's own (1b of a split set) or its number
+const compartmentLabel = (model, i) => model?.labels?.[i] ?? String(i + 1);
 
-  function depthAt(t) {
-    if (t <= 0) return 0;
-    for (let i = 0; i < profilePoints.length - 1; i++) {
-      const p1 = profilePoints[i], p2 = profilePoints[i + 1];
-      if (t >= p1.time && t <= p2.time) {
-        if (p1.time === p2.time) return p1.depth;
-        const ratio = (t - p1.time) / (p2.time - p1.time);
-        return p1.depth + (p2.depth - p1.depth) * ratio;
-      }
-    }
-    return profilePoints[profilePoints.length - 1].depth;
-  }
-
-  for (let t = 0; t <= maxTime; t++) {
-    const depth = depthAt(t);
-    const pAmb = P_SURFACE + depth / 10;
-    const gas = getGasAtTime(gasTimeline, t);
-
-    if (t > 0) {
-      const piN2 = inspiredPressure(depth, gas.fN2);
-      const piHe = inspiredPressure(depth, gas.fHe);
-      for (let i = 0; i < nc; i++) {
-        n2[i] = schreiner(n2[i], piN2, 1, paramSet.halfTimes[i]);
-        const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
-        he[i] = schreiner(he[i], piHe, 1, paramSet.heHalfTimes[heIdx]);
-      }
-    }
-
-    for (let i = 0; i < nc; i++) {
-      trajectories[i].push({ x: pAmb, y: n2[i] + he[i] });
-    }
-  }
-
-  return trajectories;
-}
-
-export default function GFExplorer({ settings, profilePoints, profilePhases, theme = 'dark' }) {
+/**
+ * M-value lines of the panel's algorithm with the dive's tissue trajectories
+ * (from its tissue trace). Without a trace the lines are the pre-dive ones.
+ */
+export default function GFExplorer({ settings, trace, theme = 'dark', units = 'metric' }) {
   const [collapsed, setCollapsed] = useState(true);
   const [showExplanation, setShowExplanation] = useState(false);
   const [selectedCompartments, setSelectedCompartments] = useState([0]);
 
-  const algorithm = settings?.algorithm || 'none';
   const gfLow = settings?.gfLow || 50;
   const gfHigh = settings?.gfHigh || 70;
-  const isBuhlmann = algorithm.startsWith('zhl');
+  const env = createEnvironment(settings);
 
-  const paramKey = isBuhlmann ? algorithm : 'zhl16c';
-  const paramSet = PARAM_SETS[paramKey];
-  const nc = paramSet?.compartments || 16;
-  const depths = [];
-  for (let d = 0; d <= 60; d += 1) depths.push(d);
+  const model = useMemo(() => tissueModel(settings), [settings]);
+  const nc = model?.compartments || 16;
+  // A trace of an earlier version of a custom set is stale until it reruns
+  const traced = !!model && trace?.algorithm === settings.algorithm && trace.compartments === nc;
 
   const toggleCompartment = (i) => {
     setSelectedCompartments(prev =>
@@ -98,20 +51,31 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
     );
   };
 
-  // Compute tissue trajectories from profile points
+  // Limit lines at the end of the dive, or before it without a trace
+  const limits = useMemo(() => {
+    if (!model) return null;
+    if (traced) return trace.limits;
+    const fO2 = settings.fO2 ?? 0.21;
+    const fHe = model.helium ? settings.fHe || 0 : 0;
+    const state = model.start(1 - fO2 - fHe, createEnvironment(settings));
+    return Array.from({ length: model.compartments }, (_, i) => model.limit(state, i));
+  }, [model, traced, trace, settings]);
+
+  // Per-compartment tissue trajectories from the trace
   const trajectories = useMemo(() => {
-    if (!isBuhlmann || !paramSet || !profilePoints || profilePoints.length < 2) return null;
-    return simulateTissueTrajectory(profilePoints, profilePhases, settings, paramSet);
-  }, [profilePoints, profilePhases, settings, isBuhlmann, paramSet]);
+    if (!traced) return null;
+    return Array.from({ length: trace.compartments }, (_, i) =>
+      trace.steps.map(step => ({ x: step.ambient, y: step.n2[i] + (step.he ? step.he[i] : 0) })));
+  }, [traced, trace]);
 
   const datasets = useMemo(() => {
-    if (!isBuhlmann || !paramSet) return [];
+    if (!model || !limits) return [];
     const ds = [];
 
     // Ambient pressure line (diagonal)
     ds.push({
       label: 'Ambient',
-      data: depths.map(d => ({ x: P_SURFACE + d / 10, y: P_SURFACE + d / 10 })),
+      data: DEPTHS.map(d => ({ x: depthToPressure(d, env), y: depthToPressure(d, env) })),
       borderColor: 'rgba(255,255,255,0.4)',
       borderWidth: 2,
       pointRadius: 0,
@@ -121,25 +85,24 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
     // M-value lines and GF lines for selected compartments
     selectedCompartments.forEach(i => {
       if (i >= nc) return;
-      const a = paramSet.aValues[i];
-      const b = paramSet.bValues[i];
+      const limit = limits[i];
 
       ds.push({
-        label: `TC${i + 1} M-value (t½=${paramSet.halfTimes[i]}min)`,
-        data: depths.map(d => {
-          const pAmb = P_SURFACE + d / 10;
-          return { x: pAmb, y: a + pAmb / b };
+        label: `TC${compartmentLabel(model, i)} M-value (t½=${model.halfTimes[i]}min)`,
+        data: DEPTHS.map(d => {
+          const pAmb = depthToPressure(d, env);
+          return { x: pAmb, y: toleratedTension(limit, pAmb) };
         }),
         borderColor: COMPARTMENT_COLORS[i % 16],
         borderWidth: 2,
         pointRadius: 0,
       });
 
-      ds.push({
-        label: `TC${i + 1} GF ${gfLow}/${gfHigh}`,
-        data: depths.map(d => {
-          const pAmb = P_SURFACE + d / 10;
-          const M = a + pAmb / b;
+      if (model.gf) ds.push({
+        label: `TC${compartmentLabel(model, i)} GF ${gfLow}/${gfHigh}`,
+        data: DEPTHS.map(d => {
+          const pAmb = depthToPressure(d, env);
+          const M = toleratedTension(limit, pAmb);
           const gf = (gfHigh + (gfLow - gfHigh) * (d / 60)) / 100;
           return { x: pAmb, y: pAmb + (M - pAmb) * gf };
         }),
@@ -152,7 +115,7 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
       // Tissue trajectory — single connected line showing the dive path
       if (trajectories && trajectories[i]) {
         ds.push({
-          label: `TC${i + 1} Dive`,
+          label: `TC${compartmentLabel(model, i)} Dive`,
           data: trajectories[i],
           borderColor: COMPARTMENT_COLORS[i % 16] + 'CC',
           backgroundColor: COMPARTMENT_COLORS[i % 16] + '20',
@@ -167,9 +130,11 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
     });
 
     return ds;
-  }, [selectedCompartments, gfLow, gfHigh, nc, paramSet, depths, trajectories]);
+  }, [selectedCompartments, gfLow, gfHigh, nc, model, limits, trajectories, env]);
 
   const data = { datasets };
+  // Axes stay in bar; imperial ticks are labeled in fsw
+  const tissueTick = isImperial(units) ? (val) => Math.round(toDisplayTissue(val, units)) : undefined;
 
   const options = {
     responsive: true,
@@ -188,35 +153,35 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
       },
       tooltip: {
         callbacks: {
-          label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(2)} bar at ${((ctx.parsed.x - P_SURFACE) * 10).toFixed(0)}m`,
+          label: (ctx) => `${ctx.dataset.label}: ${formatTissue(ctx.parsed.y, units, 2)} at ${formatDepth(pressureToDepth(ctx.parsed.x, env), units)}`,
         },
       },
     },
     scales: {
       x: {
         type: 'linear',
-        title: { display: true, text: 'Ambient Pressure (bar)', color: theme === 'light' ? '#4a5568' : '#b0bec5' },
-        ticks: { color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        title: { display: true, text: `Ambient Pressure (${unitLabels(units).tissue})`, color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        ticks: { color: theme === 'light' ? '#4a5568' : '#b0bec5', callback: tissueTick },
         grid: { color: theme === 'light' ? 'rgba(0,0,0,0.1)' : 'rgba(255,255,255,0.1)' },
-        min: P_SURFACE,
+        min: env.surfacePressure,
       },
       y: {
         type: 'linear',
-        title: { display: true, text: 'Tissue Inert Gas Pressure (bar)', color: theme === 'light' ? '#4a5568' : '#b0bec5' },
-        ticks: { color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        title: { display: true, text: `Tissue Inert Gas Pressure (${unitLabels(units).tissue})`, color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        ticks: { color: theme === 'light' ? '#4a5568' : '#b0bec5', callback: tissueTick },
         grid: { color: theme === 'light' ? 'rgba(0,0,0,0.1)' : 'rgba(255,255,255,0.1)' },
-        min: P_SURFACE,
+        min: env.surfacePressure,
       },
     },
   };
 
-  if (!isBuhlmann || !paramSet) return null;
+  if (!model) return null;
 
   return (
     <div className="collapsible-section">
       <button className="collapsible-header" onClick={() => setCollapsed(!collapsed)}>
         <span>{collapsed ? '▶' : '▼'} GF Explorer — M-value Lines{trajectories ? ' & Dive Trajectory' : ''}</span>
-        <span className="collapsible-hint">GF {gfLow}/{gfHigh}</span>
+        <span className="collapsible-hint">{model.gf ? `GF ${gfLow}/${gfHigh}` : model.name}</span>
       </button>
       {!collapsed && (
         <div style={{ padding: '12px 16px' }}>
@@ -231,12 +196,14 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
           </div>
           {showExplanation && (
             <p className="chart-explanation">
-              This graph shows how <strong>Gradient Factors</strong> limit your ascent. 
+              {model.gf
+                ? <>This graph shows how <strong>Gradient Factors</strong> limit your ascent. </>
+                : <>This graph shows the tissue limits of <strong>{model.name}</strong>. </>}
               Solid colored lines are M-values — the absolute maximum gas pressure each tissue can tolerate at a given depth. 
-              Dashed lines show your GF-adjusted limits (GF {gfLow}/{gfHigh}).
+              {model.gf && <> Dashed lines show your GF-adjusted limits (GF {gfLow}/{gfHigh}).</>}
               {trajectories && <> <strong>Thick lines</strong> show the actual tissue loading trajectory during your dive — 
-              watch how tissue pressure rises during descent/bottom, then tracks along the GF line during ascent. 
-              If the trajectory crosses a dashed GF line, that tissue has exceeded your safety margin.</>}
+              watch how tissue pressure rises during descent/bottom, then tracks along the {model.gf ? 'GF' : 'M-value'} line during ascent. 
+              If the trajectory crosses a {model.gf ? 'dashed GF' : 'solid M-value'} line, that tissue has exceeded {model.gf ? 'your safety margin' : 'its limit'}.</>}
               {!trajectories && <> Add dive stops to see the tissue loading trajectory overlaid on M-value lines.</>}
             </p>
           )}
@@ -248,7 +215,7 @@ export default function GFExplorer({ settings, profilePoints, profilePhases, the
                 style={{ borderColor: COMPARTMENT_COLORS[i % 16], color: selectedCompartments.includes(i) ? '#fff' : COMPARTMENT_COLORS[i % 16], backgroundColor: selectedCompartments.includes(i) ? COMPARTMENT_COLORS[i % 16] : 'transparent' }}
                 onClick={() => toggleCompartment(i)}
               >
-                {i + 1}
+                {compartmentLabel(model, i)}
               </button>
             ))}
           </div>
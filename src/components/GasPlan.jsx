@@ -1,4 +1,6 @@
 import { TANK_PRESETS } from '../utils/gasPlanning';
+import { formatPressure, formatVolume, formatTank } from '../utils/units';
+import { GAS_ROLES, gasName } from '../utils/gases';
 
 function TankConfig({ label, tankSize, tankPressure, onSizeChange, onPressureChange }) {
   const isCustom = !TANK_PRESETS.some(p => Math.abs(p.value - tankSize) < 0.01);
@@ -37,7 +39,7 @@ function TankConfig({ label, tankSize, tankPressure, onSizeChange, onPressureCha
   );
 }
 
-function SufficiencyLine({ label, gasName, breakdown }) {
+function SufficiencyLine({ label, gasName, breakdown, units }) {
   if (!breakdown) return null;
   const { tankSize, tankPressure, totalVolume, used, remaining, remainingPct, status } = breakdown;
   const icon = status === 'ok' ? '✅' : status === 'warning' ? '⚠️' : '❌';
@@ -46,15 +48,15 @@ function SufficiencyLine({ label, gasName, breakdown }) {
   return (
     <div className={`gas-plan-line ${colorClass}`}>
       <span className="gas-plan-name">{label}{gasName ? ` ${gasName}` : ''}</span>
-      <span className="gas-plan-tank">({tankSize}L @ {tankPressure}bar = {Math.round(totalVolume)}L)</span>
+      <span className="gas-plan-tank">({formatTank(tankSize, tankPressure, units)} @ {formatPressure(tankPressure, units)} = {formatVolume(totalVolume, units)})</span>
       <span className="gas-plan-usage">
-        Used {Math.ceil(used).toLocaleString()}L | Remaining {Math.ceil(Math.max(0, remaining)).toLocaleString()}L ({Math.max(0, remainingPct).toFixed(0)}%) {icon}
+        Used {formatVolume(used, units)} | Remaining {formatVolume(Math.max(0, remaining), units)} ({Math.max(0, remainingPct).toFixed(0)}%) {icon}
       </span>
     </div>
   );
 }
 
-export default function GasPlan({ settings, gasData, color = '#4fc3f7' }) {
+export default function GasPlan({ settings, gasData, color = '#4fc3f7', units = 'metric' }) {
   if (!gasData?.consumption) return null;
 
   const { consumption, rockBottom, turnPressure } = gasData;
@@ -68,22 +70,17 @@ export default function GasPlan({ settings, gasData, color = '#4fc3f7' }) {
       {consumption.gasBreakdown && (
         <div className="gas-plan-summary">
           {consumption.gasBreakdown.bottom && (
-            <SufficiencyLine label="Bottom" breakdown={consumption.gasBreakdown.bottom} />
+            <SufficiencyLine label="Bottom" breakdown={consumption.gasBreakdown.bottom} units={units} />
           )}
-          {consumption.gasBreakdown.stage1 && (
+          {(settings.gases || []).map((gas, i) => (
             <SufficiencyLine
-              label="Stage 1"
-              gasName={settings.decoGas1 ? `EAN${Math.round(settings.decoGas1.fO2 * 100)}` : ''}
-              breakdown={consumption.gasBreakdown.stage1}
+              key={i}
+              label={GAS_ROLES[gas.role]?.label}
+              gasName={gasName(gas)}
+              breakdown={consumption.gasBreakdown[`gas${i}`]}
+              units={units}
             />
-          )}
-          {consumption.gasBreakdown.stage2 && (
-            <SufficiencyLine
-              label="Stage 2"
-              gasName={settings.decoGas2 ? (settings.decoGas2.fO2 >= 0.99 ? 'O₂' : `EAN${Math.round(settings.decoGas2.fO2 * 100)}`) : ''}
-              breakdown={consumption.gasBreakdown.stage2}
-            />
-          )}
+          ))}
         </div>
       )}
 
@@ -92,7 +89,7 @@ export default function GasPlan({ settings, gasData, color = '#4fc3f7' }) {
         <div className="gas-plan-simple">
           <div className="gas-plan-stat">
             <span className="gas-plan-stat-label">Total Gas</span>
-            <span className="gas-plan-stat-value">{Math.ceil(consumption.totalLiters)}L ({Math.ceil(consumption.totalLiters / tankSize)} bar in {tankSize}L)</span>
+            <span className="gas-plan-stat-value">{formatVolume(consumption.totalLiters, units)} ({formatPressure(Math.ceil(consumption.totalLiters / tankSize), units)} in {formatTank(tankSize, settings.tankPressure || 200, units)})</span>
           </div>
         </div>
       )}
@@ -103,8 +100,8 @@ export default function GasPlan({ settings, gasData, color = '#4fc3f7' }) {
           <div className={`gas-plan-metric ${!turnPressure?.sufficient ? 'metric-critical' : ''}`}>
             <span className="gas-plan-metric-label">Min Gas (Rock Bottom)</span>
             <span className="gas-plan-metric-value">
-              {rockBottom.bars} bar ({Math.ceil(rockBottom.liters)}L)
-              <span className="gas-plan-metric-detail">incl. {rockBottom.reserveBar} bar reserve</span>
+              {formatPressure(rockBottom.bars, units)} ({formatVolume(rockBottom.liters, units)})
+              <span className="gas-plan-metric-detail">incl. {formatPressure(rockBottom.reserveBar, units)} reserve</span>
             </span>
           </div>
         )}
@@ -112,8 +109,8 @@ export default function GasPlan({ settings, gasData, color = '#4fc3f7' }) {
           <div className="gas-plan-metric">
             <span className="gas-plan-metric-label">Turn Pressure</span>
             <span className="gas-plan-metric-value">
-              {turnPressure.turnPressure} bar
-              <span className="gas-plan-metric-detail">Rule of thirds from {turnPressure.startPressure} bar</span>
+              {formatPressure(turnPressure.turnPressure, units)}
+              <span className="gas-plan-metric-detail">Rule of thirds from {formatPressure(turnPressure.startPressure, units)}</span>
             </span>
           </div>
         )}
@@ -0,0 +1,65 @@
+import DiveChart from './DiveChart';
+import { formatDepth } from '../utils/units';
+
+function ReplaySummary({ replay, color, label, units }) {
+  const { name, decoInfo, minutes, maxExcess, ccrIgnored } = replay;
+  const owed = (decoInfo?.decoStops || []).reduce((sum, s) => sum + (s.gasSwitch ? 0 : s.time), 0);
+  return (
+    <div className="repetitive-summary" style={{ borderColor: `${color}40` }}>
+      <span className="repetitive-summary-label" style={{ color }}>{label ? `${label}: ${name}` : name}</span>
+      {ccrIgnored && <p className="dive-log-error">Replayed as open circuit on the diluent: {name} has no CCR loop model.</p>}
+      <div className="gas-plan-metrics">
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Above Ceiling</span>
+          <span className={`gas-plan-metric-value ${minutes > 0 ? 'log-replay-breach' : ''}`}>
+            {minutes > 0 ? `${minutes} min` : 'Never'}
+            {minutes > 0 && <span className="gas-plan-metric-detail">Up to {formatDepth(maxExcess, units, 1)} shallower</span>}
+          </span>
+        </div>
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Deco Owed at End</span>
+          <span className={`gas-plan-metric-value ${owed > 0 ? 'log-replay-breach' : ''}`}>{owed > 0 ? `${owed} min` : 'None'}</span>
+        </div>
+      </div>
+      {owed > 0 && (
+        <div className="repetitive-stops">
+          {decoInfo.decoStops.filter(s => !s.gasSwitch).map((s, i) => (
+            <span key={i} className="repetitive-stop">{formatDepth(s.depth, units, 1)} × {s.time}′</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The imported dive log against each algorithm's ceiling. `replays` are
+ * [{ data, color, ceilingColor, label }] with `data` from the App's log replay.
+ */
+export default function LogReplay({ profile, replays, theme = 'dark', units = 'metric' }) {
+  const shown = replays.filter(r => r.data);
+  const ceilingLines = shown.map(r => ({
+    data: r.data.ceiling,
+    color: r.ceilingColor,
+    label: r.label ? `Ceiling ${r.label}` : 'Ceiling',
+  }));
+
+  return (
+    <div className="chart-panel log-replay">
+      <h3>Logged Dive Replay</h3>
+      <DiveChart
+        theme={theme}
+        profiles={[{ points: profile.points, color: '#66bb6a', label: 'Logged Dive' }]}
+        ceilingLines={ceilingLines}
+        units={units}
+      />
+      {shown.length > 0 ? (
+        <div className={`algorithm-panels ${shown.length > 1 ? 'compare' : 'single'}`}>
+          {shown.map(r => <ReplaySummary key={r.label} replay={r.data} color={r.color} label={r.label} units={units} />)}
+        </div>
+      ) : (
+        <p className="dive-log-intro">Select an algorithm to compute ceilings for the logged dive.</p>
+      )}
+    </div>
+  );
+}
@@ -1,52 +1,20 @@
 import { useState, useMemo, useCallback } from 'react';
-import { calculateDiveProfile } from '../utils/diveProfile';
-/**
- * Binary search for NDL: find max bottom time with 0 deco stops.
- */
-function findNDL(depth, algoFn, opts) {
-  if (!algoFn) return null;
-
-  let lo = 1, hi = 300, ndl = 0;
-
-  while (lo <= hi) {
-    const mid = Math.floor((lo + hi) / 2);
-    const profile = calculateDiveProfile([{ depth, time: mid }], 18, 9);
-    const result = algoFn(profile.phases, opts);
-
-    if (result.noDecoLimit || result.decoStops.length === 0) {
-      ndl = mid;
-      lo = mid + 1;
-    } else {
-      hi = mid - 1;
-    }
-  }
-
-  return ndl > 0 ? ndl : 0;
-}
-
-/**
- * Calculate CNS% for a given depth and time.
- */
-function calcCNS(depth, time, fO2) {
-  const ppO2 = (1.01325 + depth / 10) * fO2;
-  if (ppO2 <= 0.5) return 0;
-
-  const limits = [
-    [1.6, 45], [1.5, 120], [1.4, 150], [1.3, 180],
-    [1.2, 210], [1.1, 240], [1.0, 300], [0.9, 360],
-    [0.8, 450], [0.7, 570], [0.6, 720],
-  ];
-
-  let maxMin = 720;
-  for (const [pp, mins] of limits) {
-    if (ppO2 >= pp) { maxMin = mins; break; }
-  }
-
-  return Math.min(999, (time / maxMin) * 100);
+import { isImperial, unitLabels, fromDisplayDepth, displayDepth } from '../utils/units';
+import { depthToPressure } from '../utils/physics';
+import { createEnvironment, siteFromSettings } from '../utils/environment';
+import { ndlTable } from '../utils/ndl';
+import { PRIORITY } from '../utils/workerPool';
+import { useDecoJob } from '../hooks/useDecoWorker';
+
+// Table rows: 6–66 m every 3 m, or 20–220 ft every 10 ft
+function tableDepths(units) {
+  const [from, to, step] = isImperial(units) ? [20, 220, 10] : [6, 66, 3];
+  const depths = [];
+  for (let d = from; d <= to; d += step) depths.push(fromDisplayDepth(d, units));
+  return depths;
 }
 
-
-export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorithmName: defaultAlgoName, algorithmRegistry }) {
+export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorithmName: defaultAlgoName, algorithmRegistry, units = 'metric' }) {
   const [collapsed, setCollapsed] = useState(true);
   const [showHelp, setShowHelp] = useState(false);
 
@@ -56,6 +24,7 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
   const [gfLow, setGfLow] = useState(settings?.gfLow || 50);
   const [gfHigh, setGfHigh] = useState(settings?.gfHigh || 70);
   const [selectedAlgo, setSelectedAlgo] = useState('');
+  const { altitude, salinity, acclimatized } = siteFromSettings(settings);
 
   // Get all available algorithms
   const algoEntries = useMemo(() => {
@@ -66,8 +35,9 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
       fn: val.fn,
       supportsGF: val.gf ?? false,
       supportsTrimix: val.trimix ?? false,
+      paramSet: val.paramSet,
     }));
-  }, []);
+  }, [algorithmRegistry]);
 
   // Determine active algorithm
   const activeAlgo = useMemo(() => {
@@ -83,28 +53,16 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
     return algoEntries[0] || null;
   }, [selectedAlgo, algoEntries, defaultAlgoFn, defaultAlgoName]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const ndlData = useMemo(() => {
-    if (!activeAlgo?.fn) return [];
-
-    const o2 = fO2 / 100;
-    const he = fHe / 100;
-    const opts = { fO2: o2, fHe: he, gfLow, gfHigh, ascentRate: 9 };
-    const rows = [];
-
-    for (let depth = 6; depth <= 66; depth += 3) {
-      // Check MOD
-      const ppO2 = (1.01325 + depth / 10) * o2;
-      if (ppO2 > 1.6) {
-        rows.push({ depth, ndl: -1, cns: 0, mod: true });
-        continue;
-      }
-      const ndl = findNDL(depth, activeAlgo.fn, opts);
-      const cns = ndl > 0 ? calcCNS(depth, ndl, o2) : 0;
-      rows.push({ depth, ndl, cns, mod: false });
-    }
-
-    return rows;
-  }, [activeAlgo, fO2, fHe, gfLow, gfHigh]);
+  // Registry algorithms run in the worker pool (only while the table is
+  // open); an algorithm passed in as a function runs here
+  const table = useMemo(() => {
+    if (collapsed || !activeAlgo?.fn) return null;
+    const opts = { fO2: fO2 / 100, fHe: fHe / 100, gfLow, gfHigh, ascentRate: 9, altitude, salinity, acclimatized, paramSet: activeAlgo.paramSet };
+    return { algorithm: activeAlgo.key, depths: tableDepths(units), opts };
+  }, [collapsed, activeAlgo, fO2, fHe, gfLow, gfHigh, units, altitude, salinity, acclimatized]);
+  const localRows = useMemo(() => table && !table.algorithm ? ndlTable(table.depths, activeAlgo.fn, table.opts) : null, [table, activeAlgo]);
+  const { result: workerRows } = useDecoJob('ndlTable', table?.algorithm ? table : null, 'ndl-table', PRIORITY.VISIBLE);
+  const ndlData = localRows ?? workerRows ?? [];
 
   const handleFO2 = useCallback((e) => {
     const v = parseInt(e.target.value) || 0;
@@ -118,6 +76,8 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
     setFHe(Math.max(0, Math.min(maxHe, v)));
   }, [fO2]);
 
+  const env = createEnvironment({ altitude, salinity, acclimatized });
+
   return (
     <div className="collapsible-section">
       <button className="collapsible-header" onClick={() => setCollapsed(!collapsed)}>
@@ -233,7 +193,7 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
           <table className="ndl-table">
             <thead>
               <tr>
-                <th>Depth (m)</th>
+                <th>Depth ({unitLabels(units).depth})</th>
                 <th>ppO₂ (bar)</th>
                 <th>NDL (min)</th>
                 <th>CNS% at NDL</th>
@@ -242,9 +202,9 @@ export default function NDLTable({ algorithmFn: defaultAlgoFn, settings, algorit
             <tbody>
               {ndlData.map(row => (
                 <tr key={row.depth} className={row.mod ? 'ndl-mod-row' : ''}>
-                  <td>{row.depth}</td>
-                  <td style={{ color: row.mod ? '#f44336' : (fO2 / 100) * (1.01325 + row.depth / 10) > 1.4 ? '#ffc107' : 'inherit' }}>
-                    {((fO2 / 100) * (1.01325 + row.depth / 10)).toFixed(2)}
+                  <td>{displayDepth(row.depth, units)}</td>
+                  <td style={{ color: row.mod ? '#f44336' : (fO2 / 100) * depthToPressure(row.depth, env) > 1.4 ? '#ffc107' : 'inherit' }}>
+                    {((fO2 / 100) * depthToPressure(row.depth, env)).toFixed(2)}
                   </td>
                   <td className={row.ndl === 0 ? 'ndl-zero' : ''}>
                     {row.mod ? '⛔ MOD' : row.ndl === 0 ? '< 1' : row.ndl}
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { useDecoWorker } from '../hooks/useDecoWorker';
+import { DEFAULT_CONSTRAINTS } from '../utils/optimizer';
+import { PRIORITY, isCancelled } from '../utils/workerPool';
+import { PARAM_SETS } from '../utils/buhlmann';
+import { paramSetFor } from '../utils/customParams';
+import { formatDepth, formatPressure, formatVolume, unitLabels, toDisplayDepth, fromDisplayDepth, inputValue } from '../utils/units';
+
+const REJECT_LABELS = { ppO2: 'ppO₂', cns: 'CNS', otu: 'OTU', end: 'END', gas: 'gas volume' };
+
+function switchesText(plan, units) {
+  if (plan.switches.length === 0) return 'Bottom gas only';
+  return plan.switches.map(s => `${s.gas} @ ${formatDepth(s.depth, units, 1)}`).join(', ');
+}
+
+function PlanRow({ plan, best, onApply, units }) {
+  return (
+    <tr className={plan === best ? 'optimizer-best-row' : ''}>
+      <td>{plan.gfLow}/{plan.gfHigh}</td>
+      <td>{plan.runtime} min</td>
+      <td>{plan.decoTime} min</td>
+      <td>{formatVolume(plan.liters, units)}</td>
+      <td>{switchesText(plan, units)}</td>
+      <td>{formatDepth(plan.lastStopDepth, units, 1)}</td>
+      <td>{plan.cns.toFixed(0)}% / {plan.otu.toFixed(0)}</td>
+      <td><button className="optimizer-apply" onClick={() => onApply(plan.patch)}>Apply</button></td>
+    </tr>
+  );
+}
+
+export default function Optimizer({ settings, stops, onApply, color = '#4fc3f7', units = 'metric' }) {
+  const { optimize } = useDecoWorker();
+  const [constraints, setConstraints] = useState({ ...DEFAULT_CONSTRAINTS, maxPpO2: settings.ppO2Deco ?? DEFAULT_CONSTRAINTS.maxPpO2 });
+  const [run, setRun] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setLimit = (key, value) => setConstraints(c => ({ ...c, [key]: value }));
+
+  const start = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const result = await optimize(settings, stops, constraints, { key: 'optimizer', priority: PRIORITY.VISIBLE });
+      setRun({ result, settings, stops, objective: constraints.objective });
+    } catch (e) {
+      if (!isCancelled(e)) setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (settings.circuit === 'ccr') {
+    return (
+      <div className="optimizer" style={{ borderColor: `${color}40` }}>
+        <h3 style={{ color }}>Schedule Optimizer</h3>
+        <p className="optimizer-intro">The optimizer plans open-circuit dives; switch to OC to search deco gases and GF pairs.</p>
+      </div>
+    );
+  }
+
+  const result = run?.result;
+  const stale = run && (run.settings !== settings || run.stops !== stops);
+  const depthUnit = unitLabels(units).depth;
+
+  return (
+    <div className="optimizer" style={{ borderColor: `${color}40` }}>
+      <h3 style={{ color }}>Schedule Optimizer</h3>
+      <p className="optimizer-intro">
+        Searches the deco gases in the gas list (which to carry and where to switch), the last stop depth and GF
+        pairs with {(paramSetFor(settings) ?? PARAM_SETS[settings.algorithm])?.name || 'ZH-L 16C'}, keeping only plans within the limits below.
+        Cylinders must hold each gas's use above the {formatPressure(settings.reservePressure || 50, units)} reserve.
+      </p>
+
+      <div className="optimizer-constraints">
+        <label>
+          Optimize for
+          <select value={constraints.objective} onChange={e => setLimit('objective', e.target.value)}>
+            <option value="runtime">Shortest runtime</option>
+            <option value="gas">Least gas</option>
+          </select>
+        </label>
+        <label>
+          Max ppO₂
+          <input type="number" min="1.0" max="2.0" step="0.1" value={constraints.maxPpO2}
+            onChange={e => setLimit('maxPpO2', Number(e.target.value) || DEFAULT_CONSTRAINTS.maxPpO2)} />
+        </label>
+        <label>
+          Max CNS %
+          <input type="number" min="1" max="200" step="5" value={constraints.maxCNS}
+            onChange={e => setLimit('maxCNS', Number(e.target.value) || DEFAULT_CONSTRAINTS.maxCNS)} />
+        </label>
+        <label>
+          Max OTU
+          <input type="number" min="1" max="1500" step="10" value={constraints.maxOTU}
+            onChange={e => setLimit('maxOTU', Number(e.target.value) || DEFAULT_CONSTRAINTS.maxOTU)} />
+        </label>
+        <label>
+          Max END ({depthUnit})
+          <input type="number" min="0" step="1" value={inputValue(toDisplayDepth(constraints.maxEND, units), units, 0)}
+            onChange={e => setLimit('maxEND', fromDisplayDepth(Number(e.target.value) || 0, units))} />
+        </label>
+        <button className="optimizer-run" onClick={start} disabled={running || stops.length === 0}>
+          {running ? 'Searching…' : 'Optimize'}
+        </button>
+      </div>
+
+      {error && <p className="optimizer-note sufficiency-critical">{error}</p>}
+      {stale && <p className="optimizer-note">Settings or stops changed since this search — run it again to update.</p>}
+
+      {result && !result.best && (
+        <p className="optimizer-note">
+          None of the {result.evaluated} candidate plans meets the limits
+          ({Object.entries(result.rejected).filter(([, n]) => n > 0).map(([k, n]) => `${n} over ${REJECT_LABELS[k]}`).join(', ')}).
+        </p>
+      )}
+
+      {result?.best && (
+        <>
+          <div className="gas-plan-metrics">
+            <div className="gas-plan-metric">
+              <span className="gas-plan-metric-label">Best Plan</span>
+              <span className="gas-plan-metric-value">
+                {result.best.runtime} min · GF {result.best.gfLow}/{result.best.gfHigh}
+                <span className="gas-plan-metric-detail">
+                  {switchesText(result.best, units)} · last stop {formatDepth(result.best.lastStopDepth, units, 1)} · {formatVolume(result.best.liters, units)}
+                </span>
+              </span>
+            </div>
+            <div className="gas-plan-metric">
+              <span className="gas-plan-metric-label">Searched</span>
+              <span className="gas-plan-metric-value">
+                {result.feasible} of {result.evaluated} within limits
+              </span>
+            </div>
+          </div>
+
+          <h4 className="optimizer-front-title">{run.objective === 'gas' ? 'Gas' : 'Runtime'} vs conservatism (Pareto front)</h4>
+          <div className="dive-table-scroll">
+            <table className="bailout-table optimizer-table">
+              <thead>
+                <tr>
+                  <th>GF</th>
+                  <th>Run Time</th>
+                  <th>Deco</th>
+                  <th>Gas</th>
+                  <th>Deco Gases</th>
+                  <th>Last Stop</th>
+                  <th>CNS / OTU</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.front.map(plan => (
+                  <PlanRow key={`${plan.gfLow}/${plan.gfHigh}`} plan={plan} best={result.best} onApply={onApply} units={units} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
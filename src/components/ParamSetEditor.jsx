@@ -0,0 +1,206 @@
+import { useState, useMemo } from 'react';
+import { PARAM_SETS, compartmentLabels } from '../utils/buhlmann';
+import {
+  PARAM_FIELDS, FIELD_INFO, MAX_COMPARTMENTS, createParamSet, duplicateParamSet, setParamValue,
+  addCompartment, removeCompartment, splitFirstCompartment, validateParamSet, hasErrors, sameParamSet,
+  exportParamSets, parseParamSets, importParamSets,
+} from '../utils/customParams';
+import { downloadFile } from '../utils/planExport';
+
+// Column headings: N₂ t½ (min), N₂ a (bar), …
+const COLUMN_UNITS = { 'half-time': 'min', a: 'bar', b: '' };
+const columnTitle = (field) => {
+  const { gas, kind } = FIELD_INFO[field];
+  return `${gas} ${kind === 'half-time' ? 't½' : kind}${COLUMN_UNITS[kind] ? ` (${COLUMN_UNITS[kind]})` : ''}`;
+};
+
+/**
+ * Custom Bühlmann parameter sets: start one from a built-in ZH-L set, edit
+ * its compartments (half-times, a and b for N₂ and He, a 1b split) against
+ * live checks, and save, duplicate or delete sets or move them as JSON.
+ * Saved sets are offered as algorithms in every panel.
+ */
+export default function ParamSetEditor({ paramSets, onChange, onDelete }) {
+  const [draft, setDraft] = useState(null);
+  const [base, setBase] = useState('zhl16c');
+  const [message, setMessage] = useState(null);
+
+  const sets = Object.values(paramSets);
+  const issues = useMemo(() => draft ? validateParamSet(draft, paramSets) : [], [draft, paramSets]);
+  const saved = draft ? paramSets[draft.id] : null;
+  const changed = !!draft && (!saved || saved.name !== draft.name.trim() || !sameParamSet(saved, draft));
+  const labels = draft ? compartmentLabels(draft) : [];
+
+  // Errors before warnings; a table cell shows its own in its tooltip
+  const ordered = [...issues.filter(issue => issue.level === 'error'), ...issues.filter(issue => issue.level !== 'error')];
+  const cellIssues = (field, index) => issues.filter(issue => issue.field === field && issue.index === index);
+
+  const edit = (set) => {
+    setDraft(structuredClone(set));
+    setMessage(null);
+  };
+
+  const handleSave = () => {
+    const set = { ...draft, name: draft.name.trim() };
+    onChange({ ...paramSets, [set.id]: set });
+    setDraft(set);
+    setMessage({ text: `Saved “${set.name}”` });
+  };
+
+  const handleDuplicate = (set) => {
+    const copy = duplicateParamSet(set, paramSets);
+    onChange({ ...paramSets, [copy.id]: copy });
+    edit(copy);
+  };
+
+  const handleDelete = (set) => {
+    if (!window.confirm(`Delete the parameter set “${set.name}”? Panels using it switch to ZH-L 16C.`)) return;
+    onDelete(set.id);
+    if (draft?.id === set.id) setDraft(null);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { paramSets: merged, added } = importParamSets(paramSets, parseParamSets(await file.text()));
+      onChange(merged);
+      setMessage({ text: `${file.name}: ${added} parameter set${added === 1 ? '' : 's'} added` });
+    } catch (err) {
+      setMessage({ text: `${file.name}: ${err.message}`, error: true });
+    }
+  };
+
+  const valueInput = (field, i) => {
+    const cell = cellIssues(field, i);
+    const level = cell.some(issue => issue.level === 'error') ? 'error' : cell.length > 0 ? 'warning' : null;
+    return (
+      <td key={field}>
+        <input
+          type="number" min="0" step="any" value={draft[field][i]}
+          className={level ? `param-cell-${level}` : undefined}
+          title={cell.map(issue => issue.message).join('\n') || undefined}
+          aria-label={`${columnTitle(field)} compartment ${labels[i]}`}
+          onChange={(e) => setDraft(setParamValue(draft, field, i, e.target.value === '' ? '' : Number(e.target.value)))}
+        />
+      </td>
+    );
+  };
+
+  return (
+    <div className="param-sets">
+      <div className="dive-log-header">
+        <h3>Parameter Sets</h3>
+        {sets.length > 0 && <span className="dive-log-detail">{sets.length} custom</span>}
+      </div>
+      <p className="dive-log-intro">
+        Custom Bühlmann compartment sets, planned like the ZH-L variants in every panel, the NDL table and the sweep.
+      </p>
+
+      <div className="param-set-new">
+        <select value={base} onChange={(e) => setBase(e.target.value)} aria-label="Start from">
+          {Object.entries(PARAM_SETS).map(([key, set]) => <option key={key} value={key}>{set.name}</option>)}
+        </select>
+        <button type="button" className="add-btn" onClick={() => edit(createParamSet(base, paramSets))}>+ New Set</button>
+      </div>
+
+      {sets.length > 0 && (
+        <ul className="plan-library-list">
+          {sets.map(set => (
+            <li key={set.id} className="plan-library-item">
+              <div className="plan-library-main">
+                <button type="button" className="plan-library-name" onClick={() => edit(set)} title="Edit this set">{set.name}</button>
+                <span className="dive-log-detail">
+                  {set.compartments} compartments{set.split1b ? ' incl. 1b' : ''} · t½ {set.halfTimes[0]}–{set.halfTimes.at(-1)} min
+                </span>
+              </div>
+              <div className="plan-library-actions">
+                <button type="button" title="Duplicate" onClick={() => handleDuplicate(set)}>⧉</button>
+                <button type="button" title="Delete" onClick={() => handleDelete(set)}>×</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {draft && (
+        <div className="param-set-form">
+          <div className="param-set-options">
+            <input
+              value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Set name" aria-label="Set name"
+            />
+            <label className="param-set-split">
+              <input
+                type="checkbox" checked={draft.split1b} disabled={!draft.split1b && draft.compartments >= MAX_COMPARTMENTS}
+                onChange={(e) => setDraft(splitFirstCompartment(draft, e.target.checked))}
+              />
+              1b split
+            </label>
+          </div>
+          <div className="param-set-table-scroll">
+            <table className="param-set-table">
+              <thead>
+                <tr>
+                  <th>TC</th>
+                  {PARAM_FIELDS.map(field => <th key={field}>{columnTitle(field)}</th>)}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {labels.map((label, i) => (
+                  <tr key={i}>
+                    <td>{label}</td>
+                    {PARAM_FIELDS.map(field => valueInput(field, i))}
+                    <td>
+                      <button
+                        type="button" className="gas-remove-btn" title={`Remove compartment ${label}`}
+                        disabled={draft.compartments <= 1} onClick={() => setDraft(removeCompartment(draft, i))}
+                      >✕</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            type="button" className="gas-preset-btn" disabled={draft.compartments >= MAX_COMPARTMENTS}
+            onClick={() => setDraft(addCompartment(draft))}
+          >+ Compartment</button>
+
+          {issues.length > 0 && (
+            <ul className="param-set-issues">
+              {ordered.map((issue, i) => (
+                <li key={i} className={issue.level === 'error' ? 'dive-log-error' : 'param-set-warning'}>{issue.message}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="plan-export">
+            <button type="button" className="add-btn" disabled={!changed || hasErrors(issues)} onClick={handleSave}>
+              💾 {saved ? 'Save Changes' : 'Save Set'}
+            </button>
+            <button type="button" className="gas-preset-btn" onClick={() => setDraft(null)}>
+              {changed ? 'Discard' : 'Close'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="plan-export">
+        <button
+          type="button" className="gas-preset-btn" disabled={sets.length === 0}
+          onClick={() => downloadFile(exportParamSets(paramSets), 'parameter-sets.json', 'application/json')}
+        >
+          ⬇ Export Sets
+        </button>
+        <label className="gas-preset-btn plan-library-import">
+          📂 Import Sets
+          <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        </label>
+      </div>
+      {message && <p className={message.error ? 'dive-log-error' : 'dive-log-intro'}>{message.text}</p>}
+    </div>
+  );
+}
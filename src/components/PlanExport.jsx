@@ -0,0 +1,21 @@
+import { EXPORT_FORMATS, downloadFile, exportPlan } from '../utils/planExport';
+
+export default function PlanExport({ result, settings, algorithm, gf = false, fileName = 'dive-plan', units = 'metric' }) {
+  if (!result?.phases?.length) return null;
+
+  const handleExport = (format) => {
+    const { extension, mime } = EXPORT_FORMATS[format];
+    downloadFile(exportPlan(format, result, settings, { algorithm, gf, units }), `${fileName}.${extension}`, mime);
+  };
+
+  return (
+    <div className="plan-export">
+      <span className="plan-export-label">Export plan</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button key={format} type="button" className="gas-preset-btn" onClick={() => handleExport(format)}>
+          ⬇ {label}
+        </button>
+      ))}
+    </div>
+  );
+}
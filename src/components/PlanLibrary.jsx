@@ -0,0 +1,144 @@
+import { useState, useMemo } from 'react';
+import { usePlanLibrary } from '../hooks/usePlanLibrary';
+import { searchPlans, planExtent, planPanels } from '../utils/planLibrary';
+import { downloadFile } from '../utils/planExport';
+import { formatDepth } from '../utils/units';
+
+function planDetail(plan, algorithmNames, units) {
+  const { maxDepth, time } = planExtent(plan);
+  const algorithms = planPanels(plan).map(s => algorithmNames[s.algorithm] || s.algorithm).join(' vs ');
+  return `${formatDepth(maxDepth, units)} · ${time} min · ${algorithms}`;
+}
+
+/**
+ * Named plans saved in the browser: save the current stops and settings,
+ * load, rename, tag, duplicate or delete them, and move the whole library
+ * between devices as JSON.
+ */
+export default function PlanLibrary({ current, onLoad, algorithmNames = {}, units = 'metric' }) {
+  const { plans, ready, persistent, error, save, rename, tag, duplicate, remove, importLibrary, exportAll } = usePlanLibrary();
+  const [name, setName] = useState('');
+  const [tags, setTags] = useState('');
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const shown = useMemo(() => searchPlans(plans, query), [plans, query]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const plan = await save(name, current);
+    if (tags.trim()) await tag(plan, tags);
+    setMessage({ text: `Saved “${plan.name}”` });
+    setName('');
+    setTags('');
+  };
+
+  const commitEdit = async () => {
+    const plan = plans.find(p => p.id === editing.id);
+    setEditing(null);
+    if (!plan) return;
+    if (editing.field === 'name' && editing.value.trim() && editing.value.trim() !== plan.name) await rename(plan, editing.value);
+    if (editing.field === 'tags') await tag(plan, editing.value);
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete the saved plan “${plan.name}”?`)) return;
+    await remove(plan);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { added, updated } = await importLibrary(await file.text());
+      setMessage({ text: `${file.name}: ${added} plan${added === 1 ? '' : 's'} added, ${updated} updated` });
+    } catch (err) {
+      setMessage({ text: `${file.name}: ${err.message}`, error: true });
+    }
+  };
+
+  const editInput = (placeholder) => (
+    <input
+      autoFocus
+      className="plan-library-edit"
+      value={editing.value}
+      placeholder={placeholder}
+      onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+      onBlur={commitEdit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commitEdit();
+        if (e.key === 'Escape') setEditing(null);
+      }}
+    />
+  );
+
+  return (
+    <div className="plan-library">
+      <div className="dive-log-header">
+        <h3>Plan Library</h3>
+        {plans.length > 0 && <span className="dive-log-detail">{plans.length} saved</span>}
+      </div>
+      {error && <p className="dive-log-error">{error}</p>}
+      {!persistent && (
+        <p className="dive-log-error">Browser storage is unavailable: plans last for this session only. Export the library to keep them.</p>
+      )}
+
+      <form className="plan-library-save" onSubmit={handleSave}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Plan name" aria-label="Plan name" />
+        <input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="Tags, e.g. wreck, 60m" aria-label="Tags" />
+        <button type="submit" className="add-btn" disabled={!ready || !name.trim() || current.stops.length === 0}>💾 Save Plan</button>
+      </form>
+
+      {plans.length > 0 && (
+        <input
+          type="search" className="plan-library-search" value={query} onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name, #tag or algorithm" aria-label="Search saved plans"
+        />
+      )}
+      {plans.length > 0 && shown.length === 0 && <p className="dive-log-intro">No saved plans match “{query}”.</p>}
+      {shown.length > 0 && (
+        <ul className="plan-library-list">
+          {shown.map(plan => (
+            <li key={plan.id} className="plan-library-item">
+              <div className="plan-library-main">
+                {editing?.id === plan.id && editing.field === 'name' ? editInput('Plan name') : (
+                  <button type="button" className="plan-library-name" onClick={() => onLoad(plan)} title="Load this plan">{plan.name}</button>
+                )}
+                <span className="dive-log-detail">{planDetail(plan, algorithmNames, units)}</span>
+                {editing?.id === plan.id && editing.field === 'tags' ? editInput('Tags, comma separated') : plan.tags.length > 0 && (
+                  <span className="plan-library-tags">
+                    {plan.tags.map(t => (
+                      <button key={t} type="button" className="plan-library-tag" onClick={() => setQuery(`#${t}`)}>#{t}</button>
+                    ))}
+                  </span>
+                )}
+              </div>
+              <div className="plan-library-actions">
+                <button type="button" title="Rename" onClick={() => setEditing({ id: plan.id, field: 'name', value: plan.name })}>✎</button>
+                <button type="button" title="Edit tags" onClick={() => setEditing({ id: plan.id, field: 'tags', value: plan.tags.join(', ') })}>#</button>
+                <button type="button" title="Duplicate" onClick={() => duplicate(plan)}>⧉</button>
+                <button type="button" title="Delete" onClick={() => handleDelete(plan)}>×</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="plan-export">
+        <button
+          type="button" className="gas-preset-btn" disabled={plans.length === 0}
+          onClick={() => downloadFile(exportAll(), 'dive-plan-library.json', 'application/json')}
+        >
+          ⬇ Export Library
+        </button>
+        <label className="gas-preset-btn plan-library-import">
+          📂 Import Library
+          <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        </label>
+      </div>
+      {message && <p className={message.error ? 'dive-log-error' : 'dive-log-intro'}>{message.text}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import DiveStops from './DiveStops';
+import { formatDepth } from '../utils/units';
+
+const DEFAULT_FOLLOW_UP = { surfaceInterval: 60, stops: [{ depth: 18, time: 40 }] };
+
+function formatInterval(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m} min`;
+}
+
+function SeriesSummary({ dive, color, label, units }) {
+  if (!dive || dive.empty) return null;
+  const { totalTime, decoTime, penalty, decoInfo, startCNS, endCNS, table } = dive;
+  return (
+    <div className="repetitive-summary" style={{ borderColor: `${color}40` }}>
+      {label && <span className="repetitive-summary-label" style={{ color }}>{label}</span>}
+      <div className="gas-plan-metrics">
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Run Time</span>
+          <span className="gas-plan-metric-value">
+            {totalTime} min
+            {penalty > 0 && <span className="repetitive-penalty">+{penalty} min residual penalty</span>}
+          </span>
+        </div>
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">Deco</span>
+          <span className="gas-plan-metric-value">{decoTime > 0 ? `${decoTime} min` : 'No deco'}</span>
+        </div>
+        <div className="gas-plan-metric">
+          <span className="gas-plan-metric-label">CNS</span>
+          <span className="gas-plan-metric-value">
+            {endCNS.toFixed(1)}%
+            <span className="gas-plan-metric-detail">Started at {startCNS.toFixed(1)}%</span>
+          </span>
+        </div>
+        {decoInfo?.groupSystem && (
+          <div className="gas-plan-metric">
+            <span className="gas-plan-metric-label" title="Estimated from one surface-interval compartment, not read from the printed tables">Group (est.)</span>
+            <span className="gas-plan-metric-value">
+              {decoInfo.pressureGroup || '—'}
+              {table && (
+                <span className="gas-plan-metric-detail">
+                  Started in {table.startGroup || 'no group'}
+                  {table.startGroup && ` · RNT ${Number.isFinite(table.residualTime) ? `${table.residualTime} min` : 'beyond table'} · adjusted NDL ${table.adjustedNDL} min`}
+                </span>
+              )}
+            </span>
+          </div>
+        )}
+      </div>
+      {decoInfo?.decoStops?.length > 0 && (
+        <div className="repetitive-stops">
+          {decoInfo.decoStops.map((s, i) => (
+            <span key={i} className="repetitive-stop">{formatDepth(s.depth, units, 1)} × {s.time}′</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RepetitiveDives({ dives, onDivesChange, series, units = 'metric' }) {
+  const updateDive = (index, changes) => {
+    onDivesChange(dives.map((d, i) => i === index ? { ...d, ...changes } : d));
+  };
+
+  const addDive = () => onDivesChange([...dives, DEFAULT_FOLLOW_UP]);
+  const removeDive = (index) => onDivesChange(dives.filter((_, i) => i !== index));
+
+  return (
+    <div className="repetitive-dives">
+      <p className="repetitive-intro">
+        Follow-up dives start with the residual tissue (and VPM/RGBM bubble) state left after the previous dive
+        and its surface interval on air. CNS% carries over with a 90 min half-time. Table algorithms
+        (DSAT, US Navy, BSAC) also track the pressure group, residual nitrogen time and adjusted NDL. Those are
+        estimates from one surface-interval compartment per agency, not the printed surface interval and RNT
+        tables, and can differ from them by several groups: plan repetitive table dives with the printed tables.
+      </p>
+
+      <div className="repetitive-dive">
+        <h3>Dive 1</h3>
+        {series.map(({ data, color, label }) => (
+          <SeriesSummary key={label || 'single'} dive={data?.[0]} color={color} label={label} units={units} />
+        ))}
+      </div>
+
+      {dives.map((dive, i) => (
+        <div key={i} className="repetitive-dive">
+          <div className="repetitive-dive-header">
+            <h3>Dive {i + 2}</h3>
+            <label className="repetitive-si">
+              Surface interval (min)
+              <input
+                type="number" min="0" max="1440" step="5"
+                value={dive.surfaceInterval}
+                onChange={(e) => updateDive(i, { surfaceInterval: Math.max(0, Number(e.target.value) || 0) })}
+              />
+              <span className="repetitive-si-formatted">{formatInterval(dive.surfaceInterval)}</span>
+            </label>
+            <button onClick={() => removeDive(i)} className="remove-btn" title="Remove dive">×</button>
+          </div>
+          <DiveStops stops={dive.stops} onStopsChange={(stops) => updateDive(i, { stops })} units={units} />
+          {series.map(({ data, color, label }) => (
+            <SeriesSummary key={label || 'single'} dive={data?.[i + 1]} color={color} label={label} units={units} />
+          ))}
+        </div>
+      ))}
+
+      <button onClick={addDive} className="add-btn">+ Add Repetitive Dive</button>
+    </div>
+  );
+}
@@ -5,6 +5,8 @@ const TAB_DEFS = [
   { id: 'plan', label: '📋 Dive Plan' },
   { id: 'gas', label: '⛽ Gas Plan' },
   { id: 'o2', label: '🫁 O₂ Toxicity' },
+  { id: 'repetitive', label: '🔁 Repetitive' },
+  { id: 'optimize', label: '🎯 Optimizer' },
   { id: 'analysis', label: '🔬 Analysis' },
 ];
 
@@ -8,6 +8,8 @@ import {
   Legend,
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
+import { isImperial, unitLabels, toDisplayTissue, formatTissue } from '../utils/units';
+import { P_SURFACE } from '../utils/constants';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
 
@@ -19,7 +21,7 @@ function getStatusLabel(loading, mValue, ambient) {
   return { text: '✓', color: '#4caf50' };
 }
 
-export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme = 'dark' }) {
+export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme = 'dark', units = 'metric', surfacePressure = P_SURFACE }) {
   const [collapsed, setCollapsed] = useState(false);
   const [showExplanation, setShowExplanation] = useState(false);
 
@@ -28,7 +30,7 @@ export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme =
 
   if (!hasA && !hasB) return null;
 
-  const ambient = 1.01325; // surface pressure
+  const ambient = surfacePressure;
 
   const buildDatasets = (decoInfo, label, baseColor, borderColor) => {
     if (!decoInfo || !decoInfo.tissueLoading) return [];
@@ -63,7 +65,7 @@ export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme =
 
   const info = hasA ? decoInfoA : decoInfoB;
   const nc = info.compartmentCount || info.tissueLoading.length;
-  const labels = Array.from({ length: nc }, (_, i) => `TC${i + 1}`);
+  const labels = Array.from({ length: nc }, (_, i) => `TC${info.labels?.[i] ?? i + 1}`);
 
   const datasets = [
     ...buildDatasets(decoInfoA, hasB ? 'A' : '', 'blue', '#4fc3f7'),
@@ -114,13 +116,14 @@ export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme =
       },
       tooltip: {
         callbacks: {
+          label: (ctx) => `${ctx.dataset.label}: ${formatTissue(ctx.parsed.y, units)}`,
           afterLabel: (ctx) => {
             const i = ctx.dataIndex;
             const mv = info.mValues?.[i];
             if (mv) {
               const loading = info.tissueLoading[i] + (info.heLoading?.[i] || 0);
               const status = getStatusLabel(loading, mv, ambient);
-              return `M-value: ${mv.toFixed(3)} bar | Status: ${status.text === '✓' ? 'Safe' : status.text === '~' ? 'Approaching' : 'Near limit'}`;
+              return `M-value: ${formatTissue(mv, units)} | Status: ${status.text === '✓' ? 'Safe' : status.text === '~' ? 'Approaching' : 'Near limit'}`;
             }
             return '';
           },
@@ -132,8 +135,11 @@ export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme =
       y: {
         min: 0,
         max: Math.ceil(maxVal * 1.1 * 10) / 10,
-        title: { display: true, text: 'Pressure (bar)', color: theme === 'light' ? '#4a5568' : '#b0bec5' },
-        ticks: { color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        title: { display: true, text: `Pressure (${unitLabels(units).tissue})`, color: theme === 'light' ? '#4a5568' : '#b0bec5' },
+        ticks: {
+          color: theme === 'light' ? '#4a5568' : '#b0bec5',
+          callback: isImperial(units) ? (val) => Math.round(toDisplayTissue(val, units)) : undefined,
+        },
         grid: { color: theme === 'light' ? 'rgba(0,0,0,0.1)' : 'rgba(255,255,255,0.1)' },
       },
       x: {
@@ -171,7 +177,7 @@ export default function TissueChart({ decoInfoA, decoInfoB, compareMode, theme =
           {statuses.length > 0 && (
             <div className="tissue-status-row">
               {statuses.map((s, i) => (
-                <span key={i} className="tissue-status-badge" style={{ color: s.color }} title={`TC${i+1}: ${s.text === '✓' ? 'Safe' : s.text === '~' ? 'Approaching' : 'Near limit'}`}>
+                <span key={i} className="tissue-status-badge" style={{ color: s.color }} title={`${labels[i]}: ${s.text === '✓' ? 'Safe' : s.text === '~' ? 'Approaching' : 'Near limit'}`}>
                   {s.text}
                 </span>
               ))}
@@ -1,49 +1,123 @@
-import { useEffect, useRef, useCallback, useState } from 'react';
+import { useEffect, useRef, useCallback, useState, useMemo } from 'react';
+import { createWorkerPool, defaultPoolSize, isCancelled, PRIORITY } from '../utils/workerPool';
+import { runDecoJob } from '../utils/decoJobs';
 
-let idCounter = 0;
+let pool = null;
+let keyCounter = 0;
+
+// One pool for the whole app, started on first use. Falls back to
+// main-thread calculation if Workers aren't supported.
+function decoPool() {
+  if (!pool) {
+    pool = createWorkerPool({
+      size: defaultPoolSize(),
+      createWorker: typeof Worker === 'undefined' ? null : () => new Worker(
+        new URL('../workers/decoWorker.js', import.meta.url),
+        { type: 'module' }
+      ),
+      runLocal: runDecoJob,
+    });
+  }
+  return pool;
+}
 
 /**
- * Hook that offloads deco calculations to a Web Worker.
- * Falls back to main-thread calculation if Workers aren't supported.
+ * Hook that runs deco calculations on the shared worker pool. Jobs are
+ * keyed (a newer job of the same key supersedes the old one), prioritized
+ * (PRIORITY) and cancelled when the component unmounts.
  */
 export function useDecoWorker() {
-  const workerRef = useRef(null);
-  const pendingRef = useRef(new Map());
-  const [supported] = useState(() => typeof Worker !== 'undefined');
+  const keysRef = useRef(new Set());
 
   useEffect(() => {
-    if (!supported) return;
-    try {
-      workerRef.current = new Worker(
-        new URL('../workers/decoWorker.js', import.meta.url),
-        { type: 'module' }
-      );
-      workerRef.current.onmessage = (e) => {
-        const { id, result, error } = e.data;
-        const pending = pendingRef.current.get(id);
-        if (pending) {
-          pendingRef.current.delete(id);
-          if (error) pending.reject(new Error(error));
-          else pending.resolve(result);
-        }
-      };
-    } catch {
-      workerRef.current = null;
-    }
+    const keys = keysRef.current;
     return () => {
-      workerRef.current?.terminate();
-      workerRef.current = null;
+      for (const key of keys) decoPool().cancel(key);
+      keys.clear();
     };
-  }, [supported]);
-
-  const calculate = useCallback((settings, stops) => {
-    if (!workerRef.current) return null; // fallback signal
-    const id = ++idCounter;
-    return new Promise((resolve, reject) => {
-      pendingRef.current.set(id, { resolve, reject });
-      workerRef.current.postMessage({ id, settings, stops });
-    });
   }, []);
 
-  return { calculate, supported: supported && workerRef.current !== null };
+  const run = useCallback((type, payload, { key = `job-${++keyCounter}`, priority, onProgress } = {}) => {
+    const keys = keysRef.current;
+    keys.add(key);
+    const settle = () => {
+      if (decoPool().pendingPayload(key) === undefined) keys.delete(key);
+    };
+    const promise = decoPool().run(type, payload, { key, priority, onProgress });
+    promise.then(settle, settle);
+    return promise;
+  }, []);
+
+  const cancel = useCallback((key) => decoPool().cancel(key), []);
+
+  const calculate = useCallback((settings, stops, options) => run('plan', { settings, stops }, options), [run]);
+
+  // Schedule optimizer search (see optimizePlan)
+  const optimize = useCallback((settings, stops, constraints, options) => run('optimize', { settings, stops, constraints }, options), [run]);
+
+  // Algorithm sweep (see sweepChunks); onProgress receives each chunk of results
+  const sweep = useCallback((settings, cases, onProgress, options) => run('sweep', { settings, cases }, { ...options, onProgress }), [run]);
+
+  return { run, cancel, calculate, optimize, sweep, supported: decoPool().workers > 0 };
+}
+
+// Settled results by job type and payload object, shared by every component
+const settled = new Map();
+
+function settledFor(type) {
+  if (!settled.has(type)) settled.set(type, new WeakMap());
+  return settled.get(type);
+}
+
+/**
+ * Runs one job per payload and returns [{ result, error, pending }] in the
+ * same order. Payloads are compared by identity: pass the same object for
+ * the same inputs (memoize them and the arrays) and a job only runs when its
+ * payload changes. While a job is pending its slot keeps the last result of
+ * its key; a null payload gives a null result. `keys` name the slots (a new
+ * payload supersedes the key's running job) and `priorities` order them.
+ */
+export function useDecoJobs(type, payloads, keys, priorities = []) {
+  const { run } = useDecoWorker();
+  const [last, setLast] = useState(() => new Map());
+  const results = settledFor(type);
+
+  useEffect(() => {
+    payloads.forEach((payload, i) => {
+      const key = keys[i];
+      // Nothing left to calculate: drop the key's obsolete job
+      if (!payload && decoPool().pendingPayload(key) !== undefined) decoPool().cancel(key);
+      if (!payload || results.has(payload) || decoPool().pendingPayload(key) === payload) return;
+      const done = (entry) => {
+        results.set(payload, entry);
+        setLast(map => new Map(map).set(key, entry));
+      };
+      run(type, payload, { key, priority: priorities[i] ?? PRIORITY.NORMAL }).then(
+        (result) => done({ result, error: null }),
+        (error) => {
+          if (!isCancelled(error)) done({ result: null, error });
+        },
+      );
+    });
+  }, [run, type, payloads, keys]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Reorder queued jobs when priorities change (e.g. the visible tab)
+  const priorityList = priorities.join();
+  useEffect(() => {
+    keys.forEach((key, i) => decoPool().prioritize(key, priorities[i] ?? PRIORITY.NORMAL));
+  }, [keys, priorityList]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return useMemo(() => payloads.map((payload, i) => {
+    if (!payload) return { result: null, error: null, pending: false };
+    const done = results.get(payload);
+    if (done) return { ...done, pending: false };
+    return { result: last.get(keys[i])?.result ?? null, error: null, pending: true };
+  }), [payloads, keys, last, results]);
+}
+
+/** useDecoJobs for a single payload under `key`. */
+export function useDecoJob(type, payload, key, priority = PRIORITY.NORMAL) {
+  const payloads = useMemo(() => [payload], [payload]);
+  const keys = useMemo(() => [key], [key]);
+  return useDecoJobs(type, payloads, keys, [priority])[0];
 }
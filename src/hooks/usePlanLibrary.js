@@ -0,0 +1,87 @@
+import { useEffect, useRef, useCallback, useState } from 'react';
+import {
+  loadLibrary, writeLibrary, createPlan, updatePlan, renamePlan, tagPlan, duplicatePlan, uniqueName,
+  exportLibrary, parseLibrary, mergeLibrary,
+} from '../utils/planLibrary';
+
+/**
+ * Hook for the saved plan library: loads the plans from IndexedDB and keeps
+ * the list in sync with every change written to the store. When the store
+ * fails to open, read or write, the library goes on in memory and `error`
+ * says why.
+ */
+export function usePlanLibrary() {
+  const storeRef = useRef(null);
+  const [plans, setPlans] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [persistent, setPersistent] = useState(true);
+  const [error, setError] = useState(null);
+  // The list as last rendered, for the memory fallback of a failed write
+  const latest = useRef(plans);
+  useEffect(() => { latest.current = plans; }, [plans]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLibrary().then(({ store, plans: saved, error: failure }) => {
+      if (cancelled) return;
+      storeRef.current = store;
+      setPlans(saved);
+      setPersistent(store.persistent);
+      setError(failure);
+      setReady(true);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Write to the store and apply `update` to the list, going on in memory
+  // if the write fails (see writeLibrary)
+  const write = useCallback(async (fn, update) => {
+    const result = await writeLibrary(storeRef.current, fn, update(latest.current));
+    storeRef.current = result.store;
+    if (result.error) {
+      setPersistent(false);
+      setError(result.error);
+    }
+    setPlans(update);
+  }, []);
+
+  const put = useCallback(async (plan) => {
+    await write(store => store.put(plan), list => [...list.filter(p => p.id !== plan.id), plan]);
+    return plan;
+  }, [write]);
+
+  // Save the current plan; a plan of the same name is overwritten
+  const save = useCallback((name, current) => {
+    const existing = plans.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    return put(existing ? updatePlan(existing, current) : createPlan({ name, ...current }));
+  }, [plans, put]);
+
+  const rename = useCallback((plan, name) => {
+    const others = plans.filter(p => p.id !== plan.id);
+    return put(renamePlan(plan, uniqueName(name, others)));
+  }, [plans, put]);
+
+  const tag = useCallback((plan, tags) => put(tagPlan(plan, tags)), [put]);
+
+  const duplicate = useCallback((plan) => put(duplicatePlan(plan, plans)), [plans, put]);
+
+  const remove = useCallback(
+    (plan) => write(store => store.remove(plan.id), list => list.filter(p => p.id !== plan.id)),
+    [write],
+  );
+
+  // Merge an exported library file; returns { added, updated }
+  const importLibrary = useCallback(async (text) => {
+    const merged = mergeLibrary(plans, parseLibrary(text));
+    const known = new Map(plans.map(p => [p.id, p]));
+    const changed = merged.plans.filter(plan => known.get(plan.id) !== plan);
+    await write(async (store) => {
+      for (const plan of changed) await store.put(plan);
+    }, () => merged.plans);
+    return { added: merged.added, updated: merged.updated };
+  }, [plans, write]);
+
+  const exportAll = useCallback(() => exportLibrary(plans), [plans]);
+
+  return { plans, ready, persistent, error, save, rename, tag, duplicate, remove, importLibrary, exportAll };
+}
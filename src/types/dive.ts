@@ -5,6 +5,17 @@
 export interface DiveStop {
   depth: number;
   time: number;
+  /** Gas label ("21/35") breathed at this stop; the bottom gas when omitted */
+  gas?: string;
+}
+
+/** Gases for calculateDiveProfile (see profileGases) */
+export interface ProfileGases {
+  bottomGas?: string;
+  /** Breathed from the surface down to `depth`, shallowest first */
+  travelGases?: { gas: string; depth: number }[];
+  /** Minutes per gas switch */
+  switchTime?: number;
 }
 
 export interface DivePhase {
@@ -13,6 +24,8 @@ export interface DivePhase {
   runTime: number;
   action: 'Descend' | 'Ascend' | 'Stay' | 'Deco Stop' | 'Gas Switch' | 'Safety Stop';
   gas?: string;
+  /** CCR setpoint (bar) recorded by a dive log; overrides the planned setpoints */
+  setpoint?: number;
 }
 
 export interface DiveProfile {
@@ -34,6 +47,7 @@ export interface DecoStop {
   gas?: string;
   gasSwitch?: boolean;
   safetyStop?: boolean;
+  setpoint?: number;
 }
 
 export interface DecoResult {
@@ -45,10 +59,24 @@ export interface DecoResult {
   noDecoLimit: boolean;
   variant?: string;
   compartmentCount?: number;
+  /** Compartment labels (1, 1b, 2…) */
+  labels?: string[];
   halfTimes?: number[];
   mValues?: number[];
   aValues?: number[];
   bValues?: number[];
+  circuit?: 'oc' | 'ccr';
+  bubbleState?: BubbleState;
+  bubbleFactors?: { n2: number[]; he: number[] };
+  profileFactors?: RGBMProfileFactors;
+}
+
+export interface RGBMProfileFactors {
+  repetitive: number;
+  reverse: number;
+  yoyo: number;
+  multiDay: number;
+  yoyoCycles: number;
 }
 
 export interface AlgorithmOptions {
@@ -60,6 +88,145 @@ export interface AlgorithmOptions {
   decoAscentRate?: number;
   gasSwitches?: GasSwitch[];
   lastStopDepth?: number;
+  /** Stop spacing in meters (3, 1 or 3.048 for 10 ft) */
+  stopInterval?: number;
+  /** Follow the ceiling in 1 m steps instead of fixed stops */
+  continuousDeco?: boolean;
+  ccr?: CCRConfig | null;
+  initialTissues?: TissueState | null;
+  conservatism?: number;
+  /** Dive site altitude in meters (0 = sea level) */
+  altitude?: number;
+  salinity?: Salinity;
+  /** Tissues saturated at the site's surface pressure (false = fresh arrival from sea level) */
+  acclimatized?: boolean;
+  /** Custom Bühlmann compartments (instead of the built-in set of the variant) */
+  paramSet?: CustomParamSet | null;
+}
+
+/** A user-defined Bühlmann parameter set (see customParams.js) */
+export interface CustomParamSet {
+  /** Algorithm id, 'custom-…' */
+  id: string;
+  name: string;
+  compartments: number;
+  /** Compartment 2 is the 1b split of compartment 1 */
+  split1b: boolean;
+  halfTimes: number[];
+  aValues: number[];
+  bValues: number[];
+  heHalfTimes: number[];
+  heA: number[];
+  heB: number[];
+}
+
+/** A problem found by validateParamSet */
+export interface ParamSetIssue {
+  level: 'error' | 'warning';
+  field: keyof CustomParamSet | null;
+  /** Compartment index, null for the set as a whole */
+  index: number | null;
+  message: string;
+}
+
+export interface TissueState {
+  n2: number[];
+  he: number[] | null;
+  bubble?: BubbleState | null;
+}
+
+/** Tolerated tension of a compartment, intercept + slope × ambient (bar) */
+export interface LimitLine {
+  intercept: number;
+  slope: number;
+}
+
+/** One minute of a tissue trace (see tissueTrace) */
+export interface TissueTraceStep {
+  time: number;
+  depth: number;
+  ambient: number;
+  n2: number[];
+  he: number[] | null;
+  ceiling: number;
+  gf: number;
+  surfacingGF: number;
+  leading: number;
+}
+
+export interface TissueTrace {
+  algorithm: string;
+  name: string;
+  compartments: number;
+  labels: string[];
+  halfTimes: number[];
+  gf: boolean;
+  surfacePressure: number;
+  limits: LimitLine[];
+  steps: TissueTraceStep[];
+}
+
+/** GF99 / surfacing GF peaks over one phase (see phaseGF) */
+export interface PhaseGF {
+  gf: number;
+  surfacingGF: number;
+  leading: number;
+}
+
+export interface BubbleState {
+  maxCrushingPressure: number;
+  maxActualGradient?: number[];
+  initialGradientN2?: number[];
+  initialGradientHe?: number[];
+  adjustedCrushN2?: number[];
+  adjustedCrushHe?: number[];
+  excitationN2?: number;
+  excitationHe?: number;
+  lastMaxDepth?: number;
+  surfaceTime?: number;
+}
+
+export interface RepetitiveDive {
+  surfaceInterval: number;
+  stops: DiveStop[];
+}
+
+export interface DiveSeriesEntry extends Partial<DiveProfile> {
+  index: number;
+  surfaceInterval: number;
+  empty?: boolean;
+  decoInfo?: DecoResult;
+  decoTime?: number;
+  freshTotalTime?: number;
+  freshDecoTime?: number;
+  penalty?: number;
+  startTissues?: TissueState | null;
+  startCNS: number;
+  endCNS: number;
+}
+
+/** A dive read from a log file (see parseDiveLog) */
+export interface LoggedDive {
+  format: 'subsurface' | 'uddf' | 'csv';
+  label: string;
+  ccr: boolean;
+  gases: { fO2: number; fHe: number }[];
+  /** `time` in seconds, `depth` in meters; `gas`/`setpoint` apply from that sample on */
+  samples: { time: number; depth: number; gas?: { fO2: number; fHe: number }; setpoint?: number }[];
+}
+
+export interface LoggedProfile extends DiveProfile {
+  totalTime: number;
+  maxDepth: number;
+  /** First mix breathed (the diluent on CCR) */
+  gas: { fO2: number; fHe: number };
+  ccr: boolean;
+}
+
+export interface CCRConfig {
+  setpointLow: number;
+  setpointHigh: number;
+  switchDepth: number;
 }
 
 export interface GasSwitch {
@@ -70,6 +237,24 @@ export interface GasSwitch {
 
 export type AlgorithmFn = (phases: DivePhase[], options: AlgorithmOptions) => DecoResult;
 
+/** Display unit system; calculations always run in metric. */
+export type UnitSystem = 'metric' | 'imperial';
+
+export type Salinity = 'salt' | 'fresh';
+
+export type GasRole = 'travel' | 'bottom' | 'deco';
+
+/** A cylinder in the gas list (besides the primary bottom gas). */
+export interface GasEntry {
+  fO2: number;
+  fHe: number;
+  role: GasRole;
+  /** Ascent switch depth in meters; null switches at the MOD */
+  switchDepth: number | null;
+  tankSize: number;
+  tankPressure: number;
+}
+
 export interface DiveSettings {
   algorithm: string;
   fO2: number;
@@ -81,18 +266,40 @@ export interface DiveSettings {
   decoAscentRate: number;
   ppO2Max: number;
   ppO2Deco: number;
-  decoGas1: { fO2: number } | null;
-  decoGas2: { fO2: number } | null;
+  gases: GasEntry[];
   gasSwitchTime: boolean;
   lastStopDepth: number;
+  stopInterval: number;
+  continuousDeco: boolean;
   sacRate: number;
   tankSize: number;
   tankPressure: number;
   reservePressure: number;
-  stage1TankSize: number;
-  stage1TankPressure: number;
-  stage2TankSize: number;
-  stage2TankPressure: number;
+  circuit: 'oc' | 'ccr';
+  setpointLow: number;
+  setpointHigh: number;
+  setpointSwitchDepth: number;
+  bailoutGas: { fO2: number; fHe: number };
+  conservatism?: number;
+  altitude?: number;
+  salinity?: Salinity;
+  acclimatized?: boolean;
+  /** The custom parameter set of a 'custom-…' algorithm, by id (calculation input only) */
+  paramSets?: Record<string, CustomParamSet>;
+}
+
+/** A named plan in the saved plan library (see planLibrary.js) */
+export interface SavedPlan {
+  id: string;
+  name: string;
+  tags: string[];
+  stops: DiveStop[];
+  /** Settings of panels A, B… (only A is shown in single mode) */
+  panels: DiveSettings[];
+  mode: 'single' | 'compare';
+  /** Epoch milliseconds */
+  createdAt: number;
+  updatedAt: number;
 }
 
 export interface TankPreset {
@@ -110,10 +317,10 @@ export interface GasBreakdownEntry {
   status: 'ok' | 'warning' | 'critical';
 }
 
+/** Cylinders keyed `bottom` and `gas<i>` (index into DiveSettings.gases). */
 export interface PerGasTanks {
-  bottom: { size: number; pressure: number };
-  stage1?: { size: number; pressure: number };
-  stage2?: { size: number; pressure: number };
+  bottom: { size: number; pressure: number; fO2?: number; fHe?: number };
+  [key: `gas${number}`]: { size: number; pressure: number; fO2: number; fHe: number };
 }
 
 export interface CNSResult {
@@ -138,6 +345,26 @@ export interface RockBottomResult {
   maxDepth?: number;
 }
 
+export interface BailoutGasResult {
+  label: string;
+  fO2: number;
+  fHe: number;
+  switchDepth: number;
+  liters: number;
+  cylinder: { label: string; size: number; bars: number } | null;
+}
+
+export interface BailoutPlanResult {
+  bailoutTime: number;
+  bailoutDepth: number;
+  decoStops: DecoStop[];
+  phases: (DivePhase & { liters: number })[];
+  totalTime: number;
+  gases: BailoutGasResult[];
+  totalLiters: number;
+  stressFactor: number;
+}
+
 export interface TurnPressureResult {
   turnPressure: number;
   thirdUsable: number;
@@ -153,3 +380,37 @@ export interface NDLResult {
   inDeco: boolean;
   maxDepth?: number;
 }
+
+/** Limits for the schedule optimizer (see optimizePlan) */
+export interface OptimizerConstraints {
+  objective: 'runtime' | 'gas';
+  maxPpO2: number;
+  maxCNS: number;
+  maxOTU: number;
+  maxEND: number | null;
+}
+
+export interface OptimizerPlan {
+  gfLow: number;
+  gfHigh: number;
+  lastStopDepth: number;
+  switches: { gas: string; depth: number }[];
+  runtime: number;
+  decoTime: number;
+  liters: number;
+  cns: number;
+  otu: number;
+  maxPpO2: number;
+  maxEND: number;
+  gasShort: boolean;
+  patch: Partial<DiveSettings>;
+}
+
+export interface OptimizerResult {
+  best: OptimizerPlan | null;
+  front: OptimizerPlan[];
+  feasible: number;
+  evaluated: number;
+  rejected: Record<'ppO2' | 'cns' | 'otu' | 'end' | 'gas', number>;
+  variant: string;
+}
@@ -135,3 +135,30 @@ describe('Algorithm sanity checks', () => {
     expect(result.firstStopDepth).toBeGreaterThanOrEqual(18);
   });
 });
+
+describe('Per-phase gases', () => {
+  // 60 m on 18/45, descending on EAN32 to 30 m
+  const travel = calculateDiveProfile([{ depth: 60, time: 25 }], 18, 9, {
+    bottomGas: '18/45', travelGases: [{ gas: '32/0', depth: 30 }], switchTime: 1,
+  }).phases;
+  const direct = getPhases(60, 25);
+  const options = { fO2: 0.18, fHe: 0.45, gfLow: 50, gfHigh: 70, ascentRate: 9 };
+
+  const algorithms = [
+    ['ZHL-16C', calculateZHL16C], ['VPM-B', calculateVPM], ['RGBM', calculateRGBM],
+    ['Haldane', calculateHaldane], ['Workman', calculateWorkman], ['Thalmann', calculateThalmann], ['DCIEM', calculateDCIEM],
+  ];
+
+  algorithms.forEach(([name, fn]) => {
+    it(`${name} loads the travel gas on the descent`, () => {
+      expect(fn(travel, options).tissueLoading).not.toEqual(fn(direct, options).tissueLoading);
+    });
+  });
+
+  it('ascends on the gas of the last phase', () => {
+    const phases = calculateDiveProfile([{ depth: 40, time: 25 }, { depth: 21, time: 10, gas: '50/0' }], 18, 9, { bottomGas: '21/0' }).phases;
+    const result = calculateZHL16C(phases, { fO2: 0.21, gfLow: 50, gfHigh: 70, ascentRate: 9 });
+    expect(result.decoStops.every(s => !s.gasSwitch)).toBe(true);
+    expect(result.decoStops[0].gas).toBe('50/0');
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C, ALGORITHMS } from '../buhlmann';
+import { calculateVPM } from '../vpm';
+import { calculateThalmann } from '../thalmann';
+import { tissueTrace } from '../tissueTrace';
+import { calculateCNS, calculateOTU } from '../oxygenToxicity';
+import { inspiredPressure, inspiredPressureCCR, loopPpO2 } from '../physics';
+import { ccrFromSettings, createSetpointTracker } from '../ccr';
+
+const CCR = { setpointLow: 0.7, setpointHigh: 1.3, switchDepth: 20 };
+
+function getPhases(depth, time) {
+  return calculateDiveProfile([{ depth, time }], 18, 9).phases;
+}
+
+describe('CCR physics', () => {
+  it('loop ppO2 holds the setpoint at depth', () => {
+    expect(loopPpO2(30, 1.3, 0.21)).toBeCloseTo(1.3);
+  });
+
+  it('loop ppO2 never drops below diluent ppO2', () => {
+    // 21% diluent at 60m = 1.47 bar > 1.3 setpoint
+    expect(loopPpO2(60, 1.3, 0.21)).toBeCloseTo(7.01325 * 0.21);
+  });
+
+  it('loop ppO2 never exceeds ambient', () => {
+    expect(loopPpO2(0, 1.3, 0.21)).toBeCloseTo(1.01325);
+  });
+
+  it('matches open circuit when setpoint equals diluent ppO2', () => {
+    const pAmb = 4.01325;
+    const oc = inspiredPressure(30, 0.79);
+    const ccr = inspiredPressureCCR(30, 0.79, pAmb * 0.21, 0.21);
+    expect(ccr).toBeCloseTo(oc, 6);
+  });
+
+  it('splits inert pressure in the diluent He/N2 ratio', () => {
+    const pN2 = inspiredPressureCCR(60, 0.44, 1.3, 0.21);
+    const pHe = inspiredPressureCCR(60, 0.35, 1.3, 0.21);
+    expect(pN2 / pHe).toBeCloseTo(0.44 / 0.35, 6);
+  });
+});
+
+describe('Setpoint tracking', () => {
+  it('stays on low setpoint until the switch depth', () => {
+    const setpointAt = createSetpointTracker(CCR);
+    expect(setpointAt(10)).toBe(0.7);
+    expect(setpointAt(20)).toBe(1.3);
+  });
+
+  it('keeps the high setpoint on ascent', () => {
+    const setpointAt = createSetpointTracker(CCR);
+    setpointAt(40);
+    expect(setpointAt(6)).toBe(1.3);
+  });
+
+  it('prefers a logged setpoint over the planned one', () => {
+    const setpointAt = createSetpointTracker(CCR);
+    expect(setpointAt(30, 1.1)).toBe(1.1);
+    expect(setpointAt(10)).toBe(1.3);
+  });
+
+  it('ccrFromSettings is null for open circuit and algorithms without a loop model', () => {
+    expect(ccrFromSettings({ algorithm: 'zhl16c', circuit: 'oc' })).toBeNull();
+    expect(ccrFromSettings({ algorithm: 'rgbm', circuit: 'ccr' })).toBeNull();
+    expect(ccrFromSettings({ algorithm: 'vpm', circuit: 'ccr' })).not.toBeNull();
+    expect(ccrFromSettings({ algorithm: 'thalmann', circuit: 'ccr' })).not.toBeNull();
+    expect(ccrFromSettings({ algorithm: 'zhl16c', circuit: 'ccr', setpointHigh: 1.2 }))
+      .toEqual({ setpointLow: 0.7, setpointHigh: 1.2, switchDepth: 20 });
+  });
+
+  it('offers CCR for exactly the algorithms that model the loop', () => {
+    for (const [algorithm, { ccr }] of Object.entries(ALGORITHMS)) {
+      expect(ccrFromSettings({ algorithm, circuit: 'ccr' }) !== null, algorithm).toBe(ccr);
+    }
+  });
+});
+
+describe('Bühlmann CCR mode', () => {
+  const opts = { fO2: 0.21, gfLow: 50, gfHigh: 70, ascentRate: 9 };
+
+  it('CCR at 1.3 needs less deco than air OC', () => {
+    const phases = getPhases(40, 30);
+    const oc = calculateZHL16C(phases, opts);
+    const ccr = calculateZHL16C(phases, { ...opts, ccr: CCR });
+    const ocDeco = oc.decoStops.reduce((s, d) => s + d.time, 0);
+    const ccrDeco = ccr.decoStops.reduce((s, d) => s + d.time, 0);
+    expect(ccrDeco).toBeLessThan(ocDeco);
+    expect(ccr.circuit).toBe('ccr');
+  });
+
+  it('higher setpoint reduces tissue loading', () => {
+    const phases = getPhases(30, 40);
+    const low = calculateZHL16C(phases, { ...opts, ccr: { ...CCR, setpointHigh: 1.0 } });
+    const high = calculateZHL16C(phases, { ...opts, ccr: { ...CCR, setpointHigh: 1.4 } });
+    expect(high.tissueLoading[0]).toBeLessThan(low.tissueLoading[0]);
+  });
+
+  it('ignores deco gas switches on the loop', () => {
+    const phases = getPhases(45, 30);
+    const result = calculateZHL16C(phases, { ...opts, ccr: CCR, gasSwitches: [{ depth: 21, fO2: 0.5, fHe: 0 }] });
+    expect(result.decoStops.some(s => s.gasSwitch)).toBe(false);
+    result.decoStops.forEach(s => expect(s.setpoint).toBe(1.3));
+  });
+
+  it('trimix diluent loads helium', () => {
+    const phases = getPhases(60, 20);
+    const result = calculateZHL16C(phases, { ...opts, fHe: 0.35, ccr: CCR });
+    expect(result.heLoading.some(v => v > 0)).toBe(true);
+  });
+});
+
+describe('VPM-B and Thalmann CCR mode', () => {
+  const opts = { fO2: 0.21, ascentRate: 9 };
+  const deco = (result) => result.decoStops.reduce((s, d) => s + d.time, 0);
+
+  it('VPM-B at 1.3 needs less deco than air OC', () => {
+    const phases = getPhases(40, 30);
+    const ccr = calculateVPM(phases, { ...opts, ccr: CCR });
+    expect(deco(ccr)).toBeLessThan(deco(calculateVPM(phases, opts)));
+    expect(ccr.circuit).toBe('ccr');
+    ccr.decoStops.forEach(s => expect(s.setpoint).toBe(1.3));
+  });
+
+  it('VPM-B ignores deco gas switches on the loop and loads trimix diluent', () => {
+    const phases = getPhases(60, 20);
+    const result = calculateVPM(phases, { ...opts, fHe: 0.35, ccr: CCR, gasSwitches: [{ depth: 21, fO2: 0.5, fHe: 0 }] });
+    expect(result.decoStops.some(s => s.gasSwitch)).toBe(false);
+    expect(result.heLoading.some(v => v > 0)).toBe(true);
+  });
+
+  it('Thalmann at 1.3 needs less deco than air OC', () => {
+    const phases = getPhases(40, 30);
+    const ccr = calculateThalmann(phases, { ...opts, ccr: CCR });
+    expect(deco(ccr)).toBeLessThan(deco(calculateThalmann(phases, opts)));
+    expect(ccr.circuit).toBe('ccr');
+    expect(ccr.tissueLoading[0]).toBeLessThan(calculateThalmann(phases, opts).tissueLoading[0]);
+  });
+
+  it('traces the loop for the ceilings', () => {
+    const profile = calculateDiveProfile([{ depth: 40, time: 30 }], 18, 9);
+    const settings = (algorithm, circuit) => ({ algorithm, circuit, fO2: 0.21, fHe: 0, gfLow: 50 });
+    for (const algorithm of ['vpm', 'thalmann']) {
+      const ccr = tissueTrace(profile.points, settings(algorithm, 'ccr'), profile.phases).steps.at(-1);
+      const oc = tissueTrace(profile.points, settings(algorithm, 'oc'), profile.phases).steps.at(-1);
+      expect(ccr.n2[0]).toBeLessThan(oc.n2[0]);
+      expect(ccr.ceiling).toBeLessThan(oc.ceiling);
+    }
+  });
+});
+
+describe('CNS/OTU on CCR', () => {
+  it('uses the setpoint instead of the diluent fO2', () => {
+    const phases = [{ depth: 30, duration: 60, action: 'Stay' }];
+    const oc = calculateCNS(phases, 0.21);
+    const ccr = calculateCNS(phases, 0.21, 0, CCR);
+    // 1.3 bar for 60 min = 60/180 = 33%
+    expect(ccr.totalCNS).toBeCloseTo(33.3, 0);
+    expect(ccr.totalCNS).toBeGreaterThan(oc.totalCNS);
+  });
+
+  it('low setpoint applies above the switch depth', () => {
+    const phases = [{ depth: 10, duration: 60, action: 'Stay' }];
+    const result = calculateOTU(phases, 0.21, 0, CCR);
+    // 0.7 bar for 60 min = 60 × (0.4)^0.83
+    expect(result.totalOTU).toBeCloseTo(60 * Math.pow(0.4, 0.83), 3);
+  });
+});
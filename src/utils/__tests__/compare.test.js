@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { PANEL_LETTERS, PANEL_COLORS, MAX_PANELS, parsePanelCount, configurationLabel, compareSummary, bestValues } from '../compare';
+import { gasName } from '../gases';
+
+describe('parsePanelCount', () => {
+  it('defaults to two panels', () => {
+    expect(parsePanelCount(null)).toBe(2);
+    expect(parsePanelCount('abc')).toBe(2);
+    expect(parsePanelCount('1')).toBe(2);
+  });
+
+  it('reads 3–8 panels and caps larger counts', () => {
+    expect(parsePanelCount('3')).toBe(3);
+    expect(parsePanelCount('8')).toBe(8);
+    expect(parsePanelCount('20')).toBe(MAX_PANELS);
+  });
+
+  it('has a letter and colour for every panel', () => {
+    expect(PANEL_LETTERS).toHaveLength(MAX_PANELS);
+    expect(PANEL_COLORS).toHaveLength(MAX_PANELS);
+  });
+});
+
+describe('configurationLabel', () => {
+  const zhl = { name: 'ZHL-16C', gf: true };
+  const vpm = { name: 'VPM-B', conservatism: true };
+
+  it('names the algorithm, its gradient factors and the bottom gas', () => {
+    expect(configurationLabel({ algorithm: 'zhl16c', gfLow: 30, gfHigh: 70, fO2: 0.21, fHe: 0 }, zhl, gasName)).toBe('ZHL-16C GF 30/70');
+    expect(configurationLabel({ algorithm: 'zhl16c', gfLow: 50, gfHigh: 80, fO2: 0.18, fHe: 0.45 }, zhl, gasName)).toBe('ZHL-16C GF 50/80 Tx 18/45');
+  });
+
+  it('shows conservatism and CCR where the algorithm supports them', () => {
+    expect(configurationLabel({ algorithm: 'vpm', conservatism: 2, fO2: 0.32, fHe: 0 }, vpm, gasName)).toBe('VPM-B +2 EAN32');
+    expect(configurationLabel({ algorithm: 'vpm', conservatism: 0, fO2: 0.21, circuit: 'ccr' }, { ...vpm, ccr: true }, gasName)).toBe('VPM-B CCR');
+  });
+});
+
+describe('compareSummary', () => {
+  const result = {
+    totalTime: 62,
+    decoInfo: {
+      decoStops: [
+        { depth: 21, time: 0, gasSwitch: true },
+        { depth: 12, time: 2 },
+        { depth: 6, time: 3 },
+        { depth: 3, time: 11 },
+        { depth: 5, time: 3, safetyStop: true },
+      ],
+    },
+  };
+  const o2Data = { cns: { totalCNS: 34.2 }, otu: { totalOTU: 71.5 } };
+  const gasData = {
+    consumption: {
+      totalLiters: 2400,
+      gasBreakdown: { bottom: { used: 1800, tankSize: 12, tankPressure: 200 }, deco: { used: 600, tankSize: 7, tankPressure: 200 } },
+    },
+  };
+
+  it('sums the deco stops and reports the first one', () => {
+    expect(compareSummary(result, o2Data, gasData)).toEqual({
+      runtime: 62, firstStop: 12, decoTime: 16, cns: 34.2, otu: 71.5, liters: 2400, short: false,
+    });
+  });
+
+  it('flags a cylinder breathed into its reserve', () => {
+    expect(compareSummary(result, o2Data, gasData, 60).short).toBe(true);
+  });
+
+  it('handles no-deco dives and missing data', () => {
+    expect(compareSummary({ totalTime: 40, decoInfo: { decoStops: [] } }, null, null)).toEqual({
+      runtime: 40, firstStop: null, decoTime: 0, cns: null, otu: null, liters: null, short: false,
+    });
+    expect(compareSummary(null, o2Data, gasData)).toBeNull();
+  });
+});
+
+describe('bestValues', () => {
+  it('finds the lowest value per key, ignoring missing ones', () => {
+    const rows = [{ runtime: 60, cns: null }, { runtime: 55, cns: 20 }, null];
+    expect(bestValues(rows, ['runtime', 'cns', 'otu'])).toEqual({ runtime: 55, cns: 20, otu: null });
+  });
+});
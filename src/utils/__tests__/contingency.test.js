@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { contingencyVariants, calculateContingencies } from '../contingency';
+import { calculateDiveProfile, addAscentPhases } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { createGas, buildGasSwitches, profileGases } from '../gases';
+import { createEnvironment } from '../environment';
+
+const SETTINGS = {
+  fO2: 0.21, fHe: 0.35, gfLow: 50, gfHigh: 70, ppO2Max: 1.4, ppO2Deco: 1.6, lastStopDepth: 6,
+  gases: [createGas(0.5), createGas(1.0)], sacRate: 20, tankSize: 24, tankPressure: 200, reservePressure: 50,
+};
+const STOPS = [{ depth: 50, time: 25 }];
+
+// A Bühlmann full calculation like the app's, with 1 min gas switches
+function calculate(settings, stops) {
+  const env = createEnvironment(settings);
+  const profile = calculateDiveProfile(stops, 18, 9, profileGases(settings, env));
+  const decoInfo = calculateZHL16C(profile.phases, {
+    fO2: settings.fO2, fHe: settings.fHe, gfLow: settings.gfLow, gfHigh: settings.gfHigh,
+    gasSwitches: buildGasSwitches(settings, env),
+  });
+  const stopsWithSwitches = decoInfo.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s);
+  return { ...addAscentPhases(profile, stopsWithSwitches, 9), decoInfo };
+}
+
+describe('contingencyVariants', () => {
+  it('builds the standard backup variants', () => {
+    const variants = contingencyVariants(SETTINGS, STOPS, { holdDepth: 21 });
+    expect(variants.map(v => v.id)).toEqual(['planned', 'deeper', 'longer', 'lost-gas0', 'lost-gas1', 'lost-all', 'delayed']);
+    const byId = Object.fromEntries(variants.map(v => [v.id, v]));
+    expect(byId.deeper.stops).toEqual([{ depth: 53, time: 25 }]);
+    expect(byId.longer.stops).toEqual([{ depth: 50, time: 30 }]);
+    expect(byId.longer.detail).toBe(5);
+    expect(byId['lost-gas0'].settings.gases).toEqual([SETTINGS.gases[1]]);
+    expect(byId['lost-all'].settings.gases).toEqual([]);
+    // 50 → 21 m at the default 9 m/min takes 4 min before the 5 min hold
+    expect(byId.delayed.stops).toEqual([...STOPS, { depth: 21, time: 9 }]);
+  });
+
+  it('lengthens only the last level at max depth', () => {
+    const stops = [{ depth: 40, time: 10 }, { depth: 40, time: 5 }, { depth: 20, time: 10 }];
+    const longer = contingencyVariants(SETTINGS, stops).find(v => v.id === 'longer');
+    expect(longer.stops.map(s => s.time)).toEqual([10, 10, 10]);
+  });
+
+  it('keeps the deco gases on CCR', () => {
+    const ids = contingencyVariants({ ...SETTINGS, algorithm: 'zhl16c', circuit: 'ccr' }, STOPS).map(v => v.id);
+    expect(ids.some(id => id.startsWith('lost'))).toBe(false);
+  });
+});
+
+describe('calculateContingencies', () => {
+  const rows = calculateContingencies(SETTINGS, STOPS, calculate);
+  const byId = Object.fromEntries(rows.map(r => [r.id, r]));
+
+  it('takes longer for every adverse variant', () => {
+    for (const id of ['deeper', 'longer', 'lost-gas0', 'lost-all', 'delayed']) {
+      expect(byId[id].totalTime).toBeGreaterThan(byId.planned.totalTime);
+    }
+  });
+
+  it('moves the gas need onto the remaining cylinders when a deco gas is lost', () => {
+    expect(byId['lost-all'].litersByGas).toEqual({ '21/35': byId['lost-all'].liters });
+    expect(byId['lost-all'].litersByGas['21/35']).toBeGreaterThan(byId.planned.litersByGas['21/35']);
+    expect(byId['lost-all'].short).toBe(true);
+    expect(byId.planned.short).toBe(false);
+  });
+
+  it('holds the delayed ascent for the full delay', () => {
+    const hold = byId.delayed.detail;
+    const atHold = byId.delayed.phases.find(p => p.action === 'Stay' && p.depth === hold);
+    expect(atHold.duration).toBe(5);
+    const ascent = byId.delayed.phases[byId.delayed.phases.indexOf(atHold) - 1];
+    expect(ascent).toMatchObject({ action: 'Ascend', depth: hold });
+  });
+
+  it('returns null without a decompression algorithm', () => {
+    expect(calculateContingencies(SETTINGS, STOPS, () => ({ phases: [], decoInfo: null }))).toBeNull();
+  });
+});
@@ -153,3 +153,37 @@ describe('All algorithms agree: 60m/20min requires deco', () => {
     });
   });
 });
+
+// ─── Bubble models on trimix with deco gases ────────────────────────────
+
+describe('Bubble models: trimix + multi-gas', () => {
+  const phases = getPhases(60, 25);
+  const TMX = { ...OPTS, fO2: 0.18, fHe: 0.45 };
+  const SWITCHES = [{ depth: 21, fO2: 0.50, fHe: 0 }, { depth: 6, fO2: 1.0, fHe: 0 }];
+
+  [['VPM-B', calculateVPM], ['RGBM', calculateRGBM]].forEach(([name, fn]) => {
+    it(`${name} tracks helium compartments`, () => {
+      const result = fn(phases, TMX);
+      expect(result.heLoading).not.toBeNull();
+      expect(result.heLoading[0]).toBeGreaterThan(1);
+      expect(fn(phases, OPTS).heLoading ?? null).toBeNull();
+    });
+
+    it(`${name} deco gases shorten the schedule`, () => {
+      const bottomOnly = fn(phases, TMX);
+      const multiGas = fn(phases, { ...TMX, gasSwitches: SWITCHES });
+      expect(totalDecoTime(multiGas)).toBeLessThan(totalDecoTime(bottomOnly));
+    });
+
+    it(`${name} marks gas switches and labels each stop`, () => {
+      const result = fn(phases, { ...TMX, gasSwitches: SWITCHES });
+      const switches = result.decoStops.filter(s => s.gasSwitch);
+      expect(switches.map(s => [s.depth, s.gas])).toEqual([[21, '50/0'], [6, '100/0']]);
+      expect(switches.every(s => s.time === 0)).toBe(true);
+      for (const stop of result.decoStops.filter(s => !s.gasSwitch)) {
+        const expected = stop.depth <= 6 ? '100/0' : stop.depth <= 21 ? '50/0' : '18/45';
+        expect(stop.gas).toBe(expected);
+      }
+    });
+  });
+});
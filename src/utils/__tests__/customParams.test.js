@@ -0,0 +1,242 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PARAM_SETS_FORMAT, MAX_COMPARTMENTS, isCustomAlgorithm, isBuhlmannAlgorithm, paramSetFor, panelParamSets, customAlgorithm,
+  createParamSet, duplicateParamSet, setParamValue, addCompartment, removeCompartment, splitFirstCompartment,
+  validateParamSet, hasErrors, sameParamSet, loadParamSets, saveParamSets, exportParamSets, parseParamSets,
+  serializeParamSet, parseParamSet, importParamSets,
+} from '../customParams';
+import { PARAM_SETS, calculateZHL16C, calculateCustomZHL } from '../buhlmann';
+import { algorithmFn, runAlgorithm, calculateFull } from '../planner';
+import { tissueTrace } from '../tissueTrace';
+import { ccrFromSettings } from '../ccr';
+
+const phases = [{ depth: 45, duration: 3, action: 'Descend' }, { depth: 45, duration: 25, action: 'Stay' }];
+const options = { fO2: 0.21, fHe: 0.35, gfLow: 40, gfHigh: 80 };
+const settingsFor = (set, extra = {}) => ({ algorithm: set.id, paramSets: { [set.id]: set }, fO2: 0.21, fHe: 0.35, gfLow: 40, gfHigh: 80, ...extra });
+const errors = (set, paramSets) => validateParamSet(set, paramSets).filter(issue => issue.level === 'error');
+const warnings = (set) => validateParamSet(set).filter(issue => issue.level === 'warning');
+
+function memoryStorage(initial = {}) {
+  const items = { ...initial };
+  return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; }, items };
+}
+
+describe('parameter sets', () => {
+  it('copies a built-in set under an unused name', () => {
+    const set = createParamSet('zhl16c');
+    expect(isCustomAlgorithm(set.id)).toBe(true);
+    expect(set).toMatchObject({ name: 'ZH-L 16C custom', compartments: 16, split1b: false });
+    expect(set.halfTimes).toEqual(PARAM_SETS.zhl16c.halfTimes);
+    expect(set.aValues[0]).toBeCloseTo(PARAM_SETS.zhl16c.aValues[0], 4);
+    expect(createParamSet('zhl16c', { [set.id]: set }).name).toBe('ZH-L 16C custom (2)');
+    expect(duplicateParamSet(set, { [set.id]: set })).toMatchObject({ name: 'ZH-L 16C custom (2)', halfTimes: set.halfTimes });
+    expect(duplicateParamSet(set).id).not.toBe(set.id);
+  });
+
+  it('finds no problems in copies of the built-in sets', () => {
+    for (const base of Object.keys(PARAM_SETS)) expect(validateParamSet(createParamSet(base))).toEqual([]);
+  });
+
+  it('tells custom and Bühlmann algorithm ids apart', () => {
+    expect(isCustomAlgorithm('custom-abc')).toBe(true);
+    expect(isCustomAlgorithm('zhl16c')).toBe(false);
+    expect(isBuhlmannAlgorithm('zhl6')).toBe(true);
+    expect(isBuhlmannAlgorithm('custom-abc')).toBe(true);
+    expect(isBuhlmannAlgorithm('vpm')).toBe(false);
+    expect(isBuhlmannAlgorithm(undefined)).toBe(false);
+  });
+
+  it('finds the set a panel runs', () => {
+    const set = createParamSet('zhl6');
+    expect(paramSetFor(settingsFor(set))).toBe(set);
+    expect(paramSetFor({ algorithm: set.id })).toBeNull();
+    expect(paramSetFor({ algorithm: 'zhl16c', paramSets: { [set.id]: set } })).toBeNull();
+    expect(customAlgorithm(set)).toMatchObject({ name: set.name, gf: true, ccr: true, trimix: true });
+  });
+
+  it('lists the sets of a list of panels once each', () => {
+    const set = createParamSet('zhl6');
+    const other = createParamSet('zhl8adt');
+    const sets = panelParamSets([settingsFor(set), { algorithm: 'vpm' }, settingsFor(set), settingsFor(other)]);
+    expect(sets.map(s => s.id)).toEqual([set.id, other.id]);
+    expect(panelParamSets([settingsFor({ ...set, halfTimes: [] })])).toEqual([]);
+  });
+});
+
+describe('editing compartments', () => {
+  it('appends a slower compartment', () => {
+    const set = addCompartment(createParamSet('zhl6'));
+    expect(set.compartments).toBe(7);
+    expect(set.halfTimes[6]).toBeCloseTo(set.halfTimes[5] * 1.3, 1);
+    expect(set.heHalfTimes[6]).toBeLessThan(set.halfTimes[6]);
+    expect(errors(set)).toEqual([]);
+  });
+
+  it('stops at the compartment limit', () => {
+    let set = createParamSet('zhl16c');
+    while (set.compartments < MAX_COMPARTMENTS) set = addCompartment(set);
+    expect(addCompartment(set)).toBe(set);
+    expect(splitFirstCompartment(set, true)).toBe(set);
+  });
+
+  it('removes a compartment', () => {
+    const set = removeCompartment(createParamSet('zhl6'), 2);
+    expect(set.compartments).toBe(5);
+    expect(set.halfTimes).toEqual(PARAM_SETS.zhl6.halfTimes.filter((_, i) => i !== 2));
+    expect(removeCompartment(removeCompartment(removeCompartment(removeCompartment(removeCompartment(set, 0), 0), 0), 0), 0).compartments).toBe(1);
+  });
+
+  it('splits the first compartment and merges it back', () => {
+    const set = createParamSet('zhl16c');
+    const split = splitFirstCompartment(set, true);
+    expect(split).toMatchObject({ compartments: 17, split1b: true });
+    expect(split.halfTimes[1]).toBeGreaterThan(set.halfTimes[0]);
+    expect(split.halfTimes[1]).toBeLessThan(set.halfTimes[1]);
+    expect(validateParamSet(split)).toEqual([]);
+    expect(splitFirstCompartment(split, false)).toMatchObject({ compartments: 16, split1b: false, halfTimes: set.halfTimes });
+    expect(removeCompartment(split, 0).split1b).toBe(false);
+    expect(removeCompartment(split, 5).split1b).toBe(true);
+  });
+
+  it('changes one value', () => {
+    const set = createParamSet('zhl6');
+    const next = setParamValue(set, 'bValues', 2, 0.9);
+    expect(next.bValues[2]).toBe(0.9);
+    expect(set.bValues[2]).not.toBe(0.9);
+  });
+});
+
+describe('validation', () => {
+  const set = createParamSet('zhl16c');
+
+  it('requires an unused name', () => {
+    expect(errors({ ...set, name: ' ' })).toHaveLength(1);
+    const other = { ...createParamSet('zhl6'), name: 'zh-l 16c CUSTOM' };
+    expect(errors(set, { [other.id]: other })[0].message).toMatch(/already exists/);
+    expect(errors(set, { [set.id]: set })).toEqual([]);
+  });
+
+  it('requires increasing half-times', () => {
+    const issues = errors(setParamValue(set, 'halfTimes', 3, set.halfTimes[2]));
+    expect(issues).toEqual([expect.objectContaining({ field: 'halfTimes', index: 3 })]);
+    expect(errors(setParamValue(set, 'heHalfTimes', 1, 1))[0]).toMatchObject({ field: 'heHalfTimes', index: 1 });
+  });
+
+  it('rejects b above 1 and values that are not positive numbers', () => {
+    expect(errors(setParamValue(set, 'bValues', 15, 1.05))).toEqual([expect.objectContaining({ field: 'bValues', index: 15 })]);
+    expect(errors(setParamValue(set, 'heA', 4, 0))[0]).toMatchObject({ field: 'heA', index: 4 });
+    expect(hasErrors(validateParamSet(setParamValue(set, 'aValues', 4, '')))).toBe(true);
+    expect(errors({ ...set, aValues: set.aValues.slice(1) })[0].field).toBe('aValues');
+    expect(errors({ ...set, compartments: 0 })).toHaveLength(1);
+  });
+
+  it('warns about implausible sets', () => {
+    expect(warnings(setParamValue(set, 'aValues', 10, set.aValues[9] + 0.1))[0]).toMatchObject({ field: 'aValues', index: 10 });
+    expect(warnings(setParamValue(set, 'bValues', 10, set.bValues[9] - 0.01))[0]).toMatchObject({ field: 'bValues', index: 10 });
+    expect(warnings(setParamValue(set, 'halfTimes', 15, 1500)).map(w => w.field)).toContain('halfTimes');
+    expect(warnings(setParamValue(set, 'heHalfTimes', 0, 4.5))).toEqual([expect.objectContaining({ field: 'heHalfTimes', index: 0 })]);
+    expect(hasErrors(validateParamSet(setParamValue(set, 'bValues', 10, set.bValues[9] - 0.01)))).toBe(false);
+  });
+
+  it('labels the split compartment 1b in messages', () => {
+    const split = splitFirstCompartment(set, true);
+    const [issue] = errors(setParamValue(split, 'halfTimes', 1, split.halfTimes[0]));
+    expect(issue.message).toMatch(/compartment 1b/);
+  });
+
+  it('compares what sets plan, not their names', () => {
+    expect(sameParamSet(set, { ...structuredClone(set), name: 'Other' })).toBe(true);
+    expect(sameParamSet(set, setParamValue(set, 'heB', 0, 0.5))).toBe(false);
+    expect(sameParamSet(set, splitFirstCompartment(set, true))).toBe(false);
+  });
+});
+
+describe('storing and sharing', () => {
+  const set = splitFirstCompartment(createParamSet('zhl16c'), true);
+  const other = createParamSet('zhl6');
+
+  it('saves to and loads from storage', () => {
+    const storage = memoryStorage();
+    expect(loadParamSets(storage)).toEqual({});
+    saveParamSets(storage, { [set.id]: set, [other.id]: other });
+    expect(loadParamSets(storage)).toEqual({ [set.id]: set, [other.id]: other });
+    expect(loadParamSets(memoryStorage({ paramSets: 'not json' }))).toEqual({});
+    expect(loadParamSets(memoryStorage({ paramSets: JSON.stringify([{ ...other, bValues: [2] }, set]) }))).toEqual({ [set.id]: set });
+  });
+
+  it('round-trips through a JSON file', () => {
+    const text = exportParamSets({ [set.id]: set, [other.id]: other }, 0);
+    expect(JSON.parse(text)).toMatchObject({ format: PARAM_SETS_FORMAT, exportedAt: '1970-01-01T00:00:00.000Z' });
+    expect(parseParamSets(text)).toEqual([set, other]);
+    expect(() => parseParamSets('{')).toThrow('not valid JSON');
+    expect(() => parseParamSets('{"format":"deco-plan-library","plans":[]}')).toThrow('Not a parameter set file');
+    expect(() => parseParamSets(JSON.stringify({ format: PARAM_SETS_FORMAT, version: 99, sets: [] }))).toThrow(/newer/);
+  });
+
+  it('round-trips through the URL', () => {
+    const named = { ...set, name: 'Deep! tweaks' };
+    const param = serializeParamSet(named);
+    expect(new URLSearchParams(`ps=${encodeURIComponent(param)}`).get('ps')).toBe(param);
+    expect(parseParamSet(param)).toEqual(named);
+  });
+
+  it('rejects malformed URL sets', () => {
+    expect(parseParamSet('')).toBeNull();
+    expect(parseParamSet('abc!0!1,2,3')).toBeNull();
+    expect(parseParamSet('abc!0!1,2,3!Short row')).toBeNull();
+    expect(parseParamSet('a-b!0!4,1.2,0.5,1.5,1.6,0.45!Bad id')).toBeNull();
+    expect(parseParamSet('abc!0!4,1.2,1.5,1.5,1.6,0.45!b above 1')).toBeNull();
+    expect(parseParamSet('abc!0!4,1.2,0.5,1.5,1.6,0.45!One')).toMatchObject({ id: 'custom-abc', compartments: 1, halfTimes: [4] });
+  });
+
+  it('imports new sets and maps known ones', () => {
+    const library = { [set.id]: set };
+    const copy = { ...structuredClone(set), id: 'custom-elsewhere', name: 'Renamed' };
+    const clash = { ...other, id: set.id, name: set.name };
+    const { paramSets, ids, added } = importParamSets(library, [copy, clash]);
+    expect(added).toBe(1);
+    expect(ids['custom-elsewhere']).toBe(set.id);
+    expect(ids[set.id]).not.toBe(set.id);
+    expect(paramSets[ids[set.id]]).toMatchObject({ name: `${set.name} (2)`, halfTimes: other.halfTimes });
+    expect(paramSets[set.id]).toBe(set);
+    expect(importParamSets(library, [copy]).paramSets).toBe(library);
+  });
+});
+
+describe('planning with a custom set', () => {
+  const set = createParamSet('zhl16c');
+
+  it('plans like the built-in set it was copied from', () => {
+    const custom = calculateCustomZHL(phases, { ...options, paramSet: set });
+    const builtIn = calculateZHL16C(phases, options);
+    expect(custom.decoStops).toEqual(builtIn.decoStops);
+    expect(custom.labels).toEqual(builtIn.labels);
+    expect(() => calculateCustomZHL(phases, options)).toThrow('Custom parameter set missing');
+  });
+
+  it('runs through the planner with the set from the settings', () => {
+    expect(algorithmFn(set.id)).toBe(calculateCustomZHL);
+    expect(algorithmFn('custom-unknown')).toBe(calculateCustomZHL);
+    expect(algorithmFn('nope')).toBeNull();
+    const slower = { ...set, aValues: set.aValues.map(a => a * 0.8) };
+    const base = runAlgorithm(settingsFor(set), phases);
+    const conservative = runAlgorithm(settingsFor(slower), phases);
+    const total = (result) => result.decoStops.reduce((sum, stop) => sum + stop.time, 0);
+    expect(total(conservative)).toBeGreaterThan(total(base));
+  });
+
+  it('traces the set\'s own compartments and labels', () => {
+    const split = splitFirstCompartment(set, true);
+    const plan = calculateFull({ ...settingsFor(split), descentRate: 18, ascentRate: 9, gases: [] }, [{ depth: 45, time: 25 }]);
+    expect(plan.decoInfo.labels.slice(0, 3)).toEqual(['1', '1b', '2']);
+    const trace = tissueTrace(plan.points, settingsFor(split), plan.phases);
+    expect(trace.compartments).toBe(17);
+    expect(trace.labels.slice(0, 3)).toEqual(['1', '1b', '2']);
+    expect(trace.halfTimes).toEqual(split.halfTimes);
+    expect(trace.steps.at(-1).depth).toBe(0);
+  });
+
+  it('allows CCR', () => {
+    expect(ccrFromSettings({ ...settingsFor(set), circuit: 'ccr' })).not.toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect } from 'vitest';
+import { parseSubsurface, parseUDDF, parseCSV, parseDiveLog, logProfile, ceilingViolations, replayLog } from '../diveLog';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateCeilingTimeline } from '../ceiling';
+
+const SSRF = `<divelog program='subsurface' version='3'>
+<dives>
+<dive number='42' date='2024-06-01' time='09:30:00' duration='30:00 min'>
+  <cylinder size='12.0 l' o2='21.0%' />
+  <cylinder size='7.0 l' o2='50.0%' />
+  <divecomputer model='Shearwater Perdix'>
+  <event time='24:00 min' type='25' flags='2' name='gaschange' cylinder='1' />
+  <sample time='0:00 min' depth='0.0 m' />
+  <sample time='2:00 min' depth='30.0 m' />
+  <sample time='20:00 min' depth='30.0 m' />
+  <sample time='24:00 min' depth='21.0 m' />
+  <sample time='27:00 min' depth='6.0 m' />
+  <sample time='30:00 min' depth='0.0 m' />
+  </divecomputer>
+</dive>
+</dives>
+</divelog>`;
+
+const UDDF = `<?xml version="1.0" encoding="UTF-8"?>
+<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.0">
+  <gasdefinitions>
+    <mix id="dil"><name>Tx 21/35</name><o2>0.21</o2><he>0.35</he></mix>
+  </gasdefinitions>
+  <profiledata><repetitiongroup><dive id="d1">
+    <informationbeforedive><datetime>2024-06-02T10:00:00</datetime></informationbeforedive>
+    <samples>
+      <waypoint><depth>0</depth><divetime>0</divetime><switchmix ref="dil"/><divemode type="closedcircuit"/><setpo2 setby="user">70000</setpo2></waypoint>
+      <waypoint><depth>45</depth><divetime>180</divetime><setpo2 setby="user">130000</setpo2></waypoint>
+      <waypoint><depth>45</depth><divetime>1200</divetime></waypoint>
+      <waypoint><depth>0</depth><divetime>2400</divetime></waypoint>
+    </samples>
+  </dive></repetitiongroup></profiledata>
+</uddf>`;
+
+const SHEARWATER_CSV = [
+  'Dive Number,Start Date,Imperial Units',
+  '7,2024-06-03,true',
+  'Time (sec),Depth,First Stop Depth,Fraction O2,Fraction He',
+  '0,0,0,0.32,0',
+  '120,100,0,0.32,0',
+  '1200,100,10,0.32,0',
+  '1500,0,0,0.32,0',
+].join('\n');
+
+describe('parseSubsurface', () => {
+  const [dive] = parseSubsurface(SSRF);
+
+  it('reads samples in seconds and meters', () => {
+    expect(dive.label).toBe('Dive #42 · 2024-06-01 09:30:00');
+    expect(dive.samples).toHaveLength(6);
+    expect(dive.samples[2]).toEqual({ time: 1200, depth: 30 });
+    expect(dive.ccr).toBe(false);
+  });
+
+  it('marks gas changes on the sample at the event time', () => {
+    expect(dive.gases).toEqual([{ fO2: 0.21, fHe: 0 }, { fO2: 0.5, fHe: 0 }]);
+    expect(dive.samples[3].gas).toEqual({ fO2: 0.5, fHe: 0 });
+  });
+
+  it('decodes the legacy gaschange value and carries the setpoint', () => {
+    const [ccr] = parseSubsurface(`<divelog><dives><dive><divecomputer dctype='CCR'>
+      <event time='1:00 min' name='gaschange' value='2293781' />
+      <sample time='0:00 min' depth='0.0 m' po2='0.7 bar' />
+      <sample time='1:00 min' depth='20.0 m' po2='1.3 bar' />
+      <sample time='2:00 min' />
+    </divecomputer></dive></dives></divelog>`);
+    expect(ccr.ccr).toBe(true);
+    expect(ccr.samples[1].gas).toEqual({ fO2: 0.21, fHe: 0.35 });
+    expect(ccr.samples[2]).toEqual({ time: 120, depth: 20 });
+  });
+});
+
+describe('parseUDDF', () => {
+  const [dive] = parseUDDF(UDDF);
+
+  it('reads waypoints, mixes and setpoints in SI units', () => {
+    expect(dive.samples.map(s => s.depth)).toEqual([0, 45, 45, 0]);
+    expect(dive.samples[0].gas).toEqual({ fO2: 0.21, fHe: 0.35 });
+    expect(dive.samples[1].setpoint).toBeCloseTo(1.3, 6);
+    expect(dive.ccr).toBe(true);
+    expect(dive.label).toBe('Dive 1 · 2024-06-02 10:00:00');
+  });
+});
+
+describe('parseCSV', () => {
+  it('reads a Shearwater export in feet', () => {
+    const [dive] = parseCSV(SHEARWATER_CSV);
+    expect(dive.samples).toHaveLength(4);
+    expect(dive.samples[1].depth).toBeCloseTo(30.48, 2);
+    expect(dive.gases).toEqual([{ fO2: 0.32, fHe: 0 }]);
+    expect(dive.samples[2].gas).toBeUndefined();
+  });
+
+  it('prefers the sample time column and reads mm:ss values', () => {
+    const [dive] = parseCSV([
+      '"dive number";"date";"time";"sample time (min)";"sample depth (m)"',
+      '1;2024-06-04;10:00:00;0:00;0',
+      '1;2024-06-04;10:00:00;1:30;12.5',
+    ].join('\n'));
+    expect(dive.samples).toEqual([{ time: 0, depth: 0 }, { time: 90, depth: 12.5 }]);
+  });
+
+  it('throws without time and depth columns', () => {
+    expect(() => parseCSV('a,b\n1,2')).toThrow(/time and depth/);
+  });
+});
+
+describe('parseDiveLog', () => {
+  it('picks the importer from the extension or content', () => {
+    expect(parseDiveLog(SSRF, 'log.ssrf')[0].format).toBe('subsurface');
+    expect(parseDiveLog(UDDF, 'export.xml')[0].format).toBe('uddf');
+    expect(parseDiveLog(SHEARWATER_CSV, 'dive.csv')[0].format).toBe('csv');
+  });
+
+  it('rejects files without a profile', () => {
+    expect(() => parseDiveLog('<foo/>', 'x.xml')).toThrow(/Unrecognized/);
+    expect(() => parseDiveLog('<divelog><dives></dives></divelog>', 'x.ssrf')).toThrow(/No dive profile/);
+  });
+});
+
+describe('logProfile', () => {
+  it('turns samples into phases on the gas breathed at their start', () => {
+    const profile = logProfile(parseSubsurface(SSRF)[0]);
+    expect(profile.gas).toEqual({ fO2: 0.21, fHe: 0 });
+    expect(profile.totalTime).toBe(30);
+    expect(profile.maxDepth).toBe(30);
+    expect(profile.phases.map(p => [p.action, p.depth, p.duration, p.gas])).toEqual([
+      ['Descend', 30, 2, undefined],
+      ['Stay', 30, 18, undefined],
+      ['Ascend', 21, 4, undefined],
+      ['Ascend', 6, 3, '50/0'],
+      ['Ascend', 0, 3, '50/0'],
+    ]);
+    expect(profile.points[profile.points.length - 1]).toEqual({ time: 30, depth: 0 });
+  });
+
+  it('carries logged setpoints onto the phases', () => {
+    const profile = logProfile(parseUDDF(UDDF)[0]);
+    expect(profile.ccr).toBe(true);
+    expect(profile.phases.map(p => p.setpoint)).toEqual([0.7, 1.3, 1.3]);
+  });
+});
+
+describe('replaying a log', () => {
+  const profile = logProfile(parseSubsurface(SSRF)[0]);
+  const settings = { algorithm: 'zhl16c', fO2: 0.21, fHe: 0, gfLow: 30, gfHigh: 70 };
+
+  it('flags a direct ascent that broke the ceiling and owes deco', () => {
+    const ceiling = calculateCeilingTimeline(profile.points, settings, profile.phases);
+    const violations = ceilingViolations(profile.points, ceiling);
+    expect(violations.minutes).toBeGreaterThan(0);
+    expect(violations.maxExcess).toBeGreaterThan(0);
+    const decoInfo = calculateZHL16C(profile.phases, settings);
+    expect(decoInfo.decoStops.length).toBeGreaterThan(0);
+  });
+
+  it('finds nothing on a short, shallow dive', () => {
+    const shallow = logProfile({ gases: [], samples: [{ time: 0, depth: 0 }, { time: 60, depth: 10 }, { time: 600, depth: 10 }, { time: 720, depth: 0 }] });
+    const ceiling = calculateCeilingTimeline(shallow.points, settings, shallow.phases);
+    expect(ceilingViolations(shallow.points, ceiling)).toEqual({ minutes: 0, maxExcess: 0 });
+  });
+});
+
+describe('replaying a CCR log', () => {
+  const profile = logProfile(parseUDDF(UDDF)[0]);
+  const settings = (algorithm) => ({ algorithm, fO2: 0.21, fHe: 0.35, gfLow: 30, gfHigh: 70, circuit: 'oc', conservatism: 0 });
+  // Inert gas left in a middle compartment at the end of the log
+  const inert = (replay) => replay.decoInfo.tissueLoading[8] + (replay.decoInfo.heLoading?.[8] ?? 0);
+  // The same dive breathed open circuit on the diluent
+  const openCircuit = { ...profile, ccr: false, phases: profile.phases.map(phase => ({ ...phase, setpoint: undefined })) };
+
+  it('loads the diluent at the logged setpoints on VPM-B', () => {
+    const ccr = replayLog(settings('vpm'), profile);
+    const oc = replayLog(settings('vpm'), openCircuit);
+    expect(ccr.ccrIgnored).toBe(false);
+    expect(ccr.decoInfo.circuit).toBe('ccr');
+    // 1.3 bar of O₂ at 45 m leaves far less inert gas than 21/35 open circuit
+    expect(inert(ccr)).toBeLessThan(inert(oc));
+    expect(Math.max(...ccr.ceiling)).toBeLessThan(Math.max(...oc.ceiling));
+    expect(ccr.minutes).toBeLessThan(oc.minutes);
+  });
+
+  it('follows the logged setpoint, not the planned one', () => {
+    const low = { ...profile, phases: profile.phases.map(phase => ({ ...phase, setpoint: 0.7 })) };
+    const lowReplay = replayLog(settings('vpm'), low);
+    const logged = replayLog(settings('vpm'), profile);
+    expect(inert(lowReplay)).toBeGreaterThan(inert(logged));
+    expect(Math.max(...lowReplay.ceiling)).toBeGreaterThan(Math.max(...logged.ceiling));
+  });
+
+  it('loads the loop on Thalmann', () => {
+    const ccr = replayLog(settings('thalmann'), profile);
+    expect(ccr.ccrIgnored).toBe(false);
+    expect(Math.max(...ccr.ceiling)).toBeLessThan(Math.max(...replayLog(settings('thalmann'), openCircuit).ceiling));
+  });
+
+  it('flags algorithms that replay it as open circuit', () => {
+    expect(replayLog(settings('rgbm'), profile).ccrIgnored).toBe(true);
+    expect(replayLog(settings('zhl16c'), profile).ccrIgnored).toBe(false);
+    expect(replayLog(settings('vpm'), openCircuit).ccrIgnored).toBe(false);
+  });
+});
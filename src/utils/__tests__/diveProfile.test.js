@@ -27,6 +27,12 @@ describe('serializePlan', () => {
     expect(serializePlan([{ depth: 25, time: 10 }, { depth: 20, time: 5 }]))
       .toBe('25:10,20:5');
   });
+
+  it('round-trips stop gases', () => {
+    const stops = [{ depth: 60, time: 20, gas: '18/45' }, { depth: 30, time: 10 }];
+    expect(serializePlan(stops)).toBe('60:20:18-45,30:10');
+    expect(parsePlan(serializePlan(stops))).toEqual(stops);
+  });
 });
 
 describe('getMaxDepth', () => {
@@ -97,3 +103,39 @@ describe('calculateDiveProfile', () => {
     expect(result.phases[2].action).toBe('Descend');
   });
 });
+
+describe('calculateDiveProfile gases', () => {
+  const gases = { bottomGas: '18/45', travelGases: [{ gas: '32/0', depth: 30 }], switchTime: 1 };
+
+  it('is unchanged when every stop breathes the bottom gas', () => {
+    const stops = [{ depth: 25, time: 10 }, { depth: 20, time: 5 }];
+    expect(calculateDiveProfile(stops, 18, 9, { bottomGas: '21/0', switchTime: 1 }))
+      .toEqual(calculateDiveProfile(stops, 18, 9));
+  });
+
+  it('descends on the travel gas and switches at its depth', () => {
+    const { phases, lastStopEnd } = calculateDiveProfile([{ depth: 60, time: 25 }], 18, 9, gases);
+    expect(phases.map(p => p.action)).toEqual(['Descend', 'Gas Switch', 'Descend', 'Stay']);
+    expect(phases[0]).toMatchObject({ depth: 30, duration: 2, gas: '32/0' });
+    expect(phases[1]).toMatchObject({ depth: 30, duration: 1, gas: '18/45' });
+    expect(phases[2].gas).toBeUndefined();
+    // Switch time counts toward the planned stop time
+    expect(lastStopEnd).toBe(25);
+  });
+
+  it('stays on the travel gas above its switch depth', () => {
+    const { phases } = calculateDiveProfile([{ depth: 20, time: 10 }, { depth: 50, time: 20 }], 18, 9, gases);
+    expect(phases[1]).toMatchObject({ action: 'Stay', gas: '32/0' });
+    expect(phases.find(p => p.action === 'Gas Switch')).toMatchObject({ depth: 30, gas: '18/45' });
+  });
+
+  it('switches to a stop gas on arrival and back for the next stop', () => {
+    const { phases } = calculateDiveProfile(
+      [{ depth: 40, time: 20 }, { depth: 21, time: 10, gas: '50/0' }, { depth: 30, time: 5 }],
+      18, 9, { bottomGas: '21/0', switchTime: 0 }
+    );
+    const switches = phases.filter(p => p.action === 'Gas Switch');
+    expect(switches.map(p => [p.depth, p.gas])).toEqual([[21, '50/0'], [30, '21/0']]);
+    expect(phases.find(p => p.action === 'Stay' && p.depth === 21).gas).toBe('50/0');
+  });
+});
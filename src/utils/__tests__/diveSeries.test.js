@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateVPM } from '../vpm';
+import { calculateHaldane } from '../haldane';
+import { calculateDSAT } from '../dsat';
+import { calculateCNS, decayCNS } from '../oxygenToxicity';
+import { calculateDiveSeries, parseRepetitiveDives, serializeRepetitiveDives } from '../diveSeries';
+
+const OPTS = { fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 80, ascentRate: 9, decoAscentRate: 9, gasSwitches: [], lastStopDepth: 6 };
+const DIVE = [{ depth: 30, time: 20 }];
+
+describe('initial tissue state', () => {
+  it('residual loading adds deco on a second dive', () => {
+    const phases = calculateDiveProfile([{ depth: 30, time: 25 }], 18, 9).phases;
+    const fresh = calculateZHL16C(phases, OPTS);
+    const loaded = calculateZHL16C(phases, { ...OPTS, initialTissues: { n2: fresh.tissueLoading, he: null } });
+    const freshDeco = fresh.decoStops.reduce((s, d) => s + d.time, 0);
+    const loadedDeco = loaded.decoStops.reduce((s, d) => s + d.time, 0);
+    expect(loadedDeco).toBeGreaterThan(freshDeco);
+  });
+
+  it('ignores initial tissues with the wrong compartment count', () => {
+    const phases = calculateDiveProfile(DIVE, 18, 9).phases;
+    const fresh = calculateHaldane(phases, OPTS);
+    const bad = calculateHaldane(phases, { ...OPTS, initialTissues: { n2: [5, 5], he: null } });
+    expect(bad.tissueLoading).toEqual(fresh.tissueLoading);
+  });
+
+  it('VPM surface intervals accumulate in the bubble state', () => {
+    const first = calculateVPM(calculateDiveProfile([{ depth: 50, time: 20 }], 18, 9).phases, OPTS);
+    const rest = calculateVPM([{ depth: 0, duration: 45, runTime: 0, action: 'Surface Interval' }], {
+      ...OPTS, initialTissues: { n2: first.tissueLoading, he: null, bubble: first.bubbleState },
+    });
+    expect(rest.bubbleState.surfaceTime).toBe(45);
+    expect(rest.bubbleState.maxActualGradient).toEqual(first.bubbleState.maxActualGradient);
+  });
+
+  it('VPM excited nuclei make the next dive more conservative', () => {
+    const phases = calculateDiveProfile([{ depth: 30, time: 30 }], 18, 9).phases;
+    const fresh = calculateVPM(phases, OPTS);
+    const excited = (surfaceTime) => ({
+      ...fresh.bubbleState,
+      maxActualGradient: new Array(16).fill(2.0),
+      surfaceTime,
+    });
+    const soon = calculateVPM(phases, { ...OPTS, initialTissues: { bubble: excited(60) } });
+    const weeksLater = calculateVPM(phases, { ...OPTS, initialTissues: { bubble: excited(20160 * 10) } });
+    const deco = (r) => r.decoStops.reduce((s, d) => s + d.time, 0);
+    expect(deco(soon)).toBeGreaterThan(deco(fresh));
+    expect(deco(weeksLater)).toBe(deco(fresh));
+  });
+});
+
+describe('CNS carry-over', () => {
+  it('decays with a 90 minute half-time', () => {
+    expect(decayCNS(40, 90)).toBeCloseTo(20);
+    expect(decayCNS(40, 180)).toBeCloseTo(10);
+    expect(decayCNS(40, 0)).toBe(40);
+    expect(decayCNS(0, 60)).toBe(0);
+  });
+
+  it('calculateCNS adds to a starting value', () => {
+    const phases = calculateDiveProfile(DIVE, 18, 9).phases;
+    const base = calculateCNS(phases, 0.32, 0);
+    const carried = calculateCNS(phases, 0.32, 0, null, 15);
+    expect(carried.totalCNS).toBeCloseTo(base.totalCNS + 15);
+  });
+});
+
+describe('calculateDiveSeries', () => {
+  const profile = { descentRate: 18, ascentRate: 9, decoAscentRate: 9, gasSwitchTime: true };
+
+  it('returns an empty series without an algorithm', () => {
+    expect(calculateDiveSeries([{ stops: DIVE }], null, OPTS, profile)).toEqual([]);
+  });
+
+  it('the first dive matches a standalone plan', () => {
+    const [first] = calculateDiveSeries([{ surfaceInterval: 0, stops: DIVE }], calculateZHL16C, OPTS, profile);
+    const phases = calculateDiveProfile(DIVE, 18, 9).phases;
+    expect(first.decoInfo.decoStops).toEqual(calculateZHL16C(phases, OPTS).decoStops);
+    expect(first.penalty).toBe(0);
+    expect(first.startTissues).toBeNull();
+  });
+
+  it('penalizes a repeat dive after a short surface interval', () => {
+    const decoDive = [{ depth: 30, time: 30 }];
+    const series = calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: decoDive }, { surfaceInterval: 30, stops: decoDive }],
+      calculateZHL16C, OPTS, profile
+    );
+    expect(series[1].penalty).toBeGreaterThan(0);
+    expect(series[1].totalTime).toBeGreaterThan(series[0].totalTime);
+  });
+
+  it('a longer surface interval means a smaller penalty', () => {
+    const run = (si) => calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: si, stops: DIVE }],
+      calculateZHL16C, OPTS, profile
+    )[1];
+    expect(run(360).decoTime).toBeLessThanOrEqual(run(30).decoTime);
+    expect(run(360).startTissues.n2[0]).toBeLessThan(run(30).startTissues.n2[0]);
+  });
+
+  it('third dive carries more residual loading than the second', () => {
+    const series = calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: 60, stops: DIVE }, { surfaceInterval: 60, stops: DIVE }],
+      calculateZHL16C, OPTS, profile
+    );
+    expect(series).toHaveLength(3);
+    const slowest = (d) => d.startTissues.n2[d.startTissues.n2.length - 1];
+    expect(slowest(series[2])).toBeGreaterThan(slowest(series[1]));
+    expect(series[2].penalty).toBeGreaterThanOrEqual(series[1].penalty);
+  });
+
+  it('carries decayed CNS between dives', () => {
+    const nitrox = { ...OPTS, fO2: 0.32 };
+    const series = calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: 90, stops: DIVE }],
+      calculateZHL16C, nitrox, profile
+    );
+    expect(series[0].startCNS).toBe(0);
+    expect(series[1].startCNS).toBeCloseTo(series[0].endCNS / 2);
+    expect(series[1].endCNS).toBeGreaterThan(series[1].startCNS);
+  });
+
+  it('keeps empty follow-up dives in the series', () => {
+    const series = calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: 60, stops: [] }],
+      calculateZHL16C, OPTS, profile
+    );
+    expect(series[1].empty).toBe(true);
+  });
+});
+
+describe('repetitive dive URL format', () => {
+  it('round-trips follow-up dives', () => {
+    const dives = [
+      { surfaceInterval: 60, stops: [{ depth: 18, time: 40 }, { depth: 5, time: 3 }] },
+      { surfaceInterval: 120, stops: [{ depth: 15, time: 45 }] },
+    ];
+    expect(parseRepetitiveDives(serializeRepetitiveDives(dives))).toEqual(dives);
+  });
+
+  it('skips malformed entries', () => {
+    expect(parseRepetitiveDives('abc@18:40|60@18:x,12:30')).toEqual([
+      { surfaceInterval: 60, stops: [{ depth: 12, time: 30 }] },
+    ]);
+  });
+});
+
+describe('table pressure groups', () => {
+  const profile = { descentRate: 18, ascentRate: 9, decoAscentRate: 9, gasSwitchTime: true };
+  const dives = [{ surfaceInterval: 0, stops: [{ depth: 18, time: 30 }] }, { surfaceInterval: 60, stops: [{ depth: 18, time: 30 }] }];
+
+  it('carries the group through the surface interval into RNT and adjusted NDL', () => {
+    const [first, second] = calculateDiveSeries(dives, calculateDSAT, OPTS, profile);
+    expect(first.table).toBeNull();
+    expect(second.table.startGroup).toBeTruthy();
+    expect(second.table.residualTime).toBeGreaterThan(0);
+    expect(second.table.adjustedNDL).toBe(Math.max(0, second.decoInfo.ndl - second.table.residualTime));
+    expect(second.decoInfo.decoRequired).toBe(30 + second.table.residualTime > second.decoInfo.ndl);
+  });
+
+  it('skips the table workflow for model algorithms', () => {
+    const series = calculateDiveSeries(dives, calculateZHL16C, OPTS, profile);
+    expect(series[1].table).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { altitudeToPressure, createEnvironment, seaLevelDepth, siteFromSettings, SEA_LEVEL } from '../environment';
+import { depthToPressure, calcMOD } from '../physics';
+import { P_SURFACE } from '../constants';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateUSNavy } from '../usnavy';
+import { calculateDSAT } from '../dsat';
+import { calculateBSAC } from '../bsac';
+import { calculateCNS } from '../oxygenToxicity';
+
+const totalDeco = (result) => result.decoStops.reduce((sum, s) => sum + s.time, 0);
+
+describe('dive site environment', () => {
+  it('derives surface pressure from altitude', () => {
+    expect(altitudeToPressure(0)).toBe(P_SURFACE);
+    expect(altitudeToPressure(2000)).toBeCloseTo(0.795, 3);
+    expect(altitudeToPressure(-50)).toBe(P_SURFACE);
+  });
+
+  it('fresh water is less dense than salt water', () => {
+    const fresh = createEnvironment({ salinity: 'fresh' });
+    expect(fresh.metersPerBar).toBeCloseTo(10.197, 3);
+    expect(depthToPressure(10, fresh)).toBeLessThan(depthToPressure(10));
+    expect(createEnvironment({ salinity: 'brackish' }).salinity).toBe('salt');
+  });
+
+  it('defaults to sea level salt water', () => {
+    expect(depthToPressure(30)).toBe(P_SURFACE + 3);
+    expect(SEA_LEVEL.equilibriumPressure).toBe(P_SURFACE);
+    expect(siteFromSettings({})).toEqual({ altitude: 0, salinity: 'salt', acclimatized: true });
+  });
+
+  it('a fresh arrival keeps sea level saturation', () => {
+    expect(createEnvironment({ altitude: 2000 }).equilibriumPressure).toBeCloseTo(0.795, 3);
+    expect(createEnvironment({ altitude: 2000, acclimatized: false }).equilibriumPressure).toBe(P_SURFACE);
+  });
+
+  it('converts altitude depths to sea level equivalents', () => {
+    const env = createEnvironment({ altitude: 2000, salinity: 'fresh' });
+    expect(seaLevelDepth(20, env)).toBeCloseTo(20 / 1.0197 * P_SURFACE / 0.795, 1);
+    expect(seaLevelDepth(20)).toBe(20);
+  });
+
+  it('lowers the MOD for fresh water and raises it at altitude', () => {
+    expect(calcMOD(0.32, 1.4)).toBe(33);
+    expect(calcMOD(0.32, 1.4, createEnvironment({ salinity: 'fresh' }))).toBe(34);
+    expect(calcMOD(0.32, 1.4, createEnvironment({ altitude: 2000 }))).toBe(35);
+  });
+});
+
+describe('altitude and fresh water in the algorithms', () => {
+  const profile = calculateDiveProfile([{ depth: 30, time: 30 }], 18, 9);
+
+  it('explicit sea level matches the defaults', () => {
+    const base = calculateZHL16C(profile.phases, { fO2: 0.21, gfLow: 50, gfHigh: 80 });
+    const site = calculateZHL16C(profile.phases, { fO2: 0.21, gfLow: 50, gfHigh: 80, altitude: 0, salinity: 'salt', acclimatized: true });
+    expect(site.decoStops).toEqual(base.decoStops);
+    expect(site.tissueLoading).toEqual(base.tissueLoading);
+  });
+
+  it('altitude adds Bühlmann deco', () => {
+    const opts = { fO2: 0.21, gfLow: 50, gfHigh: 80 };
+    const sea = calculateZHL16C(profile.phases, opts);
+    const lake = calculateZHL16C(profile.phases, { ...opts, altitude: 2000, salinity: 'fresh' });
+    expect(totalDeco(lake)).toBeGreaterThan(totalDeco(sea));
+  });
+
+  it('a fresh arrival needs more deco than an acclimatized diver', () => {
+    const opts = { fO2: 0.21, gfLow: 50, gfHigh: 80, altitude: 3000 };
+    const acclimatized = calculateZHL16C(profile.phases, opts);
+    const arrival = calculateZHL16C(profile.phases, { ...opts, acclimatized: false });
+    expect(totalDeco(arrival)).toBeGreaterThan(totalDeco(acclimatized));
+  });
+
+  it('scales CNS with the site pressure', () => {
+    const phases = [{ depth: 30, duration: 60, action: 'Stay' }];
+    const sea = calculateCNS(phases, 0.32);
+    const lake = calculateCNS(phases, 0.32, 0, null, 0, createEnvironment({ altitude: 2000, salinity: 'fresh' }));
+    expect(lake.totalCNS).toBeLessThan(sea.totalCNS);
+  });
+});
+
+describe('table altitude corrections', () => {
+  it('USN uses the equivalent depth above 300 ft with shallower stops', () => {
+    const profile = calculateDiveProfile([{ depth: 27, time: 40 }], 18, 9);
+    const low = calculateUSNavy(profile.phases, { fO2: 0.21, altitude: 50 });
+    expect(low.equivalentDepth).toBe(27);
+    const high = calculateUSNavy(profile.phases, { fO2: 0.21, altitude: 2000 });
+    expect(high.equivalentDepth).toBeGreaterThan(27);
+    expect(high.tableDepth).toBeGreaterThan(low.tableDepth);
+    expect(high.decoStops[high.decoStops.length - 1].depth).toBeLessThan(3);
+  });
+
+  it('DSAT marks dives above 3000 m as outside the RDP', () => {
+    const profile = calculateDiveProfile([{ depth: 12, time: 20 }], 18, 9);
+    const result = calculateDSAT(profile.phases, { fO2: 0.21, altitude: 3500 });
+    expect(result.ndl).toBe(0);
+    expect(result.decoRequired).toBe(true);
+    expect(calculateDSAT(profile.phases, { fO2: 0.21, altitude: 1000 }).oceanDepth).toBeGreaterThan(12);
+  });
+
+  it('BSAC rounds the altitude up to the next band', () => {
+    const profile = calculateDiveProfile([{ depth: 20, time: 30 }], 18, 9);
+    const at800 = calculateBSAC(profile.phases, { fO2: 0.21, altitude: 800 });
+    const at1500 = calculateBSAC(profile.phases, { fO2: 0.21, altitude: 1500 });
+    expect(at800.equivalentDepth).toBeCloseTo(at1500.equivalentDepth, 10);
+    expect(calculateBSAC(profile.phases, { fO2: 0.21, altitude: 200 }).equivalentDepth).toBe(20);
+  });
+
+  it('BSAC flags the band approximation above the sea level band', () => {
+    const profile = calculateDiveProfile([{ depth: 20, time: 30 }], 18, 9);
+    expect(calculateBSAC(profile.phases, { fO2: 0.21, altitude: 200 }).altitudeApproximation).toBe(false);
+    expect(calculateBSAC(profile.phases, { fO2: 0.21, altitude: 800 }).altitudeApproximation).toBe(true);
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import { calculateGasConsumption, calculateRockBottom, calculateTurnPressure, litersToBars, TANK_PRESETS } from '../gasPlanning';
+import { calculateGasConsumption, calculateRockBottom, calculateTurnPressure, litersToBars, TANK_PRESETS, calculateBailoutPlan } from '../gasPlanning';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { createEnvironment } from '../environment';
+import { depthToPressure } from '../physics';
 
 describe('Gas consumption', () => {
   it('surface consumption = SAC × time', () => {
@@ -150,3 +154,70 @@ describe('litersToBars', () => {
     expect(litersToBars(100, 0)).toBe(0);
   });
 });
+
+describe('CCR bailout plan', () => {
+  const ccr = { setpointLow: 0.7, setpointHigh: 1.3, switchDepth: 20 };
+  const phases = calculateDiveProfile([{ depth: 60, time: 25 }], 18, 9).phases;
+  const options = {
+    fO2: 0.18, fHe: 0.45, ccr,
+    bailoutGases: [{ fO2: 0.18, fHe: 0.45 }, { fO2: 0.5, fHe: 0, depth: 21 }, { fO2: 1.0, fHe: 0, depth: 6 }],
+    gfLow: 50, gfHigh: 70, sacRate: 20,
+  };
+
+  it('returns null for open-circuit dives', () => {
+    expect(calculateBailoutPlan(phases, { ...options, ccr: null })).toBeNull();
+  });
+
+  it('bails out from max depth at the end of bottom time', () => {
+    const plan = calculateBailoutPlan(phases, options);
+    expect(plan.bailoutDepth).toBe(60);
+    expect(plan.bailoutTime).toBe(25);
+    expect(plan.totalTime).toBeGreaterThan(plan.bailoutTime);
+    expect(plan.phases[plan.phases.length - 1].depth).toBe(0);
+  });
+
+  it('switches to the bailout deco gases', () => {
+    const plan = calculateBailoutPlan(phases, options);
+    const switches = plan.decoStops.filter(s => s.gasSwitch).map(s => s.gas);
+    expect(switches).toEqual(['50/0', '100/0']);
+  });
+
+  it('reports gas per bailout gas with a cylinder', () => {
+    const plan = calculateBailoutPlan(phases, options);
+    expect(plan.gases.map(g => g.label)).toEqual(['18/45', '50/0', '100/0']);
+    plan.gases.forEach(g => {
+      expect(g.liters).toBeGreaterThan(0);
+      expect(g.cylinder.size * (200 - 50)).toBeGreaterThanOrEqual(g.liters);
+    });
+    expect(plan.totalLiters).toBeCloseTo(plan.gases.reduce((s, g) => s + g.liters, 0));
+  });
+
+  it('starts deco from the loop tissue state, not surface', () => {
+    const plan = calculateBailoutPlan(phases, options);
+    const fresh = calculateZHL16C([{ depth: 60, duration: 0 }], { fO2: 0.18, fHe: 0.45, gfLow: 50, gfHigh: 70 });
+    expect(plan.decoStops.length).toBeGreaterThan(fresh.decoStops.length);
+  });
+
+  it('counts gas at the ambient pressure of the dive site', () => {
+    const site = { altitude: 2000, salinity: 'fresh' };
+    const plan = calculateBailoutPlan(phases, { ...options, ...site });
+    const env = createEnvironment(site);
+    const stop = plan.phases.find(p => p.action === 'Deco Stop');
+    expect(stop.liters).toBeCloseTo(20 * 2 * depthToPressure(stop.depth, env) * stop.duration);
+  });
+
+  it('keeps the volumes of bailout gases with the same mix apart', () => {
+    const bailoutGases = [options.bailoutGases[0], { fO2: 0.5, fHe: 0, depth: 21 }, { fO2: 0.5, fHe: 0, depth: 21 }];
+    const plan = calculateBailoutPlan(phases, { ...options, bailoutGases });
+    const rows = plan.phases.reduce((sum, p) => sum + p.liters, 0);
+    expect(plan.totalLiters).toBeCloseTo(rows);
+    expect(plan.gases[1].liters).toBeGreaterThan(0);
+    expect(plan.gases[2].liters).toBe(0);
+  });
+
+  it('earlier bailout needs less gas', () => {
+    const worst = calculateBailoutPlan(phases, options);
+    const early = calculateBailoutPlan(phases, { ...options, bailoutTime: 10 });
+    expect(early.totalLiters).toBeLessThan(worst.totalLiters);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildGasTimeline, getGasAtTime } from '../gasTimeline';
+import { buildGasTimeline, getGasAtTime, phaseGases } from '../gasTimeline';
 
 describe('buildGasTimeline', () => {
   it('returns default gas for empty phases', () => {
@@ -62,3 +62,21 @@ describe('getGasAtTime', () => {
     expect(getGasAtTime(timeline, 35).fO2).toBe(1.0);
   });
 });
+
+describe('phaseGases', () => {
+  it('carries each label forward until the next one', () => {
+    const gases = phaseGases([
+      { depth: 30, duration: 2, action: 'Descend', gas: '32/0' },
+      { depth: 30, duration: 1, action: 'Gas Switch', gas: '18/45' },
+      { depth: 60, duration: 20, action: 'Stay' },
+    ], 0.21, 0);
+    expect(gases.map(g => g.fO2)).toEqual([0.32, 0.18, 0.18]);
+    expect(gases[2].fHe).toBe(0.45);
+  });
+
+  it('starts on the default gas', () => {
+    const [gas] = phaseGases([{ depth: 20, duration: 10, action: 'Stay' }], 0.32);
+    expect(gas.fO2).toBe(0.32);
+    expect(gas.fN2).toBeCloseTo(0.68);
+  });
+});
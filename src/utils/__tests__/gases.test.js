@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createGas, gasLabel, gasName, gasSwitchDepth, buildGasSwitches, gasCylinders,
+  parseGasList, serializeGasList,
+} from '../gases';
+import { calculateDiveProfile, addAscentPhases } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateGasConsumption } from '../gasPlanning';
+
+const settings = (gases) => ({ fO2: 0.18, fHe: 0.45, ppO2Max: 1.4, ppO2Deco: 1.6, tankSize: 24, tankPressure: 200, gases });
+
+describe('gas list', () => {
+  it('names gases', () => {
+    expect(gasName({ fO2: 0.21 })).toBe('Air');
+    expect(gasName({ fO2: 0.5, fHe: 0 })).toBe('EAN50');
+    expect(gasName({ fO2: 1 })).toBe('O₂');
+    expect(gasName({ fO2: 0.21, fHe: 0.35 })).toBe('Tx 21/35');
+    expect(gasLabel({ fO2: 0.35, fHe: 0.25 })).toBe('35/25');
+  });
+
+  it('switches at the MOD for the role unless a depth is set', () => {
+    const s = settings([]);
+    expect(gasSwitchDepth(createGas(0.5), s)).toBe(22);
+    expect(gasSwitchDepth(createGas(0.21, 0.35, 'travel'), s)).toBe(56);
+    expect(gasSwitchDepth({ ...createGas(1), switchDepth: 3 }, s)).toBe(3);
+  });
+
+  it('builds deepest-first switches of any length, keeping helium', () => {
+    const switches = buildGasSwitches(settings([
+      createGas(1), createGas(0.5), createGas(0.35, 0.25), createGas(0.21, 0.35),
+    ]));
+    expect(switches.map(g => g.depth)).toEqual([66, 35, 22, 6]);
+    expect(switches[0].fHe).toBe(0.35);
+    expect(switches[1].fHe).toBe(0.25);
+  });
+
+  it('round-trips through the URL format', () => {
+    const gases = [
+      { ...createGas(0.21, 0.35, 'travel'), switchDepth: 57, tankSize: 11.1 },
+      createGas(0.35, 0.25, 'bottom'),
+      createGas(0.5),
+      { ...createGas(1), switchDepth: 6, tankPressure: 180 },
+    ];
+    const str = serializeGasList(gases);
+    expect(str).toBe('t21-35@57*11.1,b35-25,d50,d100@6:180');
+    expect(parseGasList(str)).toEqual(gases);
+  });
+
+  it('drops malformed URL entries', () => {
+    expect(parseGasList('d50,x32,d80-30,junk')).toEqual([createGas(0.5)]);
+    expect(parseGasList('')).toEqual([]);
+  });
+});
+
+describe('multi-gas trimix deco', () => {
+  it('switches through every gas on the ascent', () => {
+    const s = settings([createGas(0.21, 0.35), createGas(0.35, 0.25), createGas(0.5), createGas(1)]);
+    const profile = calculateDiveProfile([{ depth: 70, time: 25 }], 20, 9);
+    const result = calculateZHL16C(profile.phases, {
+      fO2: s.fO2, fHe: s.fHe, gfLow: 30, gfHigh: 80, gasSwitches: buildGasSwitches(s),
+    });
+    const switched = result.decoStops.filter(st => st.gasSwitch).map(st => st.gas);
+    expect(switched).toEqual(['21/35', '35/25', '50/0', '100/0']);
+  });
+
+  it('charges each cylinder for the gas breathed from it', () => {
+    const s = settings([createGas(0.5), createGas(1)]);
+    const profile = calculateDiveProfile([{ depth: 45, time: 25 }], 20, 9);
+    const result = calculateZHL16C(profile.phases, {
+      fO2: s.fO2, fHe: s.fHe, gfLow: 30, gfHigh: 80, gasSwitches: buildGasSwitches(s),
+    });
+    const full = addAscentPhases(profile, result.decoStops, 9);
+    const { gasUsage, gasBreakdown } = calculateGasConsumption(full.phases, 20, s.fO2, s.fHe, gasCylinders(s));
+    expect(gasUsage.gas0).toBeGreaterThan(0);
+    expect(gasUsage.gas1).toBeGreaterThan(0);
+    expect(gasBreakdown.gas1.totalVolume).toBe(1400);
+    const total = gasUsage.bottom + gasUsage.gas0 + gasUsage.gas1;
+    expect(total).toBeCloseTo(calculateGasConsumption(full.phases, 20).totalLiters, 6);
+  });
+});
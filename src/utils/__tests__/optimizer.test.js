@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { optimizePlan, paretoFront, switchDepthCandidates, gfPairs } from '../optimizer';
+import { createGas } from '../gases';
+import { SEA_LEVEL } from '../environment';
+
+const SETTINGS = {
+  algorithm: 'zhl16c', fO2: 0.21, fHe: 0.35, gfLow: 50, gfHigh: 70,
+  descentRate: 18, ascentRate: 9, decoAscentRate: 9, ppO2Max: 1.4, ppO2Deco: 1.6,
+  gases: [createGas(0.5), createGas(1.0)], gasSwitchTime: true, lastStopDepth: 6, stopInterval: 3,
+  sacRate: 20, tankSize: 24, tankPressure: 200, reservePressure: 50,
+};
+const STOPS = [{ depth: 50, time: 25 }];
+const SEARCH = { pairs: gfPairs([30, 50], [70, 85]) };
+
+describe('switchDepthCandidates', () => {
+  it('starts at the deepest stop within the MOD', () => {
+    expect(switchDepthCandidates(0.5, 1.6, 3, 6, SEA_LEVEL)).toEqual([21, 18]);
+  });
+
+  it('never goes above the last stop', () => {
+    expect(switchDepthCandidates(1.0, 1.6, 3, 6, SEA_LEVEL)).toEqual([6]);
+    expect(switchDepthCandidates(1.0, 1.6, 3, 3, SEA_LEVEL, 3)).toEqual([6, 3]);
+  });
+});
+
+describe('paretoFront', () => {
+  it('drops plans a more conservative GF pair matches or beats', () => {
+    const plans = [
+      { gfLow: 30, gfHigh: 70, runtime: 50 },
+      { gfLow: 50, gfHigh: 70, runtime: 45 },
+      { gfLow: 50, gfHigh: 85, runtime: 45 },
+      { gfLow: 30, gfHigh: 85, runtime: 44 },
+    ];
+    expect(paretoFront(plans).map(p => `${p.gfLow}/${p.gfHigh}`)).toEqual(['30/70', '50/70', '30/85']);
+  });
+});
+
+describe('optimizePlan', () => {
+  it('finds the shortest plan within the limits', () => {
+    const result = optimizePlan(SETTINGS, STOPS, {}, SEARCH);
+    expect(result.evaluated).toBeGreaterThan(0);
+    expect(result.best.runtime).toBe(Math.min(...result.front.map(p => p.runtime)));
+    expect(result.best.maxPpO2).toBeLessThanOrEqual(1.6);
+    expect(result.best.switches.length).toBeGreaterThan(0);
+  });
+
+  it('keeps deco gases within the max ppO₂', () => {
+    const result = optimizePlan(SETTINGS, STOPS, { maxPpO2: 1.4 }, SEARCH);
+    const ean50 = result.best.switches.find(s => s.gas === '50/0');
+    expect(ean50.depth).toBeLessThanOrEqual(18);
+  });
+
+  it('skips plans that run a cylinder into its reserve', () => {
+    const result = optimizePlan({ ...SETTINGS, tankSize: 12 }, STOPS, {}, SEARCH);
+    expect(result.best).toBeNull();
+    expect(result.rejected.gas).toBe(result.evaluated);
+  });
+
+  it('returns settings that reproduce the plan', () => {
+    const { best } = optimizePlan(SETTINGS, STOPS, {}, SEARCH);
+    const { patch } = best;
+    expect(patch).toMatchObject({ gfLow: best.gfLow, gfHigh: best.gfHigh, lastStopDepth: best.lastStopDepth });
+    expect(patch.gases.map(g => g.switchDepth)).toEqual(best.switches.map(s => s.depth));
+    const again = optimizePlan({ ...SETTINGS, ...patch }, STOPS, {}, { pairs: [{ gfLow: best.gfLow, gfHigh: best.gfHigh }], lastStops: [best.lastStopDepth], switchSteps: 1 });
+    expect(again.best.runtime).toBe(best.runtime);
+  });
+
+  it('trades runtime for gas when asked', () => {
+    const runtime = optimizePlan(SETTINGS, STOPS, {}, SEARCH).best;
+    const gas = optimizePlan(SETTINGS, STOPS, { objective: 'gas' }, SEARCH).best;
+    expect(gas.liters).toBeLessThanOrEqual(runtime.liters);
+  });
+
+  it('does not plan CCR dives', () => {
+    expect(optimizePlan({ ...SETTINGS, circuit: 'ccr' }, STOPS)).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { planTableRows, rowDepth, exportPlanCSV, exportPlanSubsurface, exportPlanUDDF, exportPlan, downloadFile } from '../planExport';
+import { parseSubsurface, parseUDDF } from '../diveLog';
+import { calculateDiveProfile, addAscentPhases } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { createGas, buildGasSwitches, profileGases } from '../gases';
+import { createEnvironment } from '../environment';
+
+const SETTINGS = {
+  algorithm: 'zhl16c', fO2: 0.21, fHe: 0.35, gfLow: 50, gfHigh: 70, ppO2Max: 1.4, ppO2Deco: 1.6, lastStopDepth: 6,
+  gases: [createGas(0.5)], sacRate: 20, tankSize: 24, tankPressure: 200, reservePressure: 50,
+};
+const STOPS = [{ depth: 45, time: 20 }];
+const DATE = new Date(2024, 5, 1, 9, 30, 0);
+
+// A Bühlmann full calculation like the app's, with 1 min gas switches
+function calculate(settings, stops) {
+  const env = createEnvironment(settings);
+  const profile = calculateDiveProfile(stops, 18, 9, profileGases(settings, env));
+  const decoInfo = calculateZHL16C(profile.phases, {
+    fO2: settings.fO2, fHe: settings.fHe, gfLow: settings.gfLow, gfHigh: settings.gfHigh,
+    gasSwitches: buildGasSwitches(settings, env),
+  });
+  const stopsWithSwitches = decoInfo.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s);
+  return { ...addAscentPhases(profile, stopsWithSwitches, 9), decoInfo };
+}
+
+const RESULT = calculate(SETTINGS, STOPS);
+
+describe('planTableRows', () => {
+  it('gives one row per phase with running totals', () => {
+    const rows = planTableRows(RESULT.phases, SETTINGS);
+    expect(rows).toHaveLength(RESULT.phases.length);
+    expect(rows[0]).toMatchObject({ fromDepth: 0, depth: 45, action: 'Descend' });
+    expect(rows[1].fromDepth).toBeNull();
+    const last = rows[rows.length - 1];
+    expect(last.runTime).toBeCloseTo(RESULT.totalTime, 5);
+    for (let i = 1; i < rows.length; i++) {
+      expect(rows[i].liters).toBeGreaterThanOrEqual(rows[i - 1].liters);
+      expect(rows[i].cns).toBeGreaterThanOrEqual(rows[i - 1].cns);
+    }
+  });
+
+  it('formats transit depths as a range', () => {
+    expect(rowDepth({ fromDepth: 30, depth: 21 }, 'metric')).toBe('30-21');
+    expect(rowDepth({ fromDepth: null, depth: 21 }, 'metric')).toBe('21');
+  });
+});
+
+describe('exportPlanCSV', () => {
+  it('writes the Dive Plan table columns', () => {
+    const lines = exportPlanCSV(RESULT.phases, SETTINGS).trim().split('\n');
+    expect(lines[0]).toBe('Depth (m),Stop (min),Run Time (min),Action,Gas,CNS%,Gas (L)');
+    expect(lines).toHaveLength(RESULT.phases.length + 1);
+    expect(lines[1].split(',').slice(0, 4)).toEqual(['0-45', String(RESULT.phases[0].duration), String(RESULT.phases[0].runTime + RESULT.phases[0].duration), 'Descend']);
+  });
+
+  it('uses display units in the header and depths', () => {
+    const lines = exportPlanCSV(RESULT.phases, SETTINGS, 'imperial').trim().split('\n');
+    expect(lines[0]).toBe('Depth (ft),Stop (min),Run Time (min),Action,Gas,CNS%,Gas (cuft)');
+    expect(lines[1].startsWith('0-147.6,')).toBe(true);
+  });
+});
+
+describe('exportPlanSubsurface', () => {
+  it('reads back through the Subsurface importer', () => {
+    const xml = exportPlanSubsurface(RESULT, SETTINGS, { algorithm: 'ZHL-16C', gf: true, date: DATE });
+    const [dive] = parseSubsurface(xml);
+    expect(dive.label).toBe('Dive #1 · 2024-06-01 09:30:00');
+    expect(dive.ccr).toBe(false);
+    expect(dive.gases).toEqual([{ fO2: 0.21, fHe: 0.35 }, { fO2: 0.5, fHe: 0 }]);
+    const last = dive.samples[dive.samples.length - 1];
+    expect(last.time).toBe(Math.round(RESULT.totalTime * 60));
+    expect(Math.max(...dive.samples.map(s => s.depth))).toBe(45);
+    // The switch to EAN50 lands at 21 m
+    const switched = dive.samples.find(s => s.gas?.fO2 === 0.5);
+    expect(switched.depth).toBeLessThanOrEqual(21);
+  });
+
+  it('notes the gradient factors only for GF algorithms', () => {
+    expect(exportPlanSubsurface(RESULT, SETTINGS, { algorithm: 'ZHL-16C', gf: true })).toContain('GF 50/70');
+    expect(exportPlanSubsurface(RESULT, SETTINGS, { algorithm: 'ZHL-16C', gf: false })).not.toContain('GF 50/70');
+  });
+
+  it('writes CCR setpoints and marks the diluent', () => {
+    const ccrSettings = { ...SETTINGS, circuit: 'ccr', setpointLow: 0.7, setpointHigh: 1.3, setpointSwitchDepth: 10 };
+    const xml = exportPlanSubsurface(RESULT, ccrSettings, { algorithm: 'ZHL-16C' });
+    expect(xml).toContain("use='diluent'");
+    expect(xml).not.toContain('gaschange');
+    const [dive] = parseSubsurface(xml);
+    expect(dive.ccr).toBe(true);
+    expect(dive.samples[0].setpoint).toBe(0.7);
+    expect(dive.samples.find(s => s.depth >= 10).setpoint).toBe(1.3);
+  });
+});
+
+describe('exportPlanUDDF', () => {
+  it('reads back through the UDDF importer', () => {
+    const xml = exportPlanUDDF(RESULT, SETTINGS, { algorithm: 'ZHL-16C', gf: true, date: DATE });
+    expect(xml).toContain('<gradientfactorhigh>0.70</gradientfactorhigh>');
+    const [dive] = parseUDDF(xml);
+    expect(dive.label).toBe('Dive 1 · 2024-06-01 09:30:00');
+    expect(dive.ccr).toBe(false);
+    expect(dive.gases).toEqual([{ fO2: 0.21, fHe: 0.35 }, { fO2: 0.5, fHe: 0 }]);
+    expect(dive.samples[dive.samples.length - 1].time).toBe(Math.round(RESULT.totalTime * 60));
+  });
+
+  it('writes deco stops and CCR setpoints in Pa', () => {
+    const ccrSettings = { ...SETTINGS, circuit: 'ccr', setpointLow: 0.7, setpointHigh: 1.3, setpointSwitchDepth: 10 };
+    const xml = exportPlanUDDF(RESULT, ccrSettings, { algorithm: 'ZHL-16C' });
+    expect(xml).toContain('<divemode type="closedcircuit"/>');
+    expect(xml).toContain('<setpo2 setby="user">130000</setpo2>');
+    expect(xml).toMatch(/<decostop kind="mandatory" decodepth="6.0"/);
+    const [dive] = parseUDDF(xml);
+    expect(dive.ccr).toBe(true);
+    expect(dive.samples[0].setpoint).toBe(0.7);
+  });
+});
+
+describe('exportPlan', () => {
+  it('dispatches by format', () => {
+    expect(exportPlan('csv', RESULT, SETTINGS)).toBe(exportPlanCSV(RESULT.phases, SETTINGS));
+    expect(exportPlan('uddf', RESULT, SETTINGS, { date: DATE })).toBe(exportPlanUDDF(RESULT, SETTINGS, { date: DATE }));
+    expect(() => exportPlan('pdf', RESULT, SETTINGS)).toThrow('Unknown export format: pdf');
+  });
+});
+
+describe('downloadFile', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('revokes the object URL only after the click has been handled', () => {
+    vi.useFakeTimers();
+    const events = [];
+    URL.createObjectURL = () => 'blob:plan';
+    URL.revokeObjectURL = (url) => events.push(`revoke ${url}`);
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      events.push(`click ${this.download}`);
+    });
+    downloadFile('a,b', 'plan.csv', 'text/csv');
+    expect(events).toEqual(['click plan.csv']);
+    vi.runAllTimers();
+    expect(events).toEqual(['click plan.csv', 'revoke blob:plan']);
+    click.mockRestore();
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  LIBRARY_FORMAT, LIBRARY_VERSION, normalizeTags, createPlan, updatePlan, renamePlan, tagPlan, uniqueName, duplicatePlan,
+  planExtent, searchPlans, exportLibrary, parseLibrary, mergeLibrary, createMemoryStore, openPlanStore,
+  loadLibrary, writeLibrary,
+} from '../planLibrary';
+
+const SETTINGS_A = { algorithm: 'zhl16c', fO2: 0.21, fHe: 0.35, gfLow: 50, gfHigh: 70, gases: [{ fO2: 0.5, fHe: 0, role: 'deco' }] };
+const SETTINGS_B = { algorithm: 'vpm', fO2: 0.21, fHe: 0.35, conservatism: 2, gases: [] };
+const SETTINGS_C = { algorithm: 'dciem', fO2: 0.21, fHe: 0, gases: [] };
+const CURRENT = { stops: [{ depth: 45, time: 20 }, { depth: 30, time: 10 }], panels: [SETTINGS_A, SETTINGS_B], mode: 'compare' };
+
+function library() {
+  return [
+    createPlan({ name: 'Zenobia deep', tags: 'wreck, trimix', ...CURRENT }, 1000),
+    createPlan({ name: 'House reef', tags: ['Reef'], ...CURRENT, stops: [{ depth: 18, time: 50 }], mode: 'single' }, 3000),
+    createPlan({ name: 'Zenobia shallow', tags: 'wreck', ...CURRENT, panels: [{ ...SETTINGS_A, algorithm: 'rgbm' }, SETTINGS_C], mode: 'single' }, 2000),
+  ];
+}
+
+describe('plan entries', () => {
+  it('creates a plan from the current stops and settings', () => {
+    const plan = createPlan({ name: '  Zenobia ', tags: '#Wreck, trimix wreck', ...CURRENT }, 1000);
+    expect(plan).toMatchObject({ name: 'Zenobia', tags: ['wreck', 'trimix'], mode: 'compare', createdAt: 1000, updatedAt: 1000 });
+    expect(plan.id).toEqual(expect.any(String));
+    expect(plan.panels).toEqual([SETTINGS_A, SETTINGS_B]);
+    expect(plan.panels[0]).not.toBe(SETTINGS_A);
+    expect(plan.panels[0].gases).not.toBe(SETTINGS_A.gases);
+  });
+
+  it('normalizes tags', () => {
+    expect(normalizeTags('Wreck, #deep  wreck,,')).toEqual(['wreck', 'deep']);
+    expect(normalizeTags(['A', ' b '])).toEqual(['a', 'b']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+
+  it('updates, renames and tags without changing the id', () => {
+    const plan = createPlan({ name: 'Reef', ...CURRENT }, 1000);
+    const updated = updatePlan({ ...plan, tags: ['reef'] }, { ...CURRENT, stops: [{ depth: 20, time: 40 }], mode: 'single' }, 2000);
+    expect(updated).toMatchObject({ id: plan.id, name: 'Reef', tags: ['reef'], mode: 'single', createdAt: 1000, updatedAt: 2000 });
+    expect(updated.stops).toEqual([{ depth: 20, time: 40 }]);
+    expect(renamePlan(plan, ' Blue Hole ', 3000)).toMatchObject({ id: plan.id, name: 'Blue Hole', updatedAt: 3000 });
+    expect(tagPlan(plan, 'cave', 3000)).toMatchObject({ id: plan.id, tags: ['cave'], updatedAt: 3000 });
+  });
+
+  it('duplicates under a new id and an unused name', () => {
+    const plans = library();
+    const copy = duplicatePlan(plans[0], plans, 5000);
+    expect(copy.id).not.toBe(plans[0].id);
+    expect(copy).toMatchObject({ name: 'Zenobia deep (2)', tags: ['wreck', 'trimix'], createdAt: 5000 });
+    expect(uniqueName('Zenobia deep (2)', [...plans, copy])).toBe('Zenobia deep (3)');
+    expect(uniqueName('New site', plans)).toBe('New site');
+  });
+
+
+  it('measures the planned stops', () => {
+    expect(planExtent(library()[0])).toEqual({ maxDepth: 45, time: 30 });
+  });
+});
+
+describe('searchPlans', () => {
+  const plans = library();
+
+  it('lists the most recently updated plans first', () => {
+    expect(searchPlans(plans).map(p => p.name)).toEqual(['House reef', 'Zenobia shallow', 'Zenobia deep']);
+  });
+
+  it('matches every word against names, tags and algorithms', () => {
+    expect(searchPlans(plans, 'zenobia').map(p => p.name)).toEqual(['Zenobia shallow', 'Zenobia deep']);
+    expect(searchPlans(plans, 'ZENOBIA trimix').map(p => p.name)).toEqual(['Zenobia deep']);
+    expect(searchPlans(plans, 'rgbm').map(p => p.name)).toEqual(['Zenobia shallow']);
+    // Panels past A only count in compare plans
+    expect(searchPlans(plans, 'vpm').map(p => p.name)).toEqual(['Zenobia deep']);
+    expect(searchPlans(plans, 'dciem')).toEqual([]);
+    const threeWay = createPlan({ name: 'Three way', ...CURRENT, panels: [SETTINGS_A, SETTINGS_B, SETTINGS_C] }, 4000);
+    expect(searchPlans([...plans, threeWay], 'dciem').map(p => p.name)).toEqual(['Three way']);
+  });
+
+  it('matches #tags against tags only', () => {
+    expect(searchPlans(plans, '#wreck').map(p => p.name)).toEqual(['Zenobia shallow', 'Zenobia deep']);
+    expect(searchPlans(plans, '#reef').map(p => p.name)).toEqual(['House reef']);
+    expect(searchPlans(plans, '#house')).toEqual([]);
+  });
+});
+
+describe('library import and export', () => {
+  it('round-trips the library through JSON', () => {
+    const plans = library();
+    const json = exportLibrary(plans, Date.UTC(2024, 5, 1));
+    const data = JSON.parse(json);
+    expect(data).toMatchObject({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, exportedAt: '2024-06-01T00:00:00.000Z' });
+    expect(parseLibrary(json)).toEqual(plans);
+  });
+
+  it('accepts a bare list or a single plan and drops malformed entries', () => {
+    const [plan] = library();
+    const { id: _id, ...withoutId } = plan;
+    const parsed = parseLibrary(JSON.stringify([withoutId, { name: 'broken', stops: [{ depth: 'deep' }] }]), 9000);
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0].id).toEqual(expect.any(String));
+    expect(parsed[0].name).toBe('Zenobia deep');
+    expect(parseLibrary(JSON.stringify(plan))).toEqual([plan]);
+  });
+
+
+  it('rejects files that are not a plan library', () => {
+    expect(() => parseLibrary('not json')).toThrow('The file is not valid JSON');
+    expect(() => parseLibrary('{"hello": 1}')).toThrow('Not a plan library file');
+    expect(() => parseLibrary(JSON.stringify({ format: LIBRARY_FORMAT, version: 99, plans: [] }))).toThrow('newer than this app supports');
+  });
+
+  it('merges imported plans, keeping the newer copy of each', () => {
+    const plans = library();
+    const imported = [
+      { ...plans[0], name: 'Zenobia (edited)', updatedAt: 9000 },
+      { ...plans[1], name: 'House reef (old)', updatedAt: 0 },
+      createPlan({ name: 'Blue Hole', ...CURRENT }, 4000),
+    ];
+    const merged = mergeLibrary(plans, imported);
+    expect(merged).toMatchObject({ added: 1, updated: 1 });
+    expect(merged.plans.map(p => p.name).sort()).toEqual(['Blue Hole', 'House reef', 'Zenobia (edited)', 'Zenobia shallow']);
+  });
+});
+
+describe('plan stores', () => {
+  it('keeps copies of the plans in memory', async () => {
+    const [plan, other] = library();
+    const store = createMemoryStore([plan]);
+    await store.put(other);
+    const saved = await store.getAll();
+    expect(saved).toEqual([plan, other]);
+    saved[0].name = 'changed';
+    expect((await store.getAll())[0].name).toBe('Zenobia deep');
+    await store.remove(plan.id);
+    expect(await store.getAll()).toEqual([other]);
+  });
+
+  it('falls back to memory without IndexedDB', async () => {
+    const store = await openPlanStore(undefined);
+    expect(store.persistent).toBe(false);
+    expect(await store.getAll()).toEqual([]);
+  });
+
+  it('falls back to memory when IndexedDB refuses to open', async () => {
+    const indexedDB = { open: () => { throw new Error('SecurityError'); } };
+    expect((await openPlanStore(indexedDB)).persistent).toBe(false);
+  });
+
+  it('loads the library in memory when the store fails to open or read', async () => {
+    const blocked = await loadLibrary(() => Promise.reject(new Error('blocked')));
+    expect(blocked.store.persistent).toBe(false);
+    expect(blocked.plans).toEqual([]);
+    expect(blocked.error).toContain('blocked');
+
+    const unreadable = { persistent: true, getAll: () => Promise.reject(new Error('read failed')) };
+    const failed = await loadLibrary(async () => unreadable);
+    expect(failed.store).not.toBe(unreadable);
+    expect(failed.error).toContain('read failed');
+
+    const [plan] = library();
+    const ok = await loadLibrary(async () => createMemoryStore([plan]));
+    expect(ok).toMatchObject({ plans: [plan], error: null });
+  });
+
+  it('goes on in memory when a write fails', async () => {
+    const [plan, other] = library();
+    const store = createMemoryStore([plan]);
+    expect(await writeLibrary(store, s => s.put(other), [plan, other])).toEqual({ store, error: null });
+
+    const broken = { ...store, put: () => Promise.reject(new Error('QuotaExceededError')) };
+    const result = await writeLibrary(broken, s => s.put(other), [plan, other]);
+    expect(result.error).toContain('QuotaExceededError');
+    expect(result.store.persistent).toBe(false);
+    expect(await result.store.getAll()).toEqual([plan, other]);
+  });
+});
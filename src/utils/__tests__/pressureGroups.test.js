@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateDSAT } from '../dsat';
+import { calculateBSAC } from '../bsac';
+import { calculateUSNavy } from '../usnavy';
+import { GROUP_SYSTEMS, groupFromExcess, groupAfterInterval, residualNitrogenTime, repetitiveDive } from '../pressureGroups';
+
+const { dsat, usnavy, bsac } = GROUP_SYSTEMS;
+
+function phases(depth, time) {
+  return calculateDiveProfile([{ depth, time }], 18, 9).phases;
+}
+
+describe('groupFromExcess', () => {
+  it('is null when clean and stays in the last group past it', () => {
+    expect(groupFromExcess(dsat, 0)).toBeNull();
+    expect(groupFromExcess(dsat, 10)).toBe('Z');
+    expect(groupFromExcess(bsac, 10)).toBe('G');
+  });
+});
+
+describe('groupAfterInterval', () => {
+  it('credits the surface interval down to clean', () => {
+    expect(groupAfterInterval(dsat, 'Z', 0)).toBe('Z');
+    const hour = groupAfterInterval(dsat, 'Z', 60);
+    expect(dsat.letters.indexOf(hour)).toBeLessThan(dsat.letters.indexOf('Z'));
+    expect(groupAfterInterval(dsat, 'Z', 24 * 60)).toBeNull();
+  });
+
+  it('washes out slower in a 120 min compartment', () => {
+    const index = (system, group) => system.letters.indexOf(group) / system.letters.length;
+    expect(index(usnavy, groupAfterInterval(usnavy, 'Z', 120))).toBeGreaterThan(index(dsat, groupAfterInterval(dsat, 'Z', 120)));
+  });
+});
+
+describe('residualNitrogenTime', () => {
+  it('is shorter at a deeper next dive', () => {
+    expect(residualNitrogenTime(dsat, 'M', 30)).toBeLessThan(residualNitrogenTime(dsat, 'M', 12));
+    expect(residualNitrogenTime(dsat, null, 30)).toBe(0);
+  });
+
+  it('is infinite when the depth cannot reach the group', () => {
+    expect(residualNitrogenTime(dsat, 'Z', 5)).toBe(Infinity);
+  });
+});
+
+describe('repetitiveDive', () => {
+  it('subtracts the RNT from the NDL', () => {
+    const entry = repetitiveDive(dsat, 'P', 60, 18, 56);
+    expect(entry.startGroup).not.toBe('P');
+    expect(entry.adjustedNDL).toBe(56 - entry.residualTime);
+  });
+});
+
+describe('table algorithm groups', () => {
+  it('report the end-of-dive group', () => {
+    expect(calculateDSAT(phases(18, 40), { fO2: 0.21 })).toMatchObject({ groupSystem: 'dsat' });
+    expect(calculateDSAT(phases(18, 40), { fO2: 0.21 }).pressureGroup).toMatch(/^[A-Z]$/);
+    expect(calculateBSAC(phases(18, 40), { fO2: 0.21 }).pressureGroup).toMatch(/^[A-G]$/);
+    expect(calculateUSNavy(phases(18, 40), { fO2: 0.21 }).pressureGroup).toBe('G');
+  });
+
+  it('count the residual time toward the no-decompression limit', () => {
+    expect(calculateDSAT(phases(18, 40), { fO2: 0.21 }).decoRequired).toBe(false);
+    expect(calculateDSAT(phases(18, 40), { fO2: 0.21, residualTime: 40 }).decoRequired).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateRGBM, analyzeProfileShape } from '../rgbm';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateDiveSeries } from '../diveSeries';
+
+const OPTS = { fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70, decoAscentRate: 9, lastStopDepth: 6 };
+
+function getPhases(stops) {
+  return calculateDiveProfile(stops, 18, 9).phases;
+}
+
+function totalDecoTime(result) {
+  return result.decoStops.filter(s => !s.gasSwitch).reduce((a, s) => a + s.time, 0);
+}
+
+describe('RGBM profile shape', () => {
+  it('square and forward multilevel dives have no reverse or yo-yo', () => {
+    expect(analyzeProfileShape(getPhases([{ depth: 30, time: 20 }]))).toEqual({ maxDepth: 30, reverse: 0, cycles: 0 });
+    expect(analyzeProfileShape(getPhases([{ depth: 30, time: 15 }, { depth: 15, time: 15 }])).reverse).toBe(0);
+  });
+
+  it('detects a reverse profile', () => {
+    const shape = analyzeProfileShape(getPhases([{ depth: 15, time: 15 }, { depth: 30, time: 15 }]));
+    expect(shape.reverse).toBe(15);
+    expect(shape.cycles).toBe(0);
+  });
+
+  it('counts yo-yo cycles', () => {
+    const shape = analyzeProfileShape(getPhases([
+      { depth: 30, time: 10 }, { depth: 10, time: 5 }, { depth: 30, time: 10 }, { depth: 10, time: 5 }, { depth: 30, time: 5 },
+    ]));
+    expect(shape.cycles).toBe(2);
+    expect(shape.reverse).toBe(0);
+  });
+});
+
+describe('RGBM bubble factors', () => {
+  it('deeper dives excite more seeds', () => {
+    const shallow = calculateRGBM(getPhases([{ depth: 20, time: 20 }]), OPTS);
+    const deep = calculateRGBM(getPhases([{ depth: 60, time: 20 }]), OPTS);
+    expect(deep.bubbleFactors.n2[0]).toBeLessThan(shallow.bubbleFactors.n2[0]);
+    expect(deep.bubbleState.excitationN2).toBeGreaterThan(shallow.bubbleState.excitationN2);
+  });
+
+  it('fast compartments carry the largest reduction', () => {
+    const { bubbleFactors } = calculateRGBM(getPhases([{ depth: 40, time: 20 }]), OPTS);
+    expect(bubbleFactors.n2[0]).toBeLessThan(bubbleFactors.n2[15]);
+    expect(bubbleFactors.n2[15]).toBeGreaterThan(0.99);
+  });
+
+  it('has separate N₂ and He factors', () => {
+    const { bubbleFactors } = calculateRGBM(getPhases([{ depth: 60, time: 20 }]), { ...OPTS, fO2: 0.18, fHe: 0.45 });
+    expect(bubbleFactors.he).toHaveLength(16);
+    expect(bubbleFactors.he[8]).not.toBeCloseTo(bubbleFactors.n2[8], 3);
+  });
+
+  it('reverse profiles need more deco than the forward profile, unlike Bühlmann', () => {
+    const forward = getPhases([{ depth: 30, time: 15 }, { depth: 15, time: 15 }]);
+    const reverse = getPhases([{ depth: 15, time: 15 }, { depth: 30, time: 15 }]);
+    const rgbmGap = totalDecoTime(calculateRGBM(reverse, OPTS)) - totalDecoTime(calculateRGBM(forward, OPTS));
+    const buhlGap = totalDecoTime(calculateZHL16C(reverse, OPTS)) - totalDecoTime(calculateZHL16C(forward, OPTS));
+    expect(calculateRGBM(reverse, OPTS).profileFactors.reverse).toBeLessThan(1);
+    expect(rgbmGap).toBeGreaterThan(buhlGap);
+  });
+
+  it('yo-yo cycles reduce the factor and add deco', () => {
+    const square = getPhases([{ depth: 30, time: 25 }]);
+    const yoyo = getPhases([{ depth: 30, time: 10 }, { depth: 10, time: 5 }, { depth: 30, time: 10 }, { depth: 10, time: 5 }, { depth: 30, time: 5 }]);
+    const result = calculateRGBM(yoyo, OPTS);
+    expect(result.profileFactors.yoyoCycles).toBe(2);
+    expect(result.profileFactors.yoyo).toBeLessThan(1);
+    expect(totalDecoTime(result)).toBeGreaterThan(totalDecoTime(calculateZHL16C(yoyo, OPTS)));
+    expect(calculateRGBM(square, OPTS).profileFactors.yoyo).toBe(1);
+  });
+});
+
+describe('RGBM repetitive and multi-day penalties', () => {
+  const profile = { descentRate: 18, ascentRate: 9, decoAscentRate: 9, gasSwitchTime: true };
+  const DIVE = [{ depth: 30, time: 25 }];
+  const second = (si, stops = DIVE) => calculateDiveSeries(
+    [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: si, stops }],
+    calculateRGBM, OPTS, profile
+  )[1];
+
+  it('a short surface interval applies the repetitive factor', () => {
+    const soon = second(30).decoInfo.profileFactors;
+    const later = second(600).decoInfo.profileFactors;
+    expect(soon.repetitive).toBeLessThan(0.8);
+    expect(later.repetitive).toBeGreaterThan(0.99);
+  });
+
+  it('a deeper second dive is penalized as a reverse profile', () => {
+    const deeper = second(60, [{ depth: 40, time: 15 }]).decoInfo.profileFactors;
+    const shallower = second(60, [{ depth: 20, time: 15 }]).decoInfo.profileFactors;
+    expect(deeper.reverse).toBeLessThan(1);
+    expect(shallower.reverse).toBe(1);
+  });
+
+  it('excited seeds regenerate over days', () => {
+    const nextDay = second(24 * 60).decoInfo.profileFactors.multiDay;
+    const nextWeek = second(21 * 24 * 60).decoInfo.profileFactors.multiDay;
+    expect(nextDay).toBeLessThan(nextWeek);
+    expect(nextWeek).toBeGreaterThan(0.98);
+  });
+
+  it('excitation accumulates over a dive series', () => {
+    const series = calculateDiveSeries(
+      [{ surfaceInterval: 0, stops: DIVE }, { surfaceInterval: 12 * 60, stops: DIVE }, { surfaceInterval: 12 * 60, stops: DIVE }],
+      calculateRGBM, OPTS, profile
+    );
+    const excitation = series.map(d => d.decoInfo.bubbleState.excitationN2);
+    expect(excitation[1]).toBeGreaterThan(excitation[0]);
+    expect(excitation[2]).toBeGreaterThan(excitation[1]);
+    expect(series[2].penalty).toBeGreaterThanOrEqual(series[1].penalty);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { SLATE_SIZES, slateStops, slateGases, buildSlate, slatePages, renderSlatePage, renderSlateSVG, slatePrintDocument } from '../slate';
+import { calculateContingencies } from '../contingency';
+import { calculateDiveProfile, addAscentPhases } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { createGas, buildGasSwitches, profileGases } from '../gases';
+import { createEnvironment } from '../environment';
+
+const SETTINGS = {
+  algorithm: 'zhl16c', fO2: 0.21, fHe: 0.35, gfLow: 50, gfHigh: 70, ppO2Max: 1.4, ppO2Deco: 1.6, lastStopDepth: 6,
+  gases: [createGas(0.5), createGas(1.0)], sacRate: 20, tankSize: 24, tankPressure: 200, reservePressure: 50,
+};
+const STOPS = [{ depth: 50, time: 25 }];
+
+// A Bühlmann full calculation like the app's, with 1 min gas switches
+function calculate(settings, stops) {
+  const env = createEnvironment(settings);
+  const profile = calculateDiveProfile(stops, 18, 9, profileGases(settings, env));
+  const decoInfo = calculateZHL16C(profile.phases, {
+    fO2: settings.fO2, fHe: settings.fHe, gfLow: settings.gfLow, gfHigh: settings.gfHigh,
+    gasSwitches: buildGasSwitches(settings, env),
+  });
+  const stopsWithSwitches = decoInfo.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s);
+  return { ...addAscentPhases(profile, stopsWithSwitches, 9), decoInfo };
+}
+
+const RESULT = calculate(SETTINGS, STOPS);
+const CONTINGENCIES = calculateContingencies(SETTINGS, STOPS, calculate);
+
+describe('slateStops', () => {
+  it('reduces the phases to the bottom level and the stops', () => {
+    const rows = slateStops(RESULT.phases, SETTINGS.fO2, SETTINGS.fHe);
+    expect(rows[0]).toMatchObject({ depth: 50, time: 25, runTime: 25, gas: '21/35', switched: false, stop: false });
+    expect(rows.slice(1).every(r => r.stop)).toBe(true);
+    expect(rows.map(r => r.depth)).toEqual([...rows.map(r => r.depth)].sort((a, b) => b - a));
+    expect(rows[rows.length - 1].runTime).toBeLessThan(RESULT.totalTime);
+  });
+
+  it('merges a gas switch into the stop at its depth', () => {
+    const rows = slateStops(RESULT.phases, SETTINGS.fO2, SETTINGS.fHe);
+    const switches = rows.filter(r => r.switched);
+    expect(switches.map(r => r.gas)).toEqual(['50/0', '100/0']);
+    expect(switches.map(r => r.depth)).toEqual([21, 6]);
+    expect(new Set(rows.map(r => r.depth)).size).toBe(rows.length);
+  });
+});
+
+describe('slateGases', () => {
+  it('lists each gas with its MOD and switch depth', () => {
+    expect(slateGases(SETTINGS)).toEqual([
+      { label: '21/35', name: 'Tx 21/35', mod: 56, switchDepth: null },
+      { label: '50/0', name: 'EAN50', mod: 22, switchDepth: 22 },
+      { label: '100/0', name: 'O₂', mod: 6, switchDepth: 6 },
+    ]);
+  });
+});
+
+describe('buildSlate', () => {
+  it('collects the plan, turn pressure and contingency stops', () => {
+    const slate = buildSlate(RESULT, SETTINGS, { contingencies: CONTINGENCIES, algorithm: 'ZH-L 16C', gf: true });
+    expect(slate).toMatchObject({ maxDepth: 50, totalTime: RESULT.totalTime, algorithm: 'ZH-L 16C', gf: '50/70', ccr: null, turnPressure: 150 });
+    expect(slate.variants.map(v => v.id)).toEqual(CONTINGENCIES.map(v => v.id));
+    const planned = slate.variants[0];
+    expect(planned.stops).toEqual(slate.stops.filter(s => s.stop));
+  });
+});
+
+describe('slatePages', () => {
+  const slate = buildSlate(RESULT, SETTINGS, { contingencies: CONTINGENCIES, algorithm: 'ZH-L 16C', gf: true });
+
+  it('puts the plan first and the contingencies on their own pages', () => {
+    const pages = slatePages(slate, 'a5');
+    expect(pages[0][0]).toEqual({ type: 'title', text: '50m · RT ' + RESULT.totalTime + ' min' });
+    expect(pages[0].some(b => b.type === 'table' && b.header[0] === 'Gas')).toBe(true);
+    const contingency = pages.filter(p => p[0].text.startsWith('Contingency'));
+    expect(contingency.length).toBeGreaterThan(0);
+    // Every variant appears in one of the contingency tables
+    const headings = contingency.flatMap(p => p.filter(b => b.type === 'table').flatMap(b => b.header.slice(1)));
+    expect(new Set(headings)).toEqual(new Set(['Plan', '+3m', '+5 min', 'No EAN50', 'No O₂', 'No deco', 'Delay']));
+  });
+
+  it('heads the longer variant with its extra time, not its label', () => {
+    const contingencies = CONTINGENCIES.map(v => v.id === 'longer' ? { ...v, label: 'Extra bottom time', detail: 10 } : v);
+    const relabelled = buildSlate(RESULT, SETTINGS, { contingencies, algorithm: 'ZH-L 16C', gf: true });
+    const headings = slatePages(relabelled, 'a5').flat().filter(b => b.type === 'table').flatMap(b => b.header);
+    expect(headings).toContain('+10 min');
+  });
+
+  it('splits the contingency variants across pages beside the plan', () => {
+    const { width, font } = SLATE_SIZES.wrist;
+    const pages = slatePages(slate, 'wrist').filter(p => p[0].text.startsWith('Contingency'));
+    expect(pages.length).toBeGreaterThan(1);
+    expect(pages[0][0].text).toBe(`Contingency 1/${pages.length}`);
+    for (const page of pages) {
+      const table = page.find(b => b.type === 'table');
+      expect(table.header[1]).toBe('Plan');
+      expect(table.widths.reduce((a, b) => a + b, 0)).toBeLessThanOrEqual(width - 2 * font);
+    }
+  });
+
+  it('continues long tables on a new page with the header repeated', () => {
+    const long = { ...slate, stops: Array.from({ length: 40 }, (_, i) => ({ ...slate.stops[1], depth: 60 - i, switched: false })) };
+    const pages = slatePages({ ...long, variants: [] }, 'wrist');
+    const parts = pages.flatMap(p => p.filter(b => b.type === 'table' && b.header[1] === 'Stop'));
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts.reduce((sum, t) => sum + t.rows.length, 0)).toBe(40);
+  });
+});
+
+describe('renderSlatePage', () => {
+  const pages = slatePages(buildSlate(RESULT, SETTINGS, { contingencies: CONTINGENCIES }), 'wetnotes');
+
+  it('renders a monochrome SVG at the slate size', () => {
+    const svg = renderSlatePage(pages[0], 'wetnotes');
+    const { width, height } = SLATE_SIZES.wetnotes;
+    expect(svg).toContain(`width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}"`);
+    expect(svg).toContain('>Tx 21/35<');
+    expect(svg).toContain('>EAN50<');
+    const colors = new Set([...svg.matchAll(/(?:fill|stroke)="([^"]+)"/g)].map(m => m[1]));
+    expect([...colors].sort()).toEqual(['#000', '#fff']);
+    expect(new DOMParser().parseFromString(svg, 'image/svg+xml').getElementsByTagName('parsererror')).toHaveLength(0);
+  });
+
+  it('stacks pages into one SVG and one printed sheet per page', () => {
+    const svg = renderSlateSVG(pages, 'wetnotes');
+    expect(svg).toContain(`height="${SLATE_SIZES.wetnotes.height * pages.length}mm"`);
+    expect(svg.match(/<g transform/g)).toHaveLength(pages.length);
+    const html = slatePrintDocument(pages, 'wetnotes');
+    expect(html).toContain('@page { size: 105mm 148mm; margin: 0; }');
+    expect(html.match(/<svg /g)).toHaveLength(pages.length);
+  });
+});
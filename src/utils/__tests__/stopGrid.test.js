@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { createStopGrid, TEN_FEET } from '../stopGrid';
+import { schreiner, schreinerSegment, linearDepthSteps, inspiredPressure } from '../physics';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateVPM } from '../vpm';
+import { calculateRGBM } from '../rgbm';
+import { calculateHaldane } from '../haldane';
+import { calculateWorkman } from '../workman';
+import { calculateThalmann } from '../thalmann';
+import { calculateDCIEM } from '../dciem';
+
+const OPTS = { fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70, decoAscentRate: 9, lastStopDepth: 6 };
+const phases = calculateDiveProfile([{ depth: 45, time: 25 }], 18, 9).phases;
+
+const ALGOS = [
+  ['ZHL-16C', calculateZHL16C],
+  ['VPM-B', calculateVPM],
+  ['RGBM', calculateRGBM],
+  ['Haldane', calculateHaldane],
+  ['Workman', calculateWorkman],
+  ['Thalmann', calculateThalmann],
+  ['DCIEM', calculateDCIEM],
+];
+
+const stopsOf = (result) => result.decoStops.filter(s => !s.gasSwitch);
+const total = (result) => stopsOf(result).reduce((a, s) => a + s.time, 0);
+
+describe('createStopGrid', () => {
+  it('defaults to a 3m grid ending at the last stop', () => {
+    const grid = createStopGrid({ lastStopDepth: 6 });
+    expect(grid.firstStop(10.2)).toBe(12);
+    expect(grid.firstStop(0)).toBe(0);
+    expect(grid.next(12)).toBe(9);
+    expect(grid.isStop(6)).toBe(true);
+    expect(grid.isStop(3)).toBe(false);
+    expect(grid.transitTime(30, 12, 9)).toBe(2);
+    expect(grid.stopTime(0)).toBe(1);
+  });
+
+  it('supports a 10ft grid', () => {
+    const grid = createStopGrid({ stopInterval: TEN_FEET, lastStopDepth: 6 });
+    expect(grid.firstStop(10)).toBeCloseTo(4 * TEN_FEET, 3);
+    expect(grid.lastStop).toBeCloseTo(2 * TEN_FEET, 3);
+  });
+
+  it('continuous mode steps 1m with exact transits and no minimum stop', () => {
+    const grid = createStopGrid({ stopInterval: 3, continuousDeco: true, lastStopDepth: 3 });
+    expect(grid.interval).toBe(1);
+    expect(grid.firstStop(10.2)).toBe(11);
+    expect(grid.transitTime(10, 9, 9)).toBeCloseTo(1 / 9, 6);
+    expect(grid.stopTime(0)).toBe(0);
+  });
+});
+
+describe('Stop interval', () => {
+  ALGOS.forEach(([name, fn]) => {
+    it(`${name} places stops on a 1m grid`, () => {
+      const stops = stopsOf(fn(phases, { ...OPTS, stopInterval: 1 }));
+      expect(stops.length).toBeGreaterThan(0);
+      for (const s of stops) expect(Number.isInteger(s.depth)).toBe(true);
+      expect(stops.some(s => s.depth % 3 !== 0)).toBe(true);
+    });
+
+    it(`${name} places stops on a 10ft grid`, () => {
+      const stops = stopsOf(fn(phases, { ...OPTS, stopInterval: TEN_FEET }));
+      expect(stops.length).toBeGreaterThan(0);
+      for (const s of stops) {
+        const feet = s.depth / TEN_FEET;
+        expect(Math.abs(feet - Math.round(feet))).toBeLessThan(1e-6);
+      }
+    });
+  });
+
+  it('the default interval matches an explicit 3m interval', () => {
+    expect(calculateZHL16C(phases, { ...OPTS, stopInterval: 3 }).decoStops)
+      .toEqual(calculateZHL16C(phases, OPTS).decoStops);
+  });
+});
+
+describe('Continuous deco', () => {
+  ALGOS.forEach(([name, fn]) => {
+    it(`${name} lists only steps where the diver waits`, () => {
+      const result = fn(phases, { ...OPTS, continuousDeco: true });
+      const stops = stopsOf(result);
+      expect(stops.length).toBeGreaterThan(0);
+      for (const s of stops) expect(s.time).toBeGreaterThan(0);
+      expect(total(result)).toBeLessThanOrEqual(total(fn(phases, OPTS)));
+    });
+  });
+});
+
+describe('Linear depth-change loading', () => {
+  it('matches constant-depth Schreiner when the depth does not change', () => {
+    const pi = inspiredPressure(30, 0.79);
+    expect(schreinerSegment(0.75, pi, pi, 10, 5)).toBeCloseTo(schreiner(0.75, pi, 10, 5), 10);
+  });
+
+  it('a descent loads less than the same time at the bottom', () => {
+    const surface = inspiredPressure(0, 0.79);
+    const bottom = inspiredPressure(40, 0.79);
+    const linear = schreinerSegment(surface, surface, bottom, 4, 5);
+    expect(linear).toBeLessThan(schreiner(surface, bottom, 4, 5));
+    expect(linear).toBeGreaterThan(surface);
+  });
+
+  it('stepped loading agrees with the closed-form solution', () => {
+    const p0 = inspiredPressure(0, 0.79);
+    let stepped = p0;
+    for (const step of linearDepthSteps(0, 40, 4)) {
+      stepped = schreiner(stepped, inspiredPressure(step.depth, 0.79), step.time, 5);
+    }
+    const exact = schreinerSegment(p0, p0, inspiredPressure(40, 0.79), 4, 5);
+    expect(stepped).toBeCloseTo(exact, 2);
+  });
+});
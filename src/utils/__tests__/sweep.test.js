@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sweepRange, parseGFPairs, seriesKey, sweepCases, sweepCase, sweepChunks, sweepHeatmap, sweepLines, heatmapRange, heatColor,
+} from '../sweep';
+import { calculateDiveProfile, addAscentPhases } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateVPM } from '../vpm';
+import { buildGasSwitches, profileGases } from '../gases';
+import { createEnvironment } from '../environment';
+
+const SETTINGS = { fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70, ppO2Max: 1.4, ppO2Deco: 1.6, gases: [] };
+const FNS = { zhl16c: calculateZHL16C, vpm: calculateVPM };
+
+// A full calculation like the app's for ZH-L 16C and VPM-B
+function calculate(settings, stops) {
+  const env = createEnvironment(settings);
+  const profile = calculateDiveProfile(stops, 18, 9, profileGases(settings, env));
+  const decoInfo = FNS[settings.algorithm](profile.phases, {
+    fO2: settings.fO2, fHe: settings.fHe, gfLow: settings.gfLow, gfHigh: settings.gfHigh,
+    gasSwitches: buildGasSwitches(settings, env),
+  });
+  return { ...addAscentPhases(profile, decoInfo.decoStops, 9), decoInfo };
+}
+
+describe('sweep inputs', () => {
+  it('builds inclusive ranges', () => {
+    expect(sweepRange(10, 30, 10)).toEqual([10, 20, 30]);
+    expect(sweepRange(10, 25, 10)).toEqual([10, 20]);
+    expect(sweepRange(30, 10, 5)).toEqual([]);
+    expect(sweepRange(10, 30, 0)).toEqual([]);
+  });
+
+  it('parses GF pairs', () => {
+    expect(parseGFPairs('30/70, 50 / 80;30/70')).toEqual([{ gfLow: 30, gfHigh: 70 }, { gfLow: 50, gfHigh: 80 }]);
+    expect(parseGFPairs('80/50 0/70 abc')).toEqual([]);
+  });
+
+  it('runs GF algorithms once per pair', () => {
+    const cases = sweepCases({
+      algorithms: [{ key: 'zhl16c', gf: true }, { key: 'vpm', gf: false }],
+      depths: [30, 40],
+      times: [20],
+      gfPairs: [{ gfLow: 30, gfHigh: 70 }, { gfLow: 50, gfHigh: 80 }],
+    });
+    expect(cases).toHaveLength(6);
+    expect([...new Set(cases.map(seriesKey))]).toEqual(['zhl16c 30/70', 'zhl16c 50/80', 'vpm']);
+    expect(cases[0]).toEqual({ algorithm: 'zhl16c', gf: '30/70', gfLow: 30, gfHigh: 70, depth: 30, time: 20 });
+  });
+
+  it('uses the settings GF without pairs', () => {
+    const cases = sweepCases({ algorithms: [{ key: 'zhl16c', gf: true }], depths: [30], times: [20, 30] });
+    expect(cases.map(seriesKey)).toEqual(['zhl16c', 'zhl16c']);
+  });
+});
+
+describe('sweepCase', () => {
+  it('records runtime, deco, first stop and CNS', () => {
+    const shallow = sweepCase(SETTINGS, { algorithm: 'zhl16c', gf: null, depth: 12, time: 20 }, calculate);
+    expect(shallow).toMatchObject({ decoTime: 0, firstStop: null });
+    const deep = sweepCase(SETTINGS, { algorithm: 'zhl16c', gf: null, depth: 40, time: 30 }, calculate);
+    expect(deep.decoTime).toBeGreaterThan(0);
+    expect(deep.firstStop).toBeGreaterThan(0);
+    expect(deep.runtime).toBeGreaterThan(30 + deep.decoTime);
+    expect(deep.cns).toBeGreaterThan(0);
+  });
+
+  it('plans more conservative GF pairs longer', () => {
+    const at = (gfLow, gfHigh) => sweepCase(SETTINGS, { algorithm: 'zhl16c', gf: `${gfLow}/${gfHigh}`, gfLow, gfHigh, depth: 45, time: 25 }, calculate);
+    expect(at(30, 70).runtime).toBeGreaterThan(at(80, 90).runtime);
+  });
+
+  it('marks cases the algorithm cannot plan', () => {
+    const failed = sweepCase(SETTINGS, { algorithm: 'unknown', gf: null, depth: 30, time: 20 }, calculate);
+    expect(failed).toMatchObject({ runtime: null, decoTime: null, failed: true });
+  });
+});
+
+describe('sweep results', () => {
+  const cases = sweepCases({ algorithms: [{ key: 'zhl16c', gf: true }, { key: 'vpm', gf: false }], depths: [30, 45], times: [10, 30, 50] });
+  const chunks = [...sweepChunks(SETTINGS, cases, calculate, 5)];
+  const results = chunks.flat();
+
+  it('plans the cases in chunks', () => {
+    expect(chunks.map(c => c.length)).toEqual([5, 5, 2]);
+    expect(results.map(r => [r.algorithm, r.depth, r.time])).toEqual(cases.map(c => [c.algorithm, c.depth, c.time]));
+  });
+
+  it('lays one series out as a depth × time heatmap', () => {
+    const grid = sweepHeatmap(results, 'vpm', [30, 45], [10, 30, 50], 'runtime');
+    expect(grid).toHaveLength(2);
+    expect(grid[1]).toHaveLength(3);
+    // Longer and deeper dives take longer
+    expect(grid[1][2]).toBeGreaterThan(grid[1][0]);
+    expect(grid[1][2]).toBeGreaterThan(grid[0][2]);
+    expect(sweepHeatmap(results.slice(0, 2), 'vpm', [30], [10], 'runtime')).toEqual([[null]]);
+  });
+
+  it('draws one runtime line per algorithm at a depth', () => {
+    const lines = sweepLines(results, 45);
+    expect(lines.map(l => l.key)).toEqual(['zhl16c', 'vpm']);
+    expect(lines[0].points.map(p => p.x)).toEqual([10, 30, 50]);
+  });
+
+  it('colours values from green to red', () => {
+    expect(heatmapRange([[3, null], [9, 5]])).toEqual({ min: 3, max: 9 });
+    expect(heatmapRange([[null]])).toBeNull();
+    expect(heatColor(0)).toBe('hsl(120, 70%, 42%)');
+    expect(heatColor(1)).toBe('hsl(0, 70%, 42%)');
+    expect(heatColor(2)).toBe('hsl(0, 70%, 42%)');
+  });
+});
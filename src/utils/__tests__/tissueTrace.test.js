@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { tissueTrace, tissueModel, gradientFactor, ceilingPressure, hasGFMetrics, phaseGF } from '../tissueTrace';
+import { calculateCeilingTimeline } from '../ceiling';
+import { calculateFull } from '../planner';
+import { calculateZHL16C } from '../buhlmann';
+import { calculateThalmann } from '../thalmann';
+import { calculateVPM } from '../vpm';
+
+// 36 m for 25 min after a 2 min descent at 18 m/min
+const points = [{ time: 0, depth: 0 }, { time: 2, depth: 36 }, { time: 27, depth: 36 }];
+const phases = [{ depth: 36, duration: 2, action: 'Descend' }, { depth: 36, duration: 25, action: 'Stay' }];
+const settings = (algorithm, extra = {}) => ({ algorithm, fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70, ...extra });
+const options = { fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70 };
+const bottomCeiling = (algorithm) => tissueTrace(points, settings(algorithm), phases).steps.at(-1).ceiling;
+
+describe('tissueTrace', () => {
+  it('records one step per minute from the surface', () => {
+    const trace = tissueTrace(points, settings('zhl16c'), phases);
+    expect(trace.steps.length).toBe(28);
+    expect(trace.steps.map(s => s.time).slice(0, 3)).toEqual([0, 1, 2]);
+    expect(trace.steps[2].depth).toBe(36);
+    expect(trace.steps[0].ceiling).toBe(0);
+    expect(trace.compartments).toBe(16);
+    expect(trace.limits.length).toBe(16);
+  });
+
+  it('returns null without an algorithm model or profile', () => {
+    expect(tissueTrace(points, settings('none'), phases)).toBeNull();
+    expect(tissueTrace(points, settings('unknown'), phases)).toBeNull();
+    expect(tissueTrace([{ time: 0, depth: 0 }], settings('zhl16c'), phases)).toBeNull();
+    expect(calculateCeilingTimeline(points, settings('none'), phases)).toEqual([]);
+  });
+
+  it('matches the Bühlmann ceiling at GF low', () => {
+    expect(bottomCeiling('zhl16c')).toBeCloseTo(calculateZHL16C(phases, options).ceiling, 1);
+  });
+
+  it('uses each algorithm\'s own model', () => {
+    const thalmann = bottomCeiling('thalmann');
+    const vpm = bottomCeiling('vpm');
+    expect(thalmann).toBeCloseTo(calculateThalmann(phases, options).ceiling, 1);
+    expect(vpm).toBeCloseTo(calculateVPM(phases, options).ceiling, 1);
+    expect(Math.abs(thalmann - bottomCeiling('zhl16c'))).toBeGreaterThan(1);
+    expect(Math.abs(vpm - bottomCeiling('zhl16c'))).toBeGreaterThan(1);
+  });
+
+  it('has a model for every algorithm', () => {
+    for (const algorithm of ['zhl16a', 'zhl16b', 'zhl12', 'zhl6', 'zhl8adt', 'rgbm', 'haldane', 'workman', 'dciem', 'dsat', 'usnavy', 'bsac']) {
+      expect(tissueModel({ algorithm })).not.toBeNull();
+      expect(bottomCeiling(algorithm)).toBeGreaterThan(0);
+    }
+  });
+
+  it('follows the gradient factors through a planned ascent', () => {
+    const plan = calculateFull({ ...settings('zhl16c'), descentRate: 18, ascentRate: 9, gases: [] }, [{ depth: 36, time: 25 }]);
+    const { steps } = tissueTrace(plan.points, settings('zhl16c'), plan.phases);
+    const last = steps.at(-1);
+    expect(last.depth).toBe(0);
+    // At the surface the current and surfacing GF agree
+    expect(last.gf).toBeCloseTo(last.surfacingGF, 6);
+    expect(last.surfacingGF).toBeGreaterThan(0);
+    expect(last.surfacingGF).toBeLessThan(100);
+    // Surfacing straight from the bottom would break the M-values
+    expect(steps[27].surfacingGF).toBeGreaterThan(100);
+    for (const step of steps) expect(step.leading).toBeLessThan(16);
+  });
+
+  it('loads helium as nitrogen in models without He', () => {
+    const trimix = tissueTrace(points, settings('haldane', { fHe: 0.35 }), phases);
+    const air = tissueTrace(points, settings('haldane'), phases);
+    expect(trimix.steps.at(-1).he).toBeNull();
+    expect(trimix.steps.at(-1).n2).toEqual(air.steps.at(-1).n2);
+    const buhlmann = tissueTrace(points, settings('zhl16c', { fHe: 0.35 }), phases);
+    expect(buhlmann.steps.at(-1).he[0]).toBeGreaterThan(1);
+  });
+});
+
+describe('GF metrics', () => {
+  const plannedTrace = (algorithm) => {
+    const plan = calculateFull({ ...settings(algorithm), descentRate: 18, ascentRate: 9, gases: [] }, [{ depth: 36, time: 25 }]);
+    return { plan, trace: tissueTrace(plan.points, settings(algorithm), plan.phases) };
+  };
+
+  it('are reported for Bühlmann traces only', () => {
+    expect(hasGFMetrics(plannedTrace('zhl16c').trace)).toBe(true);
+    expect(hasGFMetrics(plannedTrace('vpm').trace)).toBe(false);
+    expect(hasGFMetrics(null)).toBe(false);
+  });
+
+  it('peaks each phase, with the surfacing GF of a stop on arrival', () => {
+    const { plan, trace } = plannedTrace('zhl16c');
+    const rows = phaseGF(trace, plan.phases);
+    expect(rows.length).toBe(plan.phases.length);
+    const stops = plan.phases.map((phase, i) => ({ phase, row: rows[i] })).filter(({ phase }) => phase.action === 'Deco Stop');
+    expect(stops.length).toBeGreaterThan(1);
+    for (const { phase, row } of stops) {
+      expect(row.surfacingGF).toBeCloseTo(trace.steps[phase.runTime].surfacingGF, 6);
+      expect(row.leading).toBeGreaterThanOrEqual(0);
+    }
+    // Off-gassing at the stops brings the surfacing GF down
+    expect(stops.at(-1).row.surfacingGF).toBeLessThan(stops[0].row.surfacingGF);
+  });
+
+  it('uses the nearest step for phases shorter than a minute', () => {
+    const { trace } = plannedTrace('zhl16c');
+    const [row] = phaseGF(trace, [{ runTime: 30.4, duration: 0 }]);
+    expect(row.surfacingGF).toBe(trace.steps[30].surfacingGF);
+  });
+});
+
+describe('limit lines', () => {
+  const limit = { intercept: 0.5, slope: 1.2 };
+
+  it('puts GF 100 on the tolerated tension', () => {
+    expect(gradientFactor(1.0, limit, 1.0)).toBe(0);
+    expect(gradientFactor(1.5 + 0.2, limit, 1.0)).toBeCloseTo(100, 6);
+    expect(gradientFactor(0.8, limit, 1.0)).toBeLessThan(0);
+  });
+
+  it('finds the ambient pressure at which a tension reaches the GF', () => {
+    const ambient = ceilingPressure(2.5, limit, 0.5);
+    expect(gradientFactor(2.5, limit, ambient)).toBeCloseTo(50, 6);
+    expect(ceilingPressure(2.5, limit)).toBeCloseTo((2.5 - 0.5) / 1.2, 6);
+  });
+});
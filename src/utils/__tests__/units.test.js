@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toDisplayDepth, fromDisplayDepth, toDisplayPressure, fromDisplayPressure,
+  toDisplayVolume, toDisplayTank, fromDisplayTank, toDisplayTissue,
+  formatDepth, formatPressure, formatVolume, formatTank, floorDepth,
+  parseUnits, stopGridForUnits, inputValue,
+} from '../units';
+import { TEN_FEET, createStopGrid } from '../stopGrid';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateZHL16C } from '../buhlmann';
+
+describe('unit conversions', () => {
+  it('metric values pass through unchanged', () => {
+    expect(toDisplayDepth(30, 'metric')).toBe(30);
+    expect(fromDisplayPressure(200, 'metric')).toBe(200);
+    expect(formatDepth(30, 'metric')).toBe('30m');
+    expect(formatPressure(200, 'metric')).toBe('200 bar');
+    expect(formatVolume(2400, 'metric')).toBe('2,400L');
+  });
+
+  it('converts depth exactly, without display rounding', () => {
+    expect(fromDisplayDepth(100, 'imperial')).toBe(30.48);
+    expect(toDisplayDepth(fromDisplayDepth(133, 'imperial'), 'imperial')).toBeCloseTo(133, 10);
+    expect(formatDepth(30, 'imperial')).toBe('98ft');
+  });
+
+  it('converts cylinder pressure to psi', () => {
+    expect(toDisplayPressure(200, 'imperial')).toBeCloseTo(2900.75, 1);
+    expect(fromDisplayPressure(3000, 'imperial')).toBeCloseTo(206.84, 2);
+    expect(formatPressure(200, 'imperial')).toBe('2901 psi');
+  });
+
+  it('shows tissue pressures in fsw (33 fsw per 10 msw)', () => {
+    expect(toDisplayTissue(1, 'imperial')).toBeCloseTo(32.81, 2);
+  });
+
+  it('converts gas volume and rated cylinder capacity', () => {
+    expect(toDisplayVolume(2831.6846592, 'imperial')).toBeCloseTo(100, 10);
+    // 11.1L at 3000 psi ≈ an 80 cuft cylinder
+    const workingBar = fromDisplayPressure(3000, 'imperial');
+    expect(toDisplayTank(11.1, workingBar, 'imperial')).toBeCloseTo(81, 0);
+    expect(fromDisplayTank(toDisplayTank(11.1, workingBar, 'imperial'), workingBar, 'imperial')).toBeCloseTo(11.1, 10);
+    expect(formatTank(12, 200, 'metric')).toBe('12L');
+  });
+
+  it('rounds limits down so a MOD is never overstated', () => {
+    // 56 m = 183.7 ft
+    expect(floorDepth(56, 'imperial')).toBe('183ft');
+    expect(floorDepth(56, 'metric')).toBe('56m');
+  });
+
+  it('rounds only imperial input values', () => {
+    expect(inputValue(18 / 0.3048, 'imperial')).toBe(59.1);
+    expect(inputValue(18.123, 'metric')).toBe(18.123);
+  });
+
+  it('falls back to metric for unknown unit systems', () => {
+    expect(parseUnits('imperial')).toBe('imperial');
+    expect(parseUnits(null)).toBe('metric');
+    expect(parseUnits('toString')).toBe('metric');
+  });
+});
+
+describe('stop grid per unit system', () => {
+  it('imperial uses a 10 ft grid with 10/20 ft last stops', () => {
+    expect(stopGridForUnits({ stopInterval: 3, lastStopDepth: 6 }, 'imperial')).toEqual({ stopInterval: TEN_FEET, lastStopDepth: 2 * TEN_FEET });
+    expect(stopGridForUnits({ stopInterval: 3, lastStopDepth: 3 }, 'imperial')).toEqual({ stopInterval: TEN_FEET, lastStopDepth: TEN_FEET });
+  });
+
+  it('switching back restores the 3 m grid and keeps custom intervals', () => {
+    expect(stopGridForUnits({ stopInterval: TEN_FEET, lastStopDepth: 2 * TEN_FEET }, 'metric')).toEqual({ stopInterval: 3, lastStopDepth: 6 });
+    expect(stopGridForUnits({ stopInterval: 1, lastStopDepth: 6 }, 'imperial').stopInterval).toBe(1);
+  });
+
+  it('imperial plans put deco stops on whole 10 ft multiples', () => {
+    const grid = stopGridForUnits({ stopInterval: 3, lastStopDepth: 6 }, 'imperial');
+    expect(createStopGrid(grid).lastStop).toBeCloseTo(2 * TEN_FEET, 6);
+    const phases = calculateDiveProfile([{ depth: fromDisplayDepth(150, 'imperial'), time: 25 }], 18, 9).phases;
+    const { decoStops } = calculateZHL16C(phases, { fO2: 0.21, gfLow: 50, gfHigh: 70, ...grid });
+    expect(decoStops.length).toBeGreaterThan(0);
+    for (const stop of decoStops) {
+      expect(formatDepth(stop.depth, 'imperial', 3)).toMatch(/^\d+0ft$/);
+    }
+  });
+});
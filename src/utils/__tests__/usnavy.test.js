@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateUSNavy, lookupNoDecompression } from '../usnavy';
+import { METERS_TO_FEET } from '../constants';
+
+function dive(depth, time) {
+  return calculateUSNavy(calculateDiveProfile([{ depth, time }], 18, 9).phases, { fO2: 0.21 });
+}
+
+describe('lookupNoDecompression', () => {
+  it('rounds up to the next table depth and group', () => {
+    expect(lookupNoDecompression(58, 40)).toEqual({ tableDepth: 60, ndl: 63, group: 'G' });
+    expect(lookupNoDecompression(60, 63).group).toBe('K');
+  });
+
+  it('has no group past the no-decompression limit', () => {
+    expect(lookupNoDecompression(60, 64)).toEqual({ tableDepth: 60, ndl: 63, group: null });
+  });
+
+  it('covers any bottom time at unlimited depths', () => {
+    expect(lookupNoDecompression(12, 1000)).toMatchObject({ ndl: Infinity, group: 'I' });
+  });
+
+  it('returns null past the deepest table depth', () => {
+    expect(lookupNoDecompression(200, 5)).toBeNull();
+  });
+});
+
+describe('calculateUSNavy', () => {
+  it('reports the repetitive group of a no-decompression dive', () => {
+    const result = dive(18, 40);
+    expect(result.noDecoLimit).toBe(true);
+    expect(result.tableNDL).toBe(63);
+    expect(result.repetitiveGroup).toBe('G');
+    expect(result.outsideTable).toBe(false);
+  });
+
+  it('uses a decompression schedule past the limit', () => {
+    const result = dive(18, 80);
+    expect(result.noDecoLimit).toBe(false);
+    expect(result.decoStops.length).toBeGreaterThan(0);
+    expect(result.repetitiveGroup).toBeNull();
+  });
+
+  it('enters the schedules in fsw and stops at 10 fsw steps', () => {
+    // 12.1 m is 39.7 fsw: the 40 fsw row, not the next metric depth
+    const result = dive(12.1, 200);
+    expect(result.tableDepth * METERS_TO_FEET).toBeCloseTo(40, 10);
+    expect(result.tableTime).toBe(300);
+    expect(result.decoStops).toHaveLength(1);
+    expect(result.decoStops[0].depth * METERS_TO_FEET).toBeCloseTo(10, 10);
+    expect(dive(30, 60).decoStops.map(s => Math.round(s.depth * METERS_TO_FEET))).toEqual([20, 10]);
+  });
+
+  it('flags bottom times past the last schedule instead of clamping', () => {
+    const result = dive(18, 200);
+    expect(result.outsideTable).toBe(true);
+    expect(result.decoStops).toEqual([]);
+    expect(result.noDecoLimit).toBe(false);
+  });
+
+  it('flags dives deeper than 190 fsw as exceptional exposure', () => {
+    expect(dive(57, 10).exceptionalExposure).toBe(false);
+    const deep = dive(100, 10);
+    expect(deep.exceptionalExposure).toBe(true);
+    expect(deep.outsideTable).toBe(true);
+  });
+});
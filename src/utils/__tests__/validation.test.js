@@ -194,10 +194,10 @@ describe('GF variations produce expected ordering', () => {
     expect(r1.firstStopDepth).toBeGreaterThanOrEqual(r3.firstStopDepth);
   });
 
-  it('VPM-B GF ordering: 30/70 > 50/70 > 80/100', () => {
-    const r1 = calculateVPM(phases, { ...OPTS_DEFAULT, gfLow: 30, gfHigh: 70 });
-    const r2 = calculateVPM(phases, { ...OPTS_DEFAULT, gfLow: 50, gfHigh: 70 });
-    const r3 = calculateVPM(phases, { ...OPTS_DEFAULT, gfLow: 80, gfHigh: 100 });
+  it('VPM-B conservatism ordering: +4 > +2 > +0', () => {
+    const r1 = calculateVPM(phases, { ...OPTS_DEFAULT, conservatism: 4 });
+    const r2 = calculateVPM(phases, { ...OPTS_DEFAULT, conservatism: 2 });
+    const r3 = calculateVPM(phases, { ...OPTS_DEFAULT, conservatism: 0 });
     expect(totalDecoTime(r1)).toBeGreaterThan(totalDecoTime(r2));
     expect(totalDecoTime(r2)).toBeGreaterThan(totalDecoTime(r3));
   });
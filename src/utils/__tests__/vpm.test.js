@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiveProfile } from '../diveProfile';
+import { calculateVPM, radiusRootFinder } from '../vpm';
+import { depthToPressure, inspiredPressure } from '../physics';
+import { VPM_GRADIENT_ONSET_IMPERM, VPM_OTHER_GASES } from '../constants';
+
+const OPTS = { fO2: 0.21, fHe: 0, decoAscentRate: 9, lastStopDepth: 3 };
+
+function getPhases(depth, time, descentRate = 18) {
+  return calculateDiveProfile([{ depth, time }], descentRate, 9).phases;
+}
+
+function totalDecoTime(result) {
+  return result.decoStops.reduce((a, s) => a + s.time, 0);
+}
+
+describe('VPM radius root finder', () => {
+  it('solves A·r³ − B·r² − C = 0 inside the brackets', () => {
+    // r³ − 8 = 0
+    expect(radiusRootFinder(1, 0, 8, 1, 3)).toBeCloseTo(2, 9);
+    // 2r³ − r² − 12 = 0 → r = 2
+    expect(radiusRootFinder(2, 1, 12, 1, 3)).toBeCloseTo(2, 9);
+  });
+
+  it('rejects brackets without a root', () => {
+    expect(() => radiusRootFinder(1, 0, 8, 3, 4)).toThrow();
+  });
+});
+
+describe('VPM-B golden values', () => {
+  // VPM-B +0 runtime for 60m/30min on air (fast descent, 9 m/min ascent,
+  // last stop 3m) is ~141 min in commonly quoted planner output; allow ±5%
+  // for stop-rounding differences. Not checked against VPMDECO itself.
+  it('Air 60m/30min +0 matches the quoted runtime', () => {
+    const result = calculateVPM(getPhases(60, 30, 99), OPTS);
+    const runtime = 30 + totalDecoTime(result) + 60 / 9;
+    expect(runtime).toBeGreaterThan(141 * 0.95);
+    expect(runtime).toBeLessThan(141 * 1.05);
+  });
+
+  it('Air 60m/30min +0 starts deep and ends with the longest stop', () => {
+    const result = calculateVPM(getPhases(60, 30, 99), OPTS);
+    expect(result.firstStopDepth).toBeGreaterThanOrEqual(33);
+    expect(result.firstStopDepth).toBeLessThanOrEqual(39);
+    const last = result.decoStops[result.decoStops.length - 1];
+    expect(last.depth).toBe(3);
+    expect(last.time).toBe(Math.max(...result.decoStops.map(s => s.time)));
+  });
+
+  it('Air 20m/40min is within the no-deco limit', () => {
+    const result = calculateVPM(getPhases(20, 40), OPTS);
+    expect(result.noDecoLimit).toBe(true);
+    expect(result.decoStops).toEqual([]);
+  });
+});
+
+// Stop-by-stop schedules of this implementation, pinned exactly so any change
+// to the model shows up here. They are regression snapshots, not reference
+// output: they still need checking against Baker's VPMDECO program.
+describe('VPM-B schedule snapshots', () => {
+  const schedule = (result) => result.decoStops.filter(s => !s.gasSwitch).map(s => [s.depth, s.time]);
+
+  it('Air 60m/30min +0', () => {
+    expect(schedule(calculateVPM(getPhases(60, 30, 99), OPTS))).toEqual([
+      [36, 1], [33, 1], [30, 1], [27, 2], [24, 3], [21, 4], [18, 4], [15, 8], [12, 9], [9, 13], [6, 20], [3, 35],
+    ]);
+  });
+
+  it('Trimix 18/45 60m/25min +0', () => {
+    const result = calculateVPM(getPhases(60, 25, 99), { ...OPTS, fO2: 0.18, fHe: 0.45 });
+    expect(schedule(result)).toEqual([
+      [39, 1], [36, 1], [33, 1], [30, 1], [27, 1], [24, 2], [21, 3], [18, 4], [15, 6], [12, 9], [9, 12], [6, 21], [3, 38],
+    ]);
+  });
+
+  it('Trimix 18/45 60m/25min +0 with EAN50 and O₂', () => {
+    const gasSwitches = [{ depth: 21, fO2: 0.5, fHe: 0 }, { depth: 6, fO2: 1, fHe: 0 }];
+    const result = calculateVPM(getPhases(60, 25, 99), { ...OPTS, fO2: 0.18, fHe: 0.45, gasSwitches });
+    expect(schedule(result)).toEqual([
+      [36, 1], [33, 1], [30, 1], [27, 1], [24, 1], [21, 2], [18, 1], [15, 3], [12, 3], [9, 5], [6, 7], [3, 11],
+    ]);
+    expect(result.decoStops.filter(s => s.gasSwitch).map(s => [s.depth, s.gas])).toEqual([[21, '50/0'], [6, '100/0']]);
+  });
+});
+
+describe('VPM-B bubble mechanics', () => {
+  it('crushing past the onset of impermeability is damped', () => {
+    const result = calculateVPM(getPhases(120, 10, 20), { ...OPTS, fO2: 0.10, fHe: 0.70 });
+    const crush = result.bubbleState.maxCrushingPressure;
+    const permeableGradient = depthToPressure(120) - inspiredPressure(0, 0.79) - VPM_OTHER_GASES;
+    expect(crush).toBeGreaterThan(VPM_GRADIENT_ONSET_IMPERM);
+    expect(crush).toBeLessThan(permeableGradient);
+  });
+
+  it('tracks helium compartments on trimix', () => {
+    const result = calculateVPM(getPhases(45, 30), { ...OPTS, fHe: 0.35 });
+    expect(result.heLoading).not.toBeNull();
+    expect(result.heLoading[0]).toBeGreaterThan(1);
+    expect(result.decoStops.length).toBeGreaterThan(0);
+    expect(calculateVPM(getPhases(45, 30), OPTS).heLoading).toBeNull();
+  });
+
+  it('conservatism levels lengthen the schedule', () => {
+    const deco = [0, 1, 2, 3, 4].map(c => totalDecoTime(calculateVPM(getPhases(60, 30), { ...OPTS, conservatism: c })));
+    for (let i = 1; i < deco.length; i++) {
+      expect(deco[i]).toBeGreaterThan(deco[i - 1]);
+    }
+  });
+
+  it('clamps out-of-range conservatism', () => {
+    expect(calculateVPM(getPhases(40, 20), { ...OPTS, conservatism: 9 }).conservatism).toBe(4);
+    expect(calculateVPM(getPhases(40, 20), { ...OPTS, conservatism: -1 }).conservatism).toBe(0);
+  });
+
+  it('gradient factors no longer change the schedule', () => {
+    const a = calculateVPM(getPhases(50, 25), { ...OPTS, gfLow: 30, gfHigh: 70 });
+    const b = calculateVPM(getPhases(50, 25), { ...OPTS, gfLow: 90, gfHigh: 95 });
+    expect(a.decoStops).toEqual(b.decoStops);
+  });
+});
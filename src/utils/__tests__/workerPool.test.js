@@ -0,0 +1,240 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkerPool, defaultPoolSize, cancelledError, isCancelled, PRIORITY } from '../workerPool';
+import { runDecoJob } from '../decoJobs';
+import { ndlTable } from '../ndl';
+import { calculateZHL16C } from '../buhlmann';
+
+// Main-thread runner that records the order jobs ran in
+function recorder() {
+  const ran = [];
+  const runLocal = (type, payload, onProgress) => {
+    ran.push(payload);
+    if (type === 'count') for (let i = 1; i <= payload; i++) onProgress(i);
+    if (type === 'fail') throw new Error('failed');
+    return payload;
+  };
+  return { ran, runLocal };
+}
+
+// Stand-in for a deco worker: replies when told to, records terminations
+class FakeWorker {
+  static all = [];
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+    FakeWorker.all.push(this);
+  }
+  postMessage(message) { this.posted.push(message); }
+  reply(data) { this.onmessage({ data: { id: this.posted.at(-1).id, ...data } }); }
+  terminate() { this.terminated = true; }
+}
+
+const settle = (promise) => promise.then(result => ({ result }), error => ({ error }));
+
+describe('worker pool on the main thread', () => {
+  it('runs jobs one at a time, highest priority first', async () => {
+    const { ran, runLocal } = recorder();
+    const pool = createWorkerPool({ size: 4, runLocal });
+    expect(pool.size).toBe(1);
+    expect(pool.workers).toBe(0);
+    const jobs = [
+      pool.run('echo', 'first'),
+      pool.run('echo', 'background', { priority: PRIORITY.BACKGROUND }),
+      pool.run('echo', 'normal'),
+      pool.run('echo', 'visible', { priority: PRIORITY.VISIBLE }),
+    ];
+    expect(await Promise.all(jobs)).toEqual(['first', 'background', 'normal', 'visible']);
+    // The first job had already started when the others were queued
+    expect(ran).toEqual(['first', 'visible', 'normal', 'background']);
+  });
+
+  it('supersedes the job of the same key', async () => {
+    const { ran, runLocal } = recorder();
+    const pool = createWorkerPool({ runLocal });
+    const old = settle(pool.run('echo', 'old', { key: 'plan-A' }));
+    const other = pool.run('echo', 'other', { key: 'plan-B' });
+    const current = pool.run('echo', 'new', { key: 'plan-A' });
+    const { error } = await old;
+    expect(isCancelled(error)).toBe(true);
+    expect(error.message).toContain('plan-A');
+    expect(await current).toBe('new');
+    expect(await other).toBe('other');
+    expect(ran).toEqual(['other', 'new']);
+  });
+
+  it('cancels queued and running jobs by key', async () => {
+    const { ran, runLocal } = recorder();
+    const pool = createWorkerPool({ runLocal });
+    const jobs = [settle(pool.run('echo', 1, { key: 'a' })), settle(pool.run('echo', 2, { key: 'b' }))];
+    pool.cancel('a');
+    pool.cancel('b');
+    const results = await Promise.all(jobs);
+    expect(results.every(({ error }) => isCancelled(error))).toBe(true);
+    expect(ran).toEqual([]);
+  });
+
+  it('reports progress and errors', async () => {
+    const { runLocal } = recorder();
+    const pool = createWorkerPool({ runLocal });
+    const progress = [];
+    expect(await pool.run('count', 3, { onProgress: (n) => progress.push(n) })).toBe(3);
+    expect(progress).toEqual([1, 2, 3]);
+    const { error } = await settle(pool.run('fail', null));
+    expect(error.message).toBe('failed');
+    expect(isCancelled(error)).toBe(false);
+  });
+
+  it('reprioritizes queued jobs and reports pending payloads', async () => {
+    const { ran, runLocal } = recorder();
+    const pool = createWorkerPool({ runLocal });
+    const jobs = [
+      pool.run('echo', 'running', { key: 'r' }),
+      pool.run('echo', 'ceiling', { key: 'c', priority: PRIORITY.BACKGROUND }),
+      pool.run('echo', 'table', { key: 't' }),
+    ];
+    pool.prioritize('c', PRIORITY.VISIBLE);
+    expect(pool.pendingPayload('c')).toBe('ceiling');
+    expect(pool.pendingPayload('r')).toBe('running');
+    await Promise.all(jobs);
+    expect(ran).toEqual(['running', 'ceiling', 'table']);
+    expect(pool.pendingPayload('c')).toBeUndefined();
+  });
+
+  it('rejects every job on terminate', async () => {
+    const { runLocal } = recorder();
+    const pool = createWorkerPool({ runLocal });
+    const jobs = [settle(pool.run('echo', 1)), settle(pool.run('echo', 2))];
+    pool.terminate();
+    const results = await Promise.all(jobs);
+    expect(results.every(({ error }) => isCancelled(error))).toBe(true);
+  });
+});
+
+describe('worker pool with workers', () => {
+  const workerPool = (size) => {
+    FakeWorker.all = [];
+    const { runLocal } = recorder();
+    return createWorkerPool({ size, createWorker: () => new FakeWorker(), runLocal });
+  };
+
+  it('spreads jobs over idle workers and queues the rest', async () => {
+    const pool = workerPool(2);
+    expect(pool.workers).toBe(2);
+    const first = pool.run('plan', 'a');
+    pool.run('plan', 'b');
+    pool.run('plan', 'c');
+    const [w1, w2] = FakeWorker.all;
+    expect(w1.posted.map(m => m.payload)).toEqual(['a']);
+    expect(w2.posted.map(m => m.payload)).toEqual(['b']);
+    w1.reply({ progress: 50 });
+    w1.reply({ result: 'done a' });
+    expect(await first).toBe('done a');
+    expect(w1.posted.map(m => m.payload)).toEqual(['a', 'c']);
+  });
+
+  it('terminates and replaces the worker of a superseded job', async () => {
+    const pool = workerPool(1);
+    const progress = [];
+    const old = settle(pool.run('sweep', 'old', { key: 'sweep', onProgress: (p) => progress.push(p) }));
+    const [first] = FakeWorker.all;
+    first.reply({ progress: 'chunk 1' });
+    const current = pool.run('sweep', 'new', { key: 'sweep' });
+    expect(isCancelled((await old).error)).toBe(true);
+    expect(first.terminated).toBe(true);
+    // Late messages from the old job are ignored
+    first.reply({ progress: 'chunk 2' });
+    expect(progress).toEqual(['chunk 1']);
+    const replacement = FakeWorker.all[1];
+    expect(replacement.posted.map(m => m.payload)).toEqual(['new']);
+    replacement.reply({ result: 'swept' });
+    expect(await current).toBe('swept');
+  });
+
+  it('passes worker errors on as errors', async () => {
+    const pool = workerPool(1);
+    const job = settle(pool.run('plan', 'x'));
+    FakeWorker.all[0].reply({ error: 'Unknown deco job: plan' });
+    expect((await job).error.message).toBe('Unknown deco job: plan');
+  });
+
+  it('runs on the main thread when a worker fails to load', async () => {
+    const pool = workerPool(1);
+    const job = pool.run('echo', 'fallback');
+    FakeWorker.all[0].onerror({});
+    expect(FakeWorker.all[0].terminated).toBe(true);
+    expect(pool.workers).toBe(0);
+    expect(await job).toBe('fallback');
+  });
+});
+
+describe('pool helpers', () => {
+  it('starts one worker per spare core, 1 to 4', () => {
+    expect(defaultPoolSize(1)).toBe(1);
+    expect(defaultPoolSize(4)).toBe(3);
+    expect(defaultPoolSize(16)).toBe(4);
+    expect(defaultPoolSize(undefined)).toBe(1);
+  });
+
+  it('marks cancellations as AbortErrors', () => {
+    expect(cancelledError('ndl').name).toBe('AbortError');
+    expect(cancelledError(null).message).toBe('Calculation cancelled');
+    expect(isCancelled(new Error('x'))).toBe(false);
+  });
+});
+
+describe('deco jobs', () => {
+  const settings = { algorithm: 'zhl16c', fO2: 0.21, fHe: 0, gfLow: 50, gfHigh: 70, descentRate: 18, ascentRate: 9, gases: [] };
+  const stops = [{ depth: 40, time: 20 }];
+
+  it('plans a dive and finds its NDL', () => {
+    const plan = runDecoJob('plan', { settings, stops });
+    expect(plan.decoInfo.decoStops.length).toBeGreaterThan(0);
+    expect(runDecoJob('ndl', { settings, stops }).inDeco).toBe(true);
+    expect(runDecoJob('plan', { settings, stops: [] })).toBeNull();
+  });
+
+  it('works out the NDL table by algorithm id', () => {
+    const opts = { fO2: 0.32, fHe: 0, gfLow: 50, gfHigh: 70, ascentRate: 9 };
+    const rows = runDecoJob('ndlTable', { algorithm: 'zhl16c', depths: [18, 30, 42], opts });
+    expect(rows).toEqual(ndlTable([18, 30, 42], calculateZHL16C, opts));
+    expect(rows[0].ndl).toBeGreaterThan(rows[1].ndl);
+    expect(rows[2]).toEqual({ depth: 42, ndl: -1, cns: 0, mod: true });
+    expect(runDecoJob('ndlTable', { algorithm: 'none', depths: [18], opts })).toEqual([]);
+  });
+
+  it('streams sweep chunks as progress', () => {
+    const cases = [{ algorithm: 'zhl16c', gf: null, depth: 30, time: 20 }, { algorithm: 'zhl16c', gf: null, depth: 30, time: 30 }];
+    const chunks = [];
+    expect(runDecoJob('sweep', { settings, cases }, (chunk) => chunks.push(chunk))).toEqual({ count: 2 });
+    expect(chunks.flat().map(r => r.runtime > 0)).toEqual([true, true]);
+  });
+
+  it('works out the contingencies, series and log replay of a panel', () => {
+    const contingencies = runDecoJob('contingencies', { settings, stops, extraDepth: 3 });
+    expect(contingencies.map(row => row.id)).toContain('deeper');
+    expect(contingencies.find(row => row.id === 'planned').totalTime).toBe(runDecoJob('plan', { settings, stops }).totalTime);
+
+    const series = runDecoJob('series', { settings, stops, followUps: [{ surfaceInterval: 60, stops: [{ depth: 18, time: 30 }] }] });
+    expect(series).toHaveLength(2);
+    expect(runDecoJob('series', { settings: { ...settings, algorithm: 'none' }, stops, followUps: [] })).toBeNull();
+
+    const profile = {
+      gas: { fO2: 0.21, fHe: 0 },
+      phases: [{ depth: 20, duration: 2, runTime: 0, action: 'Descend' }, { depth: 20, duration: 20, runTime: 2, action: 'Stay' }],
+      points: [{ time: 0, depth: 0 }, { time: 2, depth: 20 }, { time: 22, depth: 20 }],
+    };
+    expect(runDecoJob('logReplay', { settings, profile }).decoInfo).toBeTruthy();
+    expect(runDecoJob('logReplay', { settings: { ...settings, algorithm: 'none' }, profile })).toBeNull();
+  });
+
+  it('plans the CCR bailout with the Bühlmann algorithms only', () => {
+    const ccr = { ...settings, circuit: 'ccr', bailoutGas: { fO2: 0.21, fHe: 0 } };
+    expect(runDecoJob('bailout', { settings: ccr, stops }).gases[0].fO2).toBe(0.21);
+    expect(runDecoJob('bailout', { settings: { ...ccr, algorithm: 'vpm' }, stops })).toBeNull();
+    expect(runDecoJob('bailout', { settings, stops })).toBeNull();
+  });
+
+  it('rejects unknown job types', () => {
+    expect(() => runDecoJob('nope', {})).toThrow('Unknown deco job: nope');
+  });
+});
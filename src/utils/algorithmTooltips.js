@@ -44,9 +44,9 @@ export const ALGORITHM_TOOLTIPS = {
   },
   rgbm: {
     history: 'Reduced Gradient Bubble Model by Bruce Wienke (1990s). Dual-phase approach.',
-    characteristics: 'Applies bubble reduction factors to Bühlmann M-values. More conservative for deep/long dives.',
+    characteristics: 'Applies bubble reduction factors to Bühlmann M-values: seed excitation, repetitive, reverse-profile, yo-yo and multi-day penalties.',
     usage: 'Used in Suunto and Mares dive computers. Good for repetitive diving.',
-    differences: 'Hybrid model: Bühlmann base with bubble growth factors. More conservative than pure Bühlmann.',
+    differences: 'Hybrid model: Bühlmann base with bubble growth factors. Penalizes yo-yo and reverse profiles that Bühlmann barely notices.',
   },
   haldane: {
     history: 'John Scott Haldane\'s original 1908 model — the foundation of ALL modern decompression theory.',
@@ -4,10 +4,32 @@
  * British Sub-Aqua Club 1988 decompression tables.
  * Table-based NDL + deco stops for air diving.
  * Based on published BSAC '88 table data.
+ *
+ * Altitude: BSAC '88 publishes a table set per altitude band. Those band
+ * tables are not encoded here: a site above the sea level band enters the sea
+ * level table at the equivalent depth for its band's upper limit instead, an
+ * approximation of the printed band tables that is flagged as
+ * `altitudeApproximation` in the result.
  */
 
-import { P_SURFACE } from './constants.js';
-import { inspiredPressure, schreiner } from './physics.js';
+import { inspiredPressure, surfaceEquilibrium, schreiner, schreinerSegment, initTissues } from './physics.js';
+import { createEnvironment, altitudeToPressure, seaLevelDepth } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
+import { GROUP_SYSTEMS, pressureGroup } from './pressureGroups.js';
+
+// BSAC '88 altitude bands (upper limit in m); the first band is the sea level table
+export const ALTITUDE_BANDS = [250, 750, 1500, 2500];
+
+/**
+ * Table environment for a dive site: the surface pressure at the top of its
+ * altitude band (extrapolated above the highest band). Approximates the
+ * band's own table, see the module comment.
+ */
+function tableEnvironment(env) {
+  if (env.altitude <= ALTITUDE_BANDS[0]) return { ...env, surfacePressure: altitudeToPressure(0) };
+  const band = ALTITUDE_BANDS.find(limit => env.altitude <= limit) ?? env.altitude;
+  return { ...env, surfacePressure: altitudeToPressure(band) };
+}
 
 // BSAC '88 No-Decompression Limits (depth in meters → NDL in minutes)
 const BSAC_NDL = {
@@ -151,31 +173,35 @@ function lookupBSAC(depth, bottomTime) {
 const HALFTIMES = [5, 10, 20, 40, 80, 120, 240, 480];
 
 /**
- * Run BSAC '88 table lookup.
+ * Run BSAC '88 table lookup. `options.residualTime` (min) is added to the
+ * bottom time on a repetitive dive.
  */
 export function calculateBSAC(phases, options = {}) {
-  const { fO2 = 0.21 } = options;
+  const { fO2 = 0.21, residualTime = 0 } = options;
   const fN2 = 1.0 - fO2;
   const nc = HALFTIMES.length;
+  const env = createEnvironment(options);
 
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(nc).fill(surfaceN2);
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(nc, surfaceN2, options.initialTissues?.n2);
+  const gases = phaseGases(phases, fO2);
+  phases.forEach((phase, p) => {
+    const pi = inspiredPressure(phase.depth, 1.0 - gases[p].fO2, env);
     for (let i = 0; i < nc; i++) {
       tissueLoading[i] = schreiner(tissueLoading[i], pi, phase.duration, HALFTIMES[i]);
     }
-  }
+  });
 
   const maxDepth = Math.max(...phases.map(p => p.depth), 0);
   const totalBottomTime = phases.reduce((sum, p) => sum + p.duration, 0);
 
-  const { stops, ndl, tableNDL } = lookupBSAC(maxDepth, totalBottomTime);
+  const equivalentDepth = seaLevelDepth(maxDepth, tableEnvironment(env));
+  const { stops, ndl, tableNDL } = lookupBSAC(equivalentDepth, totalBottomTime + residualTime);
 
   const decoStops = stops.sort((a, b) => b.depth - a.depth);
   const firstStopDepth = decoStops.length > 0 ? decoStops[0].depth : 0;
 
-  const mValues = HALFTIMES.map(() => P_SURFACE * 1.5);
+  const mValues = HALFTIMES.map(() => env.surfacePressure * 1.5);
 
   return {
     decoStops,
@@ -187,5 +213,30 @@ export function calculateBSAC(phases, options = {}) {
     halfTimes: [...HALFTIMES],
     mValues,
     tableNDL,
+    equivalentDepth,
+    altitudeApproximation: env.altitude > ALTITUDE_BANDS[0],
+    groupSystem: 'bsac',
+    pressureGroup: pressureGroup(GROUP_SYSTEMS.bsac, tissueLoading[HALFTIMES.indexOf(GROUP_SYSTEMS.bsac.halfTime)], env),
   };
 }
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the display
+ * compartments with the 1.5 surfacing ratio of the table M-values.
+ */
+export const BSAC_TISSUE_MODEL = {
+  name: "BSAC '88",
+  compartments: HALFTIMES.length,
+  halfTimes: HALFTIMES,
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(HALFTIMES.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const piStart = inspired(fromDepth).piN2;
+    const piEnd = inspired(toDepth).piN2;
+    for (let i = 0; i < HALFTIMES.length; i++) {
+      state.n2[i] = schreinerSegment(state.n2[i], piStart, piEnd, time, HALFTIMES[i]);
+    }
+  },
+  limit: () => ({ intercept: 0, slope: 1.5 }),
+};
@@ -2,11 +2,12 @@
  * Bühlmann ZHL decompression algorithm with trimix and multi-gas support.
  */
 
-function calculateAValue(halfTime) {
+// Bühlmann's a and b from the half-time (ZH-L 6/8 and new custom compartments)
+export function calculateAValue(halfTime) {
   return 2 * Math.pow(halfTime, -1/3);
 }
 
-function calculateBValue(halfTime) {
+export function calculateBValue(halfTime) {
   return 1.005 - Math.pow(halfTime, -1/2);
 }
 
@@ -64,8 +65,12 @@ export const PARAM_SETS = {
   }
 };
 
-import { P_SURFACE, MAX_STOP_MINUTES } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner } from './physics.js';
+import { MAX_STOP_MINUTES } from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, inspiredPressureCCR, surfaceEquilibrium, schreinerSegment, initTissues } from './physics.js';
+import { createSetpointTracker } from './ccr.js';
+import { createStopGrid } from './stopGrid.js';
+import { createEnvironment } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
 
 /**
  * Calculate combined a and b values for trimix (weighted by tissue loading).
@@ -85,7 +90,7 @@ function combinedAB(i, pN2, pHe, paramSet) {
 /**
  * Calculate ceiling for trimix tissue state.
  */
-function calcCeiling(n2Loading, heLoading, gfLow, paramSet) {
+function calcCeiling(n2Loading, heLoading, gfLow, paramSet, env) {
   let maxCeiling = 0;
   const gf = gfLow / 100;
 
@@ -94,7 +99,7 @@ function calcCeiling(n2Loading, heLoading, gfLow, paramSet) {
     const { a, b } = combinedAB(i, n2Loading[i], heLoading ? heLoading[i] : 0, paramSet);
     
     const ceiling = (pTotal - a * gf) / (gf / b - gf + 1);
-    const ceilingDepth = Math.max(0, (ceiling - P_SURFACE) * 10);
+    const ceilingDepth = pressureToDepth(ceiling, env);
     if (ceilingDepth > maxCeiling) maxCeiling = ceilingDepth;
   }
   return maxCeiling;
@@ -103,8 +108,8 @@ function calcCeiling(n2Loading, heLoading, gfLow, paramSet) {
 /**
  * Check if we can ascend to nextDepth given current tissue state.
  */
-function canAscendTo(n2Loading, heLoading, nextDepth, gfAtStop, paramSet) {
-  const nextAmbient = depthToPressure(nextDepth);
+function canAscendTo(n2Loading, heLoading, nextDepth, gfAtStop, paramSet, env) {
+  const nextAmbient = depthToPressure(nextDepth, env);
   for (let i = 0; i < paramSet.compartments; i++) {
     const pTotal = n2Loading[i] + (heLoading ? heLoading[i] : 0);
     const { a, b } = combinedAB(i, n2Loading[i], heLoading ? heLoading[i] : 0, paramSet);
@@ -121,7 +126,7 @@ function canAscendTo(n2Loading, heLoading, nextDepth, gfAtStop, paramSet) {
  * Pick the shallowest gas whose switch depth >= current depth.
  * E.g. at 3m with switches at 22m (EAN50) and 6m (O2): use O2 (6>=3, shallowest).
  */
-function getGasAtDepth(depth, bottomGas, gasSwitches) {
+export function getGasAtDepth(depth, bottomGas, gasSwitches) {
   if (!gasSwitches || gasSwitches.length === 0) return bottomGas;
   
   const sorted = [...gasSwitches].sort((a, b) => a.depth - b.depth);
@@ -135,69 +140,99 @@ function getGasAtDepth(depth, bottomGas, gasSwitches) {
 
 /**
  * Main Bühlmann calculation with trimix and multi-gas support.
+ * With `options.ccr` set, fO2/fHe describe the diluent and every phase is
+ * loaded at the loop setpoint; phase and deco gas switches are ignored.
+ * Otherwise each phase is loaded on its own `gas` (see phaseGases).
+ * `options.initialTissues` ({ n2, he }) starts from a loaded tissue state
+ * instead of surface equilibrium. `altitude`, `salinity` and `acclimatized`
+ * describe the dive site (see createEnvironment). `options.paramSet` runs a
+ * parameter set of the PARAM_SETS shape (a custom set) instead of `variant`.
  */
 export function calculateBuhlmann(phases, options = {}) {
-  const { fO2 = 0.21, gfLow = 30, gfHigh = 70, ascentRate = 9, decoAscentRate = 9, variant = 'zhl16c', fHe = 0, gasSwitches = [], lastStopDepth = 6 } = options;
-  const paramSet = PARAM_SETS[variant];
+  const { fO2 = 0.21, gfLow = 30, gfHigh = 70, decoAscentRate = 9, variant = 'zhl16c', fHe = 0, ccr = null, initialTissues = null } = options;
+  const paramSet = options.paramSet || PARAM_SETS[variant];
   if (!paramSet) throw new Error(`Unknown variant: ${variant}`);
 
+  const gasSwitches = ccr ? [] : (options.gasSwitches || []);
   const fN2 = 1.0 - fO2 - fHe;
-  const hasHe = fHe > 0 || gasSwitches.some(g => g.fHe > 0);
+  const gases = phaseGases(phases, fO2, fHe);
+  const hasHe = fHe > 0 || gasSwitches.some(g => g.fHe > 0) || (!ccr && gases.some(g => g.fHe > 0))
+    || !!initialTissues?.he?.some(p => p > 0);
   const bottomGas = { fO2, fHe, fN2 };
+  // The ascent starts on whatever the last phase was breathed on
+  const ascentGas = ccr || gases.length === 0 ? bottomGas : gases[gases.length - 1];
   const nc = paramSet.compartments;
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
+  const env = createEnvironment(options);
+
+  // Inspired inert pressures for a gas at depth (open circuit or CCR loop)
+  const inspired = (depth, gas, logged) => {
+    if (!ccr) {
+      return {
+        piN2: inspiredPressure(depth, gas.fN2, env),
+        piHe: hasHe ? inspiredPressure(depth, gas.fHe || 0, env) : 0,
+      };
+    }
+    const setpoint = setpointAt(depth, logged);
+    return {
+      piN2: inspiredPressureCCR(depth, gas.fN2, setpoint, gas.fO2, env),
+      piHe: hasHe ? inspiredPressureCCR(depth, gas.fHe || 0, setpoint, gas.fO2, env) : 0,
+    };
+  };
 
-  // Initialize at surface equilibrium
-  const n2Loading = new Array(nc).fill(inspiredPressure(0, fN2));
-  const heLoading = hasHe ? new Array(nc).fill(0) : null;
-
-  // Process bottom phases with bottom gas
-  for (const phase of phases) {
-    const piN2 = inspiredPressure(phase.depth, fN2);
-    const piHe = hasHe ? inspiredPressure(phase.depth, fHe) : 0;
+  // Initialize at surface equilibrium (or the supplied tissue state)
+  const n2Loading = initTissues(nc, surfaceEquilibrium(fN2, env), initialTissues?.n2);
+  const heLoading = hasHe
+    ? initTissues(nc, 0, initialTissues?.he)
+    : null;
+
+  // Load tissues over a segment from one depth to another (linear Schreiner
+  // while the depth changes, constant depth otherwise)
+  const load = (n2, he, fromDepth, toDepth, gas, time, setpoint) => {
+    const start = inspired(fromDepth, gas, setpoint);
+    const end = inspired(toDepth, gas, setpoint);
     for (let i = 0; i < nc; i++) {
-      n2Loading[i] = schreiner(n2Loading[i], piN2, phase.duration, paramSet.halfTimes[i]);
+      n2[i] = schreinerSegment(n2[i], start.piN2, end.piN2, time, paramSet.halfTimes[i]);
       if (hasHe) {
         const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
-        heLoading[i] = schreiner(heLoading[i], piHe, phase.duration, paramSet.heHalfTimes[heIdx]);
+        he[i] = schreinerSegment(he[i], start.piHe, end.piHe, time, paramSet.heHalfTimes[heIdx]);
       }
     }
-  }
+  };
+
+  // Process the planned phases, each on its own gas (the diluent on CCR,
+  // at the phase's logged setpoint when it has one)
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    load(n2Loading, heLoading, depth, phase.depth, ccr ? bottomGas : gases[i], phase.duration, phase.setpoint);
+    depth = phase.depth;
+  });
 
   // Calculate ceiling
-  const rawCeiling = calcCeiling(n2Loading, heLoading, gfLow, paramSet);
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  const grid = createStopGrid(options);
+  const rawCeiling = calcCeiling(n2Loading, heLoading, gfLow, paramSet, env);
+  const firstStopDepth = grid.firstStop(rawCeiling);
 
   // Generate deco stops
   const decoStops = [];
   const wN2 = [...n2Loading];
   const wHe = hasHe ? [...heLoading] : null;
-  let prevGasLabel = `${Math.round(fO2*100)}/${Math.round((fHe||0)*100)}`;
+  let prevGasLabel = `${Math.round(ascentGas.fO2*100)}/${Math.round((ascentGas.fHe||0)*100)}`;
 
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
 
-    while (currentStop >= lastStopDepth) {
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
-
+    while (grid.isStop(currentStop)) {
       // Determine gas at this stop
-      const gas = getGasAtDepth(currentStop, bottomGas, gasSwitches);
+      const gas = getGasAtDepth(currentStop, ascentGas, gasSwitches);
 
       // Transit
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPiN2 = inspiredPressure(currentStop, gas.fN2);
-      const transitPiHe = hasHe ? inspiredPressure(currentStop, gas.fHe || 0) : 0;
-      for (let i = 0; i < nc; i++) {
-        wN2[i] = schreiner(wN2[i], transitPiN2, transitTime, paramSet.halfTimes[i]);
-        if (hasHe) {
-          const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
-          wHe[i] = schreiner(wHe[i], transitPiHe, transitTime, paramSet.heHalfTimes[heIdx]);
-        }
-      }
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      load(wN2, wHe, prevDepth, currentStop, gas, transitTime);
 
       // GF at next stop
-      const nextStop = currentStop - 3;
+      const nextStop = grid.next(currentStop);
       const gfAtStop = gfHigh + ((gfLow - gfHigh) * Math.max(0, nextStop)) / firstStopDepth;
 
       // Find stop time
@@ -205,21 +240,11 @@ export function calculateBuhlmann(phases, options = {}) {
       const simN2 = [...wN2];
       const simHe = hasHe ? [...wHe] : null;
 
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        if (canAscendTo(simN2, simHe, nextStop, Math.min(gfAtStop, gfHigh), paramSet)) {
-          stopTime = minute;
-          break;
-        }
-        const piN2 = inspiredPressure(currentStop, gas.fN2);
-        const piHe = hasHe ? inspiredPressure(currentStop, gas.fHe || 0) : 0;
-        for (let i = 0; i < nc; i++) {
-          simN2[i] = schreiner(simN2[i], piN2, 1, paramSet.halfTimes[i]);
-          if (hasHe) {
-            const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
-            simHe[i] = schreiner(simHe[i], piHe, 1, paramSet.heHalfTimes[heIdx]);
-          }
-        }
-        stopTime = minute + 1;
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
+        if (canAscendTo(simN2, simHe, nextStop, Math.min(gfAtStop, gfHigh), paramSet, env)) break;
+        load(simN2, simHe, currentStop, currentStop, gas, 1);
+        stopTime = grid.stopTime(waited + 1);
       }
 
       const gasLabel = `${Math.round(gas.fO2*100)}/${Math.round((gas.fHe||0)*100)}`;
@@ -229,27 +254,24 @@ export function calculateBuhlmann(phases, options = {}) {
         // Gas switch marker (time added by UI toggle)
         decoStops.push({ depth: currentStop, time: 0, gas: gasLabel, gasSwitch: true });
       }
-      // Every deco stop is minimum 1 min
-      decoStops.push({ depth: currentStop, time: Math.max(1, stopTime), gas: gasLabel });
+      // Every grid stop is minimum 1 min; continuous steps only list real waits
+      if (stopTime > 0) {
+        const stop = { depth: currentStop, time: stopTime, gas: gasLabel };
+        if (ccr) stop.setpoint = setpointAt(currentStop);
+        decoStops.push(stop);
+      }
       prevGasLabel = gasLabel;
 
       // Update working tissue
-      const piN2 = inspiredPressure(currentStop, gas.fN2);
-      const piHe = hasHe ? inspiredPressure(currentStop, gas.fHe || 0) : 0;
-      for (let i = 0; i < nc; i++) {
-        wN2[i] = schreiner(wN2[i], piN2, stopTime, paramSet.halfTimes[i]);
-        if (hasHe) {
-          const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
-          wHe[i] = schreiner(wHe[i], piHe, stopTime, paramSet.heHalfTimes[heIdx]);
-        }
-      }
+      load(wN2, wHe, currentStop, currentStop, gas, stopTime);
 
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
 
   // Compute M-values and a/b for each compartment at surface
-  const surfaceAmbient = P_SURFACE;
+  const surfaceAmbient = env.surfacePressure;
   const mValues = [];
   const aValues = [];
   const bValues = [];
@@ -269,10 +291,12 @@ export function calculateBuhlmann(phases, options = {}) {
     noDecoLimit: firstStopDepth === 0,
     variant: paramSet.name,
     compartmentCount: nc,
+    labels: compartmentLabels(paramSet),
     halfTimes: paramSet.halfTimes.slice(0, nc),
     mValues,
     aValues,
     bValues,
+    circuit: ccr ? 'ccr' : 'oc',
   };
 }
 
@@ -284,24 +308,74 @@ export function calculateZHL12(phases, options = {}) { return calculateBuhlmann(
 export function calculateZHL6(phases, options = {}) { return calculateBuhlmann(phases, { ...options, variant: 'zhl6' }); }
 export function calculateZHL8ADT(phases, options = {}) { return calculateBuhlmann(phases, { ...options, variant: 'zhl8adt' }); }
 
-// Capability flags: trimix (He tracking), multiGas (deco gas switches), gf (gradient factors)
+/** A custom parameter set (see customParams): `options.paramSet` is required. */
+export function calculateCustomZHL(phases, options = {}) {
+  if (!options.paramSet) throw new Error('Custom parameter set missing');
+  return calculateBuhlmann(phases, options);
+}
+
+/**
+ * Compartment labels: 1, 2, 3… or, for a set with a split first
+ * compartment (`split1b`), 1, 1b, 2, 3…
+ */
+export function compartmentLabels(paramSet) {
+  return Array.from({ length: paramSet.compartments }, (_, i) => {
+    if (!paramSet.split1b || i === 0) return String(i + 1);
+    return i === 1 ? '1b' : String(i);
+  });
+}
+
+/**
+ * Tissue model of a ZH-L variant (or of a custom `paramSet`) for the tissue
+ * trace (see tissueTrace): N₂ and He compartments with trimix-weighted
+ * M-values M = a + P/b.
+ */
+export function buhlmannTissueModel(variant, paramSet = PARAM_SETS[variant]) {
+  if (!paramSet) return null;
+  const nc = paramSet.compartments;
+  return {
+    name: paramSet.name,
+    compartments: nc,
+    labels: compartmentLabels(paramSet),
+    halfTimes: paramSet.halfTimes.slice(0, nc),
+    helium: true,
+    gf: true,
+    start: (fN2, env) => ({ n2: new Array(nc).fill(surfaceEquilibrium(fN2, env)), he: new Array(nc).fill(0) }),
+    load(state, { fromDepth, toDepth, time, inspired }) {
+      const start = inspired(fromDepth);
+      const end = inspired(toDepth);
+      for (let i = 0; i < nc; i++) {
+        state.n2[i] = schreinerSegment(state.n2[i], start.piN2, end.piN2, time, paramSet.halfTimes[i]);
+        const heIdx = Math.min(i, paramSet.heHalfTimes.length - 1);
+        state.he[i] = schreinerSegment(state.he[i], start.piHe, end.piHe, time, paramSet.heHalfTimes[heIdx]);
+      }
+    },
+    limit(state, i) {
+      const { a, b } = combinedAB(i, state.n2[i], state.he[i], paramSet);
+      return { intercept: a, slope: 1 / b };
+    },
+  };
+}
+
+// Capability flags: trimix (He tracking), multiGas (deco gas switches), gf (gradient factors), ccr (rebreather setpoints),
+// conservatism (VPM-B +0..+4 critical radius levels)
 export const ALGORITHMS = {
-  none:    { name: 'No Algorithm',       description: 'Direct ascent, no deco calculation',                          trimix: false, multiGas: false, gf: false },
-  zhl16a:  { name: 'ZH-L 16A',          description: 'Original experimental (1986). Trimix + multi-gas.',           trimix: true,  multiGas: true,  gf: true },
-  zhl16b:  { name: 'ZH-L 16B',          description: 'For printed tables. Trimix + multi-gas.',                     trimix: true,  multiGas: true,  gf: true },
-  zhl16c:  { name: 'ZH-L 16C',          description: 'For dive computers. Most widely used. Trimix + multi-gas.',   trimix: true,  multiGas: true,  gf: true },
-  zhl12:   { name: 'ZH-L 12',           description: 'Original 1983 version. Trimix + multi-gas.',                  trimix: true,  multiGas: true,  gf: true },
-  zhl6:    { name: 'ZH-L 6',            description: 'Simplified 6-compartment. Trimix + multi-gas.',               trimix: true,  multiGas: true,  gf: true },
-  zhl8adt: { name: 'ZH-L 8 ADT',        description: '8-compartment adaptive. Trimix + multi-gas.',                 trimix: true,  multiGas: true,  gf: true },
-  vpm:     { name: 'VPM-B',             description: 'Bubble mechanics model. Deeper first stops. Nitrox only.',    trimix: false, multiGas: false, gf: true },
-  rgbm:    { name: 'RGBM',              description: 'Dual-phase bubble model. Nitrox only.',                       trimix: false, multiGas: false, gf: true },
-  haldane: { name: 'Haldane (1908)',     description: '5 compartments, 2:1 ratio. Air/Nitrox only.',                 trimix: false, multiGas: false, gf: false },
-  workman: { name: 'Workman (1965)',     description: 'US Navy M-values. 9 compartments. Air/Nitrox only.',          trimix: false, multiGas: false, gf: false },
-  thalmann:{ name: 'Thalmann VVAL-18',  description: 'US Navy asymmetric kinetics. Air/Nitrox only.',               trimix: false, multiGas: false, gf: false },
-  dciem:   { name: 'DCIEM',             description: 'Canadian serial compartments. Very conservative. Air/Nitrox.', trimix: false, multiGas: false, gf: false },
-  dsat:    { name: 'DSAT/PADI',         description: 'Recreational NDL-only. No deco calculation.',                    trimix: false, multiGas: false, gf: false },
-  usnavy:  { name: 'US Navy Rev 7',     description: 'Table-based USN Diving Manual Rev 7. Air only.',                  trimix: false, multiGas: false, gf: false },
-  bsac:    { name: 'BSAC \'88',        description: 'British Sub-Aqua Club 1988 tables. Air only.',                     trimix: false, multiGas: false, gf: false },
+  none:    { name: 'No Algorithm',       description: 'Direct ascent, no deco calculation',                          trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  zhl16a:  { name: 'ZH-L 16A',          description: 'Original experimental (1986). Trimix + multi-gas.',           trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  zhl16b:  { name: 'ZH-L 16B',          description: 'For printed tables. Trimix + multi-gas.',                     trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  zhl16c:  { name: 'ZH-L 16C',          description: 'For dive computers. Most widely used. Trimix + multi-gas.',   trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  zhl12:   { name: 'ZH-L 12',           description: 'Original 1983 version. Trimix + multi-gas.',                  trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  zhl6:    { name: 'ZH-L 6',            description: 'Simplified 6-compartment. Trimix + multi-gas.',               trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  zhl8adt: { name: 'ZH-L 8 ADT',        description: '8-compartment adaptive. Trimix + multi-gas.',                 trimix: true,  multiGas: true,  gf: true,  ccr: true,  conservatism: false },
+  vpm:     { name: 'VPM-B',             description: 'Yount/Baker bubble model. Deeper first stops. Trimix + multi-gas.', trimix: true,  multiGas: true,  gf: false, ccr: true,  conservatism: true },
+  rgbm:    { name: 'RGBM',              description: 'Dual-phase bubble model. Trimix + multi-gas.',                trimix: true,  multiGas: true,  gf: true,  ccr: false, conservatism: false },
+  haldane: { name: 'Haldane (1908)',     description: '5 compartments, 2:1 ratio. Air/Nitrox only.',                 trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  workman: { name: 'Workman (1965)',     description: 'US Navy M-values. 9 compartments. Air/Nitrox only.',          trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  thalmann:{ name: 'Thalmann VVAL-18',  description: 'US Navy asymmetric kinetics. Air/Nitrox only.',               trimix: false, multiGas: false, gf: false, ccr: true,  conservatism: false },
+  dciem:   { name: 'DCIEM',             description: 'Canadian serial compartments. Very conservative. Air/Nitrox.', trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  dsat:    { name: 'DSAT/PADI',         description: 'Recreational NDL-only. No deco calculation.',                    trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  usnavy:  { name: 'US Navy Rev 7',     description: 'Table-based USN Diving Manual Rev 7. Air only.',                  trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
+  bsac:    { name: 'BSAC \'88',        description: 'British Sub-Aqua Club 1988 tables. Air only. Altitude bands approximated.', trimix: false, multiGas: false, gf: false, ccr: false, conservatism: false },
 };
 
 export { calculateZHL16C as default };
@@ -0,0 +1,49 @@
+/**
+ * Closed-circuit rebreather (CCR) setpoint handling.
+ * In CCR mode the bottom gas settings describe the diluent, and the loop ppO₂
+ * is held at a low setpoint until the switch depth, then at the high setpoint
+ * for the rest of the dive (including the whole ascent).
+ */
+import { CUSTOM_ALGORITHM_PREFIX } from './constants.js';
+
+export const DEFAULT_CCR = {
+  setpointLow: 0.7,
+  setpointHigh: 1.3,
+  switchDepth: 20,
+};
+
+/** Open-circuit gas breathed from the bailout point when none is set. */
+export const DEFAULT_BAILOUT_GAS = { fO2: 0.21, fHe: 0 };
+
+// Non-Bühlmann algorithms that load the diluent at the loop setpoint
+const CCR_ALGORITHMS = ['vpm', 'thalmann'];
+
+/**
+ * Build the algorithm `ccr` option from dive settings, or null for open circuit.
+ * The Bühlmann engine (ZH-L and custom parameter sets), VPM-B and Thalmann
+ * model the loop; other algorithms stay on OC.
+ */
+export function ccrFromSettings(settings) {
+  if (!settings || settings.circuit !== 'ccr') return null;
+  const algorithm = settings.algorithm || '';
+  if (!algorithm.startsWith('zhl') && !algorithm.startsWith(CUSTOM_ALGORITHM_PREFIX) && !CCR_ALGORITHMS.includes(algorithm)) return null;
+  return {
+    setpointLow: settings.setpointLow ?? DEFAULT_CCR.setpointLow,
+    setpointHigh: settings.setpointHigh ?? DEFAULT_CCR.setpointHigh,
+    switchDepth: settings.setpointSwitchDepth ?? DEFAULT_CCR.switchDepth,
+  };
+}
+
+/**
+ * Create a stateful setpoint lookup that must be fed depths in dive order.
+ * Once the switch depth has been reached the high setpoint stays active.
+ * A `logged` setpoint (from an imported dive log phase) overrides the plan.
+ */
+export function createSetpointTracker(ccr) {
+  let high = false;
+  return (depth, logged) => {
+    if (depth >= ccr.switchDepth) high = true;
+    if (typeof logged === 'number') return logged;
+    return high ? ccr.setpointHigh : ccr.setpointLow;
+  };
+}
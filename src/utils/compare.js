@@ -0,0 +1,61 @@
+/**
+ * N-way compare: 2–8 configurations planned on the same stops, lettered
+ * A–H in the panels, the chart legend and the URL parameter suffixes.
+ */
+
+export const PANEL_LETTERS = 'ABCDEFGH';
+export const MIN_COMPARE_PANELS = 2;
+export const MAX_PANELS = PANEL_LETTERS.length;
+
+// Profile and ceiling colours per panel; A and B keep their original colours
+export const PANEL_COLORS = ['#4fc3f7', '#ff9800', '#ba68c8', '#81c784', '#f06292', '#e6c229', '#4db6ac', '#a1887f'];
+export const CEILING_COLORS = ['#ff6b35', '#ff4081', '#e040fb', '#76ff03', '#ff1744', '#ffab00', '#1de9b6', '#ff9e80'];
+
+/** Number of compare panels from the URL's `n`: 2 unless 3–8 is given. */
+export function parsePanelCount(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= MIN_COMPARE_PANELS ? Math.min(n, MAX_PANELS) : MIN_COMPARE_PANELS;
+}
+
+/**
+ * Short name of a configuration for the summary matrix: the algorithm
+ * name, its gradient factors or conservatism, and the bottom gas when it
+ * isn't air. `entry` is the algorithm's registry entry.
+ */
+export function configurationLabel(settings, entry, gasName) {
+  const parts = [entry?.name || settings.algorithm];
+  if (entry?.gf) parts.push(`GF ${settings.gfLow}/${settings.gfHigh}`);
+  if (entry?.conservatism && settings.conservatism) parts.push(`+${settings.conservatism}`);
+  if (settings.circuit === 'ccr' && entry?.ccr) parts.push('CCR');
+  const bottom = gasName({ fO2: settings.fO2, fHe: settings.fHe || 0 });
+  if (bottom !== 'Air') parts.push(bottom);
+  return parts.join(' ');
+}
+
+/**
+ * One configuration's row of the summary matrix: { runtime, firstStop (m,
+ * null without deco), decoTime, cns, otu, liters, short (a cylinder breathed
+ * into its reserve) }, or null without a plan.
+ */
+export function compareSummary(result, o2Data, gasData, reservePressure = 50) {
+  if (!result) return null;
+  const stops = (result.decoInfo?.decoStops || []).filter(s => !s.gasSwitch && !s.safetyStop && s.time > 0);
+  const breakdown = Object.values(gasData?.consumption?.gasBreakdown || {});
+  return {
+    runtime: result.totalTime,
+    firstStop: stops.length > 0 ? stops[0].depth : null,
+    decoTime: stops.reduce((sum, s) => sum + s.time, 0),
+    cns: o2Data?.cns?.totalCNS ?? null,
+    otu: o2Data?.otu?.totalOTU ?? null,
+    liters: gasData?.consumption?.totalLiters ?? null,
+    short: breakdown.some(c => c.used > c.tankSize * (c.tankPressure - reservePressure)),
+  };
+}
+
+/** The lowest value of each key across the rows (nulls ignored). */
+export function bestValues(rows, keys) {
+  return Object.fromEntries(keys.map(key => {
+    const values = rows.map(r => r?.[key]).filter(v => v !== null && v !== undefined);
+    return [key, values.length > 0 ? Math.min(...values) : null];
+  }));
+}
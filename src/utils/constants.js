@@ -10,10 +10,19 @@ export const P_WATER_VAPOR = 0.0627;
 
 // Surface tension parameters (VPM)
 export const GAMMA = 0.0179;          // Surface tension (N/m)
-export const GAMMA_C = 0.0257;        // Skin compression (N/m)
+export const GAMMA_C = 0.257;         // Skin compression (N/m)
 
-// VPM critical volume lambda
-export const LAMBDA_N2 = 7500;
+// VPM-B critical volume parameter lambda (bar·min, = 6500 fsw·min)
+export const VPM_LAMBDA = 199.58;
+
+// VPM gradient at onset of impermeability (bar, = 8.2 atm)
+export const VPM_GRADIENT_ONSET_IMPERM = 8.2 * P_SURFACE;
+
+// VPM nuclear regeneration time constant (min, = 14 days)
+export const VPM_REGENERATION_TIME = 20160;
+
+// Tissue O₂/CO₂/H₂O tension not counted as inert gas (bar, = 102 mmHg)
+export const VPM_OTHER_GASES = 0.1359888;
 
 // DCIEM-specific
 export const DCIEM_ASCENT_PENALTY = 1.1;
@@ -30,3 +39,6 @@ export const STOP_INTERVAL = 3;
 
 // Max deco stop search iterations
 export const MAX_STOP_MINUTES = 999;
+
+// Algorithm id prefix of custom Bühlmann parameter sets (see customParams)
+export const CUSTOM_ALGORITHM_PREFIX = 'custom-';
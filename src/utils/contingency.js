@@ -0,0 +1,117 @@
+/**
+ * Contingency ("what if") tables: the plan re-run for the standard backup
+ * variants divers carry — deeper, longer, each deco gas lost, every deco gas
+ * lost and a delayed ascent.
+ *
+ * The caller supplies `calculate(settings, stops)`, the same full calculation
+ * used for the main plan, so every variant is planned exactly like the dive.
+ */
+import { calculateCNS, calculateOTU } from './oxygenToxicity.js';
+import { calculateGasConsumption } from './gasPlanning.js';
+import { ccrFromSettings } from './ccr.js';
+import { createEnvironment } from './environment.js';
+import { gasCylinders, gasLabel, gasName } from './gases.js';
+
+export const EXTRA_DEPTH = 3;
+export const EXTRA_TIME = 5;
+export const ASCENT_DELAY = 5;
+
+// Deepest depth of the plan and the index of the last stop there
+function bottom(stops) {
+  const maxDepth = Math.max(...stops.map(s => s.depth));
+  return { maxDepth, last: stops.map(s => s.depth).lastIndexOf(maxDepth) };
+}
+
+/**
+ * Backup plan variants: [{ id, label, settings, stops }], the planned dive
+ * first. `extraDepth` (m) defaults to 3 m; imperial plans pass 10 ft.
+ * `holdDepth` is where the delayed ascent waits: the first deco stop, or the
+ * last stop depth for a no-deco dive. Stop times include the transit to the
+ * stop (see calculateDiveProfile), so the delayed stop adds the travel to the
+ * hold and the diver spends the full delay there. Lost gas variants only
+ * apply on open circuit, where the deco gases are breathed.
+ */
+export function contingencyVariants(settings, stops, { extraDepth = EXTRA_DEPTH, holdDepth } = {}) {
+  const { maxDepth, last } = bottom(stops);
+  const variants = [
+    { id: 'planned', label: 'Planned', settings, stops },
+    {
+      id: 'deeper', label: 'Deeper', detail: extraDepth, settings,
+      stops: stops.map(s => s.depth === maxDepth ? { ...s, depth: s.depth + extraDepth } : s),
+    },
+    {
+      id: 'longer', label: `+${EXTRA_TIME} min bottom time`, detail: EXTRA_TIME, settings,
+      stops: stops.map((s, i) => i === last ? { ...s, time: s.time + EXTRA_TIME } : s),
+    },
+  ];
+
+  const gases = settings.gases || [];
+  const deco = gases.filter(g => g.role === 'deco' && g.fO2 > 0);
+  if (!ccrFromSettings(settings)) {
+    for (const gas of deco) {
+      variants.push({
+        id: `lost-gas${gases.indexOf(gas)}`, label: `Lost ${gasName(gas)}`,
+        settings: { ...settings, gases: gases.filter(g => g !== gas) }, stops,
+      });
+    }
+    if (deco.length > 1) {
+      variants.push({
+        id: 'lost-all', label: 'All deco gases lost',
+        settings: { ...settings, gases: gases.filter(g => !deco.includes(g)) }, stops,
+      });
+    }
+  }
+
+  const hold = Math.min(holdDepth ?? settings.lastStopDepth ?? 6, maxDepth);
+  const from = stops[stops.length - 1].depth;
+  const rate = (hold > from ? settings.descentRate : settings.ascentRate) || (hold > from ? 18 : 9);
+  variants.push({
+    id: 'delayed', label: `Ascent delayed ${ASCENT_DELAY} min`, detail: hold, settings,
+    stops: [...stops, { depth: hold, time: Math.ceil(Math.abs(from - hold) / rate) + ASCENT_DELAY }],
+  });
+  return variants;
+}
+
+/**
+ * Run every variant and summarize it: { id, label, detail, totalTime, decoTime,
+ * liters, litersByGas (mix label → L), short (a cylinder dips into its
+ * reserve), cns, otu, phases }. Null without stops or when `calculate` plans no
+ * decompression (no algorithm).
+ */
+export function calculateContingencies(settings, stops, calculate, options = {}) {
+  if (!stops?.length) return null;
+  const planned = calculate(settings, stops);
+  if (!planned?.decoInfo) return null;
+  const holdDepth = planned.decoInfo.decoStops?.[0]?.depth;
+
+  const sacRate = settings.sacRate || 20;
+  const reserve = settings.reservePressure || 50;
+  const ccr = ccrFromSettings(settings);
+  const env = createEnvironment(settings);
+  const { fO2, fHe = 0 } = settings;
+
+  return contingencyVariants(settings, stops, { holdDepth, ...options }).map(variant => {
+    const result = variant.id === 'planned' ? planned : calculate(variant.settings, variant.stops);
+    const cylinders = gasCylinders(variant.settings);
+    const consumption = calculateGasConsumption(result.phases, sacRate, fO2, fHe, cylinders);
+    const litersByGas = {};
+    for (const [key, cylinder] of Object.entries(cylinders)) {
+      const label = gasLabel(cylinder);
+      litersByGas[label] = (litersByGas[label] || 0) + (consumption.gasUsage[key] || 0);
+    }
+
+    return {
+      id: variant.id,
+      label: variant.label,
+      detail: variant.detail,
+      totalTime: result.totalTime,
+      decoTime: (result.decoInfo?.decoStops || []).reduce((sum, s) => sum + s.time, 0),
+      liters: consumption.totalLiters,
+      litersByGas,
+      short: Object.values(consumption.gasBreakdown).some(c => c.used > c.tankSize * (c.tankPressure - reserve)),
+      cns: calculateCNS(result.phases, fO2, fHe, ccr, 0, env).totalCNS,
+      otu: calculateOTU(result.phases, fO2, fHe, ccr, env).totalOTU,
+      phases: result.phases,
+    };
+  });
+}
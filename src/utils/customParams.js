@@ -0,0 +1,331 @@
+/**
+ * Custom Bühlmann parameter sets: compartment sets defined in the editor
+ * that run as algorithm variants next to the PARAM_SETS of buhlmann.js.
+ *
+ * A set has the PARAM_SETS shape plus its algorithm id and the 1b flag:
+ * { id ('custom-…'), name, compartments, split1b, halfTimes, aValues,
+ * bValues, heHalfTimes, heA, heB }, one array entry per compartment. With
+ * `split1b` the second compartment is labelled 1b (ZH-L 16's split first
+ * compartment). Panels refer to a set by its id; the settings handed to the
+ * calculations carry the sets they use in `paramSets` (id → set), so the
+ * workers plan them without access to the browser storage.
+ *
+ * Sets are kept in localStorage and shared as JSON files or in the URL.
+ */
+import { CUSTOM_ALGORITHM_PREFIX } from './constants.js';
+import { PARAM_SETS, calculateAValue, calculateBValue, compartmentLabels } from './buhlmann.js';
+import { uniqueName } from './planLibrary.js';
+
+export const PARAM_SETS_FORMAT = 'deco-param-sets';
+export const PARAM_SETS_VERSION = 1;
+export const PARAM_SETS_STORAGE_KEY = 'paramSets';
+export const MAX_COMPARTMENTS = 32;
+
+// Per-compartment values, in column order (also the URL field order)
+export const PARAM_FIELDS = ['halfTimes', 'aValues', 'bValues', 'heHalfTimes', 'heA', 'heB'];
+
+// Gas and coefficient of each field, for labels and messages
+export const FIELD_INFO = {
+  halfTimes: { gas: 'N₂', kind: 'half-time' },
+  aValues: { gas: 'N₂', kind: 'a' },
+  bValues: { gas: 'N₂', kind: 'b' },
+  heHalfTimes: { gas: 'He', kind: 'half-time' },
+  heA: { gas: 'He', kind: 'a' },
+  heB: { gas: 'He', kind: 'b' },
+};
+
+// Ranges outside which a value is flagged as implausible (warning only)
+export const PLAUSIBLE_RANGES = {
+  halfTimes: [1, 1000],
+  heHalfTimes: [0.5, 400],
+  aValues: [0.1, 2],
+  heA: [0.1, 2],
+  bValues: [0.25, 1],
+  heB: [0.25, 1],
+};
+
+// Same capabilities as the ZH-L variants
+const CUSTOM_CAPABILITIES = { trimix: true, multiGas: true, gf: true, ccr: true, conservatism: false };
+
+export function isCustomAlgorithm(id) {
+  return typeof id === 'string' && id.startsWith(CUSTOM_ALGORITHM_PREFIX);
+}
+
+/** ZH-L variants and custom sets: the algorithms planned by calculateBuhlmann. */
+export function isBuhlmannAlgorithm(id) {
+  return typeof id === 'string' && (id.startsWith('zhl') || isCustomAlgorithm(id));
+}
+
+/** The custom set a panel's settings run, or null for any other algorithm. */
+export function paramSetFor(settings) {
+  const id = settings?.algorithm;
+  return isCustomAlgorithm(id) ? settings.paramSets?.[id] ?? null : null;
+}
+
+/**
+ * The custom sets a list of panel settings runs (each once), e.g. for a
+ * link or from a saved plan; malformed sets are dropped.
+ */
+export function panelParamSets(panels) {
+  const sets = new Map();
+  for (const settings of panels) {
+    const set = normalizeParamSet(paramSetFor(settings));
+    if (set && !sets.has(set.id)) sets.set(set.id, set);
+  }
+  return [...sets.values()];
+}
+
+/** Algorithm registry entry (name, description, capability flags) of a set. */
+export function customAlgorithm(set) {
+  const split = set.split1b ? ' with 1b' : '';
+  return {
+    name: set.name,
+    description: `Custom Bühlmann set, ${set.compartments} compartments${split}. Trimix + multi-gas.`,
+    ...CUSTOM_CAPABILITIES,
+  };
+}
+
+function newParamSetId() {
+  return `${CUSTOM_ALGORITHM_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Table precision: 4 decimals (2 for half-times)
+function tidy(field, value) {
+  const scale = FIELD_INFO[field].kind === 'half-time' ? 100 : 10000;
+  return Math.round(value * scale) / scale;
+}
+
+/** A new custom set copied from a built-in PARAM_SETS entry, under an unused name. */
+export function createParamSet(base = 'zhl16c', paramSets = {}) {
+  const source = PARAM_SETS[base];
+  const nc = source.compartments;
+  const set = { id: newParamSetId(), name: uniqueName(`${source.name} custom`, Object.values(paramSets)), compartments: nc, split1b: false };
+  for (const field of PARAM_FIELDS) {
+    const values = source[field];
+    set[field] = Array.from({ length: nc }, (_, i) => tidy(field, values[Math.min(i, values.length - 1)]));
+  }
+  return set;
+}
+
+/** A copy of a set under a new id and an unused name. */
+export function duplicateParamSet(set, paramSets = {}) {
+  return { ...structuredClone(set), id: newParamSetId(), name: uniqueName(set.name, Object.values(paramSets)) };
+}
+
+/** The set with one value changed. */
+export function setParamValue(set, field, index, value) {
+  return { ...set, [field]: set[field].map((v, i) => i === index ? value : v) };
+}
+
+// Insert compartment values at `index`
+function insertCompartment(set, index, values) {
+  const next = { ...set, compartments: set.compartments + 1 };
+  for (const field of PARAM_FIELDS) next[field] = [...set[field].slice(0, index), values[field], ...set[field].slice(index)];
+  return next;
+}
+
+/**
+ * The set with a slower compartment appended: 1.3 × the slowest half-time,
+ * He 2.65 × faster, a and b from Bühlmann's half-time formulas.
+ */
+export function addCompartment(set) {
+  if (set.compartments >= MAX_COMPARTMENTS) return set;
+  const halfTime = tidy('halfTimes', (set.halfTimes.at(-1) ?? 4) * 1.3);
+  const heHalfTime = tidy('heHalfTimes', halfTime / 2.65);
+  return insertCompartment(set, set.compartments, {
+    halfTimes: halfTime, aValues: tidy('aValues', calculateAValue(halfTime)), bValues: tidy('bValues', calculateBValue(halfTime)),
+    heHalfTimes: heHalfTime, heA: tidy('heA', calculateAValue(heHalfTime)), heB: tidy('heB', calculateBValue(heHalfTime)),
+  });
+}
+
+/** The set without compartment `index`; removing 1 or 1b undoes the split. */
+export function removeCompartment(set, index) {
+  if (set.compartments <= 1) return set;
+  const next = { ...set, compartments: set.compartments - 1, split1b: set.split1b && index > 1 };
+  for (const field of PARAM_FIELDS) next[field] = set[field].filter((_, i) => i !== index);
+  return next;
+}
+
+/**
+ * The set with the first compartment split (a 1b compartment between 1 and
+ * 2, half-time at their geometric mean, a and b halfway) or merged back.
+ */
+export function splitFirstCompartment(set, split) {
+  if (!split) return set.split1b ? removeCompartment(set, 1) : set;
+  if (set.split1b || set.compartments >= MAX_COMPARTMENTS) return set;
+  const values = {};
+  for (const field of PARAM_FIELDS) {
+    const [first, second = set[field][0]] = set[field];
+    const halfTime = FIELD_INFO[field].kind === 'half-time';
+    values[field] = tidy(field, halfTime ? Math.sqrt(first * (set.compartments > 1 ? second : first * 1.5)) : (first + second) / 2);
+  }
+  return { ...insertCompartment(set, 1, values), split1b: true };
+}
+
+/**
+ * Problems of a set, each { level ('error' | 'warning'), field, index,
+ * message } (`field`/`index` null for the set as a whole). Errors block
+ * saving: a missing or duplicate name, values that aren't positive numbers,
+ * b above 1 (M-values below ambient pressure at depth) and half-times out of
+ * order. Warnings flag implausible sets: values outside PLAUSIBLE_RANGES,
+ * a rising or b falling with the half-time, and He slower than N₂.
+ */
+export function validateParamSet(set, paramSets = {}) {
+  const issues = [];
+  const error = (message, field = null, index = null) => issues.push({ level: 'error', field, index, message });
+  const warning = (message, field = null, index = null) => issues.push({ level: 'warning', field, index, message });
+  const nc = set.compartments;
+
+  const name = set.name?.trim();
+  if (!name) error('Name the parameter set');
+  else if (Object.values(paramSets).some(s => s.id !== set.id && s.name.trim().toLowerCase() === name.toLowerCase())) {
+    error(`A parameter set named “${name}” already exists`);
+  }
+  if (!Number.isInteger(nc) || nc < 1 || nc > MAX_COMPARTMENTS) {
+    error(`Use 1–${MAX_COMPARTMENTS} compartments`);
+    return issues;
+  }
+  if (set.split1b && nc < 2) error('A 1b split needs at least 2 compartments');
+
+  const labels = compartmentLabels(set);
+  for (const field of PARAM_FIELDS) {
+    const values = set[field];
+    const { gas, kind } = FIELD_INFO[field];
+    if (!Array.isArray(values) || values.length !== nc) {
+      error(`${gas} ${kind} needs one value per compartment`, field);
+      continue;
+    }
+    const [min, max] = PLAUSIBLE_RANGES[field];
+    values.forEach((v, i) => {
+      const where = `compartment ${labels[i]}`;
+      if (!Number.isFinite(v) || v <= 0) return error(`${gas} ${kind} of ${where} must be a positive number`, field, i);
+      if (kind === 'b' && v > 1) return error(`${gas} b of ${where} is above 1: its M-value falls below ambient pressure at depth`, field, i);
+      if (v < min || v > max) warning(`${gas} ${kind} of ${where} is outside the usual ${min}–${max}`, field, i);
+      const previous = values[i - 1];
+      if (i === 0 || !Number.isFinite(previous)) return;
+      if (kind === 'half-time' && v <= previous) {
+        error(`${gas} half-times must increase: compartment ${labels[i]} is not slower than ${labels[i - 1]}`, field, i);
+      } else if (kind === 'a' && v > previous) {
+        warning(`${gas} a rises from compartment ${labels[i - 1]} to ${labels[i]}; slower compartments normally tolerate less`, field, i);
+      } else if (kind === 'b' && v < previous) {
+        warning(`${gas} b falls from compartment ${labels[i - 1]} to ${labels[i]}; it normally rises with the half-time`, field, i);
+      }
+    });
+  }
+  if (Array.isArray(set.halfTimes) && Array.isArray(set.heHalfTimes)) {
+    set.heHalfTimes.forEach((t, i) => {
+      if (t > set.halfTimes[i]) warning(`He half-time of compartment ${labels[i]} is slower than its N₂ half-time`, 'heHalfTimes', i);
+    });
+  }
+  return issues;
+}
+
+export function hasErrors(issues) {
+  return issues.some(issue => issue.level === 'error');
+}
+
+/** Whether two sets plan the same: equal compartments and values (names aside). */
+export function sameParamSet(a, b) {
+  return a.compartments === b.compartments && !!a.split1b === !!b.split1b
+    && PARAM_FIELDS.every(field => a[field].every((v, i) => v === b[field][i]));
+}
+
+// A well-formed set from untrusted data (storage, files, links), or null
+function normalizeParamSet(value) {
+  if (!value || typeof value !== 'object' || !isCustomAlgorithm(value.id) || typeof value.name !== 'string') return null;
+  const nc = value.compartments;
+  if (!Number.isInteger(nc) || nc < 1 || nc > MAX_COMPARTMENTS) return null;
+  const set = { id: value.id, name: value.name.trim() || 'Custom set', compartments: nc, split1b: !!value.split1b };
+  for (const field of PARAM_FIELDS) {
+    const values = value[field];
+    if (!Array.isArray(values) || values.length !== nc || !values.every(Number.isFinite)) return null;
+    set[field] = [...values];
+  }
+  return hasErrors(validateParamSet(set)) ? null : set;
+}
+
+// Sets by id from a list, dropping malformed ones
+function byId(list) {
+  return Object.fromEntries(list.map(normalizeParamSet).filter(Boolean).map(set => [set.id, set]));
+}
+
+/** Saved sets (id → set) from storage; none if storage is empty or unreadable. */
+export function loadParamSets(storage) {
+  try {
+    const list = JSON.parse(storage.getItem(PARAM_SETS_STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? byId(list) : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveParamSets(storage, paramSets) {
+  storage.setItem(PARAM_SETS_STORAGE_KEY, JSON.stringify(Object.values(paramSets)));
+}
+
+/** The sets as a JSON document. */
+export function exportParamSets(paramSets, now = Date.now()) {
+  return JSON.stringify({
+    format: PARAM_SETS_FORMAT, version: PARAM_SETS_VERSION, exportedAt: new Date(now).toISOString(), sets: Object.values(paramSets),
+  }, null, 2);
+}
+
+/**
+ * Sets from an exported file; invalid entries are dropped. Throws on a
+ * file that isn't a parameter set export.
+ */
+export function parseParamSets(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (data?.format !== PARAM_SETS_FORMAT || !Array.isArray(data.sets)) throw new Error('Not a parameter set file');
+  if (data.version > PARAM_SETS_VERSION) throw new Error(`Parameter set version ${data.version} is newer than this app supports`);
+  return Object.values(byId(data.sets));
+}
+
+/**
+ * A set for the URL: `<id>!<1b flag>!<compartments>!<name>`, compartments
+ * separated by `;`, each `t½,a,b,He t½,He a,He b`.
+ */
+export function serializeParamSet(set) {
+  const rows = Array.from({ length: set.compartments }, (_, i) => PARAM_FIELDS.map(field => set[field][i]).join(','));
+  return [set.id.slice(CUSTOM_ALGORITHM_PREFIX.length), set.split1b ? 1 : 0, rows.join(';'), set.name].join('!');
+}
+
+/** A set from the URL (see serializeParamSet), or null if malformed. */
+export function parseParamSet(str) {
+  const [id, split, rows, ...name] = String(str || '').split('!');
+  if (!/^[a-z0-9]+$/i.test(id) || rows === undefined || name.length === 0) return null;
+  const values = rows.split(';').map(row => row.split(',').map(Number));
+  if (values.some(row => row.length !== PARAM_FIELDS.length)) return null;
+  const set = { id: CUSTOM_ALGORITHM_PREFIX + id, name: name.join('!'), compartments: values.length, split1b: split === '1' };
+  PARAM_FIELDS.forEach((field, f) => { set[field] = values.map(row => row[f]); });
+  return normalizeParamSet(set);
+}
+
+/**
+ * Add shared sets to the library. A set planning the same as a saved one
+ * maps onto it; otherwise it is added, under a new id if its id is taken
+ * and an unused name. Returns { paramSets, ids (shared id → library id),
+ * added }; `paramSets` is the same object when nothing was added.
+ */
+export function importParamSets(paramSets, incoming) {
+  const merged = { ...paramSets };
+  const ids = {};
+  let added = 0;
+  for (const set of incoming) {
+    const known = Object.values(merged).find(saved => sameParamSet(saved, set));
+    if (known) {
+      ids[set.id] = known.id;
+      continue;
+    }
+    const id = merged[set.id] ? newParamSetId() : set.id;
+    merged[id] = { ...set, id, name: uniqueName(set.name, Object.values(merged)) };
+    ids[set.id] = id;
+    added++;
+  }
+  return { paramSets: added > 0 ? merged : paramSets, ids, added };
+}
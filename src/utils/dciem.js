@@ -15,8 +15,11 @@ const DCIEM_COMPARTMENTS = [
   [480.0, 1.4]  // Compartment 4 - Very slow perfusion (bone, cartilage)
 ];
 
-import { P_SURFACE as SURFACE_PRESSURE, DCIEM_ASCENT_PENALTY, DCIEM_SAFETY_FACTOR, MAX_STOP_MINUTES } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner as exponentialUpdate } from './physics.js';
+import { DCIEM_ASCENT_PENALTY, DCIEM_SAFETY_FACTOR, MAX_STOP_MINUTES } from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, surfaceEquilibrium, schreiner as exponentialUpdate, initTissues, linearDepthSteps } from './physics.js';
+import { createEnvironment } from './environment.js';
+import { createStopGrid } from './stopGrid.js';
+import { phaseGases } from './gasTimeline.js';
 
 /**
  * Update DCIEM serial compartments where gas flows in series.
@@ -77,7 +80,7 @@ function dciemAllowablePressure(compartment, ambientPressure) {
 /**
  * Calculate DCIEM ceiling depth for current tissue loading.
  */
-function dciemCeiling(tissueLoading) {
+function dciemCeiling(tissueLoading, env) {
   let maxCeiling = 0;
   
   for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
@@ -87,7 +90,7 @@ function dciemCeiling(tissueLoading) {
     // Solve: P_tissue = allowableRatio × P_ambient
     // P_tissue = allowableRatio × (P_surface + depth/10)
     // depth = (P_tissue/allowableRatio - P_surface) × 10
-    const ceilingDepth = Math.max(0, (pN2 / allowableRatio - SURFACE_PRESSURE) * 10);
+    const ceilingDepth = pressureToDepth(pN2 / allowableRatio, env);
     
     if (ceilingDepth > maxCeiling) {
       maxCeiling = ceilingDepth;
@@ -100,8 +103,8 @@ function dciemCeiling(tissueLoading) {
 /**
  * Check if tissue can ascend safely to specified depth using DCIEM criteria.
  */
-function canAscendDCIEM(tissueLoading, newDepth) {
-  const newAmbient = depthToPressure(newDepth);
+function canAscendDCIEM(tissueLoading, newDepth, env) {
+  const newAmbient = depthToPressure(newDepth, env);
   
   for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
     const allowable = dciemAllowablePressure(i, newAmbient);
@@ -123,38 +126,47 @@ function canAscendDCIEM(tissueLoading, newDepth) {
  * @returns {Object} Deco stops and tissue data
  */
 export function calculateDCIEM(phases, options = {}) {
-  const { fO2 = 0.21, ascentRate = 9, decoAscentRate = 9, lastStopDepth = 6 } = options;
+  const { fO2 = 0.21, decoAscentRate = 9 } = options;
   const fN2 = 1.0 - fO2;
+  // N₂ fraction breathed in each phase; the ascent stays on the last one
+  const phaseN2 = phaseGases(phases, fO2).map(g => 1.0 - g.fO2);
+  const ascentN2 = phaseN2.length > 0 ? phaseN2[phaseN2.length - 1] : fN2;
+  const env = createEnvironment(options);
   
-  // Initialize tissue loading at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(DCIEM_COMPARTMENTS.length).fill(surfaceN2);
+  // Initialize tissue loading at surface equilibrium (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(DCIEM_COMPARTMENTS.length, surfaceN2, options.initialTissues?.n2);
   
-  // Process each phase using serial compartment model
-  for (const phase of phases) {
-    const alveolarPressure = inspiredPressure(phase.depth, fN2);
-    const duration = phase.duration;
-    
-    // Apply ascent penalty if this is an ascent phase
-    let effectiveDuration = duration;
-    if (phase.action === 'ascent') {
-      effectiveDuration *= DCIEM_ASCENT_PENALTY;
-    }
-    
-    // Update all compartments using serial flow model
-    const newLoading = updateDCIEMCompartments(tissueLoading, alveolarPressure, effectiveDuration);
-    
-    // Copy updated values
+  // Serial compartment update at a constant depth
+  const hold = (tissues, depth, time, inert = ascentN2) => {
+    const newLoading = updateDCIEMCompartments(tissues, inspiredPressure(depth, inert, env), time);
     for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
-      tissueLoading[i] = newLoading[i];
+      tissues[i] = newLoading[i];
     }
-  }
+  };
+
+  // Depth changes are stepped through linearly; ascents carry the time penalty
+  const load = (tissues, fromDepth, toDepth, time, inert = ascentN2) => {
+    if (fromDepth === toDepth) return hold(tissues, toDepth, time, inert);
+    const penalty = toDepth < fromDepth ? DCIEM_ASCENT_PENALTY : 1;
+    for (const step of linearDepthSteps(fromDepth, toDepth, time)) {
+      hold(tissues, step.depth, step.time * penalty, inert);
+    }
+  };
+
+  // Process each phase using serial compartment model
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    load(tissueLoading, depth, phase.depth, phase.duration, phaseN2[i]);
+    depth = phase.depth;
+  });
   
   // Calculate ceiling using DCIEM supersaturation limits
-  const rawCeiling = dciemCeiling(tissueLoading);
+  const rawCeiling = dciemCeiling(tissueLoading, env);
   
-  // Round ceiling up to next 3m stop
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  // Round ceiling up to the stop grid
+  const grid = createStopGrid(options);
+  const firstStopDepth = grid.firstStop(rawCeiling);
   
   // Generate DCIEM decompression stops
   const decoStops = [];
@@ -162,48 +174,27 @@ export function calculateDCIEM(phases, options = {}) {
   
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
     
-    while (currentStop >= lastStopDepth) {
+    while (grid.isStop(currentStop)) {
       let stopTime = 0;
-      const tempTissue = [...workingTissue];
-      
-      // Simulate ascent to this stop
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
-      
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitAlveolar = inspiredPressure(currentStop, fN2);
       
-      // Apply ascent penalty during transit
-      const penalizedTransitTime = transitTime * DCIEM_ASCENT_PENALTY;
-      
-      // Update tissue during transit using serial model
-      const transitLoading = updateDCIEMCompartments(tempTissue, transitAlveolar, penalizedTransitTime);
-      for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
-        tempTissue[i] = transitLoading[i];
-      }
+      // Ascent to this stop (with the ascent penalty)
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      load(workingTissue, prevDepth, currentStop, transitTime);
       
       // Check if we can ascend to next stop
-      const nextStop = currentStop - 3;
-      let canAscend = false;
-      const simTissue = [...tempTissue];
+      const nextStop = grid.next(currentStop);
+      const simTissue = [...workingTissue];
       
       // Stay at stop until DCIEM criteria allow ascent
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        if (canAscendDCIEM(simTissue, nextStop)) {
-          canAscend = true;
-          stopTime = minute;
-          break;
-        }
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
+        if (canAscendDCIEM(simTissue, nextStop, env)) break;
         
         // Simulate 1 more minute at this stop using serial compartments
-        const alveolar = inspiredPressure(currentStop, fN2);
-        const minuteUpdate = updateDCIEMCompartments(simTissue, alveolar, 1);
-        for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
-          simTissue[i] = minuteUpdate[i];
-        }
-        stopTime = minute + 1;
+        hold(simTissue, currentStop, 1);
+        stopTime = grid.stopTime(waited + 1);
       }
       
       if (stopTime > 0) {
@@ -211,17 +202,14 @@ export function calculateDCIEM(phases, options = {}) {
       }
       
       // Update working tissue with actual stop time
-      const alveolar = inspiredPressure(currentStop, fN2);
-      const finalUpdate = updateDCIEMCompartments(workingTissue, alveolar, stopTime);
-      for (let i = 0; i < DCIEM_COMPARTMENTS.length; i++) {
-        workingTissue[i] = finalUpdate[i];
-      }
+      hold(workingTissue, currentStop, stopTime);
       
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
   
-  const mValues = DCIEM_COMPARTMENTS.map((c) => SURFACE_PRESSURE * c[1] * DCIEM_SAFETY_FACTOR);
+  const mValues = DCIEM_COMPARTMENTS.map((c) => env.surfacePressure * c[1] * DCIEM_SAFETY_FACTOR);
 
   return {
     decoStops,
@@ -233,4 +221,26 @@ export function calculateDCIEM(phases, options = {}) {
     halfTimes: DCIEM_COMPARTMENTS.map(c => c[0]),
     mValues,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the serial
+ * compartments with the ascent penalty, each limited to a fixed ratio of
+ * the ambient pressure.
+ */
+export const DCIEM_TISSUE_MODEL = {
+  name: 'DCIEM',
+  compartments: DCIEM_COMPARTMENTS.length,
+  halfTimes: DCIEM_COMPARTMENTS.map(c => c[0]),
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(DCIEM_COMPARTMENTS.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const penalty = toDepth < fromDepth ? DCIEM_ASCENT_PENALTY : 1;
+    const steps = fromDepth === toDepth ? [{ depth: toDepth, time }] : linearDepthSteps(fromDepth, toDepth, time);
+    for (const step of steps) {
+      state.n2 = updateDCIEMCompartments(state.n2, inspired(step.depth).piN2, step.time * penalty);
+    }
+  },
+  limit: (state, i) => ({ intercept: 0, slope: DCIEM_COMPARTMENTS[i][1] * DCIEM_SAFETY_FACTOR }),
+};
@@ -0,0 +1,57 @@
+/**
+ * Deco calculations that run in the worker pool, by job type. The same
+ * handlers run in the deco workers and, without Worker support, on the main
+ * thread, so both give identical results.
+ *
+ * Each handler takes the job payload and an onProgress callback for partial
+ * results (only sweeps report progress).
+ */
+import { algorithmFn, calculateFull, planBailout, planSeries } from './planner.js';
+import { calculateContingencies } from './contingency.js';
+import { replayLog } from './diveLog.js';
+import { tissueTrace } from './tissueTrace.js';
+import { findNDLForProfile, ndlTable } from './ndl.js';
+import { optimizePlan } from './optimizer.js';
+import { sweepChunks } from './sweep.js';
+
+export const DECO_JOBS = {
+  // Full plan of one panel: { settings, stops }
+  plan: ({ settings, stops }) => calculateFull(settings, stops),
+
+  // NDL left at the end of the planned stops: { settings, stops }
+  ndl: ({ settings, stops }) => findNDLForProfile(stops, algorithmFn(settings.algorithm), settings),
+
+  // Tissue trace (ceilings, GF, leading compartment) along a planned profile: { settings, points, phases }
+  tissueTrace: ({ settings, points, phases }) => tissueTrace(points, settings, phases),
+
+  // Contingency variants of a plan: { settings, stops, extraDepth }
+  contingencies: ({ settings, stops, extraDepth }) => calculateContingencies(settings, stops, calculateFull, { extraDepth }),
+
+  // CCR bailout plan: { settings, stops }
+  bailout: ({ settings, stops }) => planBailout(settings, stops),
+
+  // Repetitive dive series: { settings, stops, followUps }
+  series: ({ settings, stops, followUps }) => planSeries(settings, stops, followUps),
+
+  // Imported dive log replayed through the panel's algorithm: { settings, profile }
+  logReplay: ({ settings, profile }) => algorithmFn(settings.algorithm) ? replayLog(settings, profile) : null,
+
+  // Learning tab NDL table: { algorithm, depths, opts } (opts.paramSet for a custom set)
+  ndlTable: ({ algorithm, depths, opts }) => ndlTable(depths, algorithmFn(algorithm), opts),
+
+  // Schedule optimizer search: { settings, stops, constraints }
+  optimize: ({ settings, stops, constraints }) => optimizePlan(settings, stops, constraints),
+
+  // Algorithm sweep, posting each chunk of results: { settings, cases }
+  sweep: ({ settings, cases }, onProgress) => {
+    for (const chunk of sweepChunks(settings, cases, calculateFull)) onProgress(chunk);
+    return { count: cases.length };
+  },
+};
+
+/** Runs one job; throws for an unknown job type. */
+export function runDecoJob(type, payload, onProgress = () => {}) {
+  const handler = DECO_JOBS[type];
+  if (!handler) throw new Error(`Unknown deco job: ${type}`);
+  return handler(payload, onProgress);
+}
@@ -0,0 +1,374 @@
+/**
+ * Dive log import: Subsurface XML (.ssrf), UDDF and CSV profile exports.
+ *
+ * Every importer returns a list of logged dives:
+ * { format, label, ccr, gases: [{ fO2, fHe }], samples: [{ time, depth, gas?, setpoint? }] }
+ * with `time` in seconds and `depth` in meters. A sample's `gas` ({ fO2, fHe })
+ * or `setpoint` (bar) is breathed from that sample on. logProfile() turns a
+ * logged dive into the points and phases the algorithms consume.
+ */
+import { gasLabel } from './gases.js';
+import { METERS_PER_FOOT } from './units.js';
+import { runAlgorithm } from './planner.js';
+import { calculateCeilingTimeline } from './ceiling.js';
+import { ccrFromSettings } from './ccr.js';
+
+export const LOG_FORMATS = {
+  subsurface: 'Subsurface XML',
+  uddf: 'UDDF',
+  csv: 'CSV',
+};
+
+const AIR = { fO2: 0.21, fHe: 0 };
+
+// Fraction from "32.0%", "32" or "0.32"
+function parseFraction(value) {
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  return n > 1 || /%/.test(value) ? n / 100 : n;
+}
+
+// Seconds from "45:30 min", "1:05:10", "90 s", "12.5 min" (bare numbers in `unit`)
+function parseDuration(value, unit = 's') {
+  const str = String(value).trim();
+  if (str.includes(':')) {
+    return str.replace(/[^\d:.]/g, '').split(':').reduce((sum, part) => sum * 60 + Number(part), 0);
+  }
+  const n = parseFloat(str);
+  if (!Number.isFinite(n)) return NaN;
+  if (/min/i.test(str) || (!/s(ec)?\b/i.test(str) && unit === 'min')) return n * 60;
+  return n;
+}
+
+// Meters from "30.5 m" or "100 ft"
+function parseLength(value) {
+  const n = parseFloat(value);
+  return /ft/i.test(value) ? n * METERS_PER_FOOT : n;
+}
+
+function parseXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The file is not valid XML');
+  return doc;
+}
+
+function childText(el, name) {
+  const child = el.getElementsByTagName(name)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+/**
+ * Subsurface divelog XML. Samples come from the first dive computer; gases
+ * from the dive's cylinders, switched by `gaschange` events. Subsurface
+ * writes the CCR setpoint as the sample `po2` and only when it changes.
+ */
+export function parseSubsurface(text) {
+  const doc = parseXML(text);
+  return [...doc.getElementsByTagName('dive')].map((dive, index) => {
+    const cylinders = [...dive.getElementsByTagName('cylinder')].map(c => ({
+      fO2: parseFraction(c.getAttribute('o2') || '21%'),
+      fHe: parseFraction(c.getAttribute('he') || '0%'),
+    }));
+    const computer = dive.getElementsByTagName('divecomputer')[0] || dive;
+
+    const switches = [...computer.getElementsByTagName('event')]
+      .filter(e => e.getAttribute('name') === 'gaschange')
+      .map(e => {
+        const time = parseDuration(e.getAttribute('time'), 'min');
+        const cylinder = cylinders[Number(e.getAttribute('cylinder'))];
+        if (cylinder) return { time, gas: cylinder };
+        // Older logs encode the mix in `value`: O₂ % | He % << 16
+        const value = Number(e.getAttribute('value')) || 0;
+        return { time, gas: { fO2: (value & 0xffff) / 100, fHe: (value >> 16) / 100 } };
+      })
+      .filter(s => s.gas.fO2 > 0);
+
+    let depth = 0;
+    const samples = [...computer.getElementsByTagName('sample')].map(s => {
+      if (s.getAttribute('depth')) depth = parseLength(s.getAttribute('depth'));
+      const sample = { time: parseDuration(s.getAttribute('time'), 'min'), depth };
+      const po2 = s.getAttribute('po2');
+      if (po2) sample.setpoint = parseFloat(po2);
+      return sample;
+    });
+    applySwitches(samples, switches);
+
+    const number = dive.getAttribute('number');
+    const date = [dive.getAttribute('date'), dive.getAttribute('time')].filter(Boolean).join(' ');
+    return {
+      format: 'subsurface',
+      label: [number ? `Dive #${number}` : `Dive ${index + 1}`, date].filter(Boolean).join(' · '),
+      ccr: (computer.getAttribute('dctype') || '').toUpperCase() === 'CCR' || samples.some(s => s.setpoint),
+      gases: cylinders.length > 0 ? cylinders : [AIR],
+      samples,
+    };
+  });
+}
+
+/**
+ * UDDF: mixes from `gasdefinitions`, dives from `profiledata` with waypoints
+ * in SI units (m, s, and `setpo2` in Pa).
+ */
+export function parseUDDF(text) {
+  const doc = parseXML(text);
+  const mixes = {};
+  for (const mix of doc.getElementsByTagName('mix')) {
+    mixes[mix.getAttribute('id')] = {
+      fO2: parseFloat(childText(mix, 'o2')) || AIR.fO2,
+      fHe: parseFloat(childText(mix, 'he')) || 0,
+    };
+  }
+
+  return [...doc.getElementsByTagName('dive')].map((dive, index) => {
+    let ccr = false;
+    const samples = [...dive.getElementsByTagName('waypoint')].map(w => {
+      const sample = { time: parseFloat(childText(w, 'divetime')), depth: parseFloat(childText(w, 'depth')) };
+      const mix = mixes[w.getElementsByTagName('switchmix')[0]?.getAttribute('ref')];
+      if (mix) sample.gas = mix;
+      const setpoint = parseFloat(childText(w, 'setpo2'));
+      if (Number.isFinite(setpoint)) sample.setpoint = setpoint / 1e5;
+      const mode = w.getElementsByTagName('divemode')[0]?.getAttribute('type');
+      if (mode) ccr = mode === 'closedcircuit';
+      return sample;
+    }).filter(s => Number.isFinite(s.time) && Number.isFinite(s.depth));
+
+    const used = samples.filter(s => s.gas).map(s => s.gas);
+    const date = childText(dive, 'datetime');
+    return {
+      format: 'uddf',
+      label: [`Dive ${index + 1}`, date?.replace('T', ' ')].filter(Boolean).join(' · '),
+      ccr: ccr || samples.some(s => s.setpoint),
+      gases: used.length > 0 ? [...new Set(used)] : [Object.values(mixes)[0] || AIR],
+      samples,
+    };
+  });
+}
+
+// One CSV line, honouring quoted fields
+function splitCSVLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (quoted && line[i + 1] === '"') { cell += '"'; i++; } else quoted = !quoted;
+    } else if (c === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Metadata rows come in name/value pairs, e.g. Shearwater's "Imperial Units" → true
+function metadataImperial(lines, delimiter) {
+  for (let i = 0; i + 1 < lines.length; i++) {
+    const col = splitCSVLine(lines[i], delimiter).findIndex(n => /imperial|units/i.test(n));
+    if (col >= 0) return /^(true|1|yes|imperial|feet|ft)$/i.test(splitCSVLine(lines[i + 1], delimiter)[col] || '');
+  }
+  return false;
+}
+
+const CSV_COLUMNS = {
+  time: /^(sample )?(dive ?)?time\b|^divetime|^run ?time|^elapsed/i,
+  depth: /depth/i,
+  fO2: /^(fraction )?o2\b|^fo2|^o2 ?%/i,
+  fHe: /^(fraction )?he\b|^fhe|^he ?%/i,
+  setpoint: /set ?point|^sp\b|setpo2/i,
+};
+// Depth columns that aren't the diver's depth
+const NOT_DEPTH = /stop|ceil|max|avg|average|mean/i;
+
+/**
+ * CSV profile exports (Shearwater, Subsurface, generic): a header row naming
+ * the time and depth columns, optionally fO2/fHe and setpoint. Metadata rows
+ * may come first. Time is in seconds unless the header says ms or min (or
+ * the values are mm:ss); depth in meters unless the header says feet or the
+ * metadata marks the log as imperial.
+ */
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  let header = -1;
+  let delimiter = ',';
+  for (let i = 0; i < lines.length && header < 0; i++) {
+    for (const d of [',', ';', '\t']) {
+      const cells = splitCSVLine(lines[i], d);
+      if (cells.some(c => CSV_COLUMNS.time.test(c)) && cells.some(c => CSV_COLUMNS.depth.test(c) && !NOT_DEPTH.test(c))) {
+        header = i;
+        delimiter = d;
+        break;
+      }
+    }
+  }
+  if (header < 0) throw new Error('No time and depth columns found in the CSV file');
+
+  const names = splitCSVLine(lines[header], delimiter);
+  // Per-sample columns win over dive-level ones (Subsurface: "time" vs "sample time")
+  const column = (key) => {
+    const matches = names.map((n, i) => [n, i]).filter(([n]) => CSV_COLUMNS[key].test(n) && (key !== 'depth' || !NOT_DEPTH.test(n)));
+    return (matches.find(([n]) => /sample/i.test(n)) || matches[0] || [null, -1])[1];
+  };
+  const cols = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+
+  const timeName = names[cols.time];
+  const timeScale = /\(ms\)|millisec/i.test(timeName) ? 0.001 : 1;
+  const timeUnit = /\(min\)|minutes/i.test(timeName) ? 'min' : 's';
+  const feet = /\(ft\)|feet/i.test(names[cols.depth])
+    || (!/\(m\)|meter|metre/i.test(names[cols.depth]) && metadataImperial(lines.slice(0, header), delimiter));
+
+  const samples = [];
+  let gas = null;
+  for (const line of lines.slice(header + 1)) {
+    const cells = splitCSVLine(line, delimiter);
+    const time = parseDuration(cells[cols.time], timeUnit) * timeScale;
+    const depth = parseFloat(cells[cols.depth]);
+    if (!Number.isFinite(time) || !Number.isFinite(depth)) continue;
+    const sample = { time, depth: feet ? depth * METERS_PER_FOOT : depth };
+
+    const fO2 = cols.fO2 >= 0 ? parseFraction(cells[cols.fO2]) : null;
+    if (fO2 > 0) {
+      const next = { fO2, fHe: (cols.fHe >= 0 && parseFraction(cells[cols.fHe])) || 0 };
+      if (!gas || gasLabel(gas) !== gasLabel(next)) sample.gas = next;
+      gas = next;
+    }
+    const setpoint = cols.setpoint >= 0 ? parseFloat(cells[cols.setpoint]) : NaN;
+    if (setpoint > 0) sample.setpoint = setpoint;
+    samples.push(sample);
+  }
+
+  const used = samples.filter(s => s.gas).map(s => s.gas);
+  return [{
+    format: 'csv',
+    label: 'CSV profile',
+    ccr: samples.some(s => s.setpoint),
+    gases: used.length > 0 ? used : [AIR],
+    samples,
+  }];
+}
+
+// Mark each switch on the first sample at or after its time
+function applySwitches(samples, switches) {
+  for (const { time, gas } of switches) {
+    const sample = samples.find(s => s.time >= time);
+    if (sample) sample.gas = gas;
+  }
+}
+
+/**
+ * Parse a dive log file, picking the importer from the file extension or,
+ * failing that, the content. Throws when the file holds no usable dive.
+ */
+export function parseDiveLog(text, fileName = '') {
+  const ext = fileName.split('.').pop().toLowerCase();
+  const head = text.slice(0, 2000);
+  let dives;
+  if (ext === 'uddf' || /<uddf[\s>]/i.test(head)) dives = parseUDDF(text);
+  else if (ext === 'ssrf' || /<divelog[\s>]/i.test(head)) dives = parseSubsurface(text);
+  else if (ext === 'xml') throw new Error('Unrecognized XML dive log (expected Subsurface or UDDF)');
+  else dives = parseCSV(text);
+
+  dives = dives.filter(d => d.samples.length >= 2);
+  if (dives.length === 0) throw new Error('No dive profile samples found in the file');
+  return dives;
+}
+
+/**
+ * A logged dive as a profile for the algorithms: { points, phases, totalTime,
+ * maxDepth, gas, ccr }. Each sample interval becomes a phase on the gas (and
+ * setpoint) breathed at its start; level stretches are merged. `gas` is the
+ * first mix breathed (the diluent on CCR) — phases on any other mix carry its
+ * label, as do phases after the first switch.
+ */
+export function logProfile(dive) {
+  const samples = [...dive.samples].sort((a, b) => a.time - b.time);
+  const first = samples[0].gas || dive.gases[0] || AIR;
+  const bottomLabel = gasLabel(first);
+
+  const points = samples[0].time > 0 ? [{ time: 0, depth: 0 }] : [];
+  const phases = [];
+  let prev = { time: 0, depth: 0 };
+  let label = bottomLabel;
+  let setpoint;
+  let switched = false;
+
+  for (const sample of samples) {
+    const duration = (sample.time - prev.time) / 60;
+    points.push({ time: sample.time / 60, depth: sample.depth });
+    if (duration > 0) {
+      const action = sample.depth > prev.depth ? 'Descend' : sample.depth < prev.depth ? 'Ascend' : 'Stay';
+      const last = phases[phases.length - 1];
+      if (action === 'Stay' && last?.action === 'Stay' && last.depth === sample.depth
+        && (last.gas || bottomLabel) === label && last.setpoint === setpoint) {
+        last.duration += duration;
+      } else {
+        const phase = { depth: sample.depth, duration, runTime: prev.time / 60, action };
+        if (switched || label !== bottomLabel) phase.gas = label;
+        if (setpoint !== undefined) phase.setpoint = setpoint;
+        phases.push(phase);
+      }
+    }
+    if (sample.gas) {
+      switched ||= gasLabel(sample.gas) !== label;
+      label = gasLabel(sample.gas);
+    }
+    if (sample.setpoint !== undefined) setpoint = sample.setpoint;
+    prev = sample;
+  }
+
+  return {
+    points,
+    phases,
+    totalTime: prev.time / 60,
+    maxDepth: Math.max(...samples.map(s => s.depth)),
+    gas: first,
+    ccr: !!dive.ccr,
+  };
+}
+
+function depthAt(points, t) {
+  for (let i = 0; i < points.length - 1; i++) {
+    const p1 = points[i], p2 = points[i + 1];
+    if (t >= p1.time && t <= p2.time) {
+      if (p1.time === p2.time) return p1.depth;
+      return p1.depth + (p2.depth - p1.depth) * (t - p1.time) / (p2.time - p1.time);
+    }
+  }
+  return points[points.length - 1].depth;
+}
+
+/**
+ * Where the logged profile went shallower than a ceiling timeline (one depth
+ * per minute, see calculateCeilingTimeline): { minutes, maxExcess } with the
+ * deepest breach in meters.
+ */
+export function ceilingViolations(points, ceiling) {
+  let minutes = 0;
+  let maxExcess = 0;
+  ceiling.forEach((c, t) => {
+    const excess = c - depthAt(points, t);
+    if (t > 0 && excess > 0.1) {
+      minutes++;
+      maxExcess = Math.max(maxExcess, excess);
+    }
+  });
+  return { minutes, maxExcess };
+}
+
+/**
+ * A logged dive replayed through the panel's algorithm, on the log's own gas
+ * and circuit: { decoInfo, ceiling, minutes, maxExcess, ccrIgnored } with the
+ * ceiling along the logged profile, the time spent above it and the deco the
+ * algorithm still wants at the end of the log. Algorithms without a loop
+ * model replay a CCR log as open circuit on the diluent; `ccrIgnored` says so.
+ */
+export function replayLog(settings, profile) {
+  const replaySettings = { ...settings, fO2: profile.gas.fO2, fHe: profile.gas.fHe, circuit: profile.ccr ? 'ccr' : 'oc' };
+  const decoInfo = runAlgorithm(replaySettings, profile.phases);
+  const ceiling = calculateCeilingTimeline(profile.points, replaySettings, profile.phases);
+  const ccrIgnored = profile.ccr && !ccrFromSettings(replaySettings);
+  return { decoInfo, ceiling, ...ceilingViolations(profile.points, ceiling), ccrIgnored };
+}
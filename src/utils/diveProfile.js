@@ -2,46 +2,68 @@
  * Calculate dive profile from stops and rates.
  * Transit time is INCLUDED in stop time (not added).
  * E.g. 25m/10min = 3min descent + 7min at depth = 10min total.
+ *
+ * Stops may carry a `gas` label ("21/35"); stops without one breathe
+ * `gases.bottomGas`. `gases.travelGases` ([{ gas, depth }], shallowest first)
+ * are breathed from the surface, each until the descent passes its switch
+ * depth. Every switch adds a 'Gas Switch' phase of `gases.switchTime`
+ * minutes, and phases breathed on anything but the bottom gas carry its label.
  */
-export function calculateDiveProfile(stops, descentRate = 18, ascentRate = 9) {
+export function calculateDiveProfile(stops, descentRate = 18, ascentRate = 9, gases = {}) {
   if (!stops || stops.length === 0) return { points: [{ time: 0, depth: 0 }], phases: [] };
+  const { bottomGas, travelGases = [], switchTime = 0 } = gases;
 
   const points = [{ time: 0, depth: 0 }];
   const phases = [];
   let currentTime = 0;
   let currentDepth = 0;
+  let travel = [...travelGases];
+  let currentGas = travel.length > 0 ? travel[0].gas : bottomGas;
 
-  for (const stop of stops) {
-    const depthDiff = Math.abs(stop.depth - currentDepth);
-    const goingDeeper = stop.depth > currentDepth;
+  const push = (phase) => {
+    phases.push(currentGas !== bottomGas ? { ...phase, gas: currentGas } : phase);
+    currentTime += phase.duration;
+    if (phase.duration > 0) points.push({ time: currentTime, depth: currentDepth });
+  };
+
+  const moveTo = (depth) => {
+    const goingDeeper = depth > currentDepth;
     const rate = goingDeeper ? descentRate : ascentRate;
-    const transitTime = depthDiff > 0 ? Math.ceil(depthDiff / rate) : 0;
-    const action = goingDeeper ? 'Descend' : stop.depth < currentDepth ? 'Ascend' : 'Stay';
+    const transitTime = Math.ceil(Math.abs(depth - currentDepth) / rate);
+    if (transitTime <= 0) return;
+    currentDepth = depth;
+    push({ depth, duration: transitTime, runTime: currentTime, action: goingDeeper ? 'Descend' : 'Ascend' });
+  };
 
-    // Transit time is part of the planned stop time
-    const stayTime = Math.max(0, stop.time - transitTime);
+  const switchGas = (gas) => {
+    if (gas === currentGas) return;
+    currentGas = gas;
+    phases.push({ depth: currentDepth, duration: switchTime, runTime: currentTime, action: 'Gas Switch', gas });
+    currentTime += switchTime;
+    if (switchTime > 0) points.push({ time: currentTime, depth: currentDepth });
+  };
 
-    if (transitTime > 0) {
-      phases.push({
-        depth: stop.depth,
-        duration: transitTime,
-        runTime: currentTime,
-        action,
-      });
-      currentTime += transitTime;
-      currentDepth = stop.depth;
-      points.push({ time: currentTime, depth: currentDepth });
+  for (const stop of stops) {
+    const start = currentTime;
+    const stopGas = stop.gas || bottomGas;
+
+    // Travel gases are left at their switch depth on the way down
+    while (travel.length > 0 && travel[0].depth < stop.depth) {
+      const { depth } = travel.shift();
+      if (depth > currentDepth) moveTo(depth);
+      switchGas(travel.length > 0 ? travel[0].gas : stopGas);
+    }
+    moveTo(stop.depth);
+    // Stops above the travel gas switch depth stay on it unless set otherwise
+    if (stop.gas || travel.length === 0) {
+      switchGas(stopGas);
+      travel = [];
     }
 
+    // Transit time is part of the planned stop time
+    const stayTime = Math.max(0, stop.time - (currentTime - start));
     if (stayTime > 0) {
-      phases.push({
-        depth: currentDepth,
-        duration: stayTime,
-        runTime: currentTime,
-        action: 'Stay',
-      });
-      currentTime += stayTime;
-      points.push({ time: currentTime, depth: currentDepth });
+      push({ depth: currentDepth, duration: stayTime, runTime: currentTime, action: 'Stay' });
     }
   }
 
@@ -131,13 +153,17 @@ export function simpleAscent(profile, ascentRate, lastStopDepth = 6) {
 }
 
 /**
- * Parse plan string from URL params.
+ * Parse plan string from URL params: "depth:time[:gas]" per stop, with the
+ * gas label written as "21-35".
  */
 export function parsePlan(planStr) {
   if (!planStr) return [];
   return planStr.split(',').map(s => {
-    const [depth, time] = s.split(':').map(Number);
+    const [d, t, gas] = s.split(':');
+    const depth = Number(d);
+    const time = Number(t);
     if (isNaN(depth) || isNaN(time)) return null;
+    if (gas && /^\d+-\d+$/.test(gas)) return { depth, time, gas: gas.replace('-', '/') };
     return { depth, time };
   }).filter(Boolean);
 }
@@ -146,7 +172,7 @@ export function parsePlan(planStr) {
  * Serialize stops to URL plan string.
  */
 export function serializePlan(stops) {
-  return stops.map(s => `${s.depth}:${s.time}`).join(',');
+  return stops.map(s => s.gas ? `${s.depth}:${s.time}:${s.gas.replace('/', '-')}` : `${s.depth}:${s.time}`).join(',');
 }
 
 /**
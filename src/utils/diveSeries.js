@@ -0,0 +1,150 @@
+/**
+ * Repetitive dive planning: a series of dives separated by surface intervals.
+ * Each dive starts from the residual tissue state (and bubble state, for VPM/RGBM)
+ * left by the previous one, and CNS% carries over with its surface decay.
+ */
+import { calculateDiveProfile, addAscentPhases, parsePlan, serializePlan } from './diveProfile.js';
+import { calculateCNS, decayCNS } from './oxygenToxicity.js';
+import { createEnvironment } from './environment.js';
+import { GROUP_SYSTEMS, groupAfterInterval, repetitiveDive } from './pressureGroups.js';
+
+// Gas breathed during surface intervals
+const SURFACE_GAS = { fO2: 0.21, fHe: 0 };
+
+function totalDecoTime(decoStops) {
+  return decoStops.reduce((sum, s) => sum + s.time, 0);
+}
+
+function toTissueState(result, previous) {
+  return {
+    n2: [...result.tissueLoading],
+    he: result.heLoading ? [...result.heLoading] : null,
+    bubble: result.bubbleState || previous?.bubble || null,
+  };
+}
+
+/**
+ * Plan a dive series.
+ *
+ * dives: [{ stops, surfaceInterval }] — surfaceInterval (min) is the time spent
+ * at the surface before that dive; it's ignored for the first dive.
+ * algorithmFn/options: the algorithm and the options used for a single dive.
+ * profile: { descentRate, ascentRate, decoAscentRate, gasSwitchTime, gases }, where
+ * `gases` are the profile gases for calculateDiveProfile (see profileGases).
+ *
+ * Returns one entry per dive with its full profile and deco result, plus the
+ * runtime penalty against the same dive planned with clean tissues. Table
+ * algorithms (those reporting a `groupSystem`) also get the table workflow:
+ * the pressure group after the surface interval, the residual nitrogen time
+ * at the new depth (passed to the algorithm as `residualTime`) and the
+ * adjusted no-decompression limit.
+ */
+export function calculateDiveSeries(dives, algorithmFn, options, profile = {}) {
+  if (!algorithmFn || !dives || dives.length === 0) return [];
+  const { descentRate = 18, ascentRate = 9, decoAscentRate = 9, gasSwitchTime = true, gases = {} } = profile;
+  const { fO2 = 0.21, fHe = 0, ccr = null } = options;
+  const env = createEnvironment(options);
+
+  const ascend = (diveProfile, decoStops) => addAscentPhases(
+    diveProfile,
+    gasSwitchTime ? decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s) : decoStops,
+    decoAscentRate
+  );
+
+  const series = [];
+  let tissues = null;
+  let cns = 0;
+  // Table pressure group carried from the last dive: { system, group }
+  let tableGroup = null;
+
+  dives.forEach((dive, index) => {
+    const surfaceInterval = index === 0 ? 0 : Math.max(0, dive.surfaceInterval || 0);
+
+    // Off-gas on air at the surface before a repetitive dive
+    if (index > 0 && surfaceInterval > 0) {
+      const rest = algorithmFn(
+        [{ depth: 0, duration: surfaceInterval, runTime: 0, action: 'Surface Interval' }],
+        { ...options, ...SURFACE_GAS, ccr: null, gasSwitches: [], initialTissues: tissues }
+      );
+      tissues = toTissueState(rest, tissues);
+      cns = decayCNS(cns, surfaceInterval);
+    }
+
+    if (!dive.stops || dive.stops.length === 0) {
+      series.push({ index, surfaceInterval, empty: true, startCNS: cns, endCNS: cns });
+      if (tableGroup) tableGroup = { ...tableGroup, group: groupAfterInterval(GROUP_SYSTEMS[tableGroup.system], tableGroup.group, surfaceInterval) };
+      return;
+    }
+
+    const startTissues = tissues;
+    const startCNS = cns;
+    const diveProfile = calculateDiveProfile(dive.stops, descentRate, ascentRate, gases);
+
+    // Table workflow: group after the interval, RNT and adjusted NDL
+    let table = null;
+    if (tableGroup) {
+      const clean = algorithmFn(diveProfile.phases, options);
+      const maxDepth = Math.max(...diveProfile.phases.map(p => p.depth));
+      table = repetitiveDive(GROUP_SYSTEMS[tableGroup.system], tableGroup.group, surfaceInterval, maxDepth, clean.tableNDL ?? clean.ndl ?? 0, env);
+    }
+
+    const decoInfo = algorithmFn(diveProfile.phases, { ...options, initialTissues: startTissues, residualTime: table?.residualTime || 0 });
+    tableGroup = decoInfo.groupSystem ? { system: decoInfo.groupSystem, group: decoInfo.pressureGroup } : null;
+    const full = ascend(diveProfile, decoInfo.decoStops);
+
+    // Same dive with clean tissues, to show the repetitive penalty
+    let freshTotalTime = full.totalTime;
+    let freshDecoTime = totalDecoTime(decoInfo.decoStops);
+    if (startTissues) {
+      const fresh = algorithmFn(diveProfile.phases, options);
+      freshTotalTime = ascend(diveProfile, fresh.decoStops).totalTime;
+      freshDecoTime = totalDecoTime(fresh.decoStops);
+    }
+
+    const cnsResult = calculateCNS(full.phases, fO2, fHe, ccr, startCNS, env);
+    cns = cnsResult.totalCNS;
+
+    // Tissue state at surfacing: replay the whole dive, ascent included
+    const surfacing = algorithmFn(full.phases, { ...options, initialTissues: startTissues });
+    tissues = toTissueState(surfacing, startTissues);
+
+    series.push({
+      index,
+      surfaceInterval,
+      ...full,
+      decoInfo,
+      decoTime: totalDecoTime(decoInfo.decoStops),
+      freshTotalTime,
+      freshDecoTime,
+      penalty: full.totalTime - freshTotalTime,
+      startTissues,
+      startCNS,
+      endCNS: cns,
+      table,
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Parse follow-up dives from the URL: "60@18:40,5:3|120@15:45".
+ */
+export function parseRepetitiveDives(str) {
+  if (!str) return [];
+  return str.split('|').map(part => {
+    const [si, plan = ''] = part.split('@');
+    const surfaceInterval = Number(si);
+    if (isNaN(surfaceInterval)) return null;
+    return { surfaceInterval, stops: parsePlan(plan) };
+  }).filter(Boolean);
+}
+
+/**
+ * Serialize follow-up dives for the URL.
+ */
+export function serializeRepetitiveDives(dives) {
+  return dives
+    .map(d => `${d.surfaceInterval}@${serializePlan(d.stops)}`)
+    .join('|');
+}
@@ -6,10 +6,19 @@
  * 
  * DSAT NDL table (no-decompression limits in minutes):
  * Based on the PADI Recreational Dive Planner (RDP).
+ *
+ * Altitude (RDP altitude procedure): from 300 m up to 3000 m the table is
+ * entered at the theoretical ocean depth. Higher sites are outside the RDP.
  */
 
-import { P_SURFACE } from './constants.js';
-import { inspiredPressure, schreiner } from './physics.js';
+import { inspiredPressure, surfaceEquilibrium, schreiner, schreinerSegment, initTissues } from './physics.js';
+import { createEnvironment, seaLevelDepth } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
+import { GROUP_SYSTEMS, pressureGroup } from './pressureGroups.js';
+
+// RDP altitude procedure range (m)
+const ALTITUDE_THRESHOLD = 300;
+const ALTITUDE_LIMIT = 3000;
 
 // DSAT/PADI RDP No-Decompression Limits (depth in meters → NDL in minutes)
 // These are the standard PADI table values
@@ -59,38 +68,46 @@ export function lookupNDL(depth) {
 /**
  * Run DSAT calculation.
  * Returns NDL info and whether deco is required (but no deco stops).
+ * `options.residualTime` (RNT, min) counts toward the bottom time on a
+ * repetitive dive.
  */
 export function calculateDSAT(phases, options = {}) {
-  const { fO2 = 0.21 } = options;
+  const { fO2 = 0.21, residualTime = 0 } = options;
   const fN2 = 1.0 - fO2;
   const nc = DSAT_HALFTIMES.length;
+  const env = createEnvironment(options);
 
-  // Initialize tissues at surface
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(nc).fill(surfaceN2);
+  // Initialize tissues at surface (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(nc, surfaceN2, options.initialTissues?.n2);
 
   // Process dive phases
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
+  const gases = phaseGases(phases, fO2);
+  phases.forEach((phase, p) => {
+    const pi = inspiredPressure(phase.depth, 1.0 - gases[p].fO2, env);
     for (let i = 0; i < nc; i++) {
       tissueLoading[i] = schreiner(tissueLoading[i], pi, phase.duration, DSAT_HALFTIMES[i]);
     }
-  }
+  });
 
   // Find max depth from phases
   const maxDepth = Math.max(...phases.map(p => p.depth), 0);
   const totalBottomTime = phases.reduce((sum, p) => sum + p.duration, 0);
-  const ndl = lookupNDL(maxDepth);
-  const decoRequired = totalBottomTime > ndl;
+  const outsideTable = env.altitude > ALTITUDE_LIMIT;
+  const oceanDepth = env.altitude > ALTITUDE_THRESHOLD ? seaLevelDepth(maxDepth, env) : maxDepth;
+  const ndl = outsideTable ? 0 : lookupNDL(oceanDepth);
+  const decoRequired = totalBottomTime + residualTime > ndl;
 
   // Simple M-values (Spencer limits, approximately 1.6× surface pressure for fast, 1.3× for slow)
   const mValues = DSAT_HALFTIMES.map((ht, i) => {
     const ratio = 1.6 - (i / nc) * 0.3;
-    return P_SURFACE * ratio;
+    return env.surfacePressure * ratio;
   });
 
+  const note = outsideTable ? 'DSAT: above the RDP altitude limit' : 'DSAT: deco required — exit water';
+
   return {
-    decoStops: decoRequired ? [{ depth: 5, time: 3, safety: true, note: 'DSAT: deco required — exit water' }] : [],
+    decoStops: decoRequired ? [{ depth: 5, time: 3, safety: true, note }] : [],
     firstStopDepth: 0,
     tissueLoading: [...tissueLoading],
     ceiling: 0,
@@ -101,6 +118,30 @@ export function calculateDSAT(phases, options = {}) {
     ndl,
     decoRequired,
     maxDepth,
+    oceanDepth,
     totalBottomTime,
+    groupSystem: 'dsat',
+    pressureGroup: pressureGroup(GROUP_SYSTEMS.dsat, tissueLoading[DSAT_HALFTIMES.indexOf(GROUP_SYSTEMS.dsat.halfTime)], env),
   };
 }
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the surfacing ratios
+ * behind the table M-values, 1.6 in the fastest compartment down to 1.3.
+ */
+export const DSAT_TISSUE_MODEL = {
+  name: 'DSAT / PADI RDP',
+  compartments: DSAT_HALFTIMES.length,
+  halfTimes: DSAT_HALFTIMES,
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(DSAT_HALFTIMES.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const piStart = inspired(fromDepth).piN2;
+    const piEnd = inspired(toDepth).piN2;
+    for (let i = 0; i < DSAT_HALFTIMES.length; i++) {
+      state.n2[i] = schreinerSegment(state.n2[i], piStart, piEnd, time, DSAT_HALFTIMES[i]);
+    }
+  },
+  limit: (state, i) => ({ intercept: 0, slope: 1.6 - (i / DSAT_HALFTIMES.length) * 0.3 }),
+};
@@ -0,0 +1,67 @@
+/**
+ * Dive site environment: surface pressure at altitude and water density.
+ *
+ * Built from the algorithm options (like the stop grid). The default is sea
+ * level in salt water at the planner's 10 msw/bar convention, so plans without
+ * site settings are unchanged.
+ */
+import { P_SURFACE } from './constants.js';
+
+// Depth of water per bar of hydrostatic pressure (m/bar)
+export const WATER_TYPES = {
+  salt: { label: 'Salt', metersPerBar: 10 },
+  fresh: { label: 'Fresh', metersPerBar: 10 / 0.980665 },  // 1000 kg/m³
+};
+
+export const DEFAULT_SALINITY = 'salt';
+
+/**
+ * Surface pressure (bar) at an altitude in meters, from the ISA barometric
+ * formula.
+ */
+export function altitudeToPressure(altitude) {
+  if (!(altitude > 0)) return P_SURFACE;
+  return P_SURFACE * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+}
+
+/**
+ * Create the environment for a dive.
+ *
+ * `acclimatized` divers start with tissues saturated at the site's surface
+ * pressure; a fresh arrival still carries sea-level saturation.
+ *
+ * @param {{altitude?: number, salinity?: string, acclimatized?: boolean}} options
+ */
+export function createEnvironment(options = {}) {
+  const { altitude = 0, salinity = DEFAULT_SALINITY, acclimatized = true } = options;
+  const water = Object.hasOwn(WATER_TYPES, salinity) ? WATER_TYPES[salinity] : WATER_TYPES[DEFAULT_SALINITY];
+  const surfacePressure = altitudeToPressure(altitude);
+  return {
+    altitude: Math.max(0, altitude || 0),
+    salinity: water === WATER_TYPES.fresh ? 'fresh' : 'salt',
+    acclimatized,
+    surfacePressure,
+    metersPerBar: water.metersPerBar,
+    // Ambient pressure the tissues are saturated at when the dive starts
+    equilibriumPressure: acclimatized ? surfacePressure : P_SURFACE,
+  };
+}
+
+export const SEA_LEVEL = Object.freeze(createEnvironment());
+
+/**
+ * Equivalent sea-level (salt water) depth for table lookups — the Cross
+ * correction: the same pressure ratio to the surface as at altitude.
+ */
+export function seaLevelDepth(depth, env = SEA_LEVEL) {
+  return depth * (WATER_TYPES.salt.metersPerBar / env.metersPerBar) * (P_SURFACE / env.surfacePressure);
+}
+
+/** The site options (altitude, salinity, acclimatized) from dive settings. */
+export function siteFromSettings(settings) {
+  return {
+    altitude: settings?.altitude || 0,
+    salinity: settings?.salinity || DEFAULT_SALINITY,
+    acclimatized: settings?.acclimatized !== false,
+  };
+}
@@ -1,19 +1,28 @@
 /**
- * Gas consumption, rock bottom, and turn pressure calculations.
+ * Gas consumption, rock bottom, turn pressure and CCR bailout calculations.
  */
+import { calculateBuhlmann } from './buhlmann.js';
+import { addAscentPhases } from './diveProfile.js';
+import { gasLabel } from './gases.js';
+import { createEnvironment } from './environment.js';
+import { depthToPressure } from './physics.js';
+
+// Emergency breathing rate multiplier applied to the SAC rate
+const STRESS_FACTOR = 2.0;
 
 /**
- * Tank presets: name -> size in liters
+ * Tank presets: name -> size in liters (water capacity). The imperial UI shows
+ * `name` with the rated cuft at the fill pressure instead of the metric label.
  */
 export const TANK_PRESETS = [
-  { label: 'AL80 (11.1L)', value: 11.1 },
-  { label: 'S80 (11.1L)', value: 11.1 },
-  { label: '12L Steel', value: 12 },
-  { label: '15L Steel', value: 15 },
-  { label: '2×12L Twins (24L)', value: 24 },
-  { label: '7L Stage', value: 7 },
-  { label: '5.5L Pony', value: 5.5 },
-  { label: '3L Bailout', value: 3 },
+  { label: 'AL80 (11.1L)', name: 'AL80', value: 11.1 },
+  { label: 'S80 (11.1L)', name: 'S80', value: 11.1 },
+  { label: '12L Steel', name: '12L Steel', value: 12 },
+  { label: '15L Steel', name: '15L Steel', value: 15 },
+  { label: '2×12L Twins (24L)', name: '2×12L Twins', value: 24 },
+  { label: '7L Stage', name: '7L Stage', value: 7 },
+  { label: '5.5L Pony', name: '5.5L Pony', value: 5.5 },
+  { label: '3L Bailout', name: '3L Bailout', value: 3 },
 ];
 
 /**
@@ -22,14 +31,24 @@ export const TANK_PRESETS = [
  * Gas consumed = SAC × (depth/10 + 1) × time
  *
  * When perGasTanks is provided, also returns per-gas consumption breakdown.
- * perGasTanks: { bottom: { size, pressure }, stage1: { size, pressure }, stage2: { size, pressure } }
+ * perGasTanks: { bottom: { size, pressure }, gas0: { size, pressure, fO2, fHe }, ... }
+ * (see gasCylinders). Phases are charged to the first cylinder holding the mix
+ * being breathed, which starts as the bottom gas and changes on tagged phases.
  */
 export function calculateGasConsumption(phases, sacRate = 20, defaultFO2 = 0.21, defaultFHe = 0, perGasTanks = null) {
   let totalLiters = 0;
   const perPhase = [];
 
+  // Cylinder key per mix label; unknown mixes are charged to the bottom gas
+  const keyByLabel = {};
+  for (const [key, tank] of Object.entries(perGasTanks || {})) {
+    const label = gasLabel({ fO2: tank.fO2 ?? defaultFO2, fHe: tank.fHe ?? defaultFHe });
+    if (!(label in keyByLabel)) keyByLabel[label] = key;
+  }
+
   // Track per-gas consumption
-  const gasUsage = { bottom: 0, stage1: 0, stage2: 0 };
+  const gasUsage = { bottom: 0 };
+  let currentGas = gasLabel({ fO2: defaultFO2, fHe: defaultFHe });
 
   for (const phase of phases) {
     let avgDepth = phase.depth;
@@ -40,20 +59,9 @@ export function calculateGasConsumption(phases, sacRate = 20, defaultFO2 = 0.21,
     const liters = sacRate * ambientFactor * phase.duration;
     totalLiters += liters;
 
-    // Determine which gas this phase uses
-    let gasKey = 'bottom';
-    if (phase.gas) {
-      const gasLabel = phase.gas.toLowerCase();
-      // After a gas switch, phases are tagged. Try to match stage gases.
-      if (phase._gasIndex === 2) gasKey = 'stage2';
-      else if (phase._gasIndex === 1) gasKey = 'stage1';
-      else if (gasLabel.includes('o₂') || gasLabel === 'o2' || gasLabel === '100%') gasKey = 'stage2';
-      else if (gasLabel !== '' && gasLabel !== 'air' && !gasLabel.startsWith('tx')) {
-        // Heuristic: if there's a gas label and it's not the bottom gas, it's a deco gas
-        gasKey = 'stage1';
-      }
-    }
-    gasUsage[gasKey] += liters;
+    if (phase.gas) currentGas = phase.gas;
+    const gasKey = keyByLabel[currentGas] || 'bottom';
+    gasUsage[gasKey] = (gasUsage[gasKey] || 0) + liters;
 
     perPhase.push({ liters, runningLiters: totalLiters, gasKey });
   }
@@ -62,9 +70,7 @@ export function calculateGasConsumption(phases, sacRate = 20, defaultFO2 = 0.21,
   let gasBreakdown = null;
   if (perGasTanks) {
     gasBreakdown = {};
-    for (const key of ['bottom', 'stage1', 'stage2']) {
-      const tank = perGasTanks[key];
-      if (!tank) continue;
+    for (const [key, tank] of Object.entries(perGasTanks)) {
       const totalVolume = tank.size * tank.pressure;
       const used = gasUsage[key] || 0;
       const remaining = totalVolume - used;
@@ -98,7 +104,6 @@ export function litersToBars(liters, tankSizeLiters) {
  * Includes ascent from max depth + any deco stops + reserve.
  */
 export function calculateRockBottom(phases, sacRate = 20, tankSize = 24, reserveBar = 50, ascentRate = 9) {
-  const STRESS_FACTOR = 2.0;
   const stressSAC = sacRate * STRESS_FACTOR;
 
   // Find max depth from phases
@@ -149,3 +154,137 @@ export function calculateTurnPressure(startPressure = 200, reservePressure = 50,
     totalRequired: plannedBars + reservePressure,
   };
 }
+
+/**
+ * Cut a phase list off at a given runtime (splitting the phase in progress).
+ */
+function truncatePhases(phases, atTime) {
+  const result = [];
+  let runTime = 0;
+  for (const phase of phases) {
+    const start = phase.runTime ?? runTime;
+    if (start >= atTime) break;
+    const duration = Math.min(phase.duration, atTime - start);
+    result.push({ ...phase, duration });
+    runTime = start + duration;
+  }
+  return result;
+}
+
+/**
+ * Smallest preset cylinder that holds the required gas above the reserve.
+ */
+function pickCylinder(liters, fillPressure, reserveBar) {
+  const usableBar = fillPressure - reserveBar;
+  if (usableBar <= 0) return null;
+  const sizes = [...new Set(TANK_PRESETS.map(p => p.value))].sort((a, b) => a - b);
+  const size = sizes.find(s => s * usableBar >= liters);
+  if (size === undefined) return null;
+  const preset = TANK_PRESETS.find(p => p.value === size);
+  return { label: preset.label, size, bars: litersToBars(liters, size) + reserveBar };
+}
+
+// Index of the bailout gas breathed at a depth: the shallowest deco gas
+// switched to at or below it (as getGasAtDepth picks it), else the first
+function bailoutGasAt(depth, bailoutGases) {
+  let index = 0;
+  bailoutGases.forEach((g, i) => {
+    if (i > 0 && depth <= g.depth && (index === 0 || g.depth < bailoutGases[index].depth)) index = i;
+  });
+  return index;
+}
+
+/**
+ * Open-circuit bailout plan for a CCR dive.
+ *
+ * Loads tissues on the loop up to the bailout point, then switches to the OC
+ * bailout gases and reruns the Bühlmann deco schedule from there. By default the
+ * bailout happens at the worst case: end of the planned phases, at max depth.
+ *
+ * bailoutGases: [{ fO2, fHe }, { fO2, fHe, depth }, ...] — the first gas is
+ * breathed from the bailout point; the others are switched to at `depth`.
+ * `variant` (or a custom `paramSet`) picks the Bühlmann parameters.
+ *
+ * Returns the bailout runtime table (phases), the deco stops, and per-gas
+ * volumes at a stressed SAC with the smallest preset cylinder that carries them.
+ */
+export function calculateBailoutPlan(phases, options = {}) {
+  const {
+    fO2 = 0.21, fHe = 0, ccr, bailoutGases = [], variant = 'zhl16c', paramSet = null,
+    gfLow = 50, gfHigh = 70, decoAscentRate = 9, lastStopDepth = 6,
+    stopInterval = 3, continuousDeco = false, altitude = 0, salinity = 'salt', acclimatized = true,
+    gasSwitchTime = true, sacRate = 20, fillPressure = 200, reserveBar = 50,
+    bailoutTime = null,
+  } = options;
+  if (!phases || phases.length === 0 || !ccr || bailoutGases.length === 0) return null;
+
+  const endTime = phases.reduce((t, p) => Math.max(t, (p.runTime ?? 0) + p.duration), 0);
+  const atTime = bailoutTime === null ? endTime : Math.min(bailoutTime, endTime);
+  const loopPhases = truncatePhases(phases, atTime);
+  if (loopPhases.length === 0) return null;
+
+  // Worst case bails out from max depth; otherwise from where the diver is
+  const bailoutDepth = bailoutTime === null
+    ? Math.max(...loopPhases.map(p => p.depth))
+    : loopPhases[loopPhases.length - 1].depth;
+
+  const common = { variant, paramSet, gfLow, gfHigh, decoAscentRate, lastStopDepth, stopInterval, continuousDeco, altitude, salinity, acclimatized };
+  const loop = calculateBuhlmann(loopPhases, { ...common, fO2, fHe, ccr });
+
+  const [bottomGas, ...decoGases] = bailoutGases;
+  const deco = calculateBuhlmann(
+    [{ depth: bailoutDepth, duration: 0, runTime: atTime, action: 'Stay' }],
+    {
+      ...common,
+      fO2: bottomGas.fO2,
+      fHe: bottomGas.fHe || 0,
+      gasSwitches: decoGases.map(g => ({ depth: g.depth, fO2: g.fO2, fHe: g.fHe || 0 })),
+      initialTissues: { n2: loop.tissueLoading, he: loop.heLoading },
+    }
+  );
+
+  const stops = gasSwitchTime
+    ? deco.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s)
+    : deco.decoStops;
+  const start = { points: [{ time: atTime, depth: bailoutDepth }], phases: [], lastStopEnd: atTime, lastDepth: bailoutDepth };
+  const ascent = addAscentPhases(start, stops, decoAscentRate);
+
+  // Stressed gas use per bailout gas, by its index in bailoutGases (transits
+  // at their average depth, at the site's ambient pressure)
+  const env = createEnvironment({ altitude, salinity, acclimatized });
+  const stressSAC = sacRate * STRESS_FACTOR;
+  const litersByGas = bailoutGases.map(() => 0);
+  let current = 0;
+  let prevDepth = bailoutDepth;
+  const rows = ascent.phases.map(phase => {
+    if (phase.action === 'Gas Switch') current = bailoutGasAt(phase.depth, bailoutGases);
+    const avgDepth = phase.action === 'Ascend' ? (prevDepth + phase.depth) / 2 : phase.depth;
+    const liters = stressSAC * depthToPressure(avgDepth, env) * phase.duration;
+    litersByGas[current] += liters;
+    prevDepth = phase.depth;
+    return { ...phase, gas: gasLabel(bailoutGases[current]), liters };
+  });
+
+  const gases = bailoutGases.map((g, i) => {
+    const liters = litersByGas[i];
+    return {
+      label: gasLabel(g),
+      fO2: g.fO2,
+      fHe: g.fHe || 0,
+      switchDepth: g.depth ?? bailoutDepth,
+      liters,
+      cylinder: pickCylinder(liters, fillPressure, reserveBar),
+    };
+  });
+
+  return {
+    bailoutTime: atTime,
+    bailoutDepth,
+    decoStops: deco.decoStops,
+    phases: rows,
+    totalTime: ascent.totalTime,
+    gases,
+    totalLiters: gases.reduce((sum, g) => sum + g.liters, 0),
+    stressFactor: STRESS_FACTOR,
+  };
+}
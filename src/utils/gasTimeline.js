@@ -1,29 +1,50 @@
 /**
  * Shared gas timeline utilities for tracking gas switches during a dive profile.
- * Used by GFExplorer, SupersatDisplay, and ceiling calculations.
+ * Used by the algorithms and the tissue trace (ceilings, GF explorer,
+ * supersaturation).
+ *
+ * A phase's `gas` label ("50/0", "21/35") switches gas; phases without one
+ * keep breathing the previous gas.
  */
 
 /**
- * Build a gas timeline from dive phases: [{startTime, fO2, fHe, fN2}]
- * Parses gas labels (e.g., "50/0", "21/35") from phase.gas property.
+ * Parse a gas label ("50/0", "21/35") into { fO2, fHe, fN2 }.
+ */
+export function parseGasLabel(label) {
+  const parts = label.split('/');
+  const fO2 = parseInt(parts[0], 10) / 100;
+  const fHe = parts.length > 1 ? parseInt(parts[1], 10) / 100 : 0;
+  return { fO2, fHe, fN2: 1 - fO2 - fHe };
+}
+
+/**
+ * The gas breathed during each phase: [{ fO2, fHe, fN2 }], starting from the
+ * default gas.
+ */
+export function phaseGases(phases, defaultFO2, defaultFHe = 0) {
+  let gas = { fO2: defaultFO2, fHe: defaultFHe, fN2: 1 - defaultFO2 - defaultFHe };
+  return phases.map(phase => {
+    if (phase.gas) gas = parseGasLabel(phase.gas);
+    return gas;
+  });
+}
+
+/**
+ * Build a gas timeline from dive phases: [{startTime, fO2, fHe, fN2}], plus
+ * the `setpoint` of phases replayed from a CCR dive log.
  */
 export function buildGasTimeline(phases, defaultFO2, defaultFHe) {
   if (!phases || phases.length === 0) {
     return [{ startTime: 0, fO2: defaultFO2, fHe: defaultFHe, fN2: 1 - defaultFO2 - defaultFHe }];
   }
-  const timeline = [];
-  let currentFO2 = defaultFO2, currentFHe = defaultFHe;
+  const gases = phaseGases(phases, defaultFO2, defaultFHe);
   let runTime = 0;
-  for (const phase of phases) {
-    if (phase.gas) {
-      const parts = phase.gas.split('/');
-      currentFO2 = parseInt(parts[0], 10) / 100;
-      currentFHe = parts.length > 1 ? parseInt(parts[1], 10) / 100 : 0;
-    }
-    timeline.push({ startTime: runTime, fO2: currentFO2, fHe: currentFHe, fN2: 1 - currentFO2 - currentFHe });
+  return phases.map((phase, i) => {
+    const entry = { startTime: runTime, ...gases[i] };
+    if (typeof phase.setpoint === 'number') entry.setpoint = phase.setpoint;
     runTime += phase.duration;
-  }
-  return timeline;
+    return entry;
+  });
 }
 
 /**
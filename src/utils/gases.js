@@ -0,0 +1,121 @@
+/**
+ * The dive's gas list: travel, extra bottom and deco mixes, each carried in
+ * its own cylinder.
+ *
+ * The primary bottom gas stays in the settings (fO2/fHe, tankSize/tankPressure);
+ * `settings.gases` holds every other cylinder. Each gas is switched to on the
+ * ascent at its switch depth — its MOD unless set explicitly.
+ */
+import { calcMOD } from './physics.js';
+
+export const GAS_ROLES = {
+  travel: { label: 'Travel', code: 't' },
+  bottom: { label: 'Bottom', code: 'b' },
+  deco: { label: 'Deco', code: 'd' },
+};
+
+const DEFAULT_TANK_SIZE = 7;
+const DEFAULT_TANK_PRESSURE = 200;
+
+/** A gas list entry with default cylinder and automatic switch depth. */
+export function createGas(fO2, fHe = 0, role = 'deco') {
+  return { fO2, fHe, role, switchDepth: null, tankSize: DEFAULT_TANK_SIZE, tankPressure: DEFAULT_TANK_PRESSURE };
+}
+
+/** Mix label used on deco stops and phases: "50/0", "21/35". */
+export function gasLabel(gas) {
+  return `${Math.round(gas.fO2 * 100)}/${Math.round((gas.fHe || 0) * 100)}`;
+}
+
+/** Display name: Air, EAN50, O₂, Tx 21/35. */
+export function gasName(gas) {
+  const o2 = Math.round(gas.fO2 * 100);
+  const he = Math.round((gas.fHe || 0) * 100);
+  if (he > 0) return `Tx ${o2}/${he}`;
+  if (o2 >= 99) return 'O₂';
+  return o2 === 21 ? 'Air' : `EAN${o2}`;
+}
+
+/**
+ * Depth at which the ascent switches to a gas: the explicit switch depth, or
+ * the MOD at the deco ppO₂ (deco gases) or bottom ppO₂ (travel/bottom gases).
+ */
+export function gasSwitchDepth(gas, settings, env) {
+  if (typeof gas.switchDepth === 'number') return gas.switchDepth;
+  const ppO2 = gas.role === 'deco' ? (settings.ppO2Deco ?? 1.6) : (settings.ppO2Max ?? 1.4);
+  return calcMOD(gas.fO2, ppO2, env);
+}
+
+/** Algorithm `gasSwitches` ({ depth, fO2, fHe }) for the gas list, deepest first. */
+export function buildGasSwitches(settings, env) {
+  return (settings.gases || [])
+    .filter(g => g?.fO2 > 0)
+    .map(g => ({ depth: gasSwitchDepth(g, settings, env), fO2: g.fO2, fHe: g.fHe || 0 }))
+    .sort((a, b) => b.depth - a.depth);
+}
+
+/**
+ * Gases for calculateDiveProfile: the bottom gas label and the travel gases
+ * breathed on the way down, each down to its switch depth. On CCR the loop
+ * is breathed from the surface, so there are none.
+ */
+export function profileGases(settings, env, ccr = null) {
+  const travelGases = ccr ? [] : (settings.gases || [])
+    .filter(g => g?.fO2 > 0 && g.role === 'travel')
+    .map(g => ({ gas: gasLabel(g), depth: gasSwitchDepth(g, settings, env) }))
+    .sort((a, b) => a.depth - b.depth);
+  return { bottomGas: gasLabel(settings), travelGases, switchTime: settings.gasSwitchTime ? 1 : 0 };
+}
+
+/**
+ * Cylinders for the gas plan, keyed as in calculateGasConsumption: `bottom`
+ * for the primary bottom gas, `gas<i>` for `settings.gases[i]`.
+ */
+export function gasCylinders(settings) {
+  const cylinders = {
+    bottom: { size: settings.tankSize || 24, pressure: settings.tankPressure || 200, fO2: settings.fO2, fHe: settings.fHe || 0 },
+  };
+  (settings.gases || []).forEach((g, i) => {
+    cylinders[`gas${i}`] = {
+      size: g.tankSize || DEFAULT_TANK_SIZE,
+      pressure: g.tankPressure || DEFAULT_TANK_PRESSURE,
+      fO2: g.fO2,
+      fHe: g.fHe || 0,
+    };
+  });
+  return cylinders;
+}
+
+/**
+ * Parse the URL gas list: comma-separated `<role><O₂>[-<He>][@<depth>][*<size>][:<bar>]`,
+ * e.g. "t21-35@57*11.1,d50,d100@6". Omitted parts take the defaults.
+ */
+export function parseGasList(str) {
+  if (!str) return [];
+  const roles = Object.keys(GAS_ROLES);
+  return str.split(',').map(part => {
+    const m = /^([a-z])(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?(?:@(\d+(?:\.\d+)?))?(?:\*(\d+(?:\.\d+)?))?(?::(\d+(?:\.\d+)?))?$/.exec(part);
+    if (!m) return null;
+    const role = roles.find(r => GAS_ROLES[r].code === m[1]);
+    const fO2 = Number(m[2]) / 100;
+    const fHe = m[3] ? Number(m[3]) / 100 : 0;
+    if (!role || fO2 <= 0 || fO2 + fHe > 1) return null;
+    const gas = createGas(fO2, fHe, role);
+    if (m[4]) gas.switchDepth = Number(m[4]);
+    if (m[5]) gas.tankSize = Number(m[5]);
+    if (m[6]) gas.tankPressure = Number(m[6]);
+    return gas;
+  }).filter(Boolean);
+}
+
+/** Serialize the gas list for the URL (see parseGasList). */
+export function serializeGasList(gases) {
+  return gases.map(g => {
+    let s = `${GAS_ROLES[g.role]?.code || 'd'}${Math.round(g.fO2 * 100)}`;
+    if (g.fHe > 0) s += `-${Math.round(g.fHe * 100)}`;
+    if (typeof g.switchDepth === 'number') s += `@${+g.switchDepth.toFixed(2)}`;
+    if (g.tankSize !== DEFAULT_TANK_SIZE) s += `*${g.tankSize}`;
+    if (g.tankPressure !== DEFAULT_TANK_PRESSURE) s += `:${g.tankPressure}`;
+    return s;
+  }).join(',');
+}
@@ -14,15 +14,18 @@ const HALDANE_HALFTIMES = [
   75.0   // Slow tissue (fat, bone)
 ];
 
-import { P_SURFACE as SURFACE_PRESSURE, MAX_STOP_MINUTES } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner as haldaneEquation } from './physics.js';
+import { MAX_STOP_MINUTES } from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, surfaceEquilibrium, schreinerSegment as haldaneEquation, initTissues } from './physics.js';
+import { createStopGrid } from './stopGrid.js';
+import { createEnvironment } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
 
 /**
  * Check if tissue can ascend safely using 2:1 supersaturation ratio.
  * Original Haldane criterion: tissue pressure must not exceed 2x ambient pressure.
  */
-function canAscendHaldane(tissueLoading, newDepth) {
-  const newAmbient = depthToPressure(newDepth);
+function canAscendHaldane(tissueLoading, newDepth, env) {
+  const newAmbient = depthToPressure(newDepth, env);
   
   for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
     if (tissueLoading[i] > 2.0 * newAmbient) {
@@ -35,14 +38,14 @@ function canAscendHaldane(tissueLoading, newDepth) {
 /**
  * Calculate Haldane ceiling (minimum depth based on 2:1 ratio).
  */
-function haldaneCeiling(tissueLoading) {
+function haldaneCeiling(tissueLoading, env) {
   let maxCeiling = 0;
   
   for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
     // Solve: P_tissue = 2 × P_ambient
     // P_tissue = 2 × (P_surface + depth/10)
     // depth = (P_tissue/2 - P_surface) × 10
-    const ceilingDepth = Math.max(0, (tissueLoading[i] / 2.0 - SURFACE_PRESSURE) * 10);
+    const ceilingDepth = pressureToDepth(tissueLoading[i] / 2.0, env);
     
     if (ceilingDepth > maxCeiling) {
       maxCeiling = ceilingDepth;
@@ -63,28 +66,39 @@ function haldaneCeiling(tissueLoading) {
  * @returns {Object} Deco stops and tissue data
  */
 export function calculateHaldane(phases, options = {}) {
-  const { fO2 = 0.21, ascentRate = 9, decoAscentRate = 9, lastStopDepth = 6 } = options;
+  const { fO2 = 0.21, decoAscentRate = 9 } = options;
   const fN2 = 1.0 - fO2;
+  // N₂ fraction breathed in each phase; the ascent stays on the last one
+  const phaseN2 = phaseGases(phases, fO2).map(g => 1.0 - g.fO2);
+  const ascentN2 = phaseN2.length > 0 ? phaseN2[phaseN2.length - 1] : fN2;
+  const env = createEnvironment(options);
   
-  // Initialize tissue loading at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(HALDANE_HALFTIMES.length).fill(surfaceN2);
+  // Initialize tissue loading at surface equilibrium (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(HALDANE_HALFTIMES.length, surfaceN2, options.initialTissues?.n2);
   
-  // Process each phase to build tissue loading
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
-    const duration = phase.duration;
-    
+  // Load tissues from one depth to another (linear while the depth changes)
+  const load = (tissues, fromDepth, toDepth, time, inert = ascentN2) => {
+    const piStart = inspiredPressure(fromDepth, inert, env);
+    const piEnd = inspiredPressure(toDepth, inert, env);
     for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
-      tissueLoading[i] = haldaneEquation(tissueLoading[i], pi, duration, HALDANE_HALFTIMES[i]);
+      tissues[i] = haldaneEquation(tissues[i], piStart, piEnd, time, HALDANE_HALFTIMES[i]);
     }
-  }
+  };
+
+  // Process each phase to build tissue loading
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    load(tissueLoading, depth, phase.depth, phase.duration, phaseN2[i]);
+    depth = phase.depth;
+  });
   
   // Calculate ceiling using 2:1 supersaturation ratio
-  const rawCeiling = haldaneCeiling(tissueLoading);
+  const rawCeiling = haldaneCeiling(tissueLoading, env);
   
-  // Round ceiling up to next 3m stop (modern convention, original used 10ft)
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  // Round ceiling up to the stop grid (3m by default; the original used 10ft)
+  const grid = createStopGrid(options);
+  const firstStopDepth = grid.firstStop(rawCeiling);
   
   // Generate Haldane decompression stops
   const decoStops = [];
@@ -92,42 +106,28 @@ export function calculateHaldane(phases, options = {}) {
   
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
     
-    while (currentStop >= lastStopDepth) {
+    while (grid.isStop(currentStop)) {
       // Calculate time needed at this stop using 2:1 criterion
       let stopTime = 0;
-      const tempTissue = [...workingTissue];
       
-      // Simulate ascent to this stop
-      const prevDepth = currentStop === firstStopDepth 
-        ? phases[phases.length - 1]?.depth || 0 
-        : currentStop + 3;
-      
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
-        tempTissue[i] = haldaneEquation(tempTissue[i], transitPi, transitTime, HALDANE_HALFTIMES[i]);
-      }
+      // Ascent to this stop
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      load(workingTissue, prevDepth, currentStop, transitTime);
       
-      // Check if we can ascend to next stop (3m shallower)
-      const nextStop = currentStop - 3;
-      let canAscend = false;
-      const simTissue = [...tempTissue];
+      // Check if we can ascend to the next stop
+      const nextStop = grid.next(currentStop);
+      const simTissue = [...workingTissue];
       
       // Wait at stop until 2:1 criterion allows ascent
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        if (canAscendHaldane(simTissue, nextStop)) {
-          canAscend = true;
-          stopTime = minute;
-          break;
-        }
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
+        if (canAscendHaldane(simTissue, nextStop, env)) break;
         
         // Simulate 1 more minute at this stop
-        const pi = inspiredPressure(currentStop, fN2);
-        for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
-          simTissue[i] = haldaneEquation(simTissue[i], pi, 1, HALDANE_HALFTIMES[i]);
-        }
-        stopTime = minute + 1;
+        load(simTissue, currentStop, currentStop, 1);
+        stopTime = grid.stopTime(waited + 1);
       }
       
       if (stopTime > 0) {
@@ -135,17 +135,15 @@ export function calculateHaldane(phases, options = {}) {
       }
       
       // Update working tissue with actual stop time
-      const pi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
-        workingTissue[i] = haldaneEquation(workingTissue[i], pi, transitTime + stopTime, HALDANE_HALFTIMES[i]);
-      }
+      load(workingTissue, currentStop, currentStop, stopTime);
       
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
   
   // M-values for Haldane: 2:1 ratio → M = 2 × P_surface
-  const mValues = HALDANE_HALFTIMES.map(() => 2.0 * SURFACE_PRESSURE);
+  const mValues = HALDANE_HALFTIMES.map(() => 2.0 * env.surfacePressure);
 
   return {
     decoStops,
@@ -157,4 +155,25 @@ export function calculateHaldane(phases, options = {}) {
     halfTimes: [...HALDANE_HALFTIMES],
     mValues,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the 2:1 ratio as an
+ * M-value of twice the ambient pressure.
+ */
+export const HALDANE_TISSUE_MODEL = {
+  name: 'Haldane (1908)',
+  compartments: HALDANE_HALFTIMES.length,
+  halfTimes: HALDANE_HALFTIMES,
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(HALDANE_HALFTIMES.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const piStart = inspired(fromDepth).piN2;
+    const piEnd = inspired(toDepth).piN2;
+    for (let i = 0; i < HALDANE_HALFTIMES.length; i++) {
+      state.n2[i] = haldaneEquation(state.n2[i], piStart, piEnd, time, HALDANE_HALFTIMES[i]);
+    }
+  },
+  limit: () => ({ intercept: 0, slope: 2.0 }),
+};
@@ -2,6 +2,11 @@
  * NDL (No-Decompression Limit) calculation for current dive profile.
  */
 import { calculateDiveProfile } from './diveProfile';
+import { ccrFromSettings } from './ccr';
+import { createEnvironment, siteFromSettings } from './environment';
+import { profileGases } from './gases';
+import { depthToPressure } from './physics';
+import { paramSetFor } from './customParams';
 
 /**
  * Find the NDL for the current profile — how many more minutes at max depth
@@ -11,11 +16,15 @@ import { calculateDiveProfile } from './diveProfile';
 export function findNDLForProfile(stops, algorithmFn, settings) {
   if (!stops || stops.length === 0 || !algorithmFn) return null;
 
-  const { fO2 = 0.21, fHe = 0, gfLow = 50, gfHigh = 70, ascentRate = 9, descentRate = 18, lastStopDepth = 6 } = settings;
-  const opts = { fO2, fHe, gfLow, gfHigh, ascentRate, lastStopDepth };
+  const { fO2 = 0.21, fHe = 0, gfLow = 50, gfHigh = 70, ascentRate = 9, descentRate = 18, lastStopDepth = 6, stopInterval = 3, continuousDeco = false, conservatism = 0 } = settings;
+  const opts = {
+    fO2, fHe, gfLow, gfHigh, ascentRate, lastStopDepth, stopInterval, continuousDeco, ccr: ccrFromSettings(settings), conservatism,
+    paramSet: paramSetFor(settings), ...siteFromSettings(settings),
+  };
+  const gases = profileGases({ ...settings, fO2, fHe }, createEnvironment(opts), opts.ccr);
 
   // Current bottom time produces deco?
-  const currentProfile = calculateDiveProfile(stops, descentRate, ascentRate);
+  const currentProfile = calculateDiveProfile(stops, descentRate, ascentRate, gases);
   const currentResult = algorithmFn(currentProfile.phases, opts);
 
   if (!currentResult) return null;
@@ -27,7 +36,6 @@ export function findNDLForProfile(stops, algorithmFn, settings) {
 
   // Binary search for max additional bottom time on last stop
   const maxDepth = Math.max(...stops.map(s => s.depth));
-  const lastStop = stops[stops.length - 1];
 
   let lo = 1, hi = 300, ndl = 0;
 
@@ -37,7 +45,7 @@ export function findNDLForProfile(stops, algorithmFn, settings) {
     const extStops = stops.map((s, i) =>
       i === stops.length - 1 ? { ...s, time: s.time + mid } : s
     );
-    const profile = calculateDiveProfile(extStops, descentRate, ascentRate);
+    const profile = calculateDiveProfile(extStops, descentRate, ascentRate, gases);
     const result = algorithmFn(profile.phases, opts);
 
     if (result && (result.noDecoLimit || result.decoStops.length === 0)) {
@@ -50,3 +58,63 @@ export function findNDLForProfile(stops, algorithmFn, settings) {
 
   return { ndl, inDeco: false, maxDepth };
 }
+
+/**
+ * Binary search for the NDL of a square dive: the longest bottom time at
+ * `depth` without deco stops.
+ */
+function findNDL(depth, algoFn, opts) {
+  let lo = 1, hi = 300, ndl = 0;
+
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    const profile = calculateDiveProfile([{ depth, time: mid }], 18, 9);
+    const result = algoFn(profile.phases, opts);
+
+    if (result.noDecoLimit || result.decoStops.length === 0) {
+      ndl = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return ndl > 0 ? ndl : 0;
+}
+
+/**
+ * Calculate CNS% for a given depth and time.
+ */
+function calcCNS(depth, time, fO2, env) {
+  const ppO2 = depthToPressure(depth, env) * fO2;
+  if (ppO2 <= 0.5) return 0;
+
+  const limits = [
+    [1.6, 45], [1.5, 120], [1.4, 150], [1.3, 180],
+    [1.2, 210], [1.1, 240], [1.0, 300], [0.9, 360],
+    [0.8, 450], [0.7, 570], [0.6, 720],
+  ];
+
+  let maxMin = 720;
+  for (const [pp, mins] of limits) {
+    if (ppO2 >= pp) { maxMin = mins; break; }
+  }
+
+  return Math.min(999, (time / maxMin) * 100);
+}
+
+/**
+ * NDL table rows for the depths (m): { depth, ndl, cns (at the NDL), mod }.
+ * Depths where the gas is over ppO₂ 1.6 are marked `mod` and not searched.
+ * `opts` are the algorithm options (gas, GF, site).
+ */
+export function ndlTable(depths, algorithmFn, opts) {
+  if (!algorithmFn) return [];
+  const env = createEnvironment(opts);
+  return depths.map(depth => {
+    if (depthToPressure(depth, env) * opts.fO2 > 1.6) return { depth, ndl: -1, cns: 0, mod: true };
+    const ndl = findNDL(depth, algorithmFn, opts);
+    const cns = ndl > 0 ? calcCNS(depth, ndl, opts.fO2, env) : 0;
+    return { depth, ndl, cns, mod: false };
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * Bühlmann schedule optimizer.
+ *
+ * Searches the deco gas subsets of the gas list, each gas's switch depth (its
+ * MOD on the stop grid or a stop shallower), the last stop depth (3 m/6 m) and
+ * GF pairs. Every candidate is planned with calculateBuhlmann the same way the
+ * main plan is, then checked against the constraints: max ppO₂, CNS%, OTU,
+ * END and the usable gas of each cylinder (above the reserve).
+ *
+ * The best plan has the shortest runtime (or the least gas). The Pareto front
+ * keeps, per GF pair, the best plan that no more conservative GF pair (lower
+ * or equal GF low and high) matches or beats.
+ */
+import { calculateBuhlmann, PARAM_SETS } from './buhlmann.js';
+import { calculateDiveProfile, addAscentPhases } from './diveProfile.js';
+import { calculateCNS, calculateOTU } from './oxygenToxicity.js';
+import { calculateGasConsumption } from './gasPlanning.js';
+import { calcMOD, depthToPressure, pressureToDepth } from './physics.js';
+import { phaseGases } from './gasTimeline.js';
+import { P_SURFACE } from './constants.js';
+import { createEnvironment, siteFromSettings } from './environment.js';
+import { gasCylinders, gasLabel, profileGases } from './gases.js';
+import { paramSetFor } from './customParams.js';
+
+export const OPTIMIZER_GF_LOWS = [20, 30, 40, 50, 60];
+export const OPTIMIZER_GF_HIGHS = [70, 75, 80, 85, 90];
+export const OPTIMIZER_LAST_STOPS = [3, 6];
+
+// Deco gases searched at most (2^n subsets)
+const MAX_DECO_GASES = 4;
+
+export const DEFAULT_CONSTRAINTS = {
+  objective: 'runtime',
+  maxPpO2: 1.6,
+  maxCNS: 100,
+  maxOTU: 300,
+  maxEND: 40,
+};
+
+/** Every GF pair from the candidate lows and highs with low ≤ high. */
+export function gfPairs(lows = OPTIMIZER_GF_LOWS, highs = OPTIMIZER_GF_HIGHS) {
+  return lows.flatMap(gfLow => highs.filter(h => h >= gfLow).map(gfHigh => ({ gfLow, gfHigh })));
+}
+
+/**
+ * Candidate switch depths for a deco gas: the deepest stop within its MOD at
+ * `maxPpO2`, then `steps - 1` stops shallower, never above the last stop.
+ */
+export function switchDepthCandidates(fO2, maxPpO2, stopInterval, lastStopDepth, env, steps = 2) {
+  const deepest = Math.floor(calcMOD(fO2, maxPpO2, env) / stopInterval + 1e-9) * stopInterval;
+  const depths = [];
+  for (let i = 0; i < steps; i++) {
+    const depth = deepest - i * stopInterval;
+    if (depth < lastStopDepth) break;
+    depths.push(depth);
+  }
+  return depths;
+}
+
+// Every subset of the deco gases with every combination of switch depths
+function gasOptions(decoGases, candidates) {
+  let options = [[]];
+  decoGases.forEach((gas, i) => {
+    const next = [...options];
+    for (const option of options) {
+      for (const depth of candidates[i]) next.push([...option, { ...gas, switchDepth: depth }]);
+    }
+    options = next;
+  });
+  return options;
+}
+
+// ppO₂ at depth in the 1 atm ≈ 1 bar convention of calcMOD, so a gas is
+// within limits all the way down to its MOD
+function ppO2At(depth, fO2, env) {
+  return (depth / env.metersPerBar + env.surfacePressure / P_SURFACE) * fO2;
+}
+
+// Equivalent narcotic depth, counting O₂ as narcotic
+function narcoticDepth(depth, fHe, env) {
+  return pressureToDepth(depthToPressure(depth, env) * (1 - fHe), env);
+}
+
+// Max ppO₂ and END reached over the phases
+function exposure(phases, fO2, fHe, env) {
+  const gases = phaseGases(phases, fO2, fHe);
+  let maxPpO2 = 0;
+  let maxEND = 0;
+  phases.forEach((phase, i) => {
+    maxPpO2 = Math.max(maxPpO2, ppO2At(phase.depth, gases[i].fO2, env));
+    maxEND = Math.max(maxEND, narcoticDepth(phase.depth, gases[i].fHe, env));
+  });
+  return { maxPpO2, maxEND };
+}
+
+// Which constraint a plan breaks, or null
+function violation(plan, constraints) {
+  if (plan.maxPpO2 > constraints.maxPpO2 + 1e-9) return 'ppO2';
+  if (plan.cns > constraints.maxCNS) return 'cns';
+  if (plan.otu > constraints.maxOTU) return 'otu';
+  if (constraints.maxEND != null && plan.maxEND > constraints.maxEND + 1e-9) return 'end';
+  if (plan.gasShort) return 'gas';
+  return null;
+}
+
+function compare(a, b, objective) {
+  const [first, second] = objective === 'gas' ? ['liters', 'runtime'] : ['runtime', 'liters'];
+  return a[first] - b[first] || a[second] - b[second];
+}
+
+/**
+ * Plans that aren't dominated by a GF pair at least as conservative with an
+ * equal or better objective, sorted from most to least conservative.
+ */
+export function paretoFront(plans, objective = 'runtime') {
+  const key = objective === 'gas' ? 'liters' : 'runtime';
+  const front = plans.filter(p => !plans.some(q => q !== p
+    && q.gfLow <= p.gfLow && q.gfHigh <= p.gfHigh && q[key] <= p[key]
+    && (q.gfLow < p.gfLow || q.gfHigh < p.gfHigh || q[key] < p[key])));
+  return front.sort((a, b) => a.gfHigh - b.gfHigh || a.gfLow - b.gfLow);
+}
+
+/**
+ * Search for the best open-circuit Bühlmann plan for the stops.
+ *
+ * `settings` are the app settings (the gas list's deco gases are the
+ * candidates; travel and bottom gases stay as set). Non-Bühlmann algorithms
+ * are planned with ZH-L 16C. `constraints` override DEFAULT_CONSTRAINTS;
+ * `search` may narrow `gfPairs`, `lastStops` and `switchSteps`.
+ *
+ * Returns { best, front, feasible, evaluated, rejected, variant } or null on
+ * CCR or without stops; `rejected` counts candidates per broken constraint.
+ * Each plan carries `patch`, the settings that reproduce it.
+ */
+export function optimizePlan(settings, stops, constraints = {}, search = {}) {
+  if (!stops?.length || settings.circuit === 'ccr') return null;
+  const limits = { ...DEFAULT_CONSTRAINTS, ...constraints };
+  const stopInterval = settings.stopInterval || 3;
+  // 3 m/6 m on the plan's stop grid (10/20 ft on imperial plans)
+  const gridStops = [...new Set(OPTIMIZER_LAST_STOPS.map(d => Math.round(d / stopInterval) * stopInterval))];
+  const { pairs = gfPairs(), lastStops = gridStops, switchSteps = 2 } = search;
+
+  const paramSet = paramSetFor(settings);
+  const variant = paramSet || PARAM_SETS[settings.algorithm] ? settings.algorithm : 'zhl16c';
+  const site = siteFromSettings(settings);
+  const env = createEnvironment(site);
+  const { fO2, fHe = 0, descentRate, ascentRate } = settings;
+  const decoAscentRate = settings.decoAscentRate || ascentRate;
+  const sacRate = settings.sacRate || 20;
+  const reserve = settings.reservePressure || 50;
+
+  const profile = calculateDiveProfile(stops, descentRate, ascentRate, profileGases(settings, env));
+  const fixedGases = (settings.gases || []).filter(g => g.role !== 'deco');
+  const decoGases = (settings.gases || []).filter(g => g.role === 'deco' && g.fO2 > 0).slice(0, MAX_DECO_GASES);
+
+  const plans = [];
+  const rejected = { ppO2: 0, cns: 0, otu: 0, end: 0, gas: 0 };
+  let evaluated = 0;
+
+  for (const lastStopDepth of lastStops) {
+    const candidates = decoGases.map(g => switchDepthCandidates(g.fO2, limits.maxPpO2, stopInterval, lastStopDepth, env, switchSteps));
+    for (const chosen of gasOptions(decoGases, candidates)) {
+      const gases = [...fixedGases, ...chosen];
+      const planSettings = { ...settings, gases, lastStopDepth };
+      const gasSwitches = chosen
+        .map(g => ({ depth: g.switchDepth, fO2: g.fO2, fHe: g.fHe || 0 }))
+        .sort((a, b) => b.depth - a.depth);
+      const cylinders = gasCylinders(planSettings);
+
+      for (const { gfLow, gfHigh } of pairs) {
+        evaluated++;
+        const deco = calculateBuhlmann(profile.phases, {
+          fO2, fHe, gfLow, gfHigh, ascentRate, decoAscentRate, gasSwitches, variant, paramSet,
+          lastStopDepth, stopInterval, continuousDeco: !!settings.continuousDeco, ...site,
+        });
+        const decoStops = settings.gasSwitchTime
+          ? deco.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s)
+          : deco.decoStops;
+        const full = addAscentPhases(profile, decoStops, decoAscentRate);
+        const consumption = calculateGasConsumption(full.phases, sacRate, fO2, fHe, cylinders);
+        const gasShort = Object.values(consumption.gasBreakdown)
+          .some(c => c.used > c.tankSize * (c.tankPressure - reserve));
+
+        const plan = {
+          gfLow, gfHigh, lastStopDepth,
+          switches: chosen.map(g => ({ gas: gasLabel(g), depth: g.switchDepth })),
+          runtime: full.totalTime,
+          decoTime: full.totalTime - profile.lastStopEnd,
+          liters: consumption.totalLiters,
+          cns: calculateCNS(full.phases, fO2, fHe, null, 0, env).totalCNS,
+          otu: calculateOTU(full.phases, fO2, fHe, null, env).totalOTU,
+          ...exposure(full.phases, fO2, fHe, env),
+          gasShort,
+          patch: { algorithm: variant, gfLow, gfHigh, lastStopDepth, gases },
+        };
+        const broken = violation(plan, limits);
+        if (broken) rejected[broken]++;
+        else plans.push(plan);
+      }
+    }
+  }
+
+  // Best plan per GF pair, then the front across pairs
+  const byPair = new Map();
+  for (const plan of plans) {
+    const key = `${plan.gfLow}/${plan.gfHigh}`;
+    const current = byPair.get(key);
+    if (!current || compare(plan, current, limits.objective) < 0) byPair.set(key, plan);
+  }
+  const best = plans.reduce((b, p) => (!b || compare(p, b, limits.objective) < 0 ? p : b), null);
+
+  return {
+    best,
+    front: paretoFront([...byPair.values()], limits.objective),
+    feasible: plans.length,
+    evaluated,
+    rejected,
+    variant,
+  };
+}
@@ -1,6 +1,10 @@
 /**
  * CNS O₂ Toxicity and OTU (Oxygen Tolerance Units) calculations.
  */
+import { depthToPressure, loopPpO2 } from './physics.js';
+import { createSetpointTracker } from './ccr.js';
+import { SEA_LEVEL } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
 
 /**
  * NOAA CNS clock limits: ppO₂ → max single-exposure minutes at 100% CNS.
@@ -11,6 +15,9 @@ const CNS_LIMITS = [
   [0.8, 450], [0.7, 570], [0.6, 720],
 ];
 
+// CNS clock elimination half-time at the surface (minutes)
+const CNS_HALF_TIME = 90;
+
 /**
  * Get max single-exposure minutes for a given ppO₂.
  */
@@ -23,63 +30,74 @@ function getCNSLimit(ppO2) {
 }
 
 /**
- * Get the gas fO2 active during a phase, parsing the gas label if present.
+ * Get the ppO₂ breathed during a phase. On CCR (setpointAt given) the loop
+ * holds the setpoint over the diluent; otherwise it's the open-circuit gas
+ * `fO2` breathed in that phase (see phaseGases).
  */
-function getPhaseO2(phase, defaultFO2) {
-  if (phase.gas) {
-    const parts = phase.gas.split('/');
-    return parseInt(parts[0]) / 100;
+function getPhasePpO2(phase, fO2, defaultFO2, setpointAt, env) {
+  // Use average depth for transit phases
+  let avgDepth = phase.depth;
+  if (phase.action === 'Descend' || phase.action === 'Ascend') {
+    // For transit, average between start and end depth
+    // We approximate: for descend from prev to phase.depth, for ascend similarly
+    avgDepth = phase.depth / 2; // simplified - works for first descent from 0
+  }
+
+  if (setpointAt) {
+    return loopPpO2(avgDepth, setpointAt(phase.depth, phase.setpoint), defaultFO2, env);
   }
-  return defaultFO2;
+  const pAmb = depthToPressure(avgDepth, env);
+  return pAmb * fO2;
 }
 
 /**
  * Calculate cumulative CNS% through a dive profile.
+ * Pass `ccr` ({ setpointLow, setpointHigh, switchDepth }) for rebreather dives,
+ * in which case defaultFO2 is the diluent O₂ fraction. `startCNS` is the
+ * residual CNS% carried from a previous dive (see decayCNS). `env` is the
+ * dive site (see createEnvironment).
  * Returns { totalCNS, perPhase: [{cns, runningCNS}] }
  */
-export function calculateCNS(phases, defaultFO2 = 0.21, defaultFHe = 0) {
-  let totalCNS = 0;
+export function calculateCNS(phases, defaultFO2 = 0.21, defaultFHe = 0, ccr = null, startCNS = 0, env = SEA_LEVEL) {
+  let totalCNS = startCNS;
   const perPhase = [];
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
 
-  for (const phase of phases) {
-    const fO2 = getPhaseO2(phase, defaultFO2);
-    // Use average depth for transit phases
-    let avgDepth = phase.depth;
-    if (phase.action === 'Descend' || phase.action === 'Ascend') {
-      // For transit, average between start and end depth
-      // We approximate: for descend from prev to phase.depth, for ascend similarly
-      avgDepth = phase.depth / 2; // simplified - works for first descent from 0
-    }
+  const gases = phaseGases(phases, defaultFO2, defaultFHe);
 
-    const pAmb = 1.01325 + avgDepth / 10;
-    const ppO2 = pAmb * fO2;
+  phases.forEach((phase, i) => {
+    const ppO2 = getPhasePpO2(phase, gases[i].fO2, defaultFO2, setpointAt, env);
     const limit = getCNSLimit(ppO2);
     const phaseCNS = limit === Infinity ? 0 : (phase.duration / limit) * 100;
     totalCNS += phaseCNS;
     perPhase.push({ cns: phaseCNS, runningCNS: totalCNS });
-  }
+  });
 
   return { totalCNS: Math.min(999, totalCNS), perPhase };
 }
 
+/**
+ * CNS% remaining after a surface interval (NOAA 90-minute half-time).
+ */
+export function decayCNS(cns, minutes) {
+  if (minutes <= 0) return cns;
+  return cns * Math.pow(0.5, minutes / CNS_HALF_TIME);
+}
+
 /**
  * Calculate OTU using Lambertsen UPTD formula:
  * OTU = t × ((ppO₂ - 0.5) / 0.5)^0.83
  * Only applies when ppO₂ > 0.5
  */
-export function calculateOTU(phases, defaultFO2 = 0.21, defaultFHe = 0) {
+export function calculateOTU(phases, defaultFO2 = 0.21, defaultFHe = 0, ccr = null, env = SEA_LEVEL) {
   let totalOTU = 0;
   const perPhase = [];
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
 
-  for (const phase of phases) {
-    const fO2 = getPhaseO2(phase, defaultFO2);
-    let avgDepth = phase.depth;
-    if (phase.action === 'Descend' || phase.action === 'Ascend') {
-      avgDepth = phase.depth / 2;
-    }
+  const gases = phaseGases(phases, defaultFO2, defaultFHe);
 
-    const pAmb = 1.01325 + avgDepth / 10;
-    const ppO2 = pAmb * fO2;
+  phases.forEach((phase, i) => {
+    const ppO2 = getPhasePpO2(phase, gases[i].fO2, defaultFO2, setpointAt, env);
 
     let phaseOTU = 0;
     if (ppO2 > 0.5 && phase.duration > 0) {
@@ -87,7 +105,7 @@ export function calculateOTU(phases, defaultFO2 = 0.21, defaultFHe = 0) {
     }
     totalOTU += phaseOTU;
     perPhase.push({ otu: phaseOTU, runningOTU: totalOTU });
-  }
+  });
 
   return { totalOTU, perPhase };
 }
@@ -2,26 +2,36 @@
  * Shared physics functions for decompression algorithms.
  */
 import { P_SURFACE, P_WATER_VAPOR } from './constants.js';
+import { SEA_LEVEL } from './environment.js';
 
 /**
- * Convert depth in meters to absolute pressure in bar (saltwater).
+ * Convert depth in meters to absolute pressure in bar.
+ * `env` is the dive site (see createEnvironment); sea level salt water by default.
  */
-export function depthToPressure(depth) {
-  return P_SURFACE + depth / 10.0;
+export function depthToPressure(depth, env = SEA_LEVEL) {
+  return env.surfacePressure + depth / env.metersPerBar;
 }
 
 /**
  * Convert absolute pressure to depth in meters.
  */
-export function pressureToDepth(pressure) {
-  return Math.max(0, (pressure - P_SURFACE) * 10.0);
+export function pressureToDepth(pressure, env = SEA_LEVEL) {
+  return Math.max(0, (pressure - env.surfacePressure) * env.metersPerBar);
 }
 
 /**
  * Calculate inspired (alveolar) gas pressure at given depth.
  */
-export function inspiredPressure(depth, fGas) {
-  return (depthToPressure(depth) - P_WATER_VAPOR) * fGas;
+export function inspiredPressure(depth, fGas, env = SEA_LEVEL) {
+  return (depthToPressure(depth, env) - P_WATER_VAPOR) * fGas;
+}
+
+/**
+ * Inspired inert gas pressure the tissues are saturated at before the dive:
+ * the site's surface, or sea level for a diver who has just arrived at altitude.
+ */
+export function surfaceEquilibrium(fGas, env = SEA_LEVEL) {
+  return (env.equilibriumPressure - P_WATER_VAPOR) * fGas;
 }
 
 /**
@@ -34,9 +44,74 @@ export function schreiner(p0, pi, time, halfTime) {
   return p0 + (pi - p0) * (1 - Math.exp(-k * time));
 }
 
+/**
+ * Schreiner equation for inspired pressure changing at a constant rate
+ * (linear ascent or descent). `rate` is the inspired pressure change in bar/min.
+ */
+export function schreinerLinear(p0, pi0, rate, time, halfTime) {
+  if (time <= 0) return p0;
+  const k = Math.LN2 / halfTime;
+  return pi0 + rate * (time - 1 / k) - (pi0 - p0 - rate / k) * Math.exp(-k * time);
+}
+
+/**
+ * Schreiner equation over a segment whose inspired pressure moves linearly
+ * from piStart to piEnd (ascent or descent); constant depth when they match.
+ */
+export function schreinerSegment(p0, piStart, piEnd, time, halfTime) {
+  if (piStart === piEnd) return schreiner(p0, piEnd, time, halfTime);
+  if (time <= 0) return p0;
+  return schreinerLinear(p0, piStart, (piEnd - piStart) / time, time, halfTime);
+}
+
+/**
+ * Split a linear depth change into steps of at most one minute, each at its
+ * midpoint depth, for models without a closed-form linear solution.
+ */
+export function linearDepthSteps(fromDepth, toDepth, time) {
+  if (time <= 0) return [];
+  const count = Math.max(1, Math.ceil(time));
+  return Array.from({ length: count }, (_, k) => ({
+    depth: fromDepth + (toDepth - fromDepth) * (k + 0.5) / count,
+    time: time / count,
+  }));
+}
+
 /**
  * Calculate Maximum Operating Depth for a given O2 fraction and ppO2 limit.
+ * Uses the 1 atm ≈ 1 bar convention, with the surface scaled for altitude.
+ */
+export function calcMOD(fO2, ppO2Max, env = SEA_LEVEL) {
+  return fO2 > 0 ? Math.floor((ppO2Max / fO2 - env.surfacePressure / P_SURFACE) * env.metersPerBar) : 0;
+}
+
+/**
+ * Loop ppO₂ of a closed-circuit rebreather holding a fixed setpoint.
+ * The loop can't go below the diluent's own ppO₂ (flushing) or above ambient.
+ */
+export function loopPpO2(depth, setpoint, diluentFO2, env = SEA_LEVEL) {
+  const pAmb = depthToPressure(depth, env);
+  return Math.min(pAmb, Math.max(setpoint, diluentFO2 * pAmb));
+}
+
+/**
+ * Inspired inert gas pressure on a CCR at a fixed ppO₂ setpoint.
+ * The inert share of the loop is split in the diluent's inert ratio, so at a
+ * setpoint equal to the diluent ppO₂ this matches inspiredPressure().
+ */
+export function inspiredPressureCCR(depth, fGas, setpoint, diluentFO2, env = SEA_LEVEL) {
+  const fInert = 1 - diluentFO2;
+  if (fInert <= 0 || fGas <= 0) return 0;
+  const pAmb = depthToPressure(depth, env);
+  const loopInert = Math.max(0, pAmb - loopPpO2(depth, setpoint, diluentFO2, env)) / pAmb;
+  return (pAmb - P_WATER_VAPOR) * loopInert * (fGas / fInert);
+}
+
+/**
+ * Starting tissue tensions for a dive: the carried-over state from a previous
+ * dive when one is given (repetitive diving), otherwise surface equilibrium.
  */
-export function calcMOD(fO2, ppO2Max) {
-  return fO2 > 0 ? Math.floor(10 * (ppO2Max / fO2 - 1)) : 0;
+export function initTissues(count, surfaceValue, initial) {
+  if (initial && initial.length === count) return [...initial];
+  return new Array(count).fill(surfaceValue);
 }
@@ -0,0 +1,302 @@
+/**
+ * Plan export: the computed dive plan as UDDF, Subsurface XML and a
+ * phase-by-phase CSV with the Dive Plan table's columns.
+ *
+ * The XML exports carry one sample per profile point, the gases and their
+ * cylinders (start and planned end pressure), gas switches, CCR setpoints,
+ * the gradient factors and the deco schedule, so the plan can be loaded
+ * into a logbook as a planned dive. parseDiveLog() reads both back.
+ */
+import { calculateCNS, calculateOTU } from './oxygenToxicity.js';
+import { calculateGasConsumption } from './gasPlanning.js';
+import { ccrFromSettings, createSetpointTracker } from './ccr.js';
+import { createEnvironment } from './environment.js';
+import { gasCylinders, gasLabel, gasName } from './gases.js';
+import { phaseGases } from './gasTimeline.js';
+import { isBuhlmannAlgorithm } from './customParams.js';
+import { displayDepth, formatDepth, isImperial, toDisplayVolume, unitLabels } from './units.js';
+
+export const EXPORT_FORMATS = {
+  uddf: { label: 'UDDF', extension: 'uddf', mime: 'application/xml' },
+  subsurface: { label: 'Subsurface', extension: 'ssrf', mime: 'application/xml' },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+};
+
+const GENERATOR = 'Decompression Compare';
+
+/**
+ * Dive Plan table rows: { fromDepth (transits only), depth, duration,
+ * runTime, action, gas, cns, otu, liters } with running CNS%, OTU and gas.
+ */
+export function planTableRows(phases, settings = {}) {
+  const { fO2 = 0.21, fHe = 0, sacRate = 20 } = settings;
+  const ccr = ccrFromSettings(settings);
+  const env = createEnvironment(settings);
+  const cns = calculateCNS(phases, fO2, fHe, ccr, 0, env);
+  const otu = calculateOTU(phases, fO2, fHe, ccr, env);
+  const gas = calculateGasConsumption(phases, sacRate, fO2, fHe);
+
+  return phases.map((phase, i) => ({
+    fromDepth: phase.action === 'Descend' || phase.action === 'Ascend' ? (i === 0 ? 0 : phases[i - 1].depth) : null,
+    depth: phase.depth,
+    duration: phase.duration,
+    runTime: phase.runTime + phase.duration,
+    action: phase.action,
+    gas: phase.gas,
+    cns: cns.perPhase[i]?.runningCNS || 0,
+    otu: otu.perPhase[i]?.runningOTU || 0,
+    liters: gas.perPhase[i]?.runningLiters || 0,
+  }));
+}
+
+/** A table row's depth in display units: "12" or "30-21" for a transit. */
+export function rowDepth(row, units) {
+  const depth = displayDepth(row.depth, units, 1);
+  return row.fromDepth === null ? `${depth}` : `${displayDepth(row.fromDepth, units, 1)}-${depth}`;
+}
+
+function csvCell(value) {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** The Dive Plan table as CSV, in display units. */
+export function exportPlanCSV(phases, settings = {}, units = 'metric') {
+  const u = unitLabels(units);
+  const volume = (liters) => isImperial(units)
+    ? Math.ceil(toDisplayVolume(liters, units) * 10 - 1e-9) / 10
+    : Math.ceil(liters - 1e-9);
+  const lines = [[`Depth (${u.depth})`, 'Stop (min)', 'Run Time (min)', 'Action', 'Gas', 'CNS%', `Gas (${u.volume})`]];
+  for (const row of planTableRows(phases, settings)) {
+    lines.push([rowDepth(row, units), row.duration, row.runTime, row.action, row.gas, row.cns.toFixed(1), volume(row.liters)]);
+  }
+  return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/** Escape text for XML and SVG attributes and content. */
+export function escapeXML(value) {
+  return String(value).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+/**
+ * What both XML exports need: cylinders (with planned consumption), samples
+ * in seconds, gas switches onto cylinder indexes, setpoint changes and the
+ * deco stops.
+ */
+function planTimeline(result, settings) {
+  const { phases, points, decoInfo } = result;
+  const { fO2 = 0.21, fHe = 0, sacRate = 20 } = settings;
+  const ccr = ccrFromSettings(settings);
+
+  const tanks = gasCylinders(settings);
+  const usage = calculateGasConsumption(phases, sacRate, fO2, fHe, tanks).gasBreakdown;
+  const cylinders = Object.entries(tanks).map(([key, tank]) => ({
+    ...tank,
+    label: gasLabel(tank),
+    diluent: key === 'bottom' && !!ccr,
+    endPressure: Math.max(0, tank.pressure - usage[key].used / tank.size),
+  }));
+  const cylinderFor = (label) => Math.max(0, cylinders.findIndex(c => c.label === label));
+
+  const switches = [];
+  if (!ccr) {
+    let current = gasLabel({ fO2, fHe });
+    phaseGases(phases, fO2, fHe).forEach((gas, i) => {
+      const label = gasLabel(gas);
+      if (label === current) return;
+      current = label;
+      switches.push({ time: Math.round(phases[i].runTime * 60), cylinder: cylinderFor(label) });
+    });
+  }
+
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
+  let setpoint = null;
+  const samples = [];
+  for (const point of points) {
+    const time = Math.round(point.time * 60);
+    const sample = { time, depth: point.depth };
+    if (setpointAt) {
+      const next = setpointAt(point.depth);
+      if (next !== setpoint) sample.setpoint = setpoint = next;
+    }
+    if (samples.length > 0 && samples[samples.length - 1].time === time) samples[samples.length - 1] = sample;
+    else samples.push(sample);
+  }
+
+  return {
+    ccr,
+    cylinders,
+    switches,
+    samples,
+    decoStops: (decoInfo?.decoStops || []).filter(s => !s.gasSwitch && s.time > 0),
+    maxDepth: Math.max(...points.map(p => p.depth)),
+    duration: samples[samples.length - 1].time,
+  };
+}
+
+// "Planned with ZH-L 16C, GF 50/70" and the deco schedule, for the logbook notes
+function planNotes(timeline, settings, { algorithm, gf, units }) {
+  const lines = [`Planned with ${algorithm || settings.algorithm}${gf ? `, GF ${settings.gfLow}/${settings.gfHigh}` : ''}`];
+  if (timeline.ccr) lines[0] += `, CCR setpoints ${timeline.ccr.setpointLow}/${timeline.ccr.setpointHigh}`;
+  lines.push(`Run time ${Math.round(timeline.duration / 60)} min, max depth ${formatDepth(timeline.maxDepth, units, 1)}`);
+  lines.push(timeline.decoStops.length > 0
+    ? `Deco: ${timeline.decoStops.map(s => `${formatDepth(s.depth, units, 1)} ${s.time} min${s.gas ? ` (${s.gas})` : ''}`).join(', ')}`
+    : 'No decompression stops');
+  return lines.join('\n');
+}
+
+function dateParts(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+  };
+}
+
+function subsurfaceTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * Subsurface divelog XML with the plan as one dive on a "planned dive"
+ * computer. Options: { algorithm (display name), gf (the algorithm uses
+ * gradient factors), date, units (for the notes) }.
+ */
+export function exportPlanSubsurface(result, settings, options = {}) {
+  const { algorithm, gf = false, date = new Date() } = options;
+  const timeline = planTimeline(result, settings);
+  const when = dateParts(date);
+  const percent = (f) => `${(f * 100).toFixed(1)}%`;
+
+  const lines = [
+    "<divelog program='subsurface' version='3'>",
+    '<dives>',
+    `<dive number='1' date='${when.date}' time='${when.time}' duration='${subsurfaceTime(timeline.duration)}'>`,
+    `  <notes>${escapeXML(planNotes(timeline, settings, options))}</notes>`,
+  ];
+  for (const c of timeline.cylinders) {
+    lines.push(`  <cylinder size='${c.size.toFixed(1)} l' workpressure='${c.pressure.toFixed(1)} bar' description='${escapeXML(gasName(c))}'`
+      + ` o2='${percent(c.fO2)}' he='${percent(c.fHe)}' start='${c.pressure.toFixed(1)} bar' end='${c.endPressure.toFixed(1)} bar'`
+      + (c.diluent ? " use='diluent'" : '') + ' />');
+  }
+  lines.push(`  <divecomputer model='planned dive'${timeline.ccr ? " dctype='CCR'" : ''}>`);
+  lines.push(`  <depth max='${timeline.maxDepth.toFixed(1)} m' />`);
+  if (algorithm) lines.push(`  <extradata key='Deco model' value='${escapeXML(algorithm)}' />`);
+  if (gf) lines.push(`  <extradata key='GF' value='${settings.gfLow}/${settings.gfHigh}' />`);
+  for (const s of timeline.switches) {
+    lines.push(`  <event time='${subsurfaceTime(s.time)}' type='25' flags='${s.cylinder + 1}' name='gaschange' cylinder='${s.cylinder}' />`);
+  }
+  for (const s of timeline.samples) {
+    lines.push(`  <sample time='${subsurfaceTime(s.time)}' depth='${s.depth.toFixed(1)} m'`
+      + (s.setpoint !== undefined ? ` po2='${s.setpoint.toFixed(2)} bar'` : '') + ' />');
+  }
+  lines.push('  </divecomputer>', '</dive>', '</dives>', '</divelog>');
+  return lines.join('\n') + '\n';
+}
+
+// UDDF deco model element for the algorithm family, or null
+function uddfDecoModel(settings) {
+  const id = settings.algorithm;
+  if (isBuhlmannAlgorithm(id)) {
+    return [`<buehlmann id="${id}">`, `<gradientfactorhigh>${(settings.gfHigh / 100).toFixed(2)}</gradientfactorhigh>`,
+      `<gradientfactorlow>${(settings.gfLow / 100).toFixed(2)}</gradientfactorlow>`, '</buehlmann>'];
+  }
+  if (id === 'vpm') return [`<vpm id="${id}">`, `<conservatism>${settings.conservatism || 0}</conservatism>`, '</vpm>'];
+  if (id === 'rgbm') return [`<rgbm id="${id}">`, '</rgbm>'];
+  return null;
+}
+
+/**
+ * UDDF 3.2 with the plan as one dive: mixes, tank data (m³, Pa), waypoints
+ * in m and s with mix switches, setpoints (Pa) and the deco stops, and the
+ * Bühlmann/VPM/RGBM deco model. Options as for exportPlanSubsurface.
+ */
+export function exportPlanUDDF(result, settings, options = {}) {
+  const { date = new Date() } = options;
+  const timeline = planTimeline(result, settings);
+  const when = dateParts(date);
+  const mixes = [...new Map(timeline.cylinders.map(c => [c.label, c])).values()];
+  const mixId = (label) => `mix${label.replace('/', '-')}`;
+  const decoModel = uddfDecoModel(settings);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.3">',
+    `  <generator><name>${GENERATOR}</name><type>logbook</type><datetime>${when.date}T${when.time}</datetime></generator>`,
+    '  <gasdefinitions>',
+    ...mixes.map(m => `    <mix id="${mixId(m.label)}"><name>${escapeXML(gasName(m))}</name><o2>${m.fO2.toFixed(3)}</o2>`
+      + `<n2>${(1 - m.fO2 - m.fHe).toFixed(3)}</n2><he>${m.fHe.toFixed(3)}</he><ar>0.000</ar><h2>0.000</h2></mix>`),
+    '  </gasdefinitions>',
+  ];
+  if (decoModel) lines.push('  <decomodel>', ...decoModel.map(l => `    ${l}`), '  </decomodel>');
+
+  lines.push(
+    '  <profiledata>',
+    '    <repetitiongroup id="plan">',
+    '      <dive id="plan1">',
+    '        <informationbeforedive>',
+    `          <datetime>${when.date}T${when.time}</datetime>`,
+    ...(decoModel ? [`          <link ref="${settings.algorithm}"/>`] : []),
+    '        </informationbeforedive>',
+  );
+  timeline.cylinders.forEach((c, i) => {
+    lines.push(`        <tankdata id="tank${i}"><link ref="${mixId(c.label)}"/><tankvolume>${(c.size / 1000).toFixed(4)}</tankvolume>`
+      + `<tankpressurebegin>${Math.round(c.pressure * 1e5)}</tankpressurebegin><tankpressureend>${Math.round(c.endPressure * 1e5)}</tankpressureend></tankdata>`);
+  });
+
+  lines.push('        <samples>');
+  const bottom = timeline.cylinders[0];
+  const switchAt = new Map(timeline.switches.map(s => [s.time, timeline.cylinders[s.cylinder]]));
+  const stopAt = new Map(result.phases
+    .filter(p => p.action === 'Deco Stop' || p.action === 'Safety Stop')
+    .map(p => [Math.round(p.runTime * 60), p]));
+  timeline.samples.forEach((s, i) => {
+    const parts = [`<depth>${s.depth.toFixed(2)}</depth>`, `<divetime>${s.time}</divetime>`];
+    if (i === 0) {
+      parts.push(`<divemode type="${timeline.ccr ? 'closedcircuit' : 'opencircuit'}"/>`, `<switchmix ref="${mixId(bottom.label)}"/>`);
+    } else if (switchAt.has(s.time)) {
+      parts.push(`<switchmix ref="${mixId(switchAt.get(s.time).label)}"/>`);
+    }
+    if (s.setpoint !== undefined) parts.push(`<setpo2 setby="user">${Math.round(s.setpoint * 1e5)}</setpo2>`);
+    const stop = stopAt.get(s.time);
+    if (stop) {
+      parts.push(`<decostop kind="${stop.action === 'Safety Stop' ? 'safety' : 'mandatory'}" decodepth="${stop.depth.toFixed(1)}" duration="${Math.round(stop.duration * 60)}"/>`);
+    }
+    lines.push(`          <waypoint>${parts.join('')}</waypoint>`);
+  });
+  lines.push(
+    '        </samples>',
+    '        <informationafterdive>',
+    `          <greatestdepth>${timeline.maxDepth.toFixed(2)}</greatestdepth>`,
+    `          <diveduration>${timeline.duration}</diveduration>`,
+    `          <notes><para>${escapeXML(planNotes(timeline, settings, options))}</para></notes>`,
+    '        </informationafterdive>',
+    '      </dive>',
+    '    </repetitiongroup>',
+    '  </profiledata>',
+    '</uddf>',
+  );
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Save text as a file through a temporary object URL. The URL is revoked
+ * on the next task: some browsers start the download only after click()
+ * returns.
+ */
+export function downloadFile(text, fileName, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Serialize the plan in one of EXPORT_FORMATS. */
+export function exportPlan(format, result, settings, options = {}) {
+  if (format === 'csv') return exportPlanCSV(result.phases, settings, options.units);
+  if (format === 'subsurface') return exportPlanSubsurface(result, settings, options);
+  if (format === 'uddf') return exportPlanUDDF(result, settings, options);
+  throw new Error(`Unknown export format: ${format}`);
+}
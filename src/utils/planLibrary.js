@@ -0,0 +1,235 @@
+/**
+ * Saved plan library: named dive plans (the stops and every panel's
+ * settings) kept in IndexedDB, so the library works offline in the PWA.
+ *
+ * Plans are plain objects: { id, name, tags, stops, panels (settings of
+ * panels A, B…), mode ('single' | 'compare'), createdAt, updatedAt }.
+ * The helpers here are pure and return new plans; a store (IndexedDB, or
+ * memory where IndexedDB is unavailable) persists them.
+ */
+
+export const LIBRARY_FORMAT = 'deco-plan-library';
+export const LIBRARY_VERSION = 1;
+
+const DB_NAME = 'deco-compare';
+const DB_VERSION = 1;
+const STORE_NAME = 'plans';
+
+function newId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** Tags from a comma/space separated string or a list: trimmed, lower case, unique. */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+  return [...new Set(list.map(t => String(t).trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+}
+
+/** A new library entry for the current plan. */
+export function createPlan({ name, tags = [], stops, panels, mode = 'single' }, now = Date.now()) {
+  return {
+    id: newId(),
+    name: name.trim(),
+    tags: normalizeTags(tags),
+    stops: stops.map(s => ({ ...s })),
+    panels: structuredClone(panels),
+    mode: mode === 'compare' ? 'compare' : 'single',
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/** The plan with its stops and settings replaced by the current ones. */
+export function updatePlan(plan, { stops, panels, mode }, now = Date.now()) {
+  const current = createPlan({ name: plan.name, tags: plan.tags, stops, panels, mode }, now);
+  return { ...current, id: plan.id, createdAt: plan.createdAt };
+}
+
+export function renamePlan(plan, name, now = Date.now()) {
+  return { ...plan, name: name.trim(), updatedAt: now };
+}
+
+export function tagPlan(plan, tags, now = Date.now()) {
+  return { ...plan, tags: normalizeTags(tags), updatedAt: now };
+}
+
+/** A name not taken in the library: "Name", else "Name (2)", "Name (3)"… */
+export function uniqueName(name, plans) {
+  const taken = new Set(plans.map(p => p.name.toLowerCase()));
+  const base = name.trim().replace(/ \(\d+\)$/, '');
+  if (!taken.has(name.trim().toLowerCase())) return name.trim();
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/** A copy of the plan under a new id and an unused name. */
+export function duplicatePlan(plan, plans, now = Date.now()) {
+  return { ...structuredClone(plan), id: newId(), name: uniqueName(plan.name, plans), createdAt: now, updatedAt: now };
+}
+
+/** Settings of the panels a plan shows: all of them in compare mode, else A. */
+export function planPanels(plan) {
+  return plan.mode === 'compare' ? plan.panels : plan.panels.slice(0, 1);
+}
+
+/** Maximum depth (m) and total planned bottom time (min) of a plan's stops. */
+export function planExtent(plan) {
+  return {
+    maxDepth: Math.max(0, ...plan.stops.map(s => s.depth)),
+    time: plan.stops.reduce((sum, s) => sum + s.time, 0),
+  };
+}
+
+/**
+ * Plans matching every word of the query in their name, tags or algorithm
+ * ids ("#tag" matches tags only), most recently updated first.
+ */
+export function searchPlans(plans, query = '') {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return plans
+    .filter(plan => terms.every(term => {
+      if (term.startsWith('#')) return plan.tags.some(tag => tag.startsWith(term.slice(1)));
+      const algorithms = planPanels(plan).map(settings => settings.algorithm);
+      return [plan.name.toLowerCase(), ...plan.tags, ...algorithms].some(field => field?.includes(term));
+    }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/** The whole library as a JSON document. */
+export function exportLibrary(plans, now = Date.now()) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, exportedAt: new Date(now).toISOString(), plans }, null, 2);
+}
+
+function isPlan(value) {
+  return value && typeof value.name === 'string' && Array.isArray(value.stops)
+    && value.stops.every(s => Number.isFinite(s?.depth) && Number.isFinite(s?.time))
+    && Array.isArray(value.panels) && value.panels.length > 0 && value.panels.every(s => s && typeof s === 'object');
+}
+
+/**
+ * Plans from an exported library (or a single exported plan). Entries
+ * without an id get one and malformed entries are dropped. Throws on a file
+ * that isn't a plan library.
+ */
+export function parseLibrary(text, now = Date.now()) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  const entries = Array.isArray(data) ? data : data?.format === LIBRARY_FORMAT ? data.plans : isPlan(data) ? [data] : null;
+  if (!Array.isArray(entries)) throw new Error('Not a plan library file');
+  if (data?.version > LIBRARY_VERSION) throw new Error(`Plan library version ${data.version} is newer than this app supports`);
+
+  return entries.filter(isPlan).map(p => ({
+    id: typeof p.id === 'string' ? p.id : newId(),
+    name: p.name.trim() || 'Untitled plan',
+    tags: normalizeTags(p.tags),
+    stops: p.stops.map(s => ({ ...s })),
+    panels: p.panels,
+    mode: p.mode === 'compare' ? 'compare' : 'single',
+    createdAt: Number.isFinite(p.createdAt) ? p.createdAt : now,
+    updatedAt: Number.isFinite(p.updatedAt) ? p.updatedAt : now,
+  }));
+}
+
+/**
+ * Merge imported plans into the library: a plan with a known id replaces
+ * the saved one only if it is newer. Returns { plans, added, updated }.
+ */
+export function mergeLibrary(plans, imported) {
+  const byId = new Map(plans.map(p => [p.id, p]));
+  let added = 0;
+  let updated = 0;
+  for (const plan of imported) {
+    const saved = byId.get(plan.id);
+    if (!saved) added++;
+    else if (plan.updatedAt > saved.updatedAt) updated++;
+    else continue;
+    byId.set(plan.id, plan);
+  }
+  return { plans: [...byId.values()], added, updated };
+}
+
+/** An in-memory plan store with the IndexedDB store's interface. */
+export function createMemoryStore(initial = []) {
+  const plans = new Map(initial.map(p => [p.id, structuredClone(p)]));
+  return {
+    persistent: false,
+    getAll: async () => [...plans.values()].map(p => structuredClone(p)),
+    put: async (plan) => { plans.set(plan.id, structuredClone(plan)); },
+    remove: async (id) => { plans.delete(id); },
+  };
+}
+
+// A promise for an IndexedDB request or transaction
+function done(target, event = 'success') {
+  return new Promise((resolve, reject) => {
+    target.addEventListener(event, () => resolve(target.result));
+    target.addEventListener('error', () => reject(target.error));
+    target.addEventListener('abort', () => reject(target.error));
+  });
+}
+
+/**
+ * Open the plan store: IndexedDB where available, else (private browsing,
+ * old browsers, tests) an in-memory store that lasts for the session.
+ */
+export async function openPlanStore(indexedDB = globalThis.indexedDB) {
+  if (!indexedDB) return createMemoryStore();
+  let db;
+  try {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    });
+    db = await done(request);
+  } catch {
+    return createMemoryStore();
+  }
+
+  const write = async (fn) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    fn(tx.objectStore(STORE_NAME));
+    await done(tx, 'complete');
+  };
+  return {
+    persistent: true,
+    getAll: () => done(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()),
+    put: (plan) => write(store => store.put(plan)),
+    remove: (id) => write(store => store.delete(id)),
+  };
+}
+
+/**
+ * Open the plan store and read the saved plans: { store, plans, error }.
+ * Never rejects: when the store fails to open or to read (blocked IndexedDB,
+ * quota, a corrupt database) the library goes on in memory and `error` says
+ * why.
+ */
+export async function loadLibrary(open = openPlanStore) {
+  try {
+    const store = await open();
+    return { store, plans: await store.getAll(), error: null };
+  } catch (err) {
+    return { store: createMemoryStore(), plans: [], error: `The plan library could not be read: ${err.message}` };
+  }
+}
+
+/**
+ * Run a write on the store: { store, error }. A failed write leaves a memory
+ * store holding `plans` (the library after the change) in its place, so the
+ * session keeps working.
+ */
+export async function writeLibrary(store, write, plans) {
+  try {
+    await write(store);
+    return { store, error: null };
+  } catch (err) {
+    return { store: createMemoryStore(plans), error: `Saving to browser storage failed: ${err.message}` };
+  }
+}
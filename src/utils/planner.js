@@ -0,0 +1,133 @@
+/**
+ * Full dive plan calculation shared by the app and the deco workers: the
+ * algorithm options built from a panel's settings, the algorithm run over
+ * the profile phases and the resulting ascent, plus the repetitive series
+ * and CCR bailout built on them.
+ */
+import { calculateDiveProfile, addAscentPhases, simpleAscent } from './diveProfile.js';
+import { calculateZHL16A, calculateZHL16B, calculateZHL16C, calculateZHL12, calculateZHL6, calculateZHL8ADT, calculateCustomZHL } from './buhlmann.js';
+import { calculateVPM } from './vpm.js';
+import { calculateRGBM } from './rgbm.js';
+import { calculateHaldane } from './haldane.js';
+import { calculateWorkman } from './workman.js';
+import { calculateThalmann } from './thalmann.js';
+import { calculateDCIEM } from './dciem.js';
+import { calculateDSAT } from './dsat.js';
+import { calculateUSNavy } from './usnavy.js';
+import { calculateBSAC } from './bsac.js';
+import { ccrFromSettings, DEFAULT_BAILOUT_GAS } from './ccr.js';
+import { createEnvironment, siteFromSettings } from './environment.js';
+import { buildGasSwitches, profileGases } from './gases.js';
+import { isBuhlmannAlgorithm, isCustomAlgorithm, paramSetFor } from './customParams.js';
+import { calculateDiveSeries } from './diveSeries.js';
+import { calculateBailoutPlan } from './gasPlanning.js';
+
+/** Deco algorithm functions by algorithm id. */
+export const ALGORITHM_FNS = {
+  zhl16a: calculateZHL16A,
+  zhl16b: calculateZHL16B,
+  zhl16c: calculateZHL16C,
+  zhl12: calculateZHL12,
+  zhl6: calculateZHL6,
+  zhl8adt: calculateZHL8ADT,
+  vpm: calculateVPM,
+  rgbm: calculateRGBM,
+  haldane: calculateHaldane,
+  workman: calculateWorkman,
+  thalmann: calculateThalmann,
+  dciem: calculateDCIEM,
+  dsat: calculateDSAT,
+  usnavy: calculateUSNavy,
+  bsac: calculateBSAC,
+};
+
+/** The algorithm function of an algorithm id (custom sets included), or null. */
+export function algorithmFn(algorithm) {
+  return ALGORITHM_FNS[algorithm] ?? (isCustomAlgorithm(algorithm) ? calculateCustomZHL : null);
+}
+
+/**
+ * Options for an algorithm function from a panel's settings; a custom set
+ * comes from the settings' `paramSets` (see customParams).
+ */
+export function buildAlgorithmOptions(settings) {
+  const { fO2, fHe, gfLow, gfHigh, ascentRate } = settings;
+  const site = siteFromSettings(settings);
+  const gasSwitches = buildGasSwitches(settings, createEnvironment(site));
+  const decoAscentRate = settings.decoAscentRate || ascentRate;
+  return {
+    fO2, fHe, gfLow, gfHigh, ascentRate, decoAscentRate, gasSwitches,
+    lastStopDepth: settings.lastStopDepth || 6, stopInterval: settings.stopInterval || 3, continuousDeco: !!settings.continuousDeco,
+    ccr: ccrFromSettings(settings), conservatism: settings.conservatism || 0, paramSet: paramSetFor(settings), ...site,
+  };
+}
+
+/** The panel's algorithm over the profile phases, or null without one. */
+export function runAlgorithm(settings, phases) {
+  const fn = algorithmFn(settings.algorithm);
+  if (!fn) return null;
+  return fn(phases, buildAlgorithmOptions(settings));
+}
+
+/** Full plan: the stops, the algorithm's ascent and the resulting profile. */
+export function calculateFull(settings, stops) {
+  if (stops.length === 0) return null;
+  const { descentRate, ascentRate, decoAscentRate = 9, gasSwitchTime, lastStopDepth = 6 } = settings;
+  const gases = profileGases(settings, createEnvironment(siteFromSettings(settings)), ccrFromSettings(settings));
+  const profile = calculateDiveProfile(stops, descentRate, ascentRate, gases);
+  const decoInfo = runAlgorithm(settings, profile.phases);
+  if (decoInfo) {
+    const adjustedStops = gasSwitchTime
+      ? decoInfo.decoStops.map(s => s.gasSwitch ? { ...s, time: 1 } : s)
+      : decoInfo.decoStops;
+    const fullProfile = addAscentPhases(profile, adjustedStops, decoAscentRate);
+    return { ...fullProfile, decoInfo };
+  } else {
+    // No algorithm or no deco: add safety stop for no-deco dives
+    const fullProfile = simpleAscent(profile, ascentRate, lastStopDepth);
+    return { ...fullProfile, decoInfo };
+  }
+}
+
+/** Dive 1 plus follow-up dives, each starting from the previous residual loading. */
+export function planSeries(settings, stops, followUps) {
+  const fn = algorithmFn(settings.algorithm);
+  if (!fn || stops.length === 0 || followUps.length === 0) return null;
+  const { descentRate, ascentRate, decoAscentRate, gasSwitchTime } = settings;
+  const options = buildAlgorithmOptions(settings);
+  const gases = profileGases(settings, createEnvironment(options), options.ccr);
+  return calculateDiveSeries(
+    [{ surfaceInterval: 0, stops }, ...followUps],
+    fn, options,
+    { descentRate, ascentRate, decoAscentRate: decoAscentRate || ascentRate, gasSwitchTime, gases }
+  );
+}
+
+/**
+ * OC bailout from the CCR loop; the gas list acts as the bailout deco gases.
+ * Only the Bühlmann variants (custom sets included) plan a bailout: the
+ * bubble and kinetics models cannot carry their state across the switch.
+ */
+export function planBailout(settings, stops) {
+  const ccr = ccrFromSettings(settings);
+  if (!ccr || stops.length === 0 || !isBuhlmannAlgorithm(settings.algorithm)) return null;
+  const { descentRate, ascentRate, bailoutGas = DEFAULT_BAILOUT_GAS } = settings;
+  const site = siteFromSettings(settings);
+  const env = createEnvironment(site);
+  const profile = calculateDiveProfile(stops, descentRate, ascentRate, profileGases(settings, env, ccr));
+  const decoGases = buildGasSwitches(settings, env);
+  return calculateBailoutPlan(profile.phases, {
+    fO2: settings.fO2, fHe: settings.fHe, ccr,
+    bailoutGases: [bailoutGas, ...decoGases],
+    variant: settings.algorithm, paramSet: paramSetFor(settings), gfLow: settings.gfLow, gfHigh: settings.gfHigh,
+    decoAscentRate: settings.decoAscentRate || ascentRate,
+    lastStopDepth: settings.lastStopDepth || 6,
+    stopInterval: settings.stopInterval || 3,
+    continuousDeco: !!settings.continuousDeco,
+    ...site,
+    gasSwitchTime: settings.gasSwitchTime,
+    sacRate: settings.sacRate || 20,
+    fillPressure: settings.gases?.[0]?.tankPressure || 200,
+    reserveBar: settings.reservePressure || 50,
+  });
+}
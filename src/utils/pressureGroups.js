@@ -0,0 +1,99 @@
+/**
+ * Repetitive (pressure) groups for the table algorithms.
+ *
+ * Residual nitrogen between dives is tracked in one surface-interval
+ * compartment per agency: 60 min for the PADI RDP, 120 min for the US Navy
+ * and BSAC '88 tables. This models each agency's credit rule rather than
+ * reproducing its printed surface interval and RNT tables, which are not
+ * encoded: the groups, credits and RNTs are estimates that can be several
+ * letters off the printed cells (e.g. 18 m for 56 min is W on the PADI RDP),
+ * and the UI labels them as such. A group letter stands for that
+ * compartment's excess nitrogen over surface saturation, in equal steps up
+ * to the last letter, which is reached by the longest exposure at the
+ * shallowest table depth.
+ *
+ * The surface interval credit washes the excess out with the compartment's
+ * half-time. The residual nitrogen time (RNT) is the bottom time at the next
+ * depth that would load the compartment to the group's level, and the
+ * adjusted no-decompression limit is the table NDL less the RNT.
+ */
+import { inspiredPressure, surfaceEquilibrium } from './physics.js';
+import { SEA_LEVEL } from './environment.js';
+
+const AIR_N2 = 0.79;
+
+// Below half a step the diver counts as clean
+const CLEAN_FRACTION = 0.5;
+
+export const GROUP_SYSTEMS = {
+  dsat: { name: 'PADI RDP', letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', halfTime: 60, fullDepth: 10, fullTime: 219 },
+  usnavy: { name: 'US Navy', letters: 'ABCDEFGHIJKLMNOZ', halfTime: 120, fullDepth: 7.62, fullTime: 1102 },
+  bsac: { name: "BSAC '88", letters: 'ABCDEFG', halfTime: 120, fullDepth: 6, fullTime: 325 },
+};
+
+// Excess nitrogen (bar) after `time` minutes on air at `depth`, from surface saturation
+function uptake(system, depth, time, env) {
+  const gradient = inspiredPressure(depth, AIR_N2, env) - surfaceEquilibrium(AIR_N2, env);
+  return gradient * (1 - Math.pow(2, -time / system.halfTime));
+}
+
+// Excess nitrogen (bar) per group letter
+function groupStep(system) {
+  return uptake(system, system.fullDepth, system.fullTime, SEA_LEVEL) / system.letters.length;
+}
+
+// Upper excess level (bar) of a group
+function groupLevel(system, group) {
+  const index = system.letters.indexOf(group);
+  return index < 0 ? 0 : (index + 1) * groupStep(system);
+}
+
+/**
+ * Group letter for an excess nitrogen level (bar); null when clean. Levels
+ * past the last letter stay in the last group.
+ */
+export function groupFromExcess(system, excess) {
+  const step = groupStep(system);
+  if (excess < step * CLEAN_FRACTION) return null;
+  const index = Math.min(system.letters.length - 1, Math.max(0, Math.ceil(excess / step - 1e-9) - 1));
+  return system.letters[index];
+}
+
+/**
+ * Group at the end of a dive, from the surface-interval compartment tension
+ * (`tissueN2`, bar) at the dive site.
+ */
+export function pressureGroup(system, tissueN2, env = SEA_LEVEL) {
+  return groupFromExcess(system, tissueN2 - surfaceEquilibrium(AIR_N2, env));
+}
+
+/**
+ * Group after `minutes` at the surface, starting from `group`.
+ */
+export function groupAfterInterval(system, group, minutes) {
+  if (!group) return null;
+  const excess = groupLevel(system, group) * Math.pow(2, -Math.max(0, minutes) / system.halfTime);
+  return groupFromExcess(system, excess);
+}
+
+/**
+ * Residual nitrogen time (min) for a group at the next dive's depth. Infinity
+ * when the depth can't load the compartment to the group's level.
+ */
+export function residualNitrogenTime(system, group, depth, env = SEA_LEVEL) {
+  if (!group) return 0;
+  const level = groupLevel(system, group);
+  const gradient = inspiredPressure(depth, AIR_N2, env) - surfaceEquilibrium(AIR_N2, env);
+  if (gradient <= level) return Infinity;
+  return Math.ceil(-system.halfTime * Math.log2(1 - level / gradient));
+}
+
+/**
+ * Repetitive dive entry: the group after the surface interval, the RNT at the
+ * next depth and the adjusted no-decompression limit (`ndl` less the RNT).
+ */
+export function repetitiveDive(system, group, surfaceInterval, depth, ndl, env = SEA_LEVEL) {
+  const startGroup = groupAfterInterval(system, group, surfaceInterval);
+  const residualTime = residualNitrogenTime(system, startGroup, depth, env);
+  return { startGroup, residualTime, adjustedNDL: Math.max(0, ndl - residualTime) };
+}
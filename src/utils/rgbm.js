@@ -1,24 +1,35 @@
 /**
  * RGBM (Reduced Gradient Bubble Model) decompression algorithm.
- * 
- * Wienke's model applies bubble reduction factors to dissolved gas M-values
- * (Bühlmann-style). The key insight: free-phase bubbles form during ascent,
- * and the allowable supersaturation must be REDUCED to account for them.
- * 
- * RGBM is more conservative than Bühlmann, especially for:
- * - Deep dives (more bubble formation)
- * - Fast ascents (more bubble excitation) 
- * - Long dives (more dissolved gas → more bubbles)
- * 
+ *
+ * Wienke's folded RGBM applies bubble reduction factors ξ to dissolved gas
+ * M-values (Bühlmann-style). The key insight: free-phase bubbles grow from
+ * excited seeds during ascent, and the allowable supersaturation must be
+ * REDUCED to account for them:
+ *
+ *   M_rgbm = P_amb + ξ · (M − P_amb)
+ *
+ * ξ is the product of:
+ * - Seed excitation: deeper dives excite more seeds (separate N₂/He seeds)
+ * - Repetitive: bubbles left from the previous dive, fading over ~90 min
+ * - Reverse profile: going deeper than earlier in the dive, or than the
+ *   previous dive
+ * - Yo-yo: every re-descent after a significant ascent
+ * - Multi-day: excited seeds regenerate over about a week
+ *
+ * Fast compartments carry the bubbles, so each factor is weighted by
+ * compartment half-time; slow compartments stay close to Bühlmann.
+ *
  * This implementation uses Bühlmann ZHL-16C as the base dissolved gas model
- * and applies RGBM bubble reduction factors to the M-values.
+ * and applies RGBM bubble reduction factors to the M-values. Helium runs in
+ * its own ZHL-16 compartments, with a/b and ξ weighted by N₂/He tension.
  */
 
-// ZHL-16C parameters now imported from buhlmann.js via PARAM_SETS
-
-import { P_SURFACE, MAX_STOP_MINUTES } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner } from './physics.js';
-import { PARAM_SETS } from './buhlmann.js';
+import { MAX_STOP_MINUTES } from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, surfaceEquilibrium, schreinerSegment, initTissues } from './physics.js';
+import { createEnvironment } from './environment.js';
+import { PARAM_SETS, getGasAtDepth } from './buhlmann.js';
+import { createStopGrid } from './stopGrid.js';
+import { phaseGases } from './gasTimeline.js';
 
 // Reuse ZHL-16C half-times from Bühlmann; a/b values are RGBM-specific
 const ZHL16C = PARAM_SETS['zhl16c'];
@@ -26,113 +37,259 @@ const RGBM_A = [1.2599, 1.0000, 0.8618, 0.7562, 0.6200, 0.5043, 0.4410, 0.4000,
 const RGBM_B = [0.5050, 0.6514, 0.7222, 0.7825, 0.8126, 0.8434, 0.8693, 0.8910, 0.9092, 0.9222, 0.9319, 0.9403, 0.9477, 0.9544, 0.9602, 0.9653];
 const COMPARTMENTS = ZHL16C.halfTimes.map((ht, i) => [ht, RGBM_A[i], RGBM_B[i]]);
 
+// Ambient overpressure (bar) exciting 63% of seeds; He seeds are smaller
+const EXCITATION_PRESSURE = { n2: 5.0, he: 8.0 };
+// Half-time scale (min) of the compartments that carry bubbles
+const BUBBLE_TISSUE_TIME = 120;
+// Maximum reduction of each factor in the fastest compartment
+const SEED_REDUCTION = 0.40;
+const REPETITIVE_REDUCTION = 0.45;
+const REVERSE_REDUCTION = 0.40;
+const YOYO_REDUCTION = 0.10;
+const MULTIDAY_REDUCTION = 0.30;
+// Repetitive bubbles fade over the surface interval (min)
+const REPETITIVE_TIME = 90;
+// Depth gain (m) giving the full reverse-profile penalty
+const REVERSE_DEPTH = 30;
+// Ascent (m) before a re-descent counts as a yo-yo cycle
+const YOYO_MIN_ASCENT = 3;
+// Excited seeds regenerate with a one-week time constant (min)
+const REGENERATION_TIME = 10080;
+const MIN_FACTOR = 0.45;
+
 /**
- * Calculate RGBM bubble reduction factor for each compartment.
- * 
- * The bubble factor reduces the allowable M-value based on:
- * 1. Maximum depth (deeper = more bubble excitation)
- * 2. Total bottom time (longer = more gas loading)
- * 3. Compartment half-time (faster tissues form bubbles more readily)
- * 
- * Factor ranges from ~0.6 (very deep/long) to ~0.95 (shallow/short)
- * Applied as: M_reduced = ambient + (M_buhlmann - ambient) * factor
+ * a and b for a compartment, weighted by its N₂ and He tensions.
  */
-function calcBubbleFactors(maxDepth, totalBottomTime) {
-  const factors = [];
-  
+function combinedAB(i, pN2, pHe) {
+  const [, aN2, bN2] = COMPARTMENTS[i];
+  const total = pN2 + pHe;
+  if (pHe <= 0 || total <= 0) return { a: aN2, b: bN2 };
+  return {
+    a: (aN2 * pN2 + ZHL16C.heA[i] * pHe) / total,
+    b: (bN2 * pN2 + ZHL16C.heB[i] * pHe) / total,
+  };
+}
+
+// Bubble factor for a compartment, weighted by its N₂ and He tensions
+function combinedFactor(factors, i, pN2, pHe) {
+  const total = pN2 + pHe;
+  if (pHe <= 0 || total <= 0) return factors.n2[i];
+  return (factors.n2[i] * pN2 + factors.he[i] * pHe) / total;
+}
+
+// Load N₂ (and He when tracked) from one depth to another over `time` minutes
+function loadTissues(n2, he, fromDepth, toDepth, gas, time, env) {
+  const startN2 = inspiredPressure(fromDepth, gas.fN2, env);
+  const endN2 = inspiredPressure(toDepth, gas.fN2, env);
+  const startHe = inspiredPressure(fromDepth, gas.fHe || 0, env);
+  const endHe = inspiredPressure(toDepth, gas.fHe || 0, env);
   for (let i = 0; i < 16; i++) {
-    const halfTime = COMPARTMENTS[i][0];
-    
-    // Depth factor: deeper dives excite more bubble nuclei
-    // Normalized to typical recreational range
-    const depthFactor = 1.0 - 0.15 * Math.min(1.0, maxDepth / 100.0);
-    
-    // Time factor: longer dives allow more bubble formation
-    const timeFactor = 1.0 - 0.10 * Math.min(1.0, totalBottomTime / 60.0);
-    
-    // Compartment factor: fast compartments are more affected by bubbles
-    // Slow compartments have less bubble issue
-    const compartmentFactor = 1.0 - 0.08 * Math.exp(-halfTime / 30.0);
-    
-    // Combined bubble reduction factor
-    let factor = depthFactor * timeFactor * compartmentFactor;
-    
-    // Clamp to reasonable range
-    factor = Math.max(0.55, Math.min(0.98, factor));
-    
-    factors.push(factor);
+    n2[i] = schreinerSegment(n2[i], startN2, endN2, time, COMPARTMENTS[i][0]);
+    if (he) he[i] = schreinerSegment(he[i], startHe, endHe, time, ZHL16C.heHalfTimes[i]);
+  }
+}
+
+/**
+ * Profile shape so far: max depth, the largest depth gained after time spent
+ * shallower (reverse profile) and the number of yo-yo cycles. Extend it one
+ * phase at a time with addToProfileShape.
+ */
+function profileShape() {
+  return { depth: 0, maxDepth: 0, reverse: 0, cycles: 0, trough: Infinity, spentTime: false };
+}
+
+function addToProfileShape(shape, phase) {
+  const d = phase.depth;
+  if (d === shape.depth) {
+    if (d > 0 && phase.duration > 0) shape.spentTime = true;
+  } else if (d < shape.depth) {
+    shape.trough = Math.min(shape.trough, d);
+  } else {
+    if (shape.maxDepth - shape.trough >= YOYO_MIN_ASCENT) {
+      shape.cycles++;
+      shape.trough = Infinity;
+    }
+    if (d > shape.maxDepth && shape.spentTime) shape.reverse = Math.max(shape.reverse, d - shape.maxDepth);
   }
-  
+  shape.maxDepth = Math.max(shape.maxDepth, d);
+  shape.depth = d;
+}
+
+/**
+ * Profile shape of a dive: max depth, the largest depth gained after time
+ * spent shallower (reverse profile), and the number of yo-yo cycles.
+ */
+export function analyzeProfileShape(phases) {
+  const shape = profileShape();
+  for (const phase of phases) addToProfileShape(shape, phase);
+  return { maxDepth: shape.maxDepth, reverse: shape.reverse, cycles: shape.cycles };
+}
+
+/**
+ * Fraction of seeds excited by a dive to `maxDepth` for each gas.
+ */
+function seedExcitation(maxDepth, env) {
+  const overpressure = Math.max(0, depthToPressure(maxDepth, env) - env.surfacePressure);
+  return {
+    n2: 1 - Math.exp(-overpressure / EXCITATION_PRESSURE.n2),
+    he: 1 - Math.exp(-overpressure / EXCITATION_PRESSURE.he),
+  };
+}
+
+/**
+ * Profile-level reduction factors for the fastest compartment (1 = none).
+ * `previous` is the bubble state left by an earlier dive, if any.
+ */
+function calcProfileFactors(shape, previous) {
+  const factors = { repetitive: 1, reverse: 1, yoyo: 1, multiDay: { n2: 1, he: 1 } };
+  let reverseDepth = shape.reverse;
+
+  if (previous) {
+    const fading = Math.exp(-previous.surfaceTime / REPETITIVE_TIME);
+    factors.repetitive = 1 - REPETITIVE_REDUCTION * fading;
+    reverseDepth = Math.max(reverseDepth, (shape.maxDepth - previous.lastMaxDepth) * fading);
+
+    const regenerated = Math.exp(-previous.surfaceTime / REGENERATION_TIME);
+    factors.multiDay = {
+      n2: 1 - MULTIDAY_REDUCTION * previous.excitationN2 * regenerated,
+      he: 1 - MULTIDAY_REDUCTION * previous.excitationHe * regenerated,
+    };
+  }
+
+  factors.reverse = 1 - REVERSE_REDUCTION * Math.min(1, Math.max(0, reverseDepth) / REVERSE_DEPTH);
+  factors.yoyo = Math.pow(1 - YOYO_REDUCTION, shape.cycles);
   return factors;
 }
 
+/**
+ * Per-compartment N₂ and He bubble reduction factors.
+ *
+ * Each profile factor reduces the M-value gradient in proportion to the
+ * compartment weight exp(−τ/120): fast compartments carry the bubbles.
+ * Applied as: M_reduced = ambient + (M_buhlmann − ambient) × ξ
+ */
+function calcBubbleFactors(excitation, profileFactors) {
+  const build = (gas, halfTimes) => halfTimes.map(halfTime => {
+    const w = Math.exp(-halfTime / BUBBLE_TISSUE_TIME);
+    const reductions = [
+      SEED_REDUCTION * excitation[gas],
+      1 - profileFactors.repetitive,
+      1 - profileFactors.reverse,
+      1 - profileFactors.yoyo,
+      1 - profileFactors.multiDay[gas],
+    ];
+    const factor = reductions.reduce((xi, r) => xi * (1 - r * w), 1);
+    return Math.max(MIN_FACTOR, factor);
+  });
+  return {
+    n2: build('n2', ZHL16C.halfTimes),
+    he: build('he', ZHL16C.heHalfTimes),
+  };
+}
+
 /**
  * Run RGBM decompression calculation.
+ *
+ * `options.initialTissues.bubble` carries the bubble state of a previous
+ * dive (excited seeds, max depth, surface time) for repetitive, reverse
+ * and multi-day penalties.
  */
 export function calculateRGBM(phases, options = {}) {
-  const { fO2 = 0.21, gfLow = 50, gfHigh = 70, ascentRate = 9, decoAscentRate = 9, fHe = 0, gasSwitches = [], lastStopDepth = 6 } = options;
+  const { fO2 = 0.21, gfLow = 50, gfHigh = 70, decoAscentRate = 9, fHe = 0, gasSwitches = [] } = options;
   const fN2 = 1.0 - fO2 - (fHe || 0);
-  const maxDepth = Math.max(...phases.map(p => p.depth), 0);
-  const totalBottomTime = phases.reduce((sum, p) => sum + p.duration, 0);
+  const gases = phaseGases(phases, fO2, fHe || 0);
+  const ascentGas = gases.length > 0 ? gases[gases.length - 1] : { fO2, fHe: fHe || 0, fN2 };
+  const hasHe = fHe > 0 || gases.some(g => g.fHe > 0) || (gasSwitches || []).some(g => g.fHe > 0)
+    || !!options.initialTissues?.he?.some(p => p > 0);
+  const incoming = options.initialTissues?.bubble;
+  const previousBubble = incoming?.excitationN2 !== undefined ? incoming : null;
+  const env = createEnvironment(options);
 
-  // Initialize tissues at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(16).fill(surfaceN2);
+  // Initialize tissues at surface equilibrium (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(16, surfaceN2, options.initialTissues?.n2);
+  const heLoading = hasHe ? initTissues(16, 0, options.initialTissues?.he) : null;
 
-  // Process dive phases
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
-    for (let i = 0; i < 16; i++) {
-      tissueLoading[i] = schreiner(tissueLoading[i], pi, phase.duration, COMPARTMENTS[i][0]);
-    }
+  // Time at the surface before the first descent extends the surface interval
+  let surfaceTime = previousBubble?.surfaceTime || 0;
+  let firstDive = phases.findIndex(p => p.depth > 0);
+  if (firstDive === -1) firstDive = phases.length;
+  for (const phase of phases.slice(0, firstDive)) {
+    surfaceTime += phase.duration;
+  }
+
+  // Process dive phases, each on its own gas
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    loadTissues(tissueLoading, heLoading, depth, phase.depth, gases[i], phase.duration, env);
+    depth = phase.depth;
+  });
+
+  // Surface interval only: off-gas and carry the bubble state forward
+  if (firstDive === phases.length) {
+    return {
+      decoStops: [],
+      firstStopDepth: 0,
+      tissueLoading: [...tissueLoading],
+      heLoading: heLoading ? [...heLoading] : null,
+      ceiling: 0,
+      noDecoLimit: true,
+      compartmentCount: 16,
+      halfTimes: COMPARTMENTS.map(c => c[0]),
+      mValues: [],
+      bubbleState: previousBubble ? { ...previousBubble, surfaceTime } : null,
+    };
   }
 
   // Calculate bubble reduction factors
-  const bubbleFactors = calcBubbleFactors(maxDepth, totalBottomTime);
+  const shape = analyzeProfileShape(phases.slice(firstDive));
+  const excitation = seedExcitation(shape.maxDepth, env);
+  const profileFactors = calcProfileFactors(shape, previousBubble && { ...previousBubble, surfaceTime });
+  const bubbleFactors = calcBubbleFactors(excitation, profileFactors);
 
   // Find ceiling using reduced M-values
   let rawCeiling = 0;
   for (let i = 0; i < 16; i++) {
-    const [, a, b] = COMPARTMENTS[i];
     const pN2 = tissueLoading[i];
+    const pHe = heLoading ? heLoading[i] : 0;
+    const { a, b } = combinedAB(i, pN2, pHe);
     const gf = gfLow / 100.0;
-    const bf = bubbleFactors[i];
-    
+    const bf = combinedFactor(bubbleFactors, i, pN2, pHe);
+
     // Bühlmann ceiling: ambient where tissue is at M-value limit
     // M = a + P_ambient / b
     // With GF: allowed = P_ambient + (M - P_ambient) * GF * BF
-    // Solve for P_ambient where pN2 = P_ambient + (a + P_ambient/b - P_ambient) * GF * BF
-    // pN2 = P_ambient + (a + P_ambient*(1/b - 1)) * GF * BF
-    // pN2 = P_ambient * (1 + (1/b - 1) * GF * BF) + a * GF * BF
-    const combinedFactor = gf * bf;
-    const ceilingPressure = (pN2 - a * combinedFactor) / (1 + (1/b - 1) * combinedFactor);
-    const ceilingDepth = Math.max(0, (ceilingPressure - P_SURFACE) * 10);
-    
+    // Solve for P_ambient where pTotal = P_ambient + (a + P_ambient/b - P_ambient) * GF * BF
+    // pTotal = P_ambient + (a + P_ambient*(1/b - 1)) * GF * BF
+    // pTotal = P_ambient * (1 + (1/b - 1) * GF * BF) + a * GF * BF
+    const reduction = gf * bf;
+    const ceilingPressure = (pN2 + pHe - a * reduction) / (1 + (1/b - 1) * reduction);
+    const ceilingDepth = pressureToDepth(ceilingPressure, env);
+
     if (ceilingDepth > rawCeiling) rawCeiling = ceilingDepth;
   }
 
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  const grid = createStopGrid(options);
+  const firstStopDepth = grid.firstStop(rawCeiling);
 
   // Generate deco stops
   const decoStops = [];
   const workingTissue = [...tissueLoading];
+  const workingHe = heLoading ? [...heLoading] : null;
+  let prevGasLabel = `${Math.round(ascentGas.fO2 * 100)}/${Math.round(ascentGas.fHe * 100)}`;
 
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
 
-    while (currentStop >= lastStopDepth) {
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
+    while (grid.isStop(currentStop)) {
+      const gas = getGasAtDepth(currentStop, ascentGas, gasSwitches);
 
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < 16; i++) {
-        workingTissue[i] = schreiner(workingTissue[i], transitPi, transitTime, COMPARTMENTS[i][0]);
-      }
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      loadTissues(workingTissue, workingHe, prevDepth, currentStop, gas, transitTime, env);
 
-      const nextStop = currentStop - 3;
-      const nextAmbient = depthToPressure(nextStop);
+      const nextStop = grid.next(currentStop);
+      const nextAmbient = depthToPressure(nextStop, env);
 
       // GF interpolation with bubble factor
       const gfAtStop = firstStopDepth > 0
@@ -141,65 +298,122 @@ export function calculateRGBM(phases, options = {}) {
 
       let stopTime = 0;
       const simTissue = [...workingTissue];
+      const simHe = workingHe ? [...workingHe] : null;
 
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
         let canAscend = true;
         for (let i = 0; i < 16; i++) {
-          const [, a, b] = COMPARTMENTS[i];
-          const bf = bubbleFactors[i];
+          const pHe = simHe ? simHe[i] : 0;
+          const { a, b } = combinedAB(i, simTissue[i], pHe);
+          const bf = combinedFactor(bubbleFactors, i, simTissue[i], pHe);
           const gf = gfAtStop / 100.0;
-          
+
           // Reduced M-value
           const mValue = a + nextAmbient / b;
           const allowedTension = nextAmbient + (mValue - nextAmbient) * gf * bf;
-          
-          if (simTissue[i] > allowedTension) {
+
+          if (simTissue[i] + pHe > allowedTension) {
             canAscend = false;
             break;
           }
         }
-        if (canAscend) {
-          stopTime = minute;
-          break;
-        }
-        const pi = inspiredPressure(currentStop, fN2);
-        for (let i = 0; i < 16; i++) {
-          simTissue[i] = schreiner(simTissue[i], pi, 1, COMPARTMENTS[i][0]);
-        }
-        stopTime = minute + 1;
+        if (canAscend) break;
+        loadTissues(simTissue, simHe, currentStop, currentStop, gas, 1, env);
+        stopTime = grid.stopTime(waited + 1);
       }
 
+      const gasLabel = `${Math.round(gas.fO2 * 100)}/${Math.round((gas.fHe || 0) * 100)}`;
+      if (gasLabel !== prevGasLabel) {
+        // Gas switch marker (time added by UI toggle)
+        decoStops.push({ depth: currentStop, time: 0, gas: gasLabel, gasSwitch: true });
+        prevGasLabel = gasLabel;
+      }
       if (stopTime > 0) {
-        decoStops.push({ depth: currentStop, time: stopTime });
+        decoStops.push({ depth: currentStop, time: stopTime, gas: gasLabel });
       }
 
-      const pi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < 16; i++) {
-        workingTissue[i] = schreiner(workingTissue[i], pi, stopTime, COMPARTMENTS[i][0]);
-      }
+      loadTissues(workingTissue, workingHe, currentStop, currentStop, gas, stopTime, env);
 
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
 
   // M-values at surface with bubble reduction
   const mValues = [];
-  const surfaceAmbient = P_SURFACE;
+  const surfaceAmbient = env.surfacePressure;
   for (let i = 0; i < 16; i++) {
-    const [, a, b] = COMPARTMENTS[i];
+    const pHe = heLoading ? heLoading[i] : 0;
+    const { a, b } = combinedAB(i, tissueLoading[i], pHe);
     const rawM = a + surfaceAmbient / b;
-    const reducedM = surfaceAmbient + (rawM - surfaceAmbient) * bubbleFactors[i];
+    const reducedM = surfaceAmbient + (rawM - surfaceAmbient) * combinedFactor(bubbleFactors, i, tissueLoading[i], pHe);
     mValues.push(reducedM);
   }
 
+  // Seeds excited on this dive join the ones still regenerating
+  const regenerated = previousBubble ? Math.exp(-surfaceTime / REGENERATION_TIME) : 0;
+  const carry = (prev, now) => 1 - (1 - (prev || 0) * regenerated) * (1 - now);
+
   return {
     decoStops,
     firstStopDepth,
     tissueLoading: [...tissueLoading],
+    heLoading: heLoading ? [...heLoading] : null,
     ceiling: rawCeiling,
     noDecoLimit: firstStopDepth === 0,
     compartmentCount: 16,
     halfTimes: COMPARTMENTS.map(c => c[0]),
     mValues,
+    bubbleFactors,
+    profileFactors: {
+      repetitive: profileFactors.repetitive,
+      reverse: profileFactors.reverse,
+      yoyo: profileFactors.yoyo,
+      multiDay: profileFactors.multiDay.n2,
+      yoyoCycles: shape.cycles,
+    },
+    bubbleState: {
+      maxCrushingPressure: depthToPressure(shape.maxDepth, env) - env.surfacePressure,
+      excitationN2: carry(previousBubble?.excitationN2, excitation.n2),
+      excitationHe: carry(previousBubble?.excitationHe, excitation.he),
+      lastMaxDepth: shape.maxDepth,
+      surfaceTime: 0,
+    },
   };
 }
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the ZH-L 16 tissues
+ * with each M-value gradient reduced by the bubble factors of the profile
+ * shape so far (first dive, no repetitive or multi-day penalties).
+ */
+export const RGBM_TISSUE_MODEL = {
+  name: 'RGBM',
+  compartments: 16,
+  halfTimes: COMPARTMENTS.map(c => c[0]),
+  helium: true,
+  gf: true,
+  start: (fN2, env) => ({
+    n2: new Array(16).fill(surfaceEquilibrium(fN2, env)),
+    he: new Array(16).fill(0),
+    shape: profileShape(),
+    factors: calcBubbleFactors(seedExcitation(0, env), calcProfileFactors(profileShape(), null)),
+  }),
+  load(state, { fromDepth, toDepth, time, inspired }, env) {
+    const start = inspired(fromDepth);
+    const end = inspired(toDepth);
+    for (let i = 0; i < 16; i++) {
+      state.n2[i] = schreinerSegment(state.n2[i], start.piN2, end.piN2, time, COMPARTMENTS[i][0]);
+      state.he[i] = schreinerSegment(state.he[i], start.piHe, end.piHe, time, ZHL16C.heHalfTimes[i]);
+    }
+    addToProfileShape(state.shape, { depth: toDepth, duration: time });
+    state.factors = calcBubbleFactors(seedExcitation(state.shape.maxDepth, env), calcProfileFactors(state.shape, null));
+  },
+  // M_rgbm = P + ξ·(a + P/b − P)
+  limit(state, i) {
+    const { a, b } = combinedAB(i, state.n2[i], state.he[i]);
+    const xi = combinedFactor(state.factors, i, state.n2[i], state.he[i]);
+    return { intercept: a * xi, slope: 1 + (1 / b - 1) * xi };
+  },
+};
@@ -0,0 +1,339 @@
+/**
+ * Printable runtime slate ("wetnotes"): the Dive Plan phases reduced to the
+ * stops a diver reads underwater, the gases with their MOD and switch depth,
+ * the turn pressure, and the contingency variants' stops side by side.
+ *
+ * Slates render as monochrome SVG pages in millimetres at the selected slate
+ * size, with a large bold font; the print document sets the page size so the
+ * browser's "Save as PDF" yields one PDF page per slate page.
+ */
+import { calcMOD } from './physics.js';
+import { calculateTurnPressure } from './gasPlanning.js';
+import { ccrFromSettings } from './ccr.js';
+import { createEnvironment } from './environment.js';
+import { gasLabel, gasName, gasSwitchDepth } from './gases.js';
+import { parseGasLabel, phaseGases } from './gasTimeline.js';
+import { escapeXML } from './planExport.js';
+import { displayDepth, formatDepth, formatPressure, unitLabels } from './units.js';
+
+/** Slate sizes in mm, with the font size (mm) that stays readable on each. */
+export const SLATE_SIZES = {
+  wrist: { label: 'Wrist slate (76 × 127 mm)', width: 76, height: 127, font: 4.5 },
+  wetnotes: { label: 'Wetnotes A6 (105 × 148 mm)', width: 105, height: 148, font: 5.5 },
+  a5: { label: 'Large slate A5 (148 × 210 mm)', width: 148, height: 210, font: 7 },
+};
+
+export const DEFAULT_SLATE_SIZE = 'wrist';
+
+// Average glyph width of the bold sans slate font, in ems
+const CHAR_WIDTH = 0.62;
+const LINE_HEIGHT = 1.5;
+const FONT_FAMILY = 'Arial, Helvetica, sans-serif';
+
+function minutes(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * The plan as slate rows: one per level or stop, i.e. each run of phases at
+ * one depth that isn't an ascent, with { depth, time (min at the depth,
+ * including the descent onto it), runTime (leaving it), gas (mix label),
+ * switched (a new gas from the row before), stop (an ascent stop) }.
+ */
+export function slateStops(phases, fO2 = 0.21, fHe = 0) {
+  const gases = phaseGases(phases, fO2, fHe);
+  const maxDepth = Math.max(0, ...phases.map(p => p.depth));
+  const deepestAt = phases.map(p => p.depth).lastIndexOf(maxDepth);
+  const rows = [];
+  let last = null;
+
+  phases.forEach((phase, i) => {
+    if (phase.action === 'Ascend') {
+      last = null;
+      return;
+    }
+    const gas = gasLabel(gases[i]);
+    const stop = i > deepestAt && phase.action !== 'Stay';
+    if (last && last.depth === phase.depth) {
+      last.time += phase.duration;
+      last.runTime = phase.runTime + phase.duration;
+      last.switched ||= gas !== last.gas;
+      last.gas = gas;
+      last.stop ||= stop;
+      return;
+    }
+    const previous = rows[rows.length - 1];
+    last = {
+      depth: phase.depth,
+      time: phase.duration,
+      runTime: phase.runTime + phase.duration,
+      gas,
+      switched: !!previous && previous.gas !== gas,
+      stop,
+    };
+    rows.push(last);
+  });
+  return rows;
+}
+
+/**
+ * The gases on the slate: { label, name, mod, switchDepth (null for the
+ * bottom gas) }, bottom gas first, then by switch depth, deepest first.
+ */
+export function slateGases(settings) {
+  const env = createEnvironment(settings);
+  const bottom = { fO2: settings.fO2, fHe: settings.fHe || 0 };
+  const others = (settings.gases || []).filter(g => g?.fO2 > 0).map(g => ({
+    label: gasLabel(g),
+    name: gasName(g),
+    mod: calcMOD(g.fO2, g.role === 'deco' ? (settings.ppO2Deco ?? 1.6) : (settings.ppO2Max ?? 1.4), env),
+    switchDepth: gasSwitchDepth(g, settings, env),
+  }));
+  return [
+    { label: gasLabel(bottom), name: gasName(bottom), mod: calcMOD(bottom.fO2, settings.ppO2Max ?? 1.4, env), switchDepth: null },
+    ...others.sort((a, b) => b.switchDepth - a.switchDepth),
+  ];
+}
+
+/**
+ * Everything the slate shows: { maxDepth, totalTime, algorithm, gf,
+ * ccr, gases, turnPressure, reservePressure, stops, variants }. `variants`
+ * are the contingency rows (with their phases), each with its ascent stops.
+ */
+export function buildSlate(result, settings, { contingencies = null, algorithm, gf = false } = {}) {
+  const { fO2 = 0.21, fHe = 0 } = settings;
+  const tankPressure = settings.tankPressure || 200;
+  const reservePressure = settings.reservePressure || 50;
+
+  return {
+    maxDepth: Math.max(0, ...result.phases.map(p => p.depth)),
+    totalTime: result.totalTime,
+    algorithm: algorithm || settings.algorithm,
+    gf: gf ? `${settings.gfLow}/${settings.gfHigh}` : null,
+    ccr: ccrFromSettings(settings),
+    gases: slateGases(settings),
+    turnPressure: calculateTurnPressure(tankPressure, reservePressure).turnPressure,
+    reservePressure,
+    stops: slateStops(result.phases, fO2, fHe),
+    variants: (contingencies || []).filter(v => v.phases).map(v => ({
+      id: v.id,
+      label: v.label,
+      detail: v.detail,
+      totalTime: v.totalTime,
+      stops: slateStops(v.phases, fO2, fHe).filter(s => s.stop),
+    })),
+  };
+}
+
+// Contingency column heading, short enough for a wrist slate
+function variantHeading(variant, units) {
+  if (variant.id === 'planned') return 'Plan';
+  if (variant.id === 'deeper') return `+${formatDepth(variant.detail, units)}`;
+  if (variant.id === 'longer') return `+${variant.detail} min`;
+  if (variant.id === 'lost-all') return 'No deco';
+  if (variant.id === 'delayed') return 'Delay';
+  return variant.label.replace(/^Lost /, 'No ');
+}
+
+// Each gas with its MOD and the depth the ascent switches to it
+function gasTable(slate, units) {
+  const u = unitLabels(units);
+  return {
+    type: 'table',
+    header: ['Gas', `MOD ${u.depth}`, `Switch ${u.depth}`],
+    align: ['start', 'end', 'end'],
+    rows: slate.gases.map(g => ({
+      cells: [g.name, displayDepth(g.mod, units), g.switchDepth === null ? '—' : displayDepth(g.switchDepth, units)],
+    })),
+  };
+}
+
+function stopTable(slate, units) {
+  const u = unitLabels(units);
+  return {
+    type: 'table',
+    header: [`Depth ${u.depth}`, 'Stop', 'RT', 'Gas'],
+    align: ['end', 'end', 'end', 'start'],
+    rows: slate.stops.map((s, i) => ({
+      cells: [displayDepth(s.depth, units), minutes(s.time), minutes(s.runTime), i === 0 || s.switched ? gasName(parseGasLabel(s.gas)) : ''],
+      inverted: s.switched,
+    })),
+  };
+}
+
+// The contingency stops as a depth × variant table of "stop/RT" cells
+function contingencyTable(variants, units) {
+  const u = unitLabels(units);
+  const depths = [...new Set(variants.flatMap(v => v.stops.map(s => s.depth)))].sort((a, b) => b - a);
+  const rows = depths.map(depth => ({
+    cells: [displayDepth(depth, units), ...variants.map(v => {
+      const stop = v.stops.find(s => s.depth === depth);
+      return stop ? `${minutes(stop.time)}/${minutes(stop.runTime)}` : '—';
+    })],
+  }));
+  rows.push({ cells: ['RT', ...variants.map(v => minutes(v.totalTime))], inverted: true });
+  return {
+    type: 'table',
+    header: [u.depth, ...variants.map(v => variantHeading(v, units))],
+    align: ['end', ...variants.map(() => 'end')],
+    rows,
+  };
+}
+
+// Column widths (mm) that fit the widest cell of each column
+function columnWidths(table, font) {
+  return table.header.map((_, c) => {
+    const chars = Math.max(...[table.header, ...table.rows.map(r => r.cells)].map(cells => String(cells[c]).length));
+    return (chars + 1.5) * font * CHAR_WIDTH;
+  });
+}
+
+/**
+ * Lay the slate out on pages of the given size: an array of pages, each
+ * an array of blocks ({ type: 'title' | 'text' | 'table', ... }) that fit
+ * the page. Tables too long for a page continue on the next one with their
+ * header repeated; contingency variants that don't fit across the page
+ * continue on further pages, each beside the planned dive's column.
+ */
+export function slatePages(slate, sizeId = DEFAULT_SLATE_SIZE, units = 'metric') {
+  const size = SLATE_SIZES[sizeId] || SLATE_SIZES[DEFAULT_SLATE_SIZE];
+  const usableWidth = size.width - 2 * size.font;
+  const linesPerPage = Math.floor((size.height - 2 * size.font) / (size.font * LINE_HEIGHT));
+
+  const title = `${formatDepth(slate.maxDepth, units)} · RT ${minutes(slate.totalTime)} min`;
+  const model = [slate.algorithm, slate.gf && `GF ${slate.gf}`].filter(Boolean).join(' ');
+  const circuit = slate.ccr
+    ? `SP ${slate.ccr.setpointLow}/${slate.ccr.setpointHigh} @ ${formatDepth(slate.ccr.switchDepth, units)}`
+    : `Turn ${formatPressure(slate.turnPressure, units)} · Res ${formatPressure(slate.reservePressure, units)}`;
+  const sections = [[
+    { type: 'title', text: title },
+    { type: 'text', text: model },
+    { type: 'text', text: circuit },
+    gasTable(slate, units),
+    stopTable(slate, units),
+  ]];
+
+  // Split the variants into groups of columns that fit across the page,
+  // each next to the planned dive's column
+  const planned = slate.variants.filter(v => v.id === 'planned');
+  const groups = [];
+  let group = [];
+  for (const variant of slate.variants.filter(v => v.id !== 'planned')) {
+    const widths = columnWidths(contingencyTable([...planned, ...group, variant], units), size.font);
+    if (group.length > 0 && widths.reduce((a, b) => a + b, 0) > usableWidth) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(variant);
+  }
+  if (group.length > 0) groups.push(group);
+  groups.forEach((g, i) => sections.push([
+    { type: 'title', text: groups.length > 1 ? `Contingency ${i + 1}/${groups.length}` : 'Contingency' },
+    { type: 'text', text: 'Stop / RT (min)' },
+    contingencyTable([...planned, ...g], units),
+  ]));
+
+  // Flow each section's blocks onto pages; every section starts a page
+  const pages = [];
+  for (const blocks of sections) {
+    let page = [];
+    let used = 0;
+    const newPage = () => {
+      pages.push(page);
+      page = [];
+      used = 0;
+    };
+    for (const block of blocks) {
+      if (block.type !== 'table') {
+        if (used + 1 > linesPerPage) newPage();
+        page.push(block);
+        used += 1;
+        continue;
+      }
+      const widths = columnWidths(block, size.font);
+      let rows = block.rows;
+      while (rows.length > 0) {
+        if (used + 2 > linesPerPage) newPage();
+        const fit = Math.min(rows.length, linesPerPage - used - 1);
+        page.push({ ...block, rows: rows.slice(0, fit), widths });
+        used += fit + 1;
+        rows = rows.slice(fit);
+      }
+    }
+    newPage();
+  }
+  return pages;
+}
+
+// A page's SVG elements, in mm from its top left corner
+function pageContent(page, size) {
+  const { width, height, font } = size;
+  const lineHeight = font * LINE_HEIGHT;
+  const text = (x, y, value, { anchor = 'start', fill = '#000', scale = 1 } = {}) =>
+    `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" text-anchor="${anchor}" fill="${fill}" font-size="${(font * scale).toFixed(2)}">${escapeXML(value)}</text>`;
+
+  const parts = [`<rect width="${width}" height="${height}" fill="#fff"/>`];
+  let y = font;
+  for (const block of page) {
+    const baseline = y + lineHeight * 0.72;
+    if (block.type === 'title') {
+      parts.push(text(font, baseline, block.text, { scale: 1.15 }));
+      y += lineHeight;
+      continue;
+    }
+    if (block.type === 'text') {
+      parts.push(text(font, baseline, block.text, { scale: 0.85 }));
+      y += lineHeight;
+      continue;
+    }
+
+    const lefts = block.widths.map((_, c) => font + block.widths.slice(0, c).reduce((a, b) => a + b, 0));
+    const cellX = (c) => block.align[c] === 'end' ? lefts[c] + block.widths[c] - font * CHAR_WIDTH : lefts[c] + font * CHAR_WIDTH * 0.5;
+    const tableWidth = Math.min(width - 2 * font, block.widths.reduce((a, b) => a + b, 0));
+    const row = (cells, { inverted = false, scale = 1 } = {}) => {
+      const base = y + lineHeight * 0.72;
+      if (inverted) parts.push(`<rect x="${font}" y="${y.toFixed(2)}" width="${tableWidth.toFixed(2)}" height="${lineHeight.toFixed(2)}" fill="#000"/>`);
+      cells.forEach((cell, c) => parts.push(text(cellX(c), base, String(cell), { anchor: block.align[c], fill: inverted ? '#fff' : '#000', scale })));
+      y += lineHeight;
+      parts.push(`<line x1="${font}" y1="${y.toFixed(2)}" x2="${(font + tableWidth).toFixed(2)}" y2="${y.toFixed(2)}" stroke="#000" stroke-width="${inverted ? 0.2 : 0.15}"/>`);
+    };
+    row(block.header, { scale: 0.75 });
+    parts.push(`<line x1="${font}" y1="${y.toFixed(2)}" x2="${(font + tableWidth).toFixed(2)}" y2="${y.toFixed(2)}" stroke="#000" stroke-width="0.6"/>`);
+    block.rows.forEach(r => row(r.cells, r));
+  }
+  return parts.join('');
+}
+
+function svgDocument(width, height, content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}"`
+    + ` font-family="${FONT_FAMILY}" font-weight="bold">${content}</svg>`;
+}
+
+/** One slate page as a standalone SVG document, sized in mm. */
+export function renderSlatePage(page, sizeId = DEFAULT_SLATE_SIZE) {
+  const size = SLATE_SIZES[sizeId] || SLATE_SIZES[DEFAULT_SLATE_SIZE];
+  return svgDocument(size.width, size.height, pageContent(page, size));
+}
+
+/** All pages in one SVG, stacked with a dashed cut line between them. */
+export function renderSlateSVG(pages, sizeId = DEFAULT_SLATE_SIZE) {
+  const size = SLATE_SIZES[sizeId] || SLATE_SIZES[DEFAULT_SLATE_SIZE];
+  const { width, height } = size;
+  const body = pages.map((page, i) => {
+    const cut = i > 0 ? `<line x1="0" y1="0" x2="${width}" y2="0" stroke="#000" stroke-width="0.3" stroke-dasharray="2 2"/>` : '';
+    return `<g transform="translate(0 ${height * i})">${pageContent(page, size)}${cut}</g>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${svgDocument(width, height * pages.length, body)}\n`;
+}
+
+/**
+ * An HTML document that prints one slate page per sheet at the slate size
+ * (and so saves as a PDF of that size).
+ */
+export function slatePrintDocument(pages, sizeId = DEFAULT_SLATE_SIZE, title = 'Dive slate') {
+  const { width, height } = SLATE_SIZES[sizeId] || SLATE_SIZES[DEFAULT_SLATE_SIZE];
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeXML(title)}</title><style>`
+    + `@page { size: ${width}mm ${height}mm; margin: 0; } body { margin: 0; background: #fff; }`
+    + ' svg { display: block; page-break-after: always; break-after: page; } svg:last-child { page-break-after: auto; break-after: auto; }'
+    + `</style></head><body>${pages.map(page => renderSlatePage(page, sizeId)).join('')}</body></html>`;
+}
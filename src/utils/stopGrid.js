@@ -0,0 +1,64 @@
+/**
+ * Deco stop grid shared by the stop generators.
+ *
+ * Stops sit on multiples of the stop interval (3 m, 1 m or 10 ft) from the
+ * first stop down to the last stop. In continuous mode the ascent follows the
+ * ceiling in 1 m steps: the diver only waits where the ceiling holds them,
+ * transits take their exact time, and steps without a wait aren't listed.
+ */
+import { STOP_INTERVAL } from './constants.js';
+
+// Step (m) used to follow the ceiling in continuous mode
+export const CONTINUOUS_STEP = 1;
+
+// 10 ft in meters
+export const TEN_FEET = 3.048;
+
+const EPSILON = 1e-6;
+
+function roundDepth(depth) {
+  return Math.round(depth * 1000) / 1000;
+}
+
+/**
+ * Build the stop grid for the algorithm options
+ * ({ stopInterval, continuousDeco, lastStopDepth }).
+ */
+export function createStopGrid(options = {}) {
+  const { stopInterval = STOP_INTERVAL, continuousDeco = false, lastStopDepth = 6 } = options;
+  const interval = continuousDeco ? CONTINUOUS_STEP : (stopInterval > 0 ? stopInterval : STOP_INTERVAL);
+  // The last stop is the first grid depth at or below lastStopDepth
+  const lastStop = roundDepth(Math.max(1, Math.ceil(lastStopDepth / interval - EPSILON)) * interval);
+
+  return {
+    interval,
+    continuous: continuousDeco,
+    lastStop,
+    // First grid depth at or below the ceiling (0 when there is none)
+    firstStop(ceiling) {
+      return ceiling > 0 ? roundDepth(Math.ceil(ceiling / interval - EPSILON) * interval) : 0;
+    },
+    // The grid depth above `depth`
+    next(depth) {
+      return roundDepth(depth - interval);
+    },
+    // The grid depth below `depth`
+    deeper(depth) {
+      return roundDepth(depth + interval);
+    },
+    // Whether `depth` is still a stop (not past the last stop)
+    isStop(depth) {
+      return depth >= lastStop - EPSILON;
+    },
+    // Transit minutes between two depths: whole minutes on a stop grid
+    transitTime(fromDepth, toDepth, rate) {
+      const exact = Math.abs(fromDepth - toDepth) / rate;
+      return continuousDeco ? exact : Math.ceil(exact - EPSILON);
+    },
+    // Minutes at a stop when the ascent check first passed after `waited`
+    // minutes: grid stops last at least one minute, continuous steps don't
+    stopTime(waited) {
+      return continuousDeco ? waited : waited + 1;
+    },
+  };
+}
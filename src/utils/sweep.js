@@ -0,0 +1,132 @@
+/**
+ * Algorithm sweep: plans a single-level dive at every depth × bottom time
+ * (× GF pair for gradient factor algorithms) for each selected algorithm and
+ * records its runtime, deco time, first stop and CNS.
+ *
+ * Cases are planned in chunks (sweepChunks) so the worker can post each
+ * chunk as it finishes and the charts fill in while the sweep runs.
+ */
+import { compareSummary } from './compare.js';
+import { calculateCNS } from './oxygenToxicity.js';
+import { ccrFromSettings } from './ccr.js';
+import { createEnvironment } from './environment.js';
+
+// Cases per sweep at most, and per progress message
+export const MAX_SWEEP_CASES = 4000;
+export const SWEEP_CHUNK = 25;
+
+export const SWEEP_METRICS = {
+  decoTime: { label: 'Deco time', unit: 'min' },
+  runtime: { label: 'Runtime', unit: 'min' },
+  firstStop: { label: 'First stop', unit: 'depth' },
+  cns: { label: 'CNS', unit: '%' },
+};
+
+/** `from` to `to` inclusive every `step`; empty for an invalid range. */
+export function sweepRange(from, to, step) {
+  if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) return [];
+  const values = [];
+  for (let v = from; v <= to + 1e-9; v += step) values.push(Math.round(v * 1000) / 1000);
+  return values;
+}
+
+/** GF pairs from text like "30/70, 50/80"; pairs outside 1–100 or low > high are dropped. */
+export function parseGFPairs(text) {
+  const pairs = [];
+  for (const match of String(text || '').matchAll(/(\d+)\s*\/\s*(\d+)/g)) {
+    const gfLow = Number(match[1]);
+    const gfHigh = Number(match[2]);
+    if (gfLow >= 1 && gfHigh <= 100 && gfLow <= gfHigh && !pairs.some(p => p.gfLow === gfLow && p.gfHigh === gfHigh)) {
+      pairs.push({ gfLow, gfHigh });
+    }
+  }
+  return pairs;
+}
+
+/** Label of a case's line/heatmap series: the algorithm, plus its GF pair when swept. */
+export function seriesKey(c) {
+  return c.gf ? `${c.algorithm} ${c.gf}` : c.algorithm;
+}
+
+/**
+ * Every case of a sweep. `algorithms` are [{ key, gf }] (gf: the algorithm
+ * takes gradient factors); GF algorithms run once per pair in `gfPairs`, or
+ * once with the settings' own GF when no pairs are given.
+ */
+export function sweepCases({ algorithms, depths, times, gfPairs = [] }) {
+  const cases = [];
+  for (const algo of algorithms) {
+    const pairs = algo.gf && gfPairs.length > 0 ? gfPairs : [null];
+    for (const pair of pairs) {
+      for (const depth of depths) {
+        for (const time of times) {
+          cases.push(pair
+            ? { algorithm: algo.key, gf: `${pair.gfLow}/${pair.gfHigh}`, gfLow: pair.gfLow, gfHigh: pair.gfHigh, depth, time }
+            : { algorithm: algo.key, gf: null, depth, time });
+        }
+      }
+    }
+  }
+  return cases;
+}
+
+/**
+ * One case planned with `calculate(settings, stops)` on the base settings
+ * (gases, rates, site). Values are null when the algorithm fails to plan it.
+ */
+export function sweepCase(settings, c, calculate) {
+  const caseSettings = { ...settings, algorithm: c.algorithm, ...(c.gf && { gfLow: c.gfLow, gfHigh: c.gfHigh }) };
+  try {
+    const result = calculate(caseSettings, [{ depth: c.depth, time: c.time }]);
+    if (!result?.phases) throw new Error('No plan');
+    const cns = calculateCNS(result.phases, caseSettings.fO2, caseSettings.fHe, ccrFromSettings(caseSettings), 0, createEnvironment(caseSettings));
+    const { runtime, firstStop, decoTime } = compareSummary(result, { cns }, null);
+    return { ...c, runtime, firstStop, decoTime, cns: cns.totalCNS };
+  } catch {
+    return { ...c, runtime: null, firstStop: null, decoTime: null, cns: null, failed: true };
+  }
+}
+
+/** Plans the cases `size` at a time, yielding each chunk of results. */
+export function* sweepChunks(settings, cases, calculate, size = SWEEP_CHUNK) {
+  for (let i = 0; i < cases.length; i += size) {
+    yield cases.slice(i, i + size).map(c => sweepCase(settings, c, calculate));
+  }
+}
+
+/**
+ * Heatmap of one series: rows per depth, columns per bottom time, holding
+ * the metric (null where not computed yet or failed).
+ */
+export function sweepHeatmap(results, series, depths, times, metric) {
+  const byCell = new Map();
+  for (const r of results) {
+    if (seriesKey(r) === series) byCell.set(`${r.depth}|${r.time}`, r[metric]);
+  }
+  return depths.map(depth => times.map(time => byCell.get(`${depth}|${time}`) ?? null));
+}
+
+/** Metric vs bottom time at one depth: one line per series, in case order. */
+export function sweepLines(results, depth, metric = 'runtime') {
+  const lines = new Map();
+  for (const r of results) {
+    if (r.depth !== depth || r[metric] === null) continue;
+    const key = seriesKey(r);
+    if (!lines.has(key)) lines.set(key, { key, algorithm: r.algorithm, gf: r.gf, points: [] });
+    lines.get(key).points.push({ x: r.time, y: r[metric] });
+  }
+  return [...lines.values()].map(line => ({ ...line, points: line.points.sort((a, b) => a.x - b.x) }));
+}
+
+/** Smallest and largest non-null value of a heatmap. */
+export function heatmapRange(grid) {
+  const values = grid.flat().filter(v => v !== null);
+  return values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : null;
+}
+
+/** Heatmap colour from green (t = 0) through yellow to red (t = 1). */
+export function heatColor(t) {
+  const x = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+  const hue = Math.round(120 * (1 - x));
+  return `hsl(${hue}, 70%, 42%)`;
+}
@@ -4,6 +4,8 @@
  * US Navy's asymmetric gas kinetics model with exponential uptake
  * and linear elimination. Different half-times for on-gassing vs off-gassing.
  * Uses linear-exponential kinetics rather than pure exponential.
+ * VVAL-18 was built for constant ppO₂ rebreathers as well as air, so on a
+ * CCR the diluent's inert gas is loaded at the loop setpoint (see ccr.js).
  */
 
 // Thalmann 9-compartment model
@@ -20,8 +22,12 @@ const THALMANN_COMPARTMENTS = [
   [240.0, 300.0, 1.4, 0.0194] // Compartment 9 - Slow asymmetric
 ];
 
-import { LINEAR_THRESHOLD_FACTOR, MAX_STOP_MINUTES, METERS_TO_FEET } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner as exponentialUptake } from './physics.js';
+import { P_SURFACE, LINEAR_THRESHOLD_FACTOR, MAX_STOP_MINUTES, METERS_TO_FEET } from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, inspiredPressureCCR, surfaceEquilibrium, schreiner as exponentialUptake, initTissues, linearDepthSteps } from './physics.js';
+import { createStopGrid } from './stopGrid.js';
+import { createEnvironment } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
+import { createSetpointTracker } from './ccr.js';
 
 /**
  * Linear elimination for off-gassing when supersaturated.
@@ -66,18 +72,20 @@ function thalmannTissueUpdate(p0, pi, time, compartment, ambientPressure) {
 
 /**
  * Calculate Thalmann M-value for given compartment at specified depth.
- * M = M0 + ΔM × depth_fsw (feet of seawater)
+ * M = M0 + ΔM × depth_fsw (feet of seawater), with depth measured from sea
+ * level pressure so the M-values follow ambient pressure at altitude.
  */
-function thalmannMValue(compartment, depth) {
+function thalmannMValue(compartment, depth, env) {
   const [, , m0, deltaM] = THALMANN_COMPARTMENTS[compartment];
-  const depthFsw = depth * METERS_TO_FEET; // Convert meters to feet
+  const seaLevelMeters = (depthToPressure(depth, env) - P_SURFACE) * 10;
+  const depthFsw = seaLevelMeters * METERS_TO_FEET; // Convert meters to feet
   return m0 + deltaM * depthFsw;
 }
 
 /**
  * Calculate Thalmann ceiling depth for current tissue loading.
  */
-function thalmannCeiling(tissueLoading) {
+function thalmannCeiling(tissueLoading, env) {
   let maxCeiling = 0;
   
   for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
@@ -91,7 +99,7 @@ function thalmannCeiling(tissueLoading) {
     
     // Solve for depth: P_tissue = M0 + ΔM × depth_fsw
     const ceilingFsw = (pN2 - m0) / deltaM;
-    const ceilingDepth = Math.max(0, ceilingFsw / METERS_TO_FEET);
+    const ceilingDepth = pressureToDepth(P_SURFACE + ceilingFsw / METERS_TO_FEET / 10, env);
     
     if (ceilingDepth > maxCeiling) {
       maxCeiling = ceilingDepth;
@@ -104,9 +112,9 @@ function thalmannCeiling(tissueLoading) {
 /**
  * Check if tissue can ascend safely to specified depth.
  */
-function canAscendThalmann(tissueLoading, newDepth) {
+function canAscendThalmann(tissueLoading, newDepth, env) {
   for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
-    const allowable = thalmannMValue(i, newDepth);
+    const allowable = thalmannMValue(i, newDepth, env);
     if (tissueLoading[i] > allowable) {
       return false;
     }
@@ -122,38 +130,55 @@ function canAscendThalmann(tissueLoading, newDepth) {
  * @param {number} gfLow - Ignored (Thalmann doesn't use gradient factors)
  * @param {number} gfHigh - Ignored (Thalmann doesn't use gradient factors)
  * @param {number} ascentRate - Ascent rate in m/min
+ * @param {Object} [options.ccr] - CCR setpoints: fO2 is the diluent's, breathed
+ *   at the loop setpoint (a phase's logged `setpoint` when it has one)
  * @returns {Object} Deco stops and tissue data
  */
 export function calculateThalmann(phases, options = {}) {
-  const { fO2 = 0.21, ascentRate = 9, decoAscentRate = 9, lastStopDepth = 6 } = options;
+  const { fO2 = 0.21, decoAscentRate = 9, ccr = null } = options;
   const fN2 = 1.0 - fO2;
+  // N₂ fraction breathed in each phase (the diluent's on CCR); the ascent stays on the last one
+  const phaseN2 = ccr ? phases.map(() => fN2) : phaseGases(phases, fO2).map(g => 1.0 - g.fO2);
+  const ascentN2 = phaseN2.length > 0 ? phaseN2[phaseN2.length - 1] : fN2;
+  const env = createEnvironment(options);
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
   
-  // Initialize tissue loading at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(THALMANN_COMPARTMENTS.length).fill(surfaceN2);
+  // Initialize tissue loading at surface equilibrium (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(THALMANN_COMPARTMENTS.length, surfaceN2, options.initialTissues?.n2);
   
-  // Process each phase to build tissue loading using asymmetric kinetics
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
-    const ambientPressure = depthToPressure(phase.depth);
-    const duration = phase.duration;
-    
+  // Asymmetric kinetics at a constant depth
+  const hold = (tissues, depth, time, inert = ascentN2, logged) => {
+    const pi = setpointAt
+      ? inspiredPressureCCR(depth, inert, setpointAt(depth, logged), fO2, env)
+      : inspiredPressure(depth, inert, env);
+    const ambient = depthToPressure(depth, env);
     for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
-      tissueLoading[i] = thalmannTissueUpdate(
-        tissueLoading[i], 
-        pi, 
-        duration, 
-        i, 
-        ambientPressure
-      );
+      tissues[i] = thalmannTissueUpdate(tissues[i], pi, time, i, ambient);
     }
-  }
+  };
+
+  // Depth changes are stepped through since the kinetics switch mid-segment
+  const load = (tissues, fromDepth, toDepth, time, inert = ascentN2, logged) => {
+    if (fromDepth === toDepth) return hold(tissues, toDepth, time, inert, logged);
+    for (const step of linearDepthSteps(fromDepth, toDepth, time)) {
+      hold(tissues, step.depth, step.time, inert, logged);
+    }
+  };
+
+  // Process each phase to build tissue loading using asymmetric kinetics
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    load(tissueLoading, depth, phase.depth, phase.duration, phaseN2[i], phase.setpoint);
+    depth = phase.depth;
+  });
   
   // Calculate ceiling using Thalmann M-values
-  const rawCeiling = thalmannCeiling(tissueLoading);
+  const rawCeiling = thalmannCeiling(tissueLoading, env);
   
-  // Round ceiling up to next 3m stop
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  // Round ceiling up to the stop grid
+  const grid = createStopGrid(options);
+  const firstStopDepth = grid.firstStop(rawCeiling);
   
   // Generate Thalmann decompression stops
   const decoStops = [];
@@ -161,76 +186,44 @@ export function calculateThalmann(phases, options = {}) {
   
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
     
-    while (currentStop >= lastStopDepth) {
+    while (grid.isStop(currentStop)) {
       let stopTime = 0;
-      const tempTissue = [...workingTissue];
-      
-      // Simulate ascent to this stop
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
       
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPi = inspiredPressure(currentStop, fN2);
-      const transitAmbient = depthToPressure(currentStop);
-      
-      for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
-        tempTissue[i] = thalmannTissueUpdate(
-          tempTissue[i], 
-          transitPi, 
-          transitTime, 
-          i, 
-          transitAmbient
-        );
-      }
+      // Ascent to this stop
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      load(workingTissue, prevDepth, currentStop, transitTime);
       
       // Check if we can ascend to next stop
-      const nextStop = currentStop - 3;
-      let canAscend = false;
-      const simTissue = [...tempTissue];
+      const nextStop = grid.next(currentStop);
+      const simTissue = [...workingTissue];
       
       // Stay at stop until M-value allows ascent
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        if (canAscendThalmann(simTissue, nextStop)) {
-          canAscend = true;
-          stopTime = minute;
-          break;
-        }
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
+        if (canAscendThalmann(simTissue, nextStop, env)) break;
         
         // Simulate 1 more minute at this stop using asymmetric kinetics
-        const pi = inspiredPressure(currentStop, fN2);
-        const ambient = depthToPressure(currentStop);
-        
-        for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
-          simTissue[i] = thalmannTissueUpdate(simTissue[i], pi, 1, i, ambient);
-        }
-        stopTime = minute + 1;
+        hold(simTissue, currentStop, 1);
+        stopTime = grid.stopTime(waited + 1);
       }
       
       if (stopTime > 0) {
-        decoStops.push({ depth: currentStop, time: stopTime });
+        const stop = { depth: currentStop, time: stopTime };
+        if (ccr) stop.setpoint = setpointAt(currentStop);
+        decoStops.push(stop);
       }
       
       // Update working tissue with actual stop time using asymmetric kinetics
-      const pi = inspiredPressure(currentStop, fN2);
-      const ambient = depthToPressure(currentStop);
-      
-      for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
-        workingTissue[i] = thalmannTissueUpdate(
-          workingTissue[i], 
-          pi, 
-          transitTime + stopTime, 
-          i, 
-          ambient
-        );
-      }
+      hold(workingTissue, currentStop, stopTime);
       
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
   
-  const mValues = THALMANN_COMPARTMENTS.map((_, i) => thalmannMValue(i, 0));
+  const mValues = THALMANN_COMPARTMENTS.map((_, i) => thalmannMValue(i, 0, env));
 
   return {
     decoStops,
@@ -241,5 +234,35 @@ export function calculateThalmann(phases, options = {}) {
     compartmentCount: THALMANN_COMPARTMENTS.length,
     halfTimes: THALMANN_COMPARTMENTS.map(c => c[0]),
     mValues,
+    circuit: ccr ? 'ccr' : 'oc',
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): exponential uptake,
+ * linear elimination while supersaturated, and the M0 + ΔM × depth in feet
+ * limits as a line in ambient pressure.
+ */
+export const THALMANN_TISSUE_MODEL = {
+  name: 'Thalmann VVAL-18',
+  compartments: THALMANN_COMPARTMENTS.length,
+  halfTimes: THALMANN_COMPARTMENTS.map(c => c[0]),
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(THALMANN_COMPARTMENTS.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }, env) {
+    const steps = fromDepth === toDepth ? [{ depth: toDepth, time }] : linearDepthSteps(fromDepth, toDepth, time);
+    for (const step of steps) {
+      const pi = inspired(step.depth).piN2;
+      const ambient = depthToPressure(step.depth, env);
+      for (let i = 0; i < THALMANN_COMPARTMENTS.length; i++) {
+        state.n2[i] = thalmannTissueUpdate(state.n2[i], pi, step.time, i, ambient);
+      }
+    }
+  },
+  limit(state, i) {
+    const [, , m0, deltaM] = THALMANN_COMPARTMENTS[i];
+    const slope = deltaM * 10 * METERS_TO_FEET;
+    return { intercept: m0 - slope * P_SURFACE, slope };
+  },
+};
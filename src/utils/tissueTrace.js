@@ -0,0 +1,223 @@
+/**
+ * Incremental tissue-state trace of a dive profile, shared by the ceiling
+ * line, the GF99 / surfacing GF series, the GF explorer and the
+ * supersaturation display.
+ *
+ * The profile is simulated once, minute by minute, with the tissue model of
+ * the panel's own algorithm (see the *_TISSUE_MODEL exports of each
+ * algorithm). Every step records the compartment tensions, the ceiling, the
+ * current and surfacing gradient factors and the leading compartment.
+ *
+ * A tissue model is { name, compartments, labels, halfTimes, helium, gf,
+ * start, load, limit }:
+ * - `labels`: optional compartment labels (default 1, 2, 3…)
+ * - `helium`: tracks He separately; otherwise He is loaded as N₂
+ * - `gf`: the ceiling is scaled by GF low
+ * - `start(fN2, env)`: the pre-dive state { n2, he }
+ * - `load(state, { fromDepth, toDepth, time, gas, inspired }, env)`: loads
+ *   one linear segment in place; `inspired(depth)` gives { piN2, piHe }
+ * - `limit(state, i, env)`: the tolerated tension of compartment i as a
+ *   line in ambient pressure, { intercept, slope } (bar)
+ */
+import { inspiredPressure, inspiredPressureCCR, depthToPressure, pressureToDepth } from './physics.js';
+import { buhlmannTissueModel } from './buhlmann.js';
+import { vpmTissueModel } from './vpm.js';
+import { RGBM_TISSUE_MODEL } from './rgbm.js';
+import { HALDANE_TISSUE_MODEL } from './haldane.js';
+import { WORKMAN_TISSUE_MODEL } from './workman.js';
+import { THALMANN_TISSUE_MODEL } from './thalmann.js';
+import { DCIEM_TISSUE_MODEL } from './dciem.js';
+import { DSAT_TISSUE_MODEL } from './dsat.js';
+import { USNAVY_TISSUE_MODEL } from './usnavy.js';
+import { BSAC_TISSUE_MODEL } from './bsac.js';
+import { buildGasTimeline, getGasAtTime } from './gasTimeline.js';
+import { isBuhlmannAlgorithm, paramSetFor } from './customParams.js';
+import { ccrFromSettings, createSetpointTracker } from './ccr.js';
+import { createEnvironment } from './environment.js';
+
+// Tissue models by algorithm id (ZH-L variants and custom sets are looked up by variant)
+const TISSUE_MODELS = {
+  vpm: (settings) => vpmTissueModel(settings.conservatism || 0),
+  rgbm: () => RGBM_TISSUE_MODEL,
+  haldane: () => HALDANE_TISSUE_MODEL,
+  workman: () => WORKMAN_TISSUE_MODEL,
+  thalmann: () => THALMANN_TISSUE_MODEL,
+  dciem: () => DCIEM_TISSUE_MODEL,
+  dsat: () => DSAT_TISSUE_MODEL,
+  usnavy: () => USNAVY_TISSUE_MODEL,
+  bsac: () => BSAC_TISSUE_MODEL,
+};
+
+/** The tissue model of a panel's algorithm, or null without one. */
+export function tissueModel(settings) {
+  const algorithm = settings?.algorithm;
+  if (!algorithm || algorithm === 'none') return null;
+  if (isBuhlmannAlgorithm(algorithm)) return buhlmannTissueModel(algorithm, paramSetFor(settings) ?? undefined);
+  return TISSUE_MODELS[algorithm]?.(settings) ?? null;
+}
+
+/** Tolerated tension of a limit line at an ambient pressure (bar). */
+export function toleratedTension(limit, ambient) {
+  return limit.intercept + limit.slope * ambient;
+}
+
+/**
+ * Gradient factor (%) of a tension at an ambient pressure: 0 at ambient
+ * equilibrium, 100 at the tolerated tension. Unclamped, so undersaturated
+ * tissues are negative.
+ */
+export function gradientFactor(tension, limit, ambient) {
+  const allowed = toleratedTension(limit, ambient) - ambient;
+  return allowed > 0 ? ((tension - ambient) / allowed) * 100 : 0;
+}
+
+/** Shallowest ambient pressure (bar) a tension tolerates at gradient factor gf (0–1). */
+export function ceilingPressure(tension, limit, gf = 1) {
+  return (tension - gf * limit.intercept) / (1 + gf * (limit.slope - 1));
+}
+
+/**
+ * Simulate a dive profile with the tissue model of `settings.algorithm`.
+ *
+ * Returns null without an algorithm model or profile, otherwise
+ * { algorithm, name, compartments, labels, halfTimes, gf, surfacePressure,
+ * limits, steps }. `limits` are the compartment limit lines at the end of the dive;
+ * `steps` hold one entry per minute from t = 0:
+ * { time, depth, ambient, n2, he, ceiling, gf, surfacingGF, leading }, with
+ * per-compartment `n2`/`he` tensions (`he` null for models without He), the
+ * ceiling (m), the leading compartment's GF (%) at depth and the highest GF
+ * (%) a direct ascent to the surface would reach.
+ *
+ * @param {Array} points - Profile points [{time, depth}]
+ * @param {Object} settings - Dive settings including algorithm, fO2, fHe, gfLow
+ *   and the dive site (altitude, salinity, acclimatized)
+ * @param {Array} [phases] - Optional dive phases for gas switch tracking
+ */
+export function tissueTrace(points, settings, phases) {
+  const model = tissueModel(settings);
+  if (!model || !points || points.length < 2) return null;
+
+  const { fO2 = 0.21, fHe = 0, gfLow = 50 } = settings;
+  const env = createEnvironment(settings);
+  const ccr = ccrFromSettings(settings);
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
+  const gasTimeline = buildGasTimeline(phases, fO2, fHe);
+  const inertN2 = (gas) => model.helium ? gas.fN2 : gas.fN2 + gas.fHe;
+  const ceilingGF = model.gf ? gfLow / 100 : 1;
+
+  const state = model.start(inertN2(gasTimeline[0]), env);
+  const nc = model.compartments;
+  const maxTime = points[points.length - 1].time;
+
+  function depthAt(t) {
+    if (t <= 0) return 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      const p1 = points[i], p2 = points[i + 1];
+      if (t >= p1.time && t <= p2.time) {
+        if (p1.time === p2.time) return p1.depth;
+        const ratio = (t - p1.time) / (p2.time - p1.time);
+        return p1.depth + (p2.depth - p1.depth) * ratio;
+      }
+    }
+    return points[points.length - 1].depth;
+  }
+
+  // Inspired pressures of a gas; the setpoint tracker is fed depths in dive order
+  const inspiredFor = (gas) => (depth) => {
+    const fN2 = inertN2(gas);
+    const fHeInspired = model.helium ? gas.fHe : 0;
+    if (setpointAt) {
+      const setpoint = setpointAt(depth, gas.setpoint);
+      return {
+        piN2: inspiredPressureCCR(depth, fN2, setpoint, gas.fO2, env),
+        piHe: inspiredPressureCCR(depth, fHeInspired, setpoint, gas.fO2, env),
+      };
+    }
+    return { piN2: inspiredPressure(depth, fN2, env), piHe: inspiredPressure(depth, fHeInspired, env) };
+  };
+
+  const steps = [];
+  let depth = 0;
+  for (let t = 0; t <= maxTime; t++) {
+    const nextDepth = depthAt(t);
+    if (t > 0) {
+      // The gas breathed over the minute
+      const gas = getGasAtTime(gasTimeline, t - 1);
+      model.load(state, { fromDepth: depth, toDepth: nextDepth, time: 1, gas, inspired: inspiredFor(gas) }, env);
+    }
+    depth = nextDepth;
+
+    const ambient = depthToPressure(depth, env);
+    let ceiling = 0;
+    let leading = 0;
+    let gf = -Infinity;
+    let surfacingGF = 0;
+    for (let i = 0; i < nc; i++) {
+      const tension = state.n2[i] + (state.he ? state.he[i] : 0);
+      const limit = model.limit(state, i, env);
+      ceiling = Math.max(ceiling, pressureToDepth(ceilingPressure(tension, limit, ceilingGF), env));
+      const current = gradientFactor(tension, limit, ambient);
+      if (current > gf) {
+        gf = current;
+        leading = i;
+      }
+      surfacingGF = Math.max(surfacingGF, gradientFactor(tension, limit, env.surfacePressure));
+    }
+
+    steps.push({
+      time: t,
+      depth,
+      ambient,
+      n2: [...state.n2],
+      he: state.he ? [...state.he] : null,
+      ceiling,
+      gf: Math.max(0, gf),
+      surfacingGF,
+      leading,
+    });
+  }
+
+  return {
+    algorithm: settings.algorithm,
+    name: model.name,
+    compartments: nc,
+    labels: model.labels ?? Array.from({ length: nc }, (_, i) => String(i + 1)),
+    halfTimes: model.halfTimes.slice(0, nc),
+    gf: model.gf,
+    surfacePressure: env.surfacePressure,
+    limits: Array.from({ length: nc }, (_, i) => model.limit(state, i, env)),
+    steps,
+  };
+}
+
+/**
+ * Whether a trace carries Bühlmann GF metrics (GF99, surfacing GF): the
+ * percentages of ZH-L (or custom set) M-values that divers read off their
+ * computers.
+ */
+export function hasGFMetrics(trace) {
+  return isBuhlmannAlgorithm(trace?.algorithm);
+}
+
+/**
+ * Gradient factors over each phase of the dive: [{ gf, surfacingGF, leading }]
+ * with the highest GF99 and surfacing GF (%) from the phase's start to its
+ * end (a stop's surfacing GF peaks on arrival) and the compartment leading
+ * at the GF99 peak. Phases without a whole minute use the nearest step.
+ */
+export function phaseGF(trace, phases) {
+  const last = trace.steps.length - 1;
+  return phases.map(phase => {
+    const start = phase.runTime;
+    const end = phase.runTime + phase.duration;
+    let steps = trace.steps.slice(Math.max(0, Math.ceil(start)), Math.min(last, Math.floor(end)) + 1);
+    if (steps.length === 0) steps = [trace.steps[Math.min(last, Math.round(start))]];
+    let peak = steps[0];
+    let surfacingGF = 0;
+    for (const step of steps) {
+      if (step.gf > peak.gf) peak = step;
+      surfacingGF = Math.max(surfacingGF, step.surfacingGF);
+    }
+    return { gf: peak.gf, surfacingGF, leading: peak.leading };
+  });
+}
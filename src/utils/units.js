@@ -0,0 +1,148 @@
+/**
+ * Metric / imperial unit systems for the planner UI.
+ *
+ * Calculations always run in metric (m, bar, liters of water capacity); values
+ * are converted only when shown or entered, so a depth typed as 100 ft is kept
+ * as exactly 30.48 m rather than a rounded display value.
+ *
+ * Imperial depths are feet of sea water: the planner's 10 m/bar hydrostatics
+ * make 1 ft = 1 fsw. Tissue and ambient pressures are shown in fsw, cylinder
+ * pressures in psi, and cylinders by rated capacity (cuft) at working pressure.
+ */
+import { TEN_FEET } from './stopGrid.js';
+
+export const METERS_PER_FOOT = 0.3048;
+export const PSI_PER_BAR = 14.5037738;
+export const LITERS_PER_CUFT = 28.316846592;
+// 1 bar = 10 msw
+export const FSW_PER_BAR = 10 / METERS_PER_FOOT;
+
+export const UNIT_SYSTEMS = {
+  metric: { depth: 'm', rate: 'm/min', pressure: 'bar', tissue: 'bar', volume: 'L', sac: 'L/min', tank: 'L' },
+  imperial: { depth: 'ft', rate: 'ft/min', pressure: 'psi', tissue: 'fsw', volume: 'cuft', sac: 'cuft/min', tank: 'cuft' },
+};
+
+export const DEFAULT_UNITS = 'metric';
+
+export function isImperial(units) {
+  return units === 'imperial';
+}
+
+/** Unit labels for a system (metric when unknown). */
+export function unitLabels(units) {
+  return UNIT_SYSTEMS[units] || UNIT_SYSTEMS.metric;
+}
+
+/** Normalize a stored/URL value to a known unit system. */
+export function parseUnits(value) {
+  return Object.hasOwn(UNIT_SYSTEMS, value ?? '') ? value : DEFAULT_UNITS;
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Depth (m ↔ ft); also used for rates (m/min ↔ ft/min)
+export function toDisplayDepth(meters, units) {
+  return isImperial(units) ? meters / METERS_PER_FOOT : meters;
+}
+
+export function fromDisplayDepth(value, units) {
+  return isImperial(units) ? value * METERS_PER_FOOT : value;
+}
+
+// Cylinder pressure (bar ↔ psi)
+export function toDisplayPressure(bar, units) {
+  return isImperial(units) ? bar * PSI_PER_BAR : bar;
+}
+
+export function fromDisplayPressure(value, units) {
+  return isImperial(units) ? value / PSI_PER_BAR : value;
+}
+
+// Tissue / ambient pressure (bar ↔ fsw)
+export function toDisplayTissue(bar, units) {
+  return isImperial(units) ? bar * FSW_PER_BAR : bar;
+}
+
+// Gas volume at surface (L ↔ cuft); also used for SAC (L/min ↔ cuft/min)
+export function toDisplayVolume(liters, units) {
+  return isImperial(units) ? liters / LITERS_PER_CUFT : liters;
+}
+
+export function fromDisplayVolume(value, units) {
+  return isImperial(units) ? value * LITERS_PER_CUFT : value;
+}
+
+/**
+ * Cylinder size for display: water capacity (L) in metric, rated gas
+ * capacity (cuft) at the working pressure in imperial.
+ */
+export function toDisplayTank(waterLiters, workingBar, units) {
+  return isImperial(units) ? waterLiters * workingBar / LITERS_PER_CUFT : waterLiters;
+}
+
+export function fromDisplayTank(value, workingBar, units) {
+  return isImperial(units) ? value * LITERS_PER_CUFT / workingBar : value;
+}
+
+/** A depth as a number in display units, rounded to `digits` decimals. */
+export function displayDepth(meters, units, digits = 0) {
+  return round(toDisplayDepth(meters, units), digits);
+}
+
+// Formatted "<value><unit>" strings; `digits` is the display precision
+export function formatDepth(meters, units, digits = 0) {
+  return `${displayDepth(meters, units, digits)}${unitLabels(units).depth}`;
+}
+
+export function formatPressure(bar, units) {
+  return isImperial(units) ? `${Math.round(toDisplayPressure(bar, units))} psi` : `${bar} bar`;
+}
+
+export function formatTissue(bar, units, digits = 3) {
+  return isImperial(units)
+    ? `${toDisplayTissue(bar, units).toFixed(1)} fsw`
+    : `${bar.toFixed(digits)} bar`;
+}
+
+export function formatVolume(liters, units) {
+  return `${volumeValue(liters, units)}${isImperial(units) ? ' cuft' : 'L'}`;
+}
+
+/** A gas volume in display units, rounded up (whole L, or 0.1 cuft). */
+export function volumeValue(liters, units) {
+  return isImperial(units)
+    ? (Math.ceil(toDisplayVolume(liters, units) * 10 - 1e-9) / 10).toLocaleString()
+    : Math.ceil(liters - 1e-9).toLocaleString();
+}
+
+/** Cylinder size label: "12L" or "85 cuft" (rated at the working pressure). */
+export function formatTank(waterLiters, workingBar, units) {
+  return isImperial(units)
+    ? `${Math.round(toDisplayTank(waterLiters, workingBar, units))} cuft`
+    : `${waterLiters}L`;
+}
+
+/** A depth limit (e.g. MOD) rounded down in display units, so it never overstates. */
+export function floorDepth(meters, units) {
+  return `${Math.floor(toDisplayDepth(meters, units) + 1e-9)}${unitLabels(units).depth}`;
+}
+
+/** A converted value rounded for an input box (metric values are shown as stored). */
+export function inputValue(value, units, digits = 1) {
+  return isImperial(units) ? round(value, digits) : value;
+}
+
+/**
+ * Stop grid settings for a unit system: imperial plans use a 10 ft grid with
+ * 10/20 ft last stops, metric plans 3 m with 3/6 m. Other intervals are kept.
+ */
+export function stopGridForUnits(settings, units) {
+  const grid = isImperial(units) ? TEN_FEET : 3;
+  const near = (a, b) => Math.abs(a - b) < 0.1;
+  const stopInterval = near(settings.stopInterval ?? 3, 3) ? grid : settings.stopInterval;
+  const lastStopDepth = near(settings.lastStopDepth ?? 6, 3) ? grid : 2 * grid;
+  return { stopInterval, lastStopDepth };
+}
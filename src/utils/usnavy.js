@@ -1,197 +1,277 @@
 /**
  * US Navy Diving Manual Rev 7 decompression tables.
  * 
- * Table-based approach using published Air Decompression Table (Table 9-5).
- * For profiles not exactly matching table entries, rounds to next deeper/longer entry.
+ * No-decompression dives use Table 9-7 (no-decompression limits and
+ * repetitive group designators, in fsw). Longer dives use the air
+ * decompression schedules (fsw, air stops only), rounded up to the next
+ * deeper depth and longer bottom time as the manual prescribes. Dives past the last tabulated depth
+ * or bottom time are flagged `outsideTable` instead of being clamped to the
+ * last schedule, and dives deeper than 190 fsw are flagged as exceptional
+ * exposure.
  * Based on the Thalmann EL (Exponential-Linear) algorithm.
+ *
+ * Altitude (Rev 7 ch. 9): above 300 ft the table is entered at the sea level
+ * equivalent depth and the stops are taken at the equivalent (shallower)
+ * depths. Fresh water depths are converted to fsw at any altitude.
  */
 
-import { P_SURFACE } from './constants.js';
-import { inspiredPressure, schreiner } from './physics.js';
+import { P_SURFACE, METERS_TO_FEET } from './constants.js';
+import { inspiredPressure, surfaceEquilibrium, schreiner, schreinerSegment, initTissues } from './physics.js';
+import { createEnvironment, seaLevelDepth } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
+import { GROUP_SYSTEMS, pressureGroup } from './pressureGroups.js';
 
-// US Navy Air Decompression Table (Rev 7, Table 9-5)
-// Format: { depth(fsw): { bottomTime(min): [{ stop_depth_fsw, stop_time_min }, ...] } }
-// Converted to metric. Depths in feet → meters (÷3.28084), rounded to nearest 3m.
-// Key entries from published tables.
+// Altitude above which the Rev 7 altitude corrections apply (300 ft)
+const ALTITUDE_THRESHOLD = 91.44;
+
+// Deepest normal air exposure (fsw); deeper dives are exceptional exposure
+const EXCEPTIONAL_EXPOSURE_DEPTH = 190;
+
+// Table 9-7: no-decompression limit (min) per depth (fsw), and the longest
+// bottom time that puts the diver in each repetitive group. `ndl: Infinity`
+// marks unlimited depths, whose last group covers any bottom time. Group
+// columns beyond 130 fsw are not entered yet.
+const NO_DECO_TABLE = {
+  10: { ndl: Infinity, groups: { A: 57, B: 101, C: 158, D: 245, E: 426, F: Infinity } },
+  15: { ndl: Infinity, groups: { A: 36, B: 60, C: 88, D: 121, E: 163, F: 217, G: 297, H: 449, I: Infinity } },
+  20: { ndl: Infinity, groups: { A: 26, B: 43, C: 61, D: 82, E: 106, F: 133, G: 165, H: 205, I: 256, J: 330, K: 461, L: Infinity } },
+  25: { ndl: 1102, groups: { A: 20, B: 33, C: 47, D: 62, E: 78, F: 97, G: 117, H: 140, I: 166, J: 198, K: 236, L: 285, M: 354, N: 469, O: 992, Z: 1102 } },
+  30: { ndl: 371, groups: { A: 17, B: 27, C: 38, D: 50, E: 62, F: 76, G: 91, H: 107, I: 125, J: 145, K: 167, L: 193, M: 223, N: 260, O: 307, Z: 371 } },
+  35: { ndl: 232, groups: { A: 14, B: 23, C: 32, D: 42, E: 52, F: 64, G: 76, H: 89, I: 103, J: 119, K: 135, L: 155, M: 176, N: 201, O: 232 } },
+  40: { ndl: 163, groups: { A: 12, B: 20, C: 27, D: 36, E: 45, F: 55, G: 65, H: 76, I: 88, J: 101, K: 115, L: 131, M: 148, N: 163 } },
+  45: { ndl: 125, groups: { A: 11, B: 17, C: 24, D: 31, E: 39, F: 47, G: 56, H: 65, I: 75, J: 86, K: 97, L: 110, M: 125 } },
+  50: { ndl: 92, groups: { A: 9, B: 15, C: 21, D: 28, E: 34, F: 42, G: 49, H: 57, I: 66, J: 75, K: 84, L: 92 } },
+  55: { ndl: 74, groups: { A: 8, B: 14, C: 19, D: 25, E: 31, F: 37, G: 44, H: 51, I: 59, J: 67, K: 74 } },
+  60: { ndl: 63, groups: { A: 7, B: 12, C: 17, D: 22, E: 28, F: 33, G: 40, H: 46, I: 53, J: 60, K: 63 } },
+  70: { ndl: 48, groups: { A: 6, B: 10, C: 14, D: 19, E: 23, F: 28, G: 33, H: 38, I: 44, J: 48 } },
+  80: { ndl: 39, groups: { A: 5, B: 9, C: 12, D: 16, E: 20, F: 24, G: 28, H: 33, I: 37, J: 39 } },
+  90: { ndl: 33, groups: { A: 4, B: 7, C: 11, D: 14, E: 17, F: 21, G: 24, H: 28, I: 31, J: 33 } },
+  100: { ndl: 25, groups: { A: 4, B: 6, C: 9, D: 12, E: 15, F: 18, G: 21, H: 25 } },
+  110: { ndl: 20, groups: { A: 3, B: 6, C: 8, D: 11, E: 14, F: 16, G: 19, H: 20 } },
+  120: { ndl: 15, groups: { A: 3, B: 5, C: 7, D: 10, E: 12, F: 15 } },
+  130: { ndl: 12, groups: { A: 2, B: 4, C: 6, D: 8, E: 11, F: 12 } },
+  140: { ndl: 10, groups: null },
+  150: { ndl: 8, groups: null },
+  160: { ndl: 7, groups: null },
+  170: { ndl: 6, groups: null },
+  180: { ndl: 6, groups: null },
+  190: { ndl: 5, groups: null },
+};
+
+/**
+ * Smallest table key at or above a value, or null past the last one.
+ */
+function nextTableKey(keys, value) {
+  return keys.map(Number).sort((a, b) => a - b).find(k => k >= value) ?? null;
+}
+
+/**
+ * Table 9-7 entry for a dive: the no-decompression limit at the table depth
+ * and the repetitive group for the bottom time (null when past the limit or
+ * not tabulated).
+ */
+export function lookupNoDecompression(depthFsw, bottomTime) {
+  const tableDepth = nextTableKey(Object.keys(NO_DECO_TABLE), depthFsw);
+  if (tableDepth === null) return null;
+  const { ndl, groups } = NO_DECO_TABLE[tableDepth];
+  const group = bottomTime <= ndl && groups
+    ? Object.keys(groups).find(letter => groups[letter] >= bottomTime) ?? null
+    : null;
+  return { tableDepth, ndl, group };
+}
+
+// US Navy air decompression schedules in fsw, as the manual prints them:
+// { depth (fsw): { bottomTime (min): [{ depth (fsw), time (min) }, ...] } },
+// air stops only. No-decompression times come from Table 9-7. These rows
+// carry the tree's earlier approximate schedules over to fsw; they have not
+// been checked cell by cell against Rev 7 Table 9-9, whose in-water O₂ and
+// SurDO₂ schedules and repetitive groups after decompression dives are not
+// encoded.
 const USN_TABLE = {
-  // 40 fsw (12m)
-  12: {
-    200: [],  // No deco
-    300: [{ depth: 3, time: 2 }],
-  },
-  // 50 fsw (15m)
-  15: {
-    100: [],
-    150: [{ depth: 3, time: 3 }],
-    200: [{ depth: 3, time: 17 }],
-  },
-  // 60 fsw (18m)
-  18: {
-    60: [],
-    80: [{ depth: 3, time: 7 }],
-    100: [{ depth: 3, time: 14 }],
-    120: [{ depth: 3, time: 26 }],
-  },
-  // 70 fsw (21m)
-  21: {
-    50: [],
-    60: [{ depth: 3, time: 8 }],
-    80: [{ depth: 3, time: 14 }],
-    100: [{ depth: 6, time: 1 }, { depth: 3, time: 26 }],
-  },
-  // 80 fsw (24m)  
-  24: {
-    40: [],
-    50: [{ depth: 3, time: 10 }],
-    60: [{ depth: 3, time: 17 }],
-    80: [{ depth: 6, time: 5 }, { depth: 3, time: 22 }],
-  },
-  // 90 fsw (27m)
-  27: {
-    30: [],
-    40: [{ depth: 3, time: 7 }],
-    50: [{ depth: 3, time: 18 }],
-    60: [{ depth: 6, time: 2 }, { depth: 3, time: 23 }],
-  },
-  // 100 fsw (30m)
-  30: {
-    25: [],
-    30: [{ depth: 3, time: 3 }],
-    40: [{ depth: 3, time: 15 }],
-    50: [{ depth: 6, time: 2 }, { depth: 3, time: 24 }],
-    60: [{ depth: 6, time: 9 }, { depth: 3, time: 23 }],
-    70: [{ depth: 6, time: 16 }, { depth: 3, time: 23 }],
-  },
-  // 110 fsw (33m)
-  33: {
-    20: [],
-    25: [{ depth: 3, time: 3 }],
-    30: [{ depth: 3, time: 7 }],
-    40: [{ depth: 6, time: 2 }, { depth: 3, time: 21 }],
-    50: [{ depth: 6, time: 8 }, { depth: 3, time: 23 }],
-  },
-  // 120 fsw (36m)
-  36: {
-    15: [],
-    20: [{ depth: 3, time: 2 }],
-    25: [{ depth: 3, time: 7 }],
-    30: [{ depth: 6, time: 1 }, { depth: 3, time: 16 }],
-    40: [{ depth: 6, time: 7 }, { depth: 3, time: 23 }],
-  },
-  // 130 fsw (39m)
-  39: {
-    10: [],
-    15: [{ depth: 3, time: 1 }],
-    20: [{ depth: 3, time: 5 }],
-    25: [{ depth: 6, time: 1 }, { depth: 3, time: 14 }],
-    30: [{ depth: 6, time: 4 }, { depth: 3, time: 21 }],
-  },
-  // 140 fsw (42m)
-  42: {
-    10: [],
-    15: [{ depth: 3, time: 2 }],
-    20: [{ depth: 6, time: 2 }, { depth: 3, time: 8 }],
-    25: [{ depth: 6, time: 5 }, { depth: 3, time: 18 }],
-  },
-  // 150 fsw (45m)
-  45: {
-    5: [],
-    10: [{ depth: 3, time: 3 }],
-    15: [{ depth: 6, time: 1 }, { depth: 3, time: 7 }],
-    20: [{ depth: 6, time: 4 }, { depth: 3, time: 17 }],
-  },
-  // 160 fsw (48m)
-  48: {
-    5: [],
-    10: [{ depth: 3, time: 4 }],
-    15: [{ depth: 6, time: 3 }, { depth: 3, time: 11 }],
-    20: [{ depth: 6, time: 7 }, { depth: 3, time: 21 }],
-  },
-  // 170 fsw (51m)
-  51: {
-    5: [],
-    10: [{ depth: 6, time: 1 }, { depth: 3, time: 6 }],
-    15: [{ depth: 6, time: 5 }, { depth: 3, time: 16 }],
-  },
-  // 180 fsw (54m)
-  54: {
-    5: [],
-    10: [{ depth: 6, time: 2 }, { depth: 3, time: 8 }],
-    15: [{ depth: 6, time: 7 }, { depth: 3, time: 19 }],
-  },
-  // 190 fsw (57m)
-  57: {
-    5: [],
-    10: [{ depth: 6, time: 3 }, { depth: 3, time: 11 }],
-    15: [{ depth: 9, time: 1 }, { depth: 6, time: 9 }, { depth: 3, time: 22 }],
-  },
-  // 200 fsw (60m)
+  // 12 m
+  40: {
+    300: [{ depth: 10, time: 2 }],
+  },
+  // 15 m
+  50: {
+    150: [{ depth: 10, time: 3 }],
+    200: [{ depth: 10, time: 17 }],
+  },
+  // 18 m
   60: {
-    5: [],
-    10: [{ depth: 6, time: 4 }, { depth: 3, time: 14 }],
-    15: [{ depth: 9, time: 3 }, { depth: 6, time: 11 }, { depth: 3, time: 23 }],
+    80: [{ depth: 10, time: 7 }],
+    100: [{ depth: 10, time: 14 }],
+    120: [{ depth: 10, time: 26 }],
+  },
+  // 21 m
+  70: {
+    60: [{ depth: 10, time: 8 }],
+    80: [{ depth: 10, time: 14 }],
+    100: [{ depth: 20, time: 1 }, { depth: 10, time: 26 }],
+  },
+  // 24 m
+  80: {
+    50: [{ depth: 10, time: 10 }],
+    60: [{ depth: 10, time: 17 }],
+    80: [{ depth: 20, time: 5 }, { depth: 10, time: 22 }],
+  },
+  // 27 m
+  90: {
+    40: [{ depth: 10, time: 7 }],
+    50: [{ depth: 10, time: 18 }],
+    60: [{ depth: 20, time: 2 }, { depth: 10, time: 23 }],
+  },
+  // 30 m
+  100: {
+    30: [{ depth: 10, time: 3 }],
+    40: [{ depth: 10, time: 15 }],
+    50: [{ depth: 20, time: 2 }, { depth: 10, time: 24 }],
+    60: [{ depth: 20, time: 9 }, { depth: 10, time: 23 }],
+    70: [{ depth: 20, time: 16 }, { depth: 10, time: 23 }],
+  },
+  // 33 m
+  110: {
+    25: [{ depth: 10, time: 3 }],
+    30: [{ depth: 10, time: 7 }],
+    40: [{ depth: 20, time: 2 }, { depth: 10, time: 21 }],
+    50: [{ depth: 20, time: 8 }, { depth: 10, time: 23 }],
+  },
+  // 36 m
+  120: {
+    20: [{ depth: 10, time: 2 }],
+    25: [{ depth: 10, time: 7 }],
+    30: [{ depth: 20, time: 1 }, { depth: 10, time: 16 }],
+    40: [{ depth: 20, time: 7 }, { depth: 10, time: 23 }],
+  },
+  // 39 m
+  130: {
+    15: [{ depth: 10, time: 1 }],
+    20: [{ depth: 10, time: 5 }],
+    25: [{ depth: 20, time: 1 }, { depth: 10, time: 14 }],
+    30: [{ depth: 20, time: 4 }, { depth: 10, time: 21 }],
+  },
+  // 42 m
+  140: {
+    15: [{ depth: 10, time: 2 }],
+    20: [{ depth: 20, time: 2 }, { depth: 10, time: 8 }],
+    25: [{ depth: 20, time: 5 }, { depth: 10, time: 18 }],
+  },
+  // 45 m
+  150: {
+    10: [{ depth: 10, time: 3 }],
+    15: [{ depth: 20, time: 1 }, { depth: 10, time: 7 }],
+    20: [{ depth: 20, time: 4 }, { depth: 10, time: 17 }],
+  },
+  // 48 m
+  160: {
+    10: [{ depth: 10, time: 4 }],
+    15: [{ depth: 20, time: 3 }, { depth: 10, time: 11 }],
+    20: [{ depth: 20, time: 7 }, { depth: 10, time: 21 }],
+  },
+  // 51 m
+  170: {
+    10: [{ depth: 20, time: 1 }, { depth: 10, time: 6 }],
+    15: [{ depth: 20, time: 5 }, { depth: 10, time: 16 }],
+  },
+  // 54 m
+  180: {
+    10: [{ depth: 20, time: 2 }, { depth: 10, time: 8 }],
+    15: [{ depth: 20, time: 7 }, { depth: 10, time: 19 }],
+  },
+  // 57 m
+  190: {
+    10: [{ depth: 20, time: 3 }, { depth: 10, time: 11 }],
+    15: [{ depth: 30, time: 1 }, { depth: 20, time: 9 }, { depth: 10, time: 22 }],
+  },
+  // 60 m
+  200: {
+    10: [{ depth: 20, time: 4 }, { depth: 10, time: 14 }],
+    15: [{ depth: 30, time: 3 }, { depth: 20, time: 11 }, { depth: 10, time: 23 }],
   },
 };
 
 /**
- * Look up deco schedule from USN table.
- * Rounds depth up to next table depth, bottom time up to next table time.
+ * Look up a decompression schedule (depth in fsw). Rounds depth up to the
+ * next table depth and bottom time up to the next table time; returns
+ * `outsideTable` past the deepest depth or longest time rather than using
+ * the last schedule. Table depth and stops come back in meters.
  */
-function lookupSchedule(depth, bottomTime) {
-  const tableDepths = Object.keys(USN_TABLE).map(Number).sort((a, b) => a - b);
-  
-  // Find next deeper (or equal) table depth
-  let tableDepth = tableDepths[tableDepths.length - 1];
-  for (const d of tableDepths) {
-    if (d >= depth) { tableDepth = d; break; }
-  }
-  
-  const depthEntry = USN_TABLE[tableDepth];
-  if (!depthEntry) return { stops: [], ndl: true };
-  
-  const tableTimes = Object.keys(depthEntry).map(Number).sort((a, b) => a - b);
-  
-  // Find next longer (or equal) table time
-  let tableTime = tableTimes[tableTimes.length - 1];
-  for (const t of tableTimes) {
-    if (t >= bottomTime) { tableTime = t; break; }
-  }
-  
-  const stops = depthEntry[tableTime] || [];
-  return { stops: [...stops], ndl: stops.length === 0, tableDepth, tableTime };
+function lookupSchedule(depthFsw, bottomTime) {
+  const tableFsw = nextTableKey(Object.keys(USN_TABLE), depthFsw);
+  if (tableFsw === null) return { stops: [], outsideTable: true };
+
+  const tableDepth = tableFsw / METERS_TO_FEET;
+  const depthEntry = USN_TABLE[tableFsw];
+  const tableTime = nextTableKey(Object.keys(depthEntry), bottomTime);
+  if (tableTime === null) return { stops: [], outsideTable: true, tableDepth };
+
+  const stops = depthEntry[tableTime].map(s => ({ ...s, depth: s.depth / METERS_TO_FEET }));
+  return { stops, outsideTable: false, tableDepth, tableTime };
 }
 
 // Simple tissue model for tissue loading display (Thalmann-based)
 const HALFTIMES = [5, 10, 20, 40, 80, 120, 160, 200, 240];
 
+/**
+ * Sea level table lookup environment: below the altitude threshold only the
+ * water density is corrected.
+ */
+function tableEnvironment(env) {
+  return env.altitude > ALTITUDE_THRESHOLD ? env : { ...env, surfacePressure: P_SURFACE };
+}
+
 /**
  * Run US Navy Rev 7 table lookup.
+ *
+ * `options.residualTime` (RNT, min) is added to the bottom time on a
+ * repetitive dive.
+ *
+ * Besides the schedule, returns the Table 9-7 limit (`tableNDL`), the
+ * repetitive group of a no-decompression dive, and the `outsideTable` and
+ * `exceptionalExposure` flags. `tableDepth` (m) and `tableTime` are the
+ * table row the dive was entered at.
  */
 export function calculateUSNavy(phases, options = {}) {
-  const { fO2 = 0.21 } = options;
+  const { fO2 = 0.21, residualTime = 0 } = options;
   const fN2 = 1.0 - fO2;
   const nc = HALFTIMES.length;
+  const env = createEnvironment(options);
 
   // Initialize and process tissues for display
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(nc).fill(surfaceN2);
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(nc, surfaceN2, options.initialTissues?.n2);
+  const gases = phaseGases(phases, fO2);
+  phases.forEach((phase, p) => {
+    const pi = inspiredPressure(phase.depth, 1.0 - gases[p].fO2, env);
     for (let i = 0; i < nc; i++) {
       tissueLoading[i] = schreiner(tissueLoading[i], pi, phase.duration, HALFTIMES[i]);
     }
-  }
+  });
 
   const maxDepth = Math.max(...phases.map(p => p.depth), 0);
-  const totalBottomTime = phases.reduce((sum, p) => sum + p.duration, 0);
+  // A repetitive dive enters the table at its equivalent single dive time
+  const totalBottomTime = phases.reduce((sum, p) => sum + p.duration, 0) + residualTime;
 
-  const { stops, ndl, tableDepth, tableTime } = lookupSchedule(maxDepth, totalBottomTime);
+  const tableEnv = tableEnvironment(env);
+  const equivalentDepth = seaLevelDepth(maxDepth, tableEnv);
+  // Round away float noise before entering the fsw table
+  const depthFsw = Math.round(equivalentDepth * METERS_TO_FEET * 100) / 100;
+  const noDeco = lookupNoDecompression(depthFsw, totalBottomTime);
+  const ndl = noDeco !== null && totalBottomTime <= noDeco.ndl;
+  const schedule = ndl
+    ? { stops: [], outsideTable: false, tableDepth: noDeco.tableDepth / METERS_TO_FEET, tableTime: noDeco.ndl }
+    : lookupSchedule(depthFsw, totalBottomTime);
+  const { stops, outsideTable, tableDepth, tableTime } = schedule;
 
-  // Convert table stops to deco stop format (deepest first)
-  const decoStops = stops.sort((a, b) => b.depth - a.depth);
+  // Convert table stops to deco stop format (deepest first), at altitude
+  // equivalent depths
+  const stopFactor = tableEnv.surfacePressure / P_SURFACE;
+  const decoStops = stops
+    .map(s => ({ ...s, depth: s.depth * stopFactor }))
+    .sort((a, b) => b.depth - a.depth);
   const firstStopDepth = decoStops.length > 0 ? decoStops[0].depth : 0;
 
-  const mValues = HALFTIMES.map(() => P_SURFACE * 1.6);
+  const mValues = HALFTIMES.map(() => env.surfacePressure * 1.6);
 
   return {
     decoStops,
@@ -204,5 +284,34 @@ export function calculateUSNavy(phases, options = {}) {
     mValues,
     tableDepth,
     tableTime,
+    equivalentDepth,
+    tableNDL: noDeco ? noDeco.ndl : 0,
+    repetitiveGroup: noDeco?.group ?? null,
+    outsideTable,
+    exceptionalExposure: depthFsw > EXCEPTIONAL_EXPOSURE_DEPTH,
+    groupSystem: 'usnavy',
+    // Table 9-7 group where tabulated, otherwise from the 120 min compartment
+    pressureGroup: noDeco?.group ?? pressureGroup(GROUP_SYSTEMS.usnavy, tissueLoading[HALFTIMES.indexOf(GROUP_SYSTEMS.usnavy.halfTime)], env),
   };
 }
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): the display
+ * compartments with the 1.6 surfacing ratio of the table M-values.
+ */
+export const USNAVY_TISSUE_MODEL = {
+  name: 'US Navy Rev 7',
+  compartments: HALFTIMES.length,
+  halfTimes: HALFTIMES,
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(HALFTIMES.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const piStart = inspired(fromDepth).piN2;
+    const piEnd = inspired(toDepth).piN2;
+    for (let i = 0; i < HALFTIMES.length; i++) {
+      state.n2[i] = schreinerSegment(state.n2[i], piStart, piEnd, time, HALFTIMES[i]);
+    }
+  },
+  limit: () => ({ intercept: 0, slope: 1.6 }),
+};
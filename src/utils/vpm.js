@@ -1,219 +1,654 @@
 /**
- * VPM-B (Varying Permeability Model) decompression algorithm.
- * 
- * Based on Yount's bubble nucleation model. Key concepts:
- * - Bubbles exist as stable nuclei in tissues
- * - At depth, pressure crushes nuclei to smaller radii
- * - On ascent, supersaturation causes bubbles to grow
- * - The allowed supersaturation gradient is limited by bubble mechanics
- * - VPM-B adds Boyle's law compensation for bubble growth
- * 
- * VPM produces deeper first stops than Bühlmann but similar total deco time.
+ * VPM-B (Varying Permeability Model with Boyle's law compensation).
+ *
+ * Follows Yount's bubble model as implemented in Baker's VPMDECO / VPM-B:
+ * - Every compartment has critical nucleus radii for N₂ and He
+ * - Descent crushes the nuclei; past the onset of impermeability the
+ *   gas inside the skin resists further crushing
+ * - Crushed nuclei regenerate towards their original size (14 day time constant)
+ * - The allowable supersaturation gradient follows from the regenerated radius
+ * - The critical volume algorithm (CVA) relaxes the gradients, iterating the
+ *   schedule until the deco + surface phase volume time converges
+ * - Boyle's law compensation shrinks the gradient at each shallower stop
+ * - Repetitive dives enlarge the critical radii from the previous dive's
+ *   maximum actual gradient, decaying over the surface interval
+ * - On a CCR the diluent is breathed at the loop setpoint (see ccr.js)
+ *
+ * Pressures are in bar, radii in meters, surface tensions in N/m.
  */
+import {
+  GAMMA, GAMMA_C, MAX_STOP_MINUTES,
+  VPM_LAMBDA, VPM_GRADIENT_ONSET_IMPERM, VPM_REGENERATION_TIME, VPM_OTHER_GASES,
+} from './constants.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, inspiredPressureCCR, surfaceEquilibrium, schreiner, schreinerLinear, initTissues } from './physics.js';
+import { getGasAtDepth } from './buhlmann.js';
+import { createStopGrid } from './stopGrid.js';
+import { createEnvironment } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
+import { createSetpointTracker } from './ccr.js';
 
-// ZHL-16C compartment half-times
-const HALFTIMES = [
-  4.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0,
+// ZHL-16 half-times (compartment 1b for N₂, as used by VPMDECO)
+const N2_HALFTIMES = [
+  5.0, 8.0, 12.5, 18.5, 27.0, 38.3, 54.3, 77.0,
   109.0, 146.0, 187.0, 239.0, 305.0, 390.0, 498.0, 635.0
 ];
+const HE_HALFTIMES = [
+  1.88, 3.02, 4.72, 6.99, 10.21, 14.48, 20.53, 29.11,
+  41.20, 55.19, 70.69, 90.34, 115.29, 147.42, 188.24, 240.03
+];
+const NC = 16;
 
-import { P_SURFACE, GAMMA, GAMMA_C, LAMBDA_N2, MAX_STOP_MINUTES } from './constants.js';
-import { depthToPressure, pressureToDepth, inspiredPressure, schreiner } from './physics.js';
+// Nominal (+0) critical radii; conservatism +1..+4 scales them up
+const CRITICAL_RADIUS_N2 = 0.55e-6;
+const CRITICAL_RADIUS_HE = 0.45e-6;
+const CONSERVATISM_FACTORS = [1.0, 1.05, 1.12, 1.22, 1.35];
 
-// Initial critical nucleus radii at surface (meters)
-// These are per-compartment, derived from empirical fitting
-// Faster compartments have larger initial radii (more bubble tolerance)
-// Slower compartments have smaller radii (less tolerance)
-const R0_N2 = [
-  1.30e-6, 1.20e-6, 1.10e-6, 1.00e-6, 0.95e-6, 0.90e-6, 0.85e-6, 0.80e-6,
-  0.75e-6, 0.72e-6, 0.70e-6, 0.68e-6, 0.66e-6, 0.64e-6, 0.62e-6, 0.60e-6
-];
+const PA_PER_BAR = 1e5;
+const SKIN_GRADIENT = 2 * (GAMMA_C - GAMMA);
+const AIR_FN2 = 0.79;
+const MAX_CVA_ITERATIONS = 50;
+
+/**
+ * Solve A·r³ − B·r² − C = 0 for r between the bounds (Newton-Raphson with
+ * bisection fallback, as RADIUS_ROOT_FINDER in VPMDECO).
+ */
+export function radiusRootFinder(a, b, c, lowBound, highBound) {
+  const f = (r) => r * (r * (a * r - b)) - c;
+  const fLow = f(lowBound);
+  const fHigh = f(highBound);
+  if (fLow === 0) return lowBound;
+  if (fHigh === 0) return highBound;
+  if ((fLow > 0 && fHigh > 0) || (fLow < 0 && fHigh < 0)) {
+    throw new Error('VPM radius root not within brackets');
+  }
+
+  let rLow = fLow < 0 ? lowBound : highBound;
+  let rHigh = fLow < 0 ? highBound : lowBound;
+  let radius = 0.5 * (lowBound + highBound);
+  let lastChange = Math.abs(highBound - lowBound);
+  let change = lastChange;
+  let value = f(radius);
+  let derivative = radius * (radius * 3 * a - 2 * b);
+
+  for (let i = 0; i < 100; i++) {
+    if (((radius - rHigh) * derivative - value) * ((radius - rLow) * derivative - value) >= 0
+      || Math.abs(2 * value) > Math.abs(lastChange * derivative)) {
+      lastChange = change;
+      change = 0.5 * (rHigh - rLow);
+      radius = rLow + change;
+      if (rLow === radius) return radius;
+    } else {
+      lastChange = change;
+      change = value / derivative;
+      const previous = radius;
+      radius -= change;
+      if (previous === radius) return radius;
+    }
+    if (Math.abs(change) < 1e-12) return radius;
+    value = f(radius);
+    derivative = radius * (radius * 3 * a - 2 * b);
+    if (value < 0) rLow = radius;
+    else rHigh = radius;
+  }
+  return radius;
+}
+
+function cloneState(state) {
+  return { n2: [...state.n2], he: [...state.he] };
+}
+
+// Linear ascent/descent between the inspired pressures ({ piN2, piHe }) at
+// its ends
+function loadSegment(state, start, end, time) {
+  if (time <= 0) return;
+  const n2Rate = (end.piN2 - start.piN2) / time;
+  const heRate = (end.piHe - start.piHe) / time;
+  for (let i = 0; i < NC; i++) {
+    state.n2[i] = schreinerLinear(state.n2[i], start.piN2, n2Rate, time, N2_HALFTIMES[i]);
+    state.he[i] = schreinerLinear(state.he[i], start.piHe, heRate, time, HE_HALFTIMES[i]);
+  }
+}
+
+// Ascent at a constant rate, switching to each deco gas at its switch depth
+function ascend(state, fromDepth, toDepth, rate, gases) {
+  const switchDepths = gases.switches
+    .map(g => g.depth)
+    .filter(d => d < fromDepth && d > toDepth)
+    .sort((a, b) => b - a);
+  let depth = fromDepth;
+  for (const next of [...switchDepths, toDepth]) {
+    const gas = getGasAtDepth(depth, gases.bottom, gases.switches);
+    loadSegment(state, gases.inspired(depth, gas), gases.inspired(next, gas), (depth - next) / rate);
+    depth = next;
+  }
+}
+
+function gasLabel(gas) {
+  return `${Math.round(gas.fO2 * 100)}/${Math.round(gas.fHe * 100)}`;
+}
+
+function loadConstant(state, time, { piN2, piHe }) {
+  for (let i = 0; i < NC; i++) {
+    state.n2[i] = schreiner(state.n2[i], piN2, time, N2_HALFTIMES[i]);
+    state.he[i] = schreiner(state.he[i], piHe, time, HE_HALFTIMES[i]);
+  }
+}
+
+/**
+ * Deepest tolerated depth for the given gradients (bar), He/N₂ weighted.
+ * Negative when every compartment could go above the surface.
+ */
+function ceilingDepth(state, gradN2, gradHe, env) {
+  let ceiling = -Infinity;
+  for (let i = 0; i < NC; i++) {
+    const load = state.n2[i] + state.he[i];
+    const gradient = load > 0
+      ? (gradHe[i] * state.he[i] + gradN2[i] * state.n2[i]) / load
+      : Math.min(gradHe[i], gradN2[i]);
+    const tolerated = load + VPM_OTHER_GASES - gradient;
+    ceiling = Math.max(ceiling, (tolerated - env.surfacePressure) * env.metersPerBar);
+  }
+  return ceiling;
+}
+
+/**
+ * Where, on a linear descent, a compartment's gradient reaches the onset of
+ * impermeability (CALC_START_OF_IMPERM). Bisection on segment time.
+ */
+function onsetOfImpermeability(n2, he, i, fromDepth, toDepth, time, start, end, env) {
+  const startAmbient = depthToPressure(fromDepth, env);
+  const ambientRate = (toDepth - fromDepth) / env.metersPerBar / time;
+  const n2Rate = (end.piN2 - start.piN2) / time;
+  const heRate = (end.piHe - start.piHe) / time;
+  const at = (t) => {
+    const ambient = startAmbient + ambientRate * t;
+    const tension = schreinerLinear(n2, start.piN2, n2Rate, t, N2_HALFTIMES[i])
+      + schreinerLinear(he, start.piHe, heRate, t, HE_HALFTIMES[i])
+      + VPM_OTHER_GASES;
+    return { ambient, tension, value: ambient - tension - VPM_GRADIENT_ONSET_IMPERM };
+  };
+
+  let low = 0;
+  let high = time;
+  let mid = at(0);
+  for (let iter = 0; iter < 100; iter++) {
+    const t = (low + high) / 2;
+    mid = at(t);
+    if (mid.value <= 0) low = t;
+    else high = t;
+    if (high - low < 1e-6) break;
+  }
+  return { ambient: mid.ambient, tension: mid.tension };
+}
+
+/**
+ * Crushing pressure at the end of a descent for one gas of one compartment
+ * (CALC_CRUSHING_PRESSURE). Below the onset of impermeability it's just the
+ * ambient − tension gradient; past it, the nucleus is solved as a closed volume.
+ */
+function crushingPressure(endAmbient, endTension, radius, onset) {
+  const endGradient = endAmbient - endTension;
+  if (endGradient <= VPM_GRADIENT_ONSET_IMPERM || !onset) return endGradient;
+
+  const onsetPa = VPM_GRADIENT_ONSET_IMPERM * PA_PER_BAR;
+  const radiusOnset = 1 / (onsetPa / SKIN_GRADIENT + 1 / radius);
+  const endAmbientPa = endAmbient * PA_PER_BAR;
+  const onsetAmbientPa = onset.ambient * PA_PER_BAR;
+  const onsetTensionPa = onset.tension * PA_PER_BAR;
+
+  const a = endAmbientPa - onsetAmbientPa + onsetTensionPa + SKIN_GRADIENT / radiusOnset;
+  const b = SKIN_GRADIENT;
+  const c = onsetTensionPa * radiusOnset ** 3;
+  const endRadius = radiusRootFinder(a, b, c, b / a, radiusOnset);
+  const crushPa = onsetPa + endAmbientPa - onsetAmbientPa
+    + onsetTensionPa * (1 - radiusOnset ** 3 / endRadius ** 3);
+  return crushPa / PA_PER_BAR;
+}
+
+/**
+ * Regenerated radius and adjusted crushing pressure after `diveTime` minutes
+ * (NUCLEAR_REGENERATION), then the initial allowable gradient (bar).
+ */
+function initialGradient(maxCrush, radius, diveTime) {
+  const crushPa = maxCrush * PA_PER_BAR;
+  const endRadius = 1 / (crushPa / SKIN_GRADIENT + 1 / radius);
+  let regenerated = radius;
+  let adjustedCrushPa = 0;
+  if (endRadius < radius) {
+    regenerated = radius + (endRadius - radius) * Math.exp(-diveTime / VPM_REGENERATION_TIME);
+    const ratio = (endRadius * (radius - regenerated)) / (regenerated * (radius - endRadius));
+    adjustedCrushPa = crushPa * ratio;
+  }
+  const gradientPa = (GAMMA * SKIN_GRADIENT) / (regenerated * GAMMA_C);
+  return {
+    gradient: gradientPa / PA_PER_BAR,
+    adjustedCrush: adjustedCrushPa / PA_PER_BAR,
+    regenerated,
+  };
+}
+
+/**
+ * Relax the allowable gradient for a phase volume time (CRITICAL_VOLUME).
+ */
+function criticalVolumeGradient(initialGrad, adjustedCrush, phaseVolumeTime) {
+  const lambdaPa = VPM_LAMBDA * PA_PER_BAR;
+  const initialPa = initialGrad * PA_PER_BAR;
+  const crushPa = adjustedCrush * PA_PER_BAR;
+  const b = initialPa + (lambdaPa * GAMMA) / (GAMMA_C * phaseVolumeTime);
+  const c = (GAMMA * GAMMA * lambdaPa * crushPa) / (GAMMA_C * GAMMA_C * phaseVolumeTime);
+  return ((b + Math.sqrt(b * b - 4 * c)) / 2) / PA_PER_BAR;
+}
+
+/**
+ * Gradient at the next stop from the gradient at the first stop: the bubble
+ * sized at the first stop expands with falling ambient pressure (BOYLES_LAW_COMPENSATION).
+ */
+function boyleGradient(gradient, firstStopAmbient, nextStopAmbient) {
+  const gradientPa = gradient * PA_PER_BAR;
+  const firstPa = firstStopAmbient * PA_PER_BAR;
+  const nextPa = nextStopAmbient * PA_PER_BAR;
+  const radiusFirst = (2 * GAMMA) / gradientPa;
+  const c = (firstPa + (2 * GAMMA) / radiusFirst) * radiusFirst ** 3;
+  const high = radiusFirst * Math.cbrt(firstPa / nextPa);
+  const radius = radiusRootFinder(nextPa, -2 * GAMMA, c, radiusFirst, high);
+  return ((2 * GAMMA) / radius) / PA_PER_BAR;
+}
+
+/**
+ * Time each compartment keeps off-gassing at the surface, weighted by the
+ * gradient (CALC_SURFACE_PHASE_VOLUME_TIME).
+ */
+function surfacePhaseVolumeTime(state, env) {
+  const surfaceN2 = inspiredPressure(0, AIR_FN2, env);
+  return state.n2.map((n2, i) => {
+    const he = state.he[i];
+    const kN2 = Math.LN2 / N2_HALFTIMES[i];
+    const kHe = Math.LN2 / HE_HALFTIMES[i];
+    if (n2 > surfaceN2) {
+      return (he / kHe + (n2 - surfaceN2) / kN2) / (he + n2 - surfaceN2);
+    }
+    if (he > 0 && he + n2 >= surfaceN2) {
+      const decayTime = (1 / (kN2 - kHe)) * Math.log((surfaceN2 - n2) / he);
+      const integral = (he / kHe) * (1 - Math.exp(-kHe * decayTime))
+        + ((n2 - surfaceN2) / kN2) * (1 - Math.exp(-kN2 * decayTime));
+      return integral / (he + n2 - surfaceN2);
+    }
+    return 0;
+  });
+}
 
 /**
- * Calculate the initial allowable supersaturation gradient for each compartment.
- * This is the gradient allowed at the FIRST stop, based on surface bubble radius.
- * 
- * G_i = (2 * gamma_total) / (r0_i * P_factor)
- * 
- * where P_factor converts N/m/m to bar (1e5 Pa/bar)
- * and gamma_total = gamma + gamma_c
+ * Depth at which the ascent enters the deco zone: the deepest depth where a
+ * compartment's total tension reaches ambient (CALC_START_OF_DECO_ZONE).
+ * `start` and `surface` are the inspired pressures at the bottom and at the
+ * surface on the bottom gas.
  */
-function calcInitialGradients() {
-  const gammaTotal = GAMMA + GAMMA_C; // 0.0436 N/m
-  const gradients = [];
-  
-  for (let i = 0; i < 16; i++) {
-    // Laplace equation: ΔP = 2γ/r
-    const gradientPa = 2.0 * gammaTotal / R0_N2[i];
-    const gradientBar = gradientPa / 100000.0;
-    gradients.push(gradientBar);
+function startOfDecoZone(state, fromDepth, rate, start, surface, env) {
+  const startAmbient = depthToPressure(fromDepth, env);
+  const ambientRate = -rate / env.metersPerBar;
+  const ascentTime = fromDepth / rate;
+  const n2Rate = (surface.piN2 - start.piN2) / ascentTime;
+  const heRate = (surface.piHe - start.piHe) / ascentTime;
+  let zoneDepth = 0;
+
+  for (let i = 0; i < NC; i++) {
+    const f = (t) => schreinerLinear(state.n2[i], start.piN2, n2Rate, t, N2_HALFTIMES[i])
+      + schreinerLinear(state.he[i], start.piHe, heRate, t, HE_HALFTIMES[i])
+      + VPM_OTHER_GASES - (startAmbient + ambientRate * t);
+    if (f(0) >= 0) return fromDepth;
+
+    let low = 0;
+    let high = startAmbient / -ambientRate;
+    for (let iter = 0; iter < 100 && high - low > 1e-6; iter++) {
+      const t = (low + high) / 2;
+      if (f(t) < 0) low = t;
+      else high = t;
+    }
+    const depth = pressureToDepth(startAmbient + ambientRate * low, env);
+    zoneDepth = Math.max(zoneDepth, depth);
+  }
+  return zoneDepth;
+}
+
+// Supersaturation per compartment at a given depth (CALC_MAX_ACTUAL_GRADIENT)
+function trackActualGradient(maxActual, state, depth, env) {
+  const ambient = depthToPressure(depth, env);
+  for (let i = 0; i < NC; i++) {
+    const gradient = state.n2[i] + state.he[i] + VPM_OTHER_GASES - ambient;
+    if (gradient > maxActual[i]) maxActual[i] = gradient;
   }
-  
-  return gradients;
 }
 
 /**
- * Adjust initial gradients for max depth (crushing effect).
- * At depth, pressure crushes nuclei smaller. Upon ascent, the crushed
- * nuclei allow slightly different gradients.
- * 
- * The adjusted radius after crushing:
- * 1/r_new = 1/r0 + (P_max - P_surface) / (2 * gamma_total * scale)
- * 
- * where scale prevents the radius from going too small
+ * Critical radii for a repetitive dive (VPM_REPETITIVE_ALGORITHM): nuclei
+ * excited past their allowable gradient on the previous dive stay enlarged,
+ * relaxing back over the surface interval.
  */
-function calcAdjustedGradients(maxAmbientPressure) {
-  const gammaTotal = GAMMA + GAMMA_C;
-  const deltaPressure = maxAmbientPressure - P_SURFACE; // in bar
-  const gradients = [];
-  
-  for (let i = 0; i < 16; i++) {
-    // Crushing effect: deeper dive = smaller nuclei = slightly more tolerance
-    // But this effect is modest, not the dominant factor
-    const crushFactor = 1.0 + deltaPressure * 0.01 * (1 + i * 0.05);
-    const adjustedGradient = calcInitialGradients()[i] * crushFactor;
-    
-    gradients.push(adjustedGradient);
-  }
-  
-  return gradients;
+function repetitiveRadius(initialRadius, maxActual, initialGrad, adjustedCrush, surfaceTime) {
+  if (!(maxActual > initialGrad)) return initialRadius;
+  const denominator = maxActual * PA_PER_BAR * GAMMA_C - GAMMA * adjustedCrush * PA_PER_BAR;
+  if (denominator <= 0) return initialRadius;
+  const newRadius = (GAMMA * SKIN_GRADIENT) / denominator;
+  return initialRadius + (initialRadius - newRadius) * Math.exp(-surfaceTime / VPM_REGENERATION_TIME);
 }
 
 /**
- * Calculate VPM-B ceiling for all compartments.
- * Ceiling = tissue_loading - max_gradient (in pressure units)
+ * One pass of the ascent from the bottom with fixed allowable gradients:
+ * first stop from the ceiling (pushed deeper if the projected ascent breaks
+ * it), then Boyle-compensated stops to the surface.
  */
-function calcCeiling(tissueLoading, gradients, gfLow) {
-  let maxCeiling = 0;
-  const gfFactor = gfLow / 100.0;
-  
-  for (let i = 0; i < 16; i++) {
-    const scaledGradient = gradients[i] * gfFactor;
-    const requiredAmbient = tissueLoading[i] - scaledGradient;
-    const ceilingDepth = pressureToDepth(requiredAmbient);
-    
-    if (ceilingDepth > maxCeiling) {
-      maxCeiling = ceilingDepth;
+function planAscent(bottomState, bottomDepth, allowN2, allowHe, gases, rate, grid, maxActual, env) {
+  const state = cloneState(bottomState);
+  const stops = [];
+  let ascentTime = 0;
+
+  const ceiling = ceilingDepth(state, allowN2, allowHe, env);
+  let firstStop = 0;
+  if (ceiling > 0) {
+    firstStop = Math.max(grid.lastStop, grid.firstStop(ceiling));
+    // Projected ascent: tissues keep loading on the way up
+    for (;;) {
+      if (firstStop >= bottomDepth) break;
+      const projected = cloneState(state);
+      ascend(projected, bottomDepth, firstStop, rate, gases);
+      if (ceilingDepth(projected, allowN2, allowHe, env) <= firstStop) break;
+      firstStop = grid.deeper(firstStop);
     }
+    firstStop = Math.min(firstStop, bottomDepth);
   }
-  
-  return maxCeiling;
+
+  if (firstStop <= 0) {
+    ascend(state, bottomDepth, 0, rate, gases);
+    return { stops, firstStop: 0, ascentTime: bottomDepth / rate, surfaceState: state };
+  }
+
+  const firstTransit = (bottomDepth - firstStop) / rate;
+  ascend(state, bottomDepth, firstStop, rate, gases);
+  ascentTime += firstTransit;
+
+  let prevLabel = gasLabel(gases.bottom);
+
+  const firstStopAmbient = depthToPressure(firstStop, env);
+  let stopDepth = firstStop;
+  for (;;) {
+    const nextStop = grid.isStop(grid.next(stopDepth)) ? grid.next(stopDepth) : 0;
+    if (maxActual) trackActualGradient(maxActual, state, stopDepth, env);
+
+    const nextAmbient = depthToPressure(nextStop, env);
+    const decoN2 = allowN2.map(g => boyleGradient(g, firstStopAmbient, nextAmbient));
+    const decoHe = allowHe.map(g => boyleGradient(g, firstStopAmbient, nextAmbient));
+
+    const gas = getGasAtDepth(stopDepth, gases.bottom, gases.switches);
+    const label = gasLabel(gas);
+    if (label !== prevLabel) {
+      // Gas switch marker (time added by UI toggle)
+      stops.push({ depth: stopDepth, time: 0, gas: label, gasSwitch: true });
+      prevLabel = label;
+    }
+
+    // Every grid stop is minimum 1 min; continuous steps only wait while held
+    let minutes = 0;
+    const held = () => ceilingDepth(state, decoN2, decoHe, env) > nextStop;
+    while ((minutes === 0 && !grid.continuous) || (held() && minutes < MAX_STOP_MINUTES)) {
+      loadConstant(state, 1, gases.inspired(stopDepth, gas));
+      minutes++;
+    }
+    if (minutes > 0) {
+      const stop = { depth: stopDepth, time: minutes, gas: label };
+      if (gases.setpointAt) stop.setpoint = gases.setpointAt(stopDepth);
+      stops.push(stop);
+    }
+    ascentTime += minutes;
+
+    const transit = (stopDepth - nextStop) / rate;
+    ascend(state, stopDepth, nextStop, rate, gases);
+    ascentTime += transit;
+    if (nextStop === 0) break;
+    stopDepth = nextStop;
+  }
+
+  return { stops, firstStop, ascentTime, surfaceState: state };
 }
 
 /**
  * Run VPM-B decompression calculation.
+ *
+ * Options: fO2, fHe, gasSwitches, decoAscentRate, lastStopDepth, stopInterval,
+ * continuousDeco, conservatism (0–4), initialTissues ({ n2, he, bubble } from a previous dive),
+ * altitude, salinity, acclimatized (the dive site, see createEnvironment).
+ * Each dive phase is breathed on its own `gas` (see phaseGases); the ascent
+ * continues on the last one until the deco gases take over at their switch
+ * depths. With `options.ccr` set, fO2/fHe describe the diluent, breathed at
+ * the loop setpoint (a phase's logged `setpoint` when it has one) for the
+ * whole dive; phase and deco gas switches are ignored.
  */
 export function calculateVPM(phases, options = {}) {
-  const { fO2 = 0.21, gfLow = 50, gfHigh = 70, ascentRate = 9, decoAscentRate = 9, fHe = 0, gasSwitches = [], lastStopDepth = 6 } = options;
-  const fN2 = 1.0 - fO2 - (fHe || 0);
-  const maxDepth = Math.max(...phases.map(p => p.depth), 0);
-  const maxAmbientPressure = depthToPressure(maxDepth);
-
-  // Initialize tissues at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(16).fill(surfaceN2);
-
-  // Process dive phases
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
-    for (let i = 0; i < 16; i++) {
-      tissueLoading[i] = schreiner(tissueLoading[i], pi, phase.duration, HALFTIMES[i]);
-    }
-  }
+  const { fO2 = 0.21, fHe = 0, gasSwitches = [], decoAscentRate = 9, conservatism = 0, initialTissues = null, ccr = null } = options;
+  const grid = createStopGrid(options);
+  const env = createEnvironment(options);
+  const diluent = { fO2, fHe: fHe || 0, fN2: 1.0 - fO2 - (fHe || 0) };
+  const breathing = ccr ? phases.map(() => diluent) : phaseGases(phases, fO2, fHe || 0);
+  const gas = breathing.length > 0 ? breathing[breathing.length - 1] : diluent;
+  const setpointAt = ccr ? createSetpointTracker(ccr) : null;
+
+  // Inspired inert pressures for a gas at depth (open circuit or CCR loop)
+  const inspired = (depth, breathed, logged) => {
+    if (!setpointAt) return { piN2: inspiredPressure(depth, breathed.fN2, env), piHe: inspiredPressure(depth, breathed.fHe, env) };
+    const setpoint = setpointAt(depth, logged);
+    return {
+      piN2: inspiredPressureCCR(depth, breathed.fN2, setpoint, breathed.fO2, env),
+      piHe: inspiredPressureCCR(depth, breathed.fHe, setpoint, breathed.fO2, env),
+    };
+  };
+  const gases = {
+    bottom: gas,
+    switches: ccr ? [] : (gasSwitches || []).map(g => ({ ...g, fHe: g.fHe || 0 })),
+    inspired,
+    setpointAt,
+  };
+  const radiusFactor = CONSERVATISM_FACTORS[Math.max(0, Math.min(4, Math.round(conservatism)))];
+  const baseRadiusN2 = CRITICAL_RADIUS_N2 * radiusFactor;
+  const baseRadiusHe = CRITICAL_RADIUS_HE * radiusFactor;
+  const previousBubble = initialTissues?.bubble?.maxActualGradient ? initialTissues.bubble : null;
 
-  // Calculate adjusted gradients based on max depth
-  const gradients = calcAdjustedGradients(maxAmbientPressure);
+  // Initialize tissues at surface equilibrium on air (or residual from a previous dive)
+  const state = {
+    n2: initTissues(NC, surfaceEquilibrium(AIR_FN2, env), initialTissues?.n2),
+    he: initTissues(NC, 0, initialTissues?.he),
+  };
+  const hasHe = fHe > 0 || breathing.some(g => g.fHe > 0) || gases.switches.some(g => g.fHe > 0) || state.he.some(p => p > 0);
 
-  // Find ceiling
-  const rawCeiling = calcCeiling(tissueLoading, gradients, gfLow);
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  // Time at the surface before the first descent extends the surface interval
+  let surfaceTime = previousBubble?.surfaceTime || 0;
+  let firstDive = phases.findIndex(p => p.depth > 0);
+  if (firstDive === -1) firstDive = phases.length;
+  phases.slice(0, firstDive).forEach((phase, i) => {
+    loadConstant(state, phase.duration, inspired(0, breathing[i], phase.setpoint));
+    surfaceTime += phase.duration;
+  });
 
-  // Generate deco stops
-  const decoStops = [];
-  const workingTissue = [...tissueLoading];
+  // Surface interval only: off-gas and carry the bubble state forward
+  if (firstDive === phases.length) {
+    return {
+      decoStops: [],
+      firstStopDepth: 0,
+      tissueLoading: [...state.n2],
+      heLoading: hasHe ? [...state.he] : null,
+      ceiling: 0,
+      noDecoLimit: true,
+      compartmentCount: NC,
+      halfTimes: [...N2_HALFTIMES],
+      mValues: [],
+      bubbleState: previousBubble ? { ...previousBubble, surfaceTime } : null,
+    };
+  }
 
-  if (firstStopDepth > 0) {
-    let currentStop = firstStopDepth;
+  // Critical radii, enlarged after a previous dive's excitation
+  const radiusN2 = new Array(NC).fill(baseRadiusN2);
+  const radiusHe = new Array(NC).fill(baseRadiusHe);
+  if (previousBubble) {
+    for (let i = 0; i < NC; i++) {
+      radiusN2[i] = repetitiveRadius(baseRadiusN2, previousBubble.maxActualGradient[i],
+        previousBubble.initialGradientN2[i], previousBubble.adjustedCrushN2[i], surfaceTime);
+      radiusHe[i] = repetitiveRadius(baseRadiusHe, previousBubble.maxActualGradient[i],
+        previousBubble.initialGradientHe[i], previousBubble.adjustedCrushHe[i], surfaceTime);
+    }
+  }
 
-    while (currentStop >= lastStopDepth) {
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
+  // Dive phases: descents crush the nuclei, ascents are tracked for excitation
+  const maxCrushN2 = new Array(NC).fill(0);
+  const maxCrushHe = new Array(NC).fill(0);
+  const onset = new Array(NC).fill(null);
+  const maxActual = new Array(NC).fill(0);
+  let depth = 0;
+  let diveTime = 0;
 
-      // Transit to this stop
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < 16; i++) {
-        workingTissue[i] = schreiner(workingTissue[i], transitPi, transitTime, HALFTIMES[i]);
-      }
+  for (let p = firstDive; p < phases.length; p++) {
+    const phase = phases[p];
+    const phaseGas = breathing[p];
+    const start = cloneState(state);
+    const piStart = inspired(depth, phaseGas, phase.setpoint);
+    const piEnd = inspired(phase.depth, phaseGas, phase.setpoint);
+    if (phase.depth === depth) {
+      loadConstant(state, phase.duration, piEnd);
+    } else {
+      loadSegment(state, piStart, piEnd, phase.duration);
+    }
 
-      // GF interpolation: gfLow at first stop → gfHigh at surface
-      const nextStop = currentStop - 3;
-      const gfAtNextStop = firstStopDepth > 0
-        ? gfLow + (gfHigh - gfLow) * (1 - nextStop / firstStopDepth)
-        : gfHigh;
-      const gfFactor = gfAtNextStop / 100.0;
-
-      // VPM-B: Boyle's compensation — gradient reduces at shallower stops
-      const firstStopPressure = depthToPressure(firstStopDepth);
-      const nextStopPressure = depthToPressure(nextStop);
-      const boyleRatio = nextStopPressure > 0 ? firstStopPressure / nextStopPressure : 1;
-      const boyleFactor = 1.0 / Math.pow(boyleRatio, 0.33); // cube root dampening
-
-      // Determine stop time
-      let stopTime = 0;
-      const simTissue = [...workingTissue];
-      const nextAmbient = depthToPressure(nextStop);
-
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        let canAscend = true;
-        for (let i = 0; i < 16; i++) {
-          const maxGradient = gradients[i] * gfFactor * boyleFactor;
-          const maxTension = nextAmbient + maxGradient;
-          if (simTissue[i] > maxTension) {
-            canAscend = false;
-            break;
-          }
+    if (phase.depth > depth && phase.duration > 0) {
+      const startAmbient = depthToPressure(depth, env);
+      const endAmbient = depthToPressure(phase.depth, env);
+      for (let i = 0; i < NC; i++) {
+        const startTension = start.n2[i] + start.he[i] + VPM_OTHER_GASES;
+        const endTension = state.n2[i] + state.he[i] + VPM_OTHER_GASES;
+        const startGradient = startAmbient - startTension;
+        const endGradient = endAmbient - endTension;
+        if (endGradient > VPM_GRADIENT_ONSET_IMPERM && startGradient <= VPM_GRADIENT_ONSET_IMPERM) {
+          onset[i] = onsetOfImpermeability(start.n2[i], start.he[i], i, depth, phase.depth, phase.duration, piStart, piEnd, env);
         }
-        if (canAscend) {
-          stopTime = minute;
-          break;
-        }
-        const pi = inspiredPressure(currentStop, fN2);
-        for (let i = 0; i < 16; i++) {
-          simTissue[i] = schreiner(simTissue[i], pi, 1, HALFTIMES[i]);
-        }
-        stopTime = minute + 1;
+        maxCrushN2[i] = Math.max(maxCrushN2[i], crushingPressure(endAmbient, endTension, radiusN2[i], onset[i]));
+        maxCrushHe[i] = Math.max(maxCrushHe[i], crushingPressure(endAmbient, endTension, radiusHe[i], onset[i]));
       }
+    } else if (phase.depth < depth && phase.depth > 0) {
+      trackActualGradient(maxActual, state, phase.depth, env);
+    }
 
-      if (stopTime > 0) {
-        decoStops.push({ depth: currentStop, time: stopTime });
-      }
+    depth = phase.depth;
+    diveTime += phase.duration;
+  }
 
-      // Update working tissue
-      const pi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < 16; i++) {
-        workingTissue[i] = schreiner(workingTissue[i], pi, stopTime, HALFTIMES[i]);
-      }
+  const bottomState = cloneState(state);
+
+  // Regenerated nuclei set the initial allowable gradients
+  const initialN2 = radiusN2.map((r, i) => initialGradient(maxCrushN2[i], r, diveTime));
+  const initialHe = radiusHe.map((r, i) => initialGradient(maxCrushHe[i], r, diveTime));
+  let allowN2 = initialN2.map(g => g.gradient);
+  let allowHe = initialHe.map(g => g.gradient);
 
-      currentStop -= 3;
+  const rawCeiling = Math.max(0, ceilingDepth(bottomState, allowN2, allowHe, env));
+  let plan = planAscent(bottomState, depth, allowN2, allowHe, gases, decoAscentRate, grid, null, env);
+
+  // Critical volume algorithm: relax the gradients until the schedule converges
+  if (plan.firstStop > 0) {
+    const zoneDepth = startOfDecoZone(bottomState, depth, decoAscentRate, inspired(depth, gas), inspired(0, gas), env);
+    const zoneTime = (depth - zoneDepth) / decoAscentRate;
+    let lastVolumeTime = new Array(NC).fill(0);
+
+    for (let iter = 0; iter < MAX_CVA_ITERATIONS; iter++) {
+      const decoPhaseVolumeTime = plan.ascentTime - zoneTime;
+      const volumeTime = surfacePhaseVolumeTime(plan.surfaceState, env).map(t => decoPhaseVolumeTime + t);
+      if (volumeTime.some((t, i) => Math.abs(t - lastVolumeTime[i]) <= 1)) break;
+
+      allowN2 = initialN2.map((g, i) => criticalVolumeGradient(g.gradient, g.adjustedCrush, volumeTime[i]));
+      allowHe = initialHe.map((g, i) => criticalVolumeGradient(g.gradient, g.adjustedCrush, volumeTime[i]));
+      lastVolumeTime = volumeTime;
+      plan = planAscent(bottomState, depth, allowN2, allowHe, gases, decoAscentRate, grid, null, env);
     }
-  }
 
-  // Compute M-values at surface for visualization
-  const mValues = [];
-  for (let i = 0; i < 16; i++) {
-    mValues.push(P_SURFACE + gradients[i]);
+    // Final schedule, tracking the supersaturation actually reached at each stop
+    plan = planAscent(bottomState, depth, allowN2, allowHe, gases, decoAscentRate, grid, maxActual, env);
   }
 
+  // Tolerated surface tension per compartment, for visualization
+  const mValues = allowN2.map(g => env.surfacePressure + g);
+
   return {
-    decoStops,
-    firstStopDepth,
-    tissueLoading: [...tissueLoading],
+    decoStops: plan.stops,
+    firstStopDepth: plan.firstStop,
+    tissueLoading: [...bottomState.n2],
+    heLoading: hasHe ? [...bottomState.he] : null,
     ceiling: rawCeiling,
-    noDecoLimit: firstStopDepth === 0,
-    compartmentCount: 16,
-    halfTimes: [...HALFTIMES],
+    noDecoLimit: plan.firstStop === 0,
+    compartmentCount: NC,
+    halfTimes: [...N2_HALFTIMES],
     mValues,
+    circuit: ccr ? 'ccr' : 'oc',
+    conservatism: Math.max(0, Math.min(4, Math.round(conservatism))),
+    bubbleState: {
+      maxCrushingPressure: Math.max(...maxCrushN2),
+      maxActualGradient: maxActual,
+      initialGradientN2: initialN2.map(g => g.gradient),
+      initialGradientHe: initialHe.map(g => g.gradient),
+      adjustedCrushN2: initialN2.map(g => g.adjustedCrush),
+      adjustedCrushHe: initialHe.map(g => g.adjustedCrush),
+      surfaceTime: 0,
+    },
+  };
+}
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace). Descents crush the
+ * nuclei as in calculateVPM; the tolerated tension is the ambient pressure
+ * plus the initial allowable gradient of the nuclei crushed so far (before
+ * the critical volume relaxation, which needs the whole ascent).
+ */
+export function vpmTissueModel(conservatism = 0) {
+  const radiusFactor = CONSERVATISM_FACTORS[Math.max(0, Math.min(4, Math.round(conservatism)))];
+  const radiusN2 = CRITICAL_RADIUS_N2 * radiusFactor;
+  const radiusHe = CRITICAL_RADIUS_HE * radiusFactor;
+  return {
+    name: 'VPM-B',
+    compartments: NC,
+    halfTimes: N2_HALFTIMES,
+    helium: true,
+    gf: false,
+    // Nuclei are sized on air at the surface, whatever the dive gas
+    start: (fN2, env) => ({
+      n2: new Array(NC).fill(surfaceEquilibrium(AIR_FN2, env)),
+      he: new Array(NC).fill(0),
+      maxCrushN2: new Array(NC).fill(0),
+      maxCrushHe: new Array(NC).fill(0),
+      onset: new Array(NC).fill(null),
+      diveTime: 0,
+    }),
+    load(state, { fromDepth, toDepth, time, inspired }, env) {
+      if (time <= 0) return;
+      const start = cloneState(state);
+      const piStart = inspired(fromDepth);
+      const piEnd = inspired(toDepth);
+      if (fromDepth === toDepth) loadConstant(state, time, piEnd);
+      else loadSegment(state, piStart, piEnd, time);
+      if (fromDepth > 0 || toDepth > 0) state.diveTime += time;
+      if (toDepth <= fromDepth) return;
+
+      const startAmbient = depthToPressure(fromDepth, env);
+      const endAmbient = depthToPressure(toDepth, env);
+      for (let i = 0; i < NC; i++) {
+        const startGradient = startAmbient - (start.n2[i] + start.he[i] + VPM_OTHER_GASES);
+        const endTension = state.n2[i] + state.he[i] + VPM_OTHER_GASES;
+        if (endAmbient - endTension > VPM_GRADIENT_ONSET_IMPERM && startGradient <= VPM_GRADIENT_ONSET_IMPERM) {
+          state.onset[i] = onsetOfImpermeability(start.n2[i], start.he[i], i, fromDepth, toDepth, time, piStart, piEnd, env);
+        }
+        state.maxCrushN2[i] = Math.max(state.maxCrushN2[i], crushingPressure(endAmbient, endTension, radiusN2, state.onset[i]));
+        state.maxCrushHe[i] = Math.max(state.maxCrushHe[i], crushingPressure(endAmbient, endTension, radiusHe, state.onset[i]));
+      }
+    },
+    limit(state, i) {
+      const gradN2 = initialGradient(state.maxCrushN2[i], radiusN2, state.diveTime).gradient;
+      const gradHe = initialGradient(state.maxCrushHe[i], radiusHe, state.diveTime).gradient;
+      const load = state.n2[i] + state.he[i];
+      const gradient = load > 0 ? (gradHe * state.he[i] + gradN2 * state.n2[i]) / load : Math.min(gradHe, gradN2);
+      return { intercept: gradient - VPM_OTHER_GASES, slope: 1 };
+    },
   };
 }
@@ -0,0 +1,190 @@
+/**
+ * Worker pool with keyed, prioritized jobs.
+ *
+ * Jobs wait in one queue, highest priority first (first come, first served
+ * within a priority), and run on the first idle worker. A job submitted with
+ * a key supersedes the queued or running job of the same key: the old job's
+ * promise rejects with an AbortError and a running worker is terminated and
+ * replaced, so quick edits never leave obsolete calculations in the way.
+ *
+ * Without `createWorker` (no Worker support, tests) jobs run one at a time on
+ * the main thread through `runLocal`, in the same queue order, each in its
+ * own task. A worker that fails to load hands its jobs to the main thread.
+ */
+
+export const PRIORITY = {
+  BACKGROUND: 0,
+  NORMAL: 1,
+  VISIBLE: 2,
+};
+
+/** A rejected job: superseded by a newer job of its key, or cancelled. */
+export function cancelledError(key) {
+  const error = new Error(key === null ? 'Calculation cancelled' : `Calculation "${key}" cancelled`);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isCancelled(error) {
+  return error?.name === 'AbortError';
+}
+
+/** Workers to start: one per core beyond the main thread's, 1–4. */
+export function defaultPoolSize(cores = globalThis.navigator?.hardwareConcurrency) {
+  return Math.max(1, Math.min(4, (cores || 2) - 1));
+}
+
+/**
+ * @param {Object} options
+ * @param {number} [options.size] - Workers to start
+ * @param {Function|null} [options.createWorker] - () => Worker, null for main-thread only
+ * @param {Function} options.runLocal - (type, payload, onProgress) => result, the main-thread runner
+ */
+export function createWorkerPool({ size = 1, createWorker = null, runLocal }) {
+  const queue = [];
+  const slots = [];
+  let nextId = 0;
+
+  const spawn = (slot) => {
+    if (!createWorker) return null;
+    let worker;
+    try {
+      worker = createWorker();
+    } catch {
+      return null;
+    }
+    worker.onmessage = (e) => {
+      const { id, result, error, progress } = e.data;
+      const job = slot.job;
+      if (!job || job.id !== id) return;
+      if (progress !== undefined) {
+        job.onProgress?.(progress);
+        return;
+      }
+      finish(slot, job, error ? new Error(error) : null, result);
+    };
+    // A worker that can't load: run its job here and stay on the main thread
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      worker.terminate();
+      slot.worker = null;
+      if (slot.job) start(slot, slot.job);
+    };
+    return worker;
+  };
+
+  for (let i = 0; i < Math.max(1, size); i++) {
+    const slot = { worker: null, job: null };
+    slot.worker = spawn(slot);
+    slots.push(slot);
+    // Main thread only: a single slot
+    if (!slot.worker) break;
+  }
+
+  function finish(slot, job, error, result) {
+    if (slot.job !== job) return;
+    slot.job = null;
+    if (error) job.reject(error);
+    else job.resolve(result);
+    schedule();
+  }
+
+  function start(slot, job) {
+    slot.job = job;
+    if (slot.worker) {
+      slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+      return;
+    }
+    setTimeout(() => {
+      if (slot.job !== job) return;
+      let result;
+      try {
+        result = runLocal(job.type, job.payload, (progress) => {
+          if (slot.job === job) job.onProgress?.(progress);
+        });
+      } catch (error) {
+        finish(slot, job, error);
+        return;
+      }
+      finish(slot, job, null, result);
+    }, 0);
+  }
+
+  function schedule() {
+    for (const slot of slots) {
+      if (queue.length === 0) return;
+      if (!slot.job) start(slot, queue.shift());
+    }
+  }
+
+  function insert(job) {
+    const at = queue.findIndex(queued => queued.priority < job.priority);
+    queue.splice(at === -1 ? queue.length : at, 0, job);
+  }
+
+  /** Cancel the queued and running jobs of a key. */
+  function cancel(key) {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].key === key) queue.splice(i, 1)[0].reject(cancelledError(key));
+    }
+    for (const slot of slots) {
+      if (slot.job?.key !== key) continue;
+      const job = slot.job;
+      slot.job = null;
+      if (slot.worker) {
+        slot.worker.terminate();
+        slot.worker = spawn(slot);
+      }
+      job.reject(cancelledError(key));
+    }
+    schedule();
+  }
+
+  /**
+   * Queue a job; resolves with its result. Options: `key` (a newer job of
+   * the same key supersedes this one), `priority` (PRIORITY) and
+   * `onProgress` for partial results.
+   */
+  function run(type, payload, { key = null, priority = PRIORITY.NORMAL, onProgress = null } = {}) {
+    if (key !== null) cancel(key);
+    return new Promise((resolve, reject) => {
+      insert({ id: ++nextId, key, type, payload, priority, onProgress, resolve, reject });
+      schedule();
+    });
+  }
+
+  /** Move the queued job of a key to a new priority (a running job keeps going). */
+  function prioritize(key, priority) {
+    const i = queue.findIndex(job => job.key === key);
+    if (i === -1 || queue[i].priority === priority) return;
+    const [job] = queue.splice(i, 1);
+    insert({ ...job, priority });
+  }
+
+  /** The payload of the queued or running job of a key, if any. */
+  function pendingPayload(key) {
+    const job = slots.find(slot => slot.job?.key === key)?.job || queue.find(queued => queued.key === key);
+    return job ? job.payload : undefined;
+  }
+
+  /** Stop every worker and cancel every job. */
+  function terminate() {
+    for (const job of queue.splice(0)) job.reject(cancelledError(job.key));
+    for (const slot of slots) {
+      slot.worker?.terminate();
+      slot.worker = null;
+      slot.job?.reject(cancelledError(slot.job.key));
+      slot.job = null;
+    }
+  }
+
+  return {
+    run,
+    cancel,
+    prioritize,
+    pendingPayload,
+    terminate,
+    get size() { return slots.length; },
+    get workers() { return slots.filter(slot => slot.worker).length; },
+  };
+}
@@ -36,22 +36,27 @@ const WORKMAN_M_VALUES = [
 ];
 
 import { P_SURFACE as SURFACE_PRESSURE, MAX_STOP_MINUTES, METERS_TO_FEET } from './constants.js';
-import { depthToPressure, inspiredPressure, schreiner as exponentialLoading } from './physics.js';
+import { depthToPressure, pressureToDepth, inspiredPressure, surfaceEquilibrium, schreinerSegment as exponentialLoading, initTissues } from './physics.js';
+import { createStopGrid } from './stopGrid.js';
+import { createEnvironment } from './environment.js';
+import { phaseGases } from './gasTimeline.js';
 
 /**
  * Calculate Workman M-value for given compartment at specified depth.
- * M = M0 + ΔM × depth_in_feet
+ * M = M0 + ΔM × depth_in_feet, with depth measured from sea level pressure
+ * so the M-values follow ambient pressure at altitude.
  */
-function workmanMValue(compartment, depth) {
+function workmanMValue(compartment, depth, env) {
   const [m0, deltaM] = WORKMAN_M_VALUES[compartment];
-  const depthFeet = depth * METERS_TO_FEET; // Convert meters to feet
+  const seaLevelMeters = (depthToPressure(depth, env) - SURFACE_PRESSURE) * 10;
+  const depthFeet = seaLevelMeters * METERS_TO_FEET; // Convert meters to feet
   return m0 + deltaM * depthFeet;
 }
 
 /**
  * Calculate Workman ceiling depth for current tissue loading.
  */
-function workmanCeiling(tissueLoading) {
+function workmanCeiling(tissueLoading, env) {
   let maxCeiling = 0;
   
   for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
@@ -69,7 +74,7 @@ function workmanCeiling(tissueLoading) {
     }
     
     const ceilingFeet = (pN2 - m0) / deltaM;
-    const ceilingDepth = Math.max(0, ceilingFeet / METERS_TO_FEET);
+    const ceilingDepth = pressureToDepth(SURFACE_PRESSURE + ceilingFeet / METERS_TO_FEET / 10, env);
     
     if (ceilingDepth > maxCeiling) {
       maxCeiling = ceilingDepth;
@@ -82,9 +87,9 @@ function workmanCeiling(tissueLoading) {
 /**
  * Check if tissue can ascend safely to specified depth.
  */
-function canAscendWorkman(tissueLoading, newDepth) {
+function canAscendWorkman(tissueLoading, newDepth, env) {
   for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
-    const allowable = workmanMValue(i, newDepth);
+    const allowable = workmanMValue(i, newDepth, env);
     if (tissueLoading[i] > allowable) {
       return false;
     }
@@ -103,28 +108,39 @@ function canAscendWorkman(tissueLoading, newDepth) {
  * @returns {Object} Deco stops and tissue data
  */
 export function calculateWorkman(phases, options = {}) {
-  const { fO2 = 0.21, ascentRate = 9, decoAscentRate = 9, lastStopDepth = 6 } = options;
+  const { fO2 = 0.21, decoAscentRate = 9 } = options;
   const fN2 = 1.0 - fO2;
+  // N₂ fraction breathed in each phase; the ascent stays on the last one
+  const phaseN2 = phaseGases(phases, fO2).map(g => 1.0 - g.fO2);
+  const ascentN2 = phaseN2.length > 0 ? phaseN2[phaseN2.length - 1] : fN2;
+  const env = createEnvironment(options);
   
-  // Initialize tissue loading at surface equilibrium
-  const surfaceN2 = inspiredPressure(0, fN2);
-  const tissueLoading = new Array(WORKMAN_HALFTIMES.length).fill(surfaceN2);
+  // Initialize tissue loading at surface equilibrium (or residual from a previous dive)
+  const surfaceN2 = surfaceEquilibrium(fN2, env);
+  const tissueLoading = initTissues(WORKMAN_HALFTIMES.length, surfaceN2, options.initialTissues?.n2);
   
-  // Process each phase to build tissue loading
-  for (const phase of phases) {
-    const pi = inspiredPressure(phase.depth, fN2);
-    const duration = phase.duration;
-    
+  // Load tissues from one depth to another (linear while the depth changes)
+  const load = (tissues, fromDepth, toDepth, time, inert = ascentN2) => {
+    const piStart = inspiredPressure(fromDepth, inert, env);
+    const piEnd = inspiredPressure(toDepth, inert, env);
     for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
-      tissueLoading[i] = exponentialLoading(tissueLoading[i], pi, duration, WORKMAN_HALFTIMES[i]);
+      tissues[i] = exponentialLoading(tissues[i], piStart, piEnd, time, WORKMAN_HALFTIMES[i]);
     }
-  }
+  };
+
+  // Process each phase to build tissue loading
+  let depth = 0;
+  phases.forEach((phase, i) => {
+    load(tissueLoading, depth, phase.depth, phase.duration, phaseN2[i]);
+    depth = phase.depth;
+  });
   
   // Calculate ceiling using Workman M-values
-  const rawCeiling = workmanCeiling(tissueLoading);
+  const rawCeiling = workmanCeiling(tissueLoading, env);
   
-  // Round ceiling up to next 3m stop
-  const firstStopDepth = Math.ceil(rawCeiling / 3) * 3;
+  // Round ceiling up to the stop grid
+  const grid = createStopGrid(options);
+  const firstStopDepth = grid.firstStop(rawCeiling);
   
   // Generate Workman decompression stops
   const decoStops = [];
@@ -132,41 +148,27 @@ export function calculateWorkman(phases, options = {}) {
   
   if (firstStopDepth > 0) {
     let currentStop = firstStopDepth;
+    let prevDepth = depth;
     
-    while (currentStop >= lastStopDepth) {
+    while (grid.isStop(currentStop)) {
       let stopTime = 0;
-      const tempTissue = [...workingTissue];
       
-      // Simulate ascent to this stop
-      const prevDepth = currentStop === firstStopDepth
-        ? phases[phases.length - 1]?.depth || 0
-        : currentStop + 3;
-      
-      const transitTime = Math.ceil(Math.abs(prevDepth - currentStop) / decoAscentRate);
-      const transitPi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
-        tempTissue[i] = exponentialLoading(tempTissue[i], transitPi, transitTime, WORKMAN_HALFTIMES[i]);
-      }
+      // Ascent to this stop
+      const transitTime = grid.transitTime(prevDepth, currentStop, decoAscentRate);
+      load(workingTissue, prevDepth, currentStop, transitTime);
       
       // Check if we can ascend to next stop
-      const nextStop = currentStop - 3;
-      let canAscend = false;
-      const simTissue = [...tempTissue];
+      const nextStop = grid.next(currentStop);
+      const simTissue = [...workingTissue];
       
       // Stay at stop until M-value allows ascent
-      for (let minute = 1; minute <= MAX_STOP_MINUTES; minute++) {
-        if (canAscendWorkman(simTissue, nextStop)) {
-          canAscend = true;
-          stopTime = minute;
-          break;
-        }
+      for (let waited = 0; waited < MAX_STOP_MINUTES; waited++) {
+        stopTime = grid.stopTime(waited);
+        if (canAscendWorkman(simTissue, nextStop, env)) break;
         
         // Simulate 1 more minute at this stop
-        const pi = inspiredPressure(currentStop, fN2);
-        for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
-          simTissue[i] = exponentialLoading(simTissue[i], pi, 1, WORKMAN_HALFTIMES[i]);
-        }
-        stopTime = minute + 1;
+        load(simTissue, currentStop, currentStop, 1);
+        stopTime = grid.stopTime(waited + 1);
       }
       
       if (stopTime > 0) {
@@ -174,17 +176,15 @@ export function calculateWorkman(phases, options = {}) {
       }
       
       // Update working tissue with actual stop time
-      const pi = inspiredPressure(currentStop, fN2);
-      for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
-        workingTissue[i] = exponentialLoading(workingTissue[i], pi, transitTime + stopTime, WORKMAN_HALFTIMES[i]);
-      }
+      load(workingTissue, currentStop, currentStop, stopTime);
       
-      currentStop -= 3;
+      prevDepth = currentStop;
+      currentStop = nextStop;
     }
   }
   
   // M-values at surface (depth=0)
-  const mValues = WORKMAN_HALFTIMES.map((_, i) => workmanMValue(i, 0));
+  const mValues = WORKMAN_HALFTIMES.map((_, i) => workmanMValue(i, 0, env));
 
   return {
     decoStops,
@@ -196,4 +196,29 @@ export function calculateWorkman(phases, options = {}) {
     halfTimes: [...WORKMAN_HALFTIMES],
     mValues,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Tissue model for the tissue trace (see tissueTrace): M0 + ΔM × depth in
+ * feet, rewritten as a line in ambient pressure.
+ */
+export const WORKMAN_TISSUE_MODEL = {
+  name: 'Workman (1965)',
+  compartments: WORKMAN_HALFTIMES.length,
+  halfTimes: WORKMAN_HALFTIMES,
+  helium: false,
+  gf: false,
+  start: (fN2, env) => ({ n2: new Array(WORKMAN_HALFTIMES.length).fill(surfaceEquilibrium(fN2, env)), he: null }),
+  load(state, { fromDepth, toDepth, time, inspired }) {
+    const piStart = inspired(fromDepth).piN2;
+    const piEnd = inspired(toDepth).piN2;
+    for (let i = 0; i < WORKMAN_HALFTIMES.length; i++) {
+      state.n2[i] = exponentialLoading(state.n2[i], piStart, piEnd, time, WORKMAN_HALFTIMES[i]);
+    }
+  },
+  limit(state, i) {
+    const [m0, deltaM] = WORKMAN_M_VALUES[i];
+    const slope = deltaM * 10 * METERS_TO_FEET;
+    return { intercept: m0 - slope * SURFACE_PRESSURE, slope };
+  },
+};